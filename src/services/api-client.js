@@ -200,6 +200,92 @@ const ApiClient = {
         return response.quotes || [];
     },
 
+    /**
+     * Save manually corrected quote fields for a quote email
+     * @param {string} emailId - Graph message ID of the quote
+     * @param {Object} fields - Corrected fields {unit_price, total_price, currency, lead_time, validity, payment_terms}
+     */
+    async saveQuoteCorrections(emailId, fields) {
+        return this.post('/quotes/corrections', {
+            email_id: emailId,
+            fields: fields
+        });
+    },
+
+    // ==================== PURCHASE ORDER ENDPOINTS ====================
+
+    /**
+     * Create a purchase order for an accepted quote
+     * @param {Object} options - PO options
+     * @param {string} options.poNumber - Proposed PO number (backend may assign its own)
+     * @param {Object} options.quote - Accepted quote (prices, lead time, terms)
+     * @param {Object} options.pr - Purchase requisition the quote answers (optional)
+     * @param {Object} options.supplier - Supplier {supplier_id, name, email}
+     * @param {string} options.rfqId - RFQ ID the quote was received for (optional)
+     * @param {string} options.materialCode - Material code (optional)
+     * @returns {Promise<Object>} Created PO ({po_number, status, ...})
+     */
+    async createPurchaseOrder(options) {
+        const quote = options.quote || {};
+        const payload = {
+            po_number: options.poNumber,
+            rfq_id: options.rfqId || null,
+            pr_id: options.pr?.pr_id || null,
+            material_code: options.materialCode || null,
+            supplier: {
+                supplier_id: options.supplier?.supplier_id || null,
+                name: options.supplier?.name || null,
+                email: options.supplier?.email || null
+            },
+            quote: {
+                email_id: quote.email_id || null,
+                unit_price: quote.unit_price ?? null,
+                total_price: quote.total_price ?? null,
+                currency: quote.currency || 'USD',
+                quantity: quote.quantity ?? null,
+                lead_time: quote.lead_time || quote.delivery_time || null,
+                payment_terms: quote.payment_terms || null,
+                validity: quote.validity || quote.validity_period || null,
+                line_items: quote.line_items && quote.line_items.length > 0 ? quote.line_items : null
+            }
+        };
+
+        return this.post('/purchase-orders', payload);
+    },
+
+    /**
+     * Reserve the next PO number from the backend sequence
+     * @param {Object} scheme - {pattern, prefix, siteCode, fiscalYear, sequencePadding}
+     * @returns {Promise<Object>} {po_number}
+     */
+    async reservePONumber(scheme) {
+        return this.post('/purchase-orders/reserve-number', {
+            pattern: scheme.pattern,
+            prefix: scheme.prefix,
+            site_code: scheme.siteCode || null,
+            fiscal_year: scheme.fiscalYear,
+            sequence_padding: scheme.sequencePadding
+        });
+    },
+
+    /**
+     * Get a purchase order by number
+     */
+    async getPurchaseOrder(poNumber) {
+        return this.get(`/purchase-orders/${encodeURIComponent(poNumber)}`);
+    },
+
+    // ==================== EXCHANGE RATE ENDPOINTS ====================
+
+    /**
+     * Get exchange rates for a base currency
+     * @param {string} base - Base currency code (e.g. "USD")
+     * @returns {Promise<Object>} {base, rates: {EUR: 0.92, ...}, updated_at}
+     */
+    async getExchangeRates(base) {
+        return this.get(`/exchange-rates?base=${encodeURIComponent(base)}`);
+    },
+
     // ==================== DEMO ENDPOINTS ====================
 
     /**
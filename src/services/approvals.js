@@ -0,0 +1,323 @@
+/**
+ * Approval Service
+ * Award approvals: value thresholds per approver, the approval request email
+ * (with the bid tab attached), approve/reject replies picked up by EmailMonitor
+ * and the approval record that gates PO creation
+ */
+const ApprovalService = {
+    // Reference carried in the approval email subject, e.g. [APR-LX3K2Q]
+    REFERENCE_PATTERN: /\[(APR-[A-Z0-9]+)\]/i,
+
+    // The reply's first word must be the decision; anything else ("Do not approve",
+    // "I cannot approve this") leaves the approval pending
+    DECISION_PATTERN: /^(APPROVED|REJECTED)(?![\w'])[\s.,:;!-]*/i,
+
+    DEFAULT_SETTINGS: {
+        auto_approve_below: 0,
+        approvers: []
+    },
+
+    // ==================== THRESHOLDS ====================
+
+    /**
+     * Approval settings
+     * @returns {Object} {auto_approve_below, approvers: [{name, email, limit}]} - amounts in the base
+     *                   currency, limit null = no upper limit
+     */
+    getSettings() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.APPROVAL_SETTINGS);
+            if (stored) return { ...this.DEFAULT_SETTINGS, ...JSON.parse(stored) };
+        } catch (error) {
+            console.error('Error loading approval settings:', error);
+        }
+        return { ...this.DEFAULT_SETTINGS, approvers: [] };
+    },
+
+    /**
+     * Save approval settings
+     */
+    saveSettings(settings) {
+        const saved = this.validateSettings(settings);
+        localStorage.setItem(Config.STORAGE_KEYS.APPROVAL_SETTINGS, JSON.stringify(saved));
+        return saved;
+    },
+
+    /**
+     * Clean up approval settings without saving them
+     * @throws {Error} If an approver email or limit is not valid
+     */
+    validateSettings(settings) {
+        const approvers = (settings.approvers || [])
+            .map(a => ({
+                name: (a.name || '').trim(),
+                email: (a.email || '').trim(),
+                limit: a.limit === null || a.limit === '' || a.limit === undefined ? null : parseFloat(a.limit)
+            }))
+            .filter(a => a.email);
+        approvers.forEach(a => {
+            if (!Helpers.isValidEmail(a.email)) {
+                throw new Error(`Approver email "${a.email}" is not valid`);
+            }
+            if (a.limit !== null && !(a.limit > 0)) {
+                throw new Error(`Approval limit for ${a.email} must be a positive amount or empty for no limit`);
+            }
+        });
+        return {
+            auto_approve_below: parseFloat(settings.auto_approve_below) || 0,
+            approvers: approvers
+        };
+    },
+
+    /**
+     * Total value of an award in the base currency
+     * @param {Array} quotes - Awarded quotes (one per PO)
+     * @param {Array} contexts - Award context per quote (see resolveQuoteAwardContext)
+     * @returns {number|null} null when any PO value is unknown
+     */
+    getAwardValue(quotes, contexts) {
+        let total = 0;
+        for (let i = 0; i < quotes.length; i++) {
+            const po = PurchaseOrderService.buildPurchaseOrder(quotes[i], contexts[i] || {}, null);
+            const value = po.total_price !== null ? CurrencyService.toBase(po.total_price, po.currency) : null;
+            if (value === null) return null;
+            total += value;
+        }
+        return Math.round(total * 100) / 100;
+    },
+
+    /**
+     * Work out whether an award needs approval and from whom
+     * The approver is the one with the lowest limit covering the value; awards of
+     * unknown value go to the approver with the highest authority.
+     * @param {number|null} value - Award value in the base currency
+     * @returns {Object} {required, approver, reason}
+     */
+    getRequirement(value) {
+        const settings = this.getSettings();
+        if (settings.approvers.length === 0) {
+            return { required: false, approver: null, reason: 'No approvers configured' };
+        }
+        if (value !== null && value < settings.auto_approve_below) {
+            return { required: false, approver: null, reason: `Below the approval threshold of ${Helpers.formatCurrency(settings.auto_approve_below, CurrencyService.getBaseCurrency())}` };
+        }
+
+        const byLimit = settings.approvers.slice().sort((a, b) =>
+            (a.limit === null ? Infinity : a.limit) - (b.limit === null ? Infinity : b.limit)
+        );
+        const approver = value === null
+            ? byLimit[byLimit.length - 1]
+            : byLimit.find(a => a.limit === null || value <= a.limit) || null;
+        return {
+            required: true,
+            approver: approver,
+            reason: approver ? null : 'No approver has authority for this value - add one in Settings'
+        };
+    },
+
+    // ==================== APPROVAL RECORDS ====================
+
+    /**
+     * All approval records keyed by reference
+     */
+    getAll() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.APPROVALS);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading approvals:', error);
+            return {};
+        }
+    },
+
+    getApproval(reference) {
+        return this.getAll()[reference] || null;
+    },
+
+    saveApproval(approval) {
+        const all = this.getAll();
+        all[approval.reference] = approval;
+        try {
+            localStorage.setItem(Config.STORAGE_KEYS.APPROVALS, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving approval:', error);
+        }
+        return approval;
+    },
+
+    /**
+     * Key identifying an award: the quotes awarded, their awarded totals and the
+     * award value, so an approval no longer matches once a correction changes the value
+     * @param {Array} quotes - Awarded quotes
+     * @param {number|null} value - Award value in the base currency (see getAwardValue)
+     */
+    getAwardKey(quotes, value) {
+        const awarded = quotes
+            .map(q => `${q.email_id || q.supplier_email}:${q.line_items && q.total_price ? q.total_price : ''}`)
+            .sort()
+            .join('|');
+        return `${awarded}=${value === null || value === undefined ? '?' : value.toFixed(2)}`;
+    },
+
+    /**
+     * An approval is used up once POs have been issued under it
+     */
+    isConsumed(approval) {
+        return (approval?.po_numbers || []).length > 0;
+    },
+
+    /**
+     * Latest approval requested for an award (rejected approvals can be requested again)
+     * Consumed approvals are skipped, so awarding the same quotes again needs a new approval.
+     */
+    findForAward(quotes, value) {
+        const key = this.getAwardKey(quotes, value);
+        return Object.values(this.getAll())
+            .filter(a => a.award_key === key && !this.isConsumed(a))
+            .sort((a, b) => new Date(b.requested_at) - new Date(a.requested_at))[0] || null;
+    },
+
+    // ==================== REQUESTS ====================
+
+    buildRequestSubject(reference, context) {
+        const material = context.materialCode ? `: ${context.materialCode}` : '';
+        return `Award approval request [${reference}]${material}`;
+    },
+
+    /**
+     * Build the plain-text approval request
+     * @param {Object} context - {materialCode, prNumber, value, quotes, recommendation, approver}
+     */
+    buildRequestText(context) {
+        const base = CurrencyService.getBaseCurrency();
+        const suppliers = context.quotes.map(q => {
+            const amount = parseFloat(q.total_price) > 0
+                ? Helpers.formatCurrency(parseFloat(q.total_price), q.currency || base)
+                : (parseFloat(q.unit_price) > 0 ? `${Helpers.formatCurrency(parseFloat(q.unit_price), q.currency || base)} per unit` : 'price on PO');
+            return `- ${q.supplier_name || q.supplier_email}: ${amount}`;
+        });
+        const rationale = context.recommendation
+            ? `Recommended quote: ${context.recommendation.quote.supplier_name || context.recommendation.quote.supplier_email} (${context.recommendation.reason}).`
+            : '';
+
+        return `Dear ${context.approver.name || context.approver.email},
+
+Please review and approve the following award${context.materialCode ? ` for ${context.materialCode}` : ''}${context.prNumber ? ` (${context.prNumber})` : ''}.
+
+Award value: ${context.value !== null ? Helpers.formatCurrency(context.value, base) : 'not stated in the quote'}
+${suppliers.join('\n')}${rationale ? `\n\n${rationale}` : ''}
+
+The bid tabulation with all quotes received is attached.
+
+Reply to this email with APPROVED or REJECTED on the first line, optionally followed by a comment. The purchase order will be issued once your approval is received.
+
+Best regards,
+Procurement Team`;
+    },
+
+    /**
+     * Send the approval request to the approver and record it as pending
+     * @param {Object} context - {quotes, materialCode, prNumber, value, approver, recommendation}
+     * @param {Object} bidTab - Bid tab attachment {name, contentType, contentBytes}
+     * @returns {Promise<Object>} The approval record
+     */
+    async requestApproval(context, bidTab) {
+        if (!context.approver || !context.approver.email) {
+            throw new Error('No approver for this award');
+        }
+        const reference = `APR-${Date.now().toString(36).toUpperCase()}`;
+        await EmailOperations.sendEmail({
+            to: [{ address: context.approver.email, name: context.approver.name || undefined }],
+            subject: this.buildRequestSubject(reference, context),
+            body: EmailOperations.formatTextAsHtml(this.buildRequestText(context)),
+            attachments: bidTab ? [bidTab] : []
+        });
+
+        return this.saveApproval({
+            reference: reference,
+            award_key: this.getAwardKey(context.quotes, context.value),
+            material_code: context.materialCode || null,
+            pr_id: context.prNumber || null,
+            value: context.value,
+            currency: CurrencyService.getBaseCurrency(),
+            approver: { name: context.approver.name || null, email: context.approver.email },
+            suppliers: context.quotes.map(q => q.supplier_name || q.supplier_email),
+            status: 'pending',
+            requested_at: new Date().toISOString(),
+            requested_by: AuthService.getUser()?.email || null,
+            decided_at: null,
+            comment: null,
+            po_numbers: []
+        });
+    },
+
+    // ==================== REPLIES ====================
+
+    /**
+     * Approval reference in an email subject
+     */
+    extractReference(subject) {
+        const match = (subject || '').match(this.REFERENCE_PATTERN);
+        return match ? match[1].toUpperCase() : null;
+    },
+
+    /**
+     * Read the decision from the first word of a reply: APPROVED or REJECTED
+     * @returns {Object|null} {decision: 'approved'|'rejected', comment}
+     */
+    parseDecision(text) {
+        const lines = (text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+        if (lines.length === 0) return null;
+        const match = lines[0].match(this.DECISION_PATTERN);
+        if (!match) return null;
+        const decision = match[1].toLowerCase();
+
+        // Everything up to the quoted original message is the comment
+        const quoteStart = lines.findIndex(l => /^(from:|-----original message|on .+ wrote:|>)/i.test(l));
+        const commentLines = lines.slice(0, quoteStart === -1 ? lines.length : quoteStart);
+        const comment = [commentLines[0].slice(match[0].length), ...commentLines.slice(1)]
+            .join(' ')
+            .trim();
+        return { decision: decision, comment: comment || null };
+    },
+
+    /**
+     * Record an approver's reply
+     * Replies from anyone other than the approver, and replies to approvals that
+     * were already decided, are ignored.
+     * @param {Object} email - Graph message with subject, from and uniqueBody/body
+     * @returns {Object|null} The updated approval, or null if the email is not a decision
+     */
+    recordReply(email) {
+        const reference = this.extractReference(email.subject);
+        const approval = reference ? this.getApproval(reference) : null;
+        if (!approval || approval.status !== 'pending') return null;
+
+        const sender = (email.from?.emailAddress?.address || '').toLowerCase();
+        if (sender !== approval.approver.email.toLowerCase()) {
+            console.warn(`Ignoring reply to ${reference} from ${sender} - not the approver`);
+            return null;
+        }
+
+        const body = email.uniqueBody?.content || email.body?.content || email.bodyPreview || '';
+        const text = /<[a-z][\s\S]*>/i.test(body) ? EmailOperations.formatRfqBodyAsText(body) : body;
+        const parsed = this.parseDecision(text);
+        if (!parsed) return null;
+
+        approval.status = parsed.decision;
+        approval.comment = parsed.comment;
+        approval.decided_at = email.receivedDateTime || new Date().toISOString();
+        approval.decision_email_id = email.id;
+        return this.saveApproval(approval);
+    },
+
+    /**
+     * Record the POs issued under an approval (which consumes it)
+     */
+    recordPurchaseOrders(reference, poNumbers) {
+        const approval = this.getApproval(reference);
+        if (!approval) return;
+        approval.po_numbers = [...(approval.po_numbers || []), ...poNumbers];
+        this.saveApproval(approval);
+    }
+};
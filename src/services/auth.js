@@ -182,7 +182,20 @@ const AuthService = {
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            throw new Error(`Graph API error: ${error.error?.message || response.statusText}`);
+            const requestError = new Error(`Graph API error: ${error.error?.message || response.statusText}`);
+            // Status, error code and Retry-After (seconds) let callers back off or resync
+            requestError.status = response.status;
+            requestError.code = error.error?.code || null;
+            requestError.retryAfter = null;
+            const retryAfter = response.headers.get('Retry-After');
+            if (retryAfter) {
+                // Either a number of seconds or an HTTP date
+                const seconds = /^\d+$/.test(retryAfter.trim())
+                    ? parseInt(retryAfter, 10)
+                    : Math.ceil((Date.parse(retryAfter) - Date.now()) / 1000);
+                requestError.retryAfter = isNaN(seconds) ? null : Math.max(0, seconds);
+            }
+            throw requestError;
         }
 
         // Handle 204 No Content and 202 Accepted (sendMail returns 202)
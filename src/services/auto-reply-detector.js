@@ -0,0 +1,295 @@
+/**
+ * Auto-Reply Detector
+ * Tells bounces (non-delivery reports) and automatic replies (out-of-office)
+ * apart from real supplier replies. Bounces are recognised from the DSN report
+ * (RFC 3464 Final-Recipient/Action/Status fields), postmaster senders and
+ * bounce subjects; automatic replies from the Auto-Submitted, X-Autoreply and
+ * X-Auto-Response-Suppress headers together with out-of-office wording.
+ * Used by EmailMonitor and by the task pane's RFQ progress counts.
+ */
+const AutoReplyDetector = {
+    TYPES: {
+        bounce: 'Delivery failed',
+        auto_reply: 'Automatic reply'
+    },
+
+    BOUNCE_ADDRESSES: ['postmaster@', 'mailer-daemon@'],
+    BOUNCE_NAMES: ['postmaster', 'mailer-daemon', 'mail delivery subsystem', 'mail delivery system'],
+
+    BOUNCE_SUBJECTS: /^(undeliverable|undelivered mail|delivery status notification \(failure\)|delivery failure|mail delivery failed|returned mail|failure notice|delivery has failed)/i,
+
+    BOUNCE_PHRASES: [
+        'undeliverable',
+        'delivery failed',
+        'delivery has failed',
+        'returned mail',
+        'mail delivery subsystem',
+        'delivery status notification',
+        'this is an automatically generated delivery status notification',
+        'delivery to the following recipient failed',
+        'delivery to these recipients or groups failed',
+        'could not be delivered',
+        "couldn't be delivered",
+        'permanent failure',
+        'temporary failure',
+        'address not found'
+    ],
+
+    // Bounce notices that only say delivery is delayed; the server is still trying
+    DELAY_PHRASES: ['delivery has been delayed', 'delivery is delayed', 'temporary failure', 'will retry', 'still trying'],
+
+    AUTO_REPLY_SUBJECTS: /^(automatic reply|auto(matic)?[- ]?(reply|response)|autoreply|out of (the )?office|ooo\b|abwesenheit|absence|réponse automatique|respuesta automática)/i,
+
+    AUTO_REPLY_PHRASES: [
+        /\bout of (the )?office\b/i,
+        /\b(on|taking) (annual |parental |sick |maternity |paternity )?leave\b/i,
+        /\bon (vacation|holiday|holidays)\b/i,
+        /\baway from (the |my )?(office|desk)\b/i,
+        /\bcurrently (away|travell?ing|unavailable|out)\b/i,
+        /\blimited (access to )?(e-?mail|connectivity)\b/i,
+        /\b(i am|i'm|i will be) (out|away)\b/i
+    ],
+
+    MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+    // ==================== DETECTION ====================
+
+    /**
+     * Detect a bounce or automatic reply
+     * @param {Object} message - Graph message; internetMessageHeaders and body are used when present
+     * @returns {Object|null} {type: 'bounce'|'auto_reply', reason, permanent, recipients: [], status, diagnostic, away_until, contacts: []}
+     */
+    detect(message) {
+        return this.detectBounce(message) || this.detectAutoReply(message);
+    },
+
+    /**
+     * Whether a message is a bounce (including delay notices)
+     */
+    isUndeliverable(message) {
+        return !!this.detectBounce(message);
+    },
+
+    /**
+     * Whether a message in an RFQ thread is a real supplier reply: an RFQ subject,
+     * not a bounce or automatic reply, and long enough to say something
+     */
+    isSupplierReply(message) {
+        if (!/rfq/i.test(message?.subject || '')) return false;
+        if (this.detect(message)) return false;
+        return (message.bodyPreview || '').trim().length >= 50;
+    },
+
+    detectBounce(message) {
+        const headers = message?.internetMessageHeaders;
+        const subject = (message?.subject || '').trim();
+        const from = (message?.from?.emailAddress?.address || '').toLowerCase();
+        const fromName = (message?.from?.emailAddress?.name || '').toLowerCase();
+        const text = this.getText(message);
+        const lowerText = text.toLowerCase();
+        const contentType = (this.getHeader(headers, 'content-type') || '').toLowerCase();
+
+        let reason = null;
+        if (contentType.includes('multipart/report') && contentType.includes('delivery-status')) {
+            reason = 'Delivery status report';
+        } else if (this.isBounceSender(from, fromName)) {
+            reason = `Sent by ${message.from.emailAddress.name || from}`;
+        } else if (this.BOUNCE_SUBJECTS.test(subject) || (from.includes('noreply') && /failed/i.test(subject))) {
+            reason = `Subject "${subject.split(':')[0]}"`;
+        } else if (this.getHeader(headers, 'x-failed-recipients')) {
+            reason = 'X-Failed-Recipients header';
+        } else if (/^\s*final-recipient\s*:/im.test(text)) {
+            reason = 'Delivery status report';
+        } else {
+            // Only the start of the message: a supplier's reply may mention a failed delivery further down
+            const opening = (message?.bodyPreview || text.slice(0, 255)).toLowerCase();
+            const phrase = this.BOUNCE_PHRASES.find(p => opening.includes(p));
+            if (phrase) reason = `"${phrase}"`;
+        }
+        if (!reason) return null;
+
+        // Without report fields, the failed recipients are the addresses in the notice itself
+        // (not in the copy of the original message's headers that follows it)
+        const dsn = this.parseDsn(text);
+        const failed = this.getHeader(headers, 'x-failed-recipients');
+        const ownAddress = (AuthService.getUser()?.email || '').toLowerCase();
+        const notice = text.split(/original message headers|diagnostic information for administrators/i)[0];
+        const recipients = dsn.recipients.length > 0
+            ? dsn.recipients
+            : (failed ? this.extractAddresses(failed) : this.extractAddresses(notice).filter(address =>
+                address !== from && address !== ownAddress && !this.isBounceSender(address, '')));
+        const delayed = dsn.action === 'delayed' || /^4\./.test(dsn.status || '') ||
+            (!dsn.action && this.DELAY_PHRASES.some(p => lowerText.includes(p)) && !/^5\./.test(dsn.status || ''));
+
+        return {
+            type: 'bounce',
+            reason: reason,
+            permanent: !delayed,
+            recipients: recipients,
+            status: dsn.status,
+            diagnostic: dsn.diagnostic,
+            away_until: null,
+            contacts: []
+        };
+    },
+
+    detectAutoReply(message) {
+        const headers = message?.internetMessageHeaders;
+        const subject = (message?.subject || '').trim();
+        const text = this.getText(message);
+        const autoSubmitted = (this.getHeader(headers, 'auto-submitted') || '').toLowerCase();
+        const suppress = this.getHeader(headers, 'x-auto-response-suppress');
+        const hasOooWording = this.AUTO_REPLY_PHRASES.some(pattern => pattern.test(text));
+
+        let reason = null;
+        if (autoSubmitted.startsWith('auto-replied')) {
+            reason = 'Auto-Submitted: auto-replied';
+        } else if (this.getHeader(headers, 'x-autoreply') || this.getHeader(headers, 'x-autorespond')) {
+            reason = 'X-Autoreply header';
+        } else if (this.AUTO_REPLY_SUBJECTS.test(subject)) {
+            reason = `Subject "${subject.split(':')[0]}"`;
+        } else if ((suppress || (autoSubmitted && autoSubmitted !== 'no')) && hasOooWording) {
+            // Either header alone is also set on ordinary automated mail; with out-of-office wording it is an auto-reply
+            reason = suppress ? `X-Auto-Response-Suppress: ${suppress}` : `Auto-Submitted: ${autoSubmitted}`;
+        }
+        if (!reason) return null;
+
+        const sender = (message?.from?.emailAddress?.address || '').toLowerCase();
+        return {
+            type: 'auto_reply',
+            reason: reason,
+            permanent: false,
+            recipients: sender ? [sender] : [],
+            status: null,
+            diagnostic: null,
+            away_until: this.parseReturnDate(text, message?.receivedDateTime ? new Date(message.receivedDateTime) : new Date()),
+            contacts: this.extractAddresses(text).filter(address => address !== sender)
+        };
+    },
+
+    isBounceSender(address, name) {
+        return this.BOUNCE_ADDRESSES.some(prefix => address.startsWith(prefix)) ||
+            this.BOUNCE_NAMES.some(bounceName => name.includes(bounceName));
+    },
+
+    /**
+     * Whether the message's headers and full body still have to be read
+     * (the delta sync only returns the body preview)
+     */
+    needsDetails(message) {
+        return !!message?.id && (!message.internetMessageHeaders || !message.body);
+    },
+
+    /**
+     * Detect, reading the headers and plain-text body first when they are missing
+     */
+    async check(message) {
+        if (!this.needsDetails(message) || !AuthService.isSignedIn()) return this.detect(message);
+        try {
+            const details = await AuthService.graphRequest(
+                `/me/messages/${message.id}?$select=internetMessageHeaders,body,conversationId`,
+                { headers: { 'Prefer': 'outlook.body-content-type="text"' } }
+            );
+            return this.detect({ ...message, ...details });
+        } catch (error) {
+            console.warn('[AutoReplyDetector] Could not read message details:', error.message);
+            return this.detect(message);
+        }
+    },
+
+    // ==================== PARSING ====================
+
+    getHeader(headers, name) {
+        return (headers || []).find(h => (h.name || '').toLowerCase() === name)?.value?.trim() || null;
+    },
+
+    /**
+     * Plain text of a message (body when fetched, otherwise the preview)
+     */
+    getText(message) {
+        const content = message?.body?.content || '';
+        if (!content) return message?.bodyPreview || '';
+        return message.body.contentType === 'html'
+            ? content.replace(/<br\s*\/?>|<\/p>|<\/div>/gi, '\n').replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ')
+            : content;
+    },
+
+    /**
+     * Per-recipient fields of a delivery status report
+     * @returns {Object} {recipients: [], action, status, diagnostic}
+     */
+    parseDsn(text) {
+        const field = (name) => text.match(new RegExp(`^\\s*${name}\\s*:\\s*(.+)$`, 'im'))?.[1].trim() || null;
+        const recipients = [];
+        const pattern = /^\s*(?:final|original)-recipient\s*:\s*(?:rfc822\s*;)?\s*<?([^\s<>;]+@[^\s<>;]+)>?/gim;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const address = match[1].toLowerCase();
+            if (!recipients.includes(address)) recipients.push(address);
+        }
+        const status = field('status')?.match(/[245]\.\d{1,3}\.\d{1,3}/)?.[0] ||
+            text.match(/\b[45]\.\d{1,3}\.\d{1,3}\b/)?.[0] || null;
+        return {
+            recipients: recipients,
+            action: field('action')?.toLowerCase() || null,
+            status: status,
+            diagnostic: field('diagnostic-code')?.replace(/^smtp\s*;\s*/i, '') || null
+        };
+    },
+
+    extractAddresses(text) {
+        const addresses = (String(text || '').match(/[a-z0-9._%+'-]+@[a-z0-9.-]+\.[a-z]{2,}/gi) || []).map(a => a.toLowerCase());
+        return [...new Set(addresses)];
+    },
+
+    /**
+     * Return date from out-of-office wording ("back on 3 November", "until Nov 3rd",
+     * "returning 2026-11-03")
+     * @param {string} text - Message text
+     * @param {Date} reference - When the message was received (for dates without a year)
+     * @returns {string|null} YYYY-MM-DD, or null when no date is given
+     */
+    parseReturnDate(text, reference = new Date()) {
+        const trigger = /\b(?:until|till|back(?:\s+in\s+the\s+office)?(?:\s+(?:on|from))?|return(?:ing)?(?:\s+to\s+the\s+office)?(?:\s+on)?|available\s+again(?:\s+(?:on|from))?)\s+(?:(?:mon|tues|wednes|thurs|fri|satur|sun)day,?\s+)?(?:the\s+)?/gi;
+        let match;
+        while ((match = trigger.exec(text)) !== null) {
+            const date = this.parseDate(text.slice(match.index + match[0].length, match.index + match[0].length + 40), reference);
+            if (date) return date;
+        }
+        return null;
+    },
+
+    /**
+     * Date at the start of a phrase
+     * Numeric dates are read day-first unless that is impossible or the locale is en-US.
+     */
+    parseDate(phrase, reference) {
+        const monthIndex = (name) => this.MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+        let year = null;
+        let month = -1;
+        let day = null;
+        let m;
+
+        if ((m = phrase.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+            [year, month, day] = [+m[1], +m[2] - 1, +m[3]];
+        } else if ((m = phrase.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]{3,9})\.?,?(?:\s+(\d{4}))?/i)) && monthIndex(m[2]) >= 0) {
+            [day, month, year] = [+m[1], monthIndex(m[2]), m[3] ? +m[3] : null];
+        } else if ((m = phrase.match(/^([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b,?(?:\s+(\d{4}))?/i)) && monthIndex(m[1]) >= 0) {
+            [month, day, year] = [monthIndex(m[1]), +m[2], m[3] ? +m[3] : null];
+        } else if ((m = phrase.match(/^(\d{1,2})[./](\d{1,2})(?:[./](\d{2,4}))?\b/))) {
+            const monthFirst = +m[2] > 12 || (+m[1] <= 12 && typeof navigator !== 'undefined' && navigator.language === 'en-US');
+            [month, day] = monthFirst ? [+m[1] - 1, +m[2]] : [+m[2] - 1, +m[1]];
+            year = m[3] ? (m[3].length === 2 ? 2000 + +m[3] : +m[3]) : null;
+        }
+        if (month < 0 || month > 11 || !day || day > 31) return null;
+
+        // Without a year, the next such date on or after the week before the message
+        if (!year) {
+            year = reference.getFullYear();
+            if (new Date(year, month, day) < new Date(reference.getTime() - 7 * 86400000)) year++;
+        }
+        const date = new Date(year, month, day);
+        if (isNaN(date.getTime()) || date.getDate() !== day) return null;
+        return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+};
@@ -0,0 +1,193 @@
+/**
+ * BAFO Service
+ * Best-and-final-offer rounds: asks the shortlisted suppliers of a material for
+ * their final offer by a deadline (each in their own quote thread), tracks who
+ * responded and compares the first-round quote with the BAFO
+ */
+const BafoService = {
+    // Suppliers shortlisted by default
+    DEFAULT_SHORTLIST: 3,
+
+    // Days until the default response deadline
+    DEFAULT_DEADLINE_DAYS: 5,
+
+    /**
+     * Rank quotes for the shortlist (highest weighted score first, unpriced quotes last)
+     * @param {Array} quotes - Current quotes (one per supplier thread)
+     * @param {Object} profile - Scoring profile
+     * @param {Function} supplierLookup - Optional (quote) => supplier record
+     */
+    rankQuotes(quotes, profile, supplierLookup = null) {
+        const priced = quotes.filter(q => CurrencyService.getComparablePrice(q) !== null);
+        const unpriced = quotes.filter(q => CurrencyService.getComparablePrice(q) === null);
+        const scored = ScoringService.scoreQuotes(priced, profile, supplierLookup)
+            .sort((a, b) => b.score - a.score)
+            .map(entry => entry.quote);
+        return [...scored, ...unpriced];
+    },
+
+    /**
+     * Default deadline as YYYY-MM-DD
+     */
+    getDefaultDeadline() {
+        const deadline = new Date(Date.now() + this.DEFAULT_DEADLINE_DAYS * 86400000);
+        return deadline.toISOString().slice(0, 10);
+    },
+
+    /**
+     * Build the plain-text BAFO request for a supplier
+     */
+    buildRequestText(quote, deadline, materialCode) {
+        const name = quote.supplier_name || 'Supplier';
+        const reference = materialCode ? ` for ${materialCode}` : '';
+        return `Dear ${name},
+
+Thank you for your quotation${reference}. Your offer has been shortlisted, and we are now inviting the shortlisted suppliers to submit their best and final offer.
+
+Please reply to this email with your best and final price, lead time and payment terms by ${Helpers.formatDate(deadline)}. This will be the last opportunity to revise your quotation, and offers received after the deadline may not be considered.
+
+Best regards,
+Procurement Team`;
+    },
+
+    /**
+     * Send BAFO requests as replies in each supplier's thread and record the round
+     * @param {Array} quotes - Shortlisted quotes (each needs email_id)
+     * @param {string} deadline - Response deadline (YYYY-MM-DD)
+     * @param {string} materialCode - Material code of the round
+     * @returns {Promise<Object>} {succeeded: [quote], failed: [{quote, error}]}
+     */
+    async sendRequests(quotes, deadline, materialCode) {
+        if (!materialCode) {
+            throw new Error('A BAFO round needs a material code');
+        }
+        if (!deadline || isNaN(new Date(deadline).getTime())) {
+            throw new Error('Choose a response deadline');
+        }
+
+        const succeeded = [];
+        const failed = [];
+        for (const quote of quotes) {
+            try {
+                if (!quote.email_id) {
+                    throw new Error('Quote has no email to reply to');
+                }
+                const text = this.buildRequestText(quote, deadline, materialCode);
+                await EmailOperations.replyToEmail(quote.email_id, EmailOperations.formatTextAsHtml(text));
+                succeeded.push(quote);
+            } catch (error) {
+                console.error(`Failed to send BAFO request to ${quote.supplier_email}:`, error);
+                failed.push({ quote: quote, error: error.message });
+            }
+        }
+
+        if (succeeded.length > 0) {
+            this.recordRound(materialCode, deadline, succeeded);
+        }
+        return { succeeded, failed };
+    },
+
+    // ==================== ROUNDS ====================
+
+    /**
+     * All BAFO rounds keyed by material code
+     */
+    getAll() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.BAFO_ROUNDS);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading BAFO rounds:', error);
+            return {};
+        }
+    },
+
+    /**
+     * The BAFO round of a material
+     * @returns {Object|null} {material_code, sent_at, deadline, invitees: [{thread_key, supplier_name, supplier_email, round1}]}
+     */
+    getRound(materialCode) {
+        if (!materialCode) return null;
+        return this.getAll()[materialCode] || null;
+    },
+
+    /**
+     * Record a BAFO round with each invitee's first-round figures
+     * Suppliers invited again in a later request are updated, others are kept.
+     */
+    recordRound(materialCode, deadline, quotes) {
+        const all = this.getAll();
+        const round = all[materialCode] || { material_code: materialCode, invitees: [] };
+        round.sent_at = round.sent_at || new Date().toISOString();
+        round.deadline = deadline;
+
+        quotes.forEach(quote => {
+            const threadKey = QuoteRevisionService.groupKey(quote);
+            round.invitees = round.invitees.filter(i => i.thread_key !== threadKey);
+            round.invitees.push({
+                thread_key: threadKey,
+                supplier_name: quote.supplier_name || quote.supplier_email,
+                supplier_email: quote.supplier_email || null,
+                requested_at: new Date().toISOString(),
+                round1: {
+                    email_id: quote.email_id,
+                    quote_date: quote.quote_date || null,
+                    unit_price: parseFloat(quote.unit_price) || null,
+                    total_price: parseFloat(quote.total_price) || null,
+                    currency: quote.currency || null,
+                    lead_time: quote.lead_time || quote.delivery_time || null,
+                    payment_terms: quote.payment_terms || null
+                }
+            });
+        });
+
+        all[materialCode] = round;
+        try {
+            localStorage.setItem(Config.STORAGE_KEYS.BAFO_ROUNDS, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving BAFO round:', error);
+        }
+        return round;
+    },
+
+    /**
+     * Discard a material's BAFO round
+     */
+    clearRound(materialCode) {
+        const all = this.getAll();
+        delete all[materialCode];
+        localStorage.setItem(Config.STORAGE_KEYS.BAFO_ROUNDS, JSON.stringify(all));
+    },
+
+    /**
+     * Round-1 vs. BAFO comparison
+     * A supplier has responded when their thread has a priced quote received after the
+     * request; an acknowledgment without a price does not count.
+     * @param {Object} round - Result of getRound
+     * @param {Array} quotes - Current quotes (one per supplier thread)
+     * @returns {Array} [{invitee, bafo, responded, overdue, price_change_pct}]
+     */
+    compare(round, quotes) {
+        const overdue = new Date() > new Date(`${round.deadline}T23:59:59`);
+        return round.invitees.map(invitee => {
+            const current = quotes.find(q => QuoteRevisionService.groupKey(q) === invitee.thread_key);
+            const bafo = current && QuoteRevisionService.hasPrice(current) &&
+                new Date(current.quote_date || 0) > new Date(invitee.requested_at) ? current : null;
+
+            let priceChangePct = null;
+            const before = invitee.round1.unit_price ? CurrencyService.toBase(invitee.round1.unit_price, invitee.round1.currency) : null;
+            const after = bafo && parseFloat(bafo.unit_price) > 0 ? CurrencyService.toBase(parseFloat(bafo.unit_price), bafo.currency) : null;
+            if (before && after !== null) {
+                priceChangePct = Math.round((after - before) / before * 1000) / 10;
+            }
+
+            return {
+                invitee: invitee,
+                bafo: bafo,
+                responded: !!bafo,
+                overdue: !bafo && overdue,
+                price_change_pct: priceChangePct
+            };
+        });
+    }
+};
@@ -0,0 +1,297 @@
+/**
+ * Bid Tab Service
+ * Generates the bid tabulation PDF for a quote comparison: header with PR and
+ * material, supplier table, recommendation rationale and approver signature
+ * block. The PDF can be downloaded or attached to an email.
+ */
+const BidTabService = {
+    COLORS: {
+        primary: [0.05, 0.24, 0.38],
+        muted: [0.4, 0.4, 0.4],
+        rule: [0.8, 0.8, 0.8],
+        headerFill: [0.05, 0.24, 0.38],
+        stripe: [0.96, 0.96, 0.96],
+        recommended: [0.87, 0.96, 0.87]
+    },
+
+    // Supplier table columns (widths in points, 515 in total)
+    COLUMNS: [
+        { key: 'supplier', label: 'Supplier', width: 112 },
+        { key: 'unit_price', label: 'Unit Price', width: 66, align: 'right' },
+        { key: 'total_price', label: 'Total', width: 70, align: 'right' },
+        { key: 'base_price', label: 'Unit (Base)', width: 62, align: 'right' },
+        { key: 'lead_time', label: 'Lead Time', width: 58 },
+        { key: 'payment_terms', label: 'Terms', width: 60 },
+        { key: 'validity', label: 'Valid Until', width: 55 },
+        { key: 'score', label: 'Score', width: 32, align: 'right' }
+    ],
+
+    /**
+     * Build the bid tab document
+     * @param {Array} quotes - Quotes compared (one per supplier thread)
+     * @param {Object|null} recommendation - Result of calculateRecommendedQuote
+     * @param {Object} context - {prNumber, materialCode, materialDescription, quantity, unit, rfqSubject,
+     *                           supplierLookup: optional (quote) => supplier record for scoring}
+     * @returns {Object} PdfWriter document
+     */
+    build(quotes, recommendation, context = {}) {
+        const doc = PdfWriter.createDocument({
+            title: this.getTitle(context),
+            footer: ['Bid tab', context.materialCode, `generated ${new Date().toLocaleDateString()}`].filter(Boolean).join(' - ')
+        });
+        PdfWriter.addPage(doc);
+        const layout = { doc: doc, y: PdfWriter.MARGIN };
+
+        this.drawHeader(layout, quotes, context);
+        this.drawSupplierTable(layout, quotes, recommendation, context.supplierLookup || null);
+        this.drawRecommendation(layout, recommendation);
+        this.drawSignatureBlock(layout);
+        return doc;
+    },
+
+    /**
+     * Generate the bid tab PDF
+     * @returns {Uint8Array} PDF bytes
+     */
+    toBytes(quotes, recommendation, context = {}) {
+        return PdfWriter.toBytes(this.build(quotes, recommendation, context));
+    },
+
+    /**
+     * Generate the bid tab as a Blob for download
+     */
+    toBlob(quotes, recommendation, context = {}) {
+        return new Blob([this.toBytes(quotes, recommendation, context)], { type: 'application/pdf' });
+    },
+
+    /**
+     * Generate the bid tab as an email attachment in Graph API format
+     * @returns {Object} {name, contentType, contentBytes}
+     */
+    toAttachment(quotes, recommendation, context = {}) {
+        return {
+            name: this.getFileName(context),
+            contentType: 'application/pdf',
+            contentBytes: Helpers.bytesToBase64(this.toBytes(quotes, recommendation, context))
+        };
+    },
+
+    getTitle(context) {
+        return context.materialCode ? `Bid Tabulation - ${context.materialCode}` : 'Bid Tabulation';
+    },
+
+    getFileName(context) {
+        const reference = [context.prNumber, context.materialCode].filter(Boolean).join('-');
+        const safe = reference.replace(/[^A-Za-z0-9_-]+/g, '_');
+        return `bid-tab-${safe ? safe + '-' : ''}${new Date().toISOString().split('T')[0]}.pdf`;
+    },
+
+    // ==================== LAYOUT ====================
+
+    /**
+     * Start a new page when the next block would not fit
+     */
+    ensureSpace(layout, height) {
+        if (layout.y + height <= PdfWriter.PAGE_HEIGHT - PdfWriter.MARGIN) return false;
+        PdfWriter.addPage(layout.doc);
+        layout.y = PdfWriter.MARGIN;
+        return true;
+    },
+
+    sectionTitle(layout, title) {
+        this.ensureSpace(layout, 40);
+        layout.y += 14;
+        PdfWriter.text(layout.doc, PdfWriter.MARGIN, layout.y, title, { size: 12, bold: true, color: this.COLORS.primary });
+        layout.y += 18;
+    },
+
+    drawHeader(layout, quotes, context) {
+        const { doc } = layout;
+        const left = PdfWriter.MARGIN;
+        const right = PdfWriter.PAGE_WIDTH - PdfWriter.MARGIN;
+
+        PdfWriter.text(doc, left, layout.y, this.getTitle(context), { size: 18, bold: true, color: this.COLORS.primary });
+        PdfWriter.text(doc, right, layout.y + 4, new Date().toLocaleString(), { size: 9, color: this.COLORS.muted, align: 'right' });
+        layout.y += 28;
+        PdfWriter.line(doc, left, layout.y, right, layout.y, { width: 1, color: this.COLORS.primary });
+        layout.y += 10;
+
+        const rates = CurrencyService.getRates();
+        const details = [
+            ['Purchase Requisition', context.prNumber || 'N/A'],
+            ['Material', [context.materialCode, context.materialDescription].filter(Boolean).join(' - ') || 'N/A'],
+            ['Quantity', context.quantity ? `${context.quantity} ${context.unit || ''}`.trim() : 'As quoted'],
+            ['RFQ', context.rfqSubject || 'N/A'],
+            ['Quotes compared', String(quotes.length)],
+            ['Base currency', `${rates.base} (rates: ${rates.source}${rates.updated_at ? ', ' + Helpers.formatDate(rates.updated_at) : ''})`]
+        ];
+        details.forEach(([label, value]) => {
+            PdfWriter.text(doc, left, layout.y, label, { size: 9, bold: true });
+            PdfWriter.text(doc, left + 120, layout.y, PdfWriter.truncate(value, right - left - 120, 9), { size: 9 });
+            layout.y += 14;
+        });
+    },
+
+    /**
+     * Cell values for one quote in the supplier table
+     */
+    getRowValues(quote, scores) {
+        const currency = quote.currency || CurrencyService.getBaseCurrency();
+        const unitPrice = parseFloat(quote.unit_price);
+        const totalPrice = parseFloat(quote.total_price) || parseFloat(quote.price);
+        const basePrice = CurrencyService.getComparablePrice(quote);
+        const status = QuoteValidityService.getStatus(quote);
+        const score = scores.get(quote);
+        return {
+            supplier: quote.supplier_name || quote.supplier_email || '-',
+            unit_price: unitPrice > 0 ? Helpers.formatCurrency(unitPrice, currency) : '-',
+            total_price: totalPrice > 0 ? Helpers.formatCurrency(totalPrice, currency) : '-',
+            base_price: basePrice !== null ? Helpers.formatCurrency(basePrice, CurrencyService.getBaseCurrency()) : '-',
+            lead_time: quote.lead_time || quote.delivery_time || '-',
+            payment_terms: quote.payment_terms || '-',
+            validity: status ? `${Helpers.formatDate(status.expires_at)}${status.expired ? ' (exp.)' : ''}` : (quote.validity || quote.validity_period || '-'),
+            score: score !== undefined ? String(Math.round(score * 100)) : '-'
+        };
+    },
+
+    drawTableHeader(layout) {
+        const { doc } = layout;
+        const width = this.COLUMNS.reduce((sum, c) => sum + c.width, 0);
+        PdfWriter.rect(doc, PdfWriter.MARGIN, layout.y, width, 18, this.COLORS.headerFill);
+        let x = PdfWriter.MARGIN;
+        this.COLUMNS.forEach(column => {
+            const textX = column.align === 'right' ? x + column.width - 4 : x + 4;
+            PdfWriter.text(doc, textX, layout.y + 5, column.label, { size: 8, bold: true, color: [1, 1, 1], align: column.align });
+            x += column.width;
+        });
+        layout.y += 18;
+    },
+
+    drawSupplierTable(layout, quotes, recommendation, supplierLookup) {
+        this.sectionTitle(layout, 'Supplier Quotes');
+
+        // Score every priced quote with the profile behind the recommendation
+        const scores = new Map();
+        if (recommendation && recommendation.profile) {
+            const priced = quotes.filter(q => CurrencyService.getComparablePrice(q) !== null);
+            ScoringService.scoreQuotes(priced, recommendation.profile, supplierLookup)
+                .forEach(entry => scores.set(entry.quote, entry.score));
+        }
+
+        const { doc } = layout;
+        const width = this.COLUMNS.reduce((sum, c) => sum + c.width, 0);
+        const size = 8;
+        this.drawTableHeader(layout);
+
+        quotes.forEach((quote, index) => {
+            const values = this.getRowValues(quote, scores);
+            const recommended = recommendation && recommendation.quote === quote;
+            const supplierLines = PdfWriter.wrapText(values.supplier, this.COLUMNS[0].width - 8, size, recommended).slice(0, 2);
+            const height = 8 + supplierLines.length * 10;
+
+            if (this.ensureSpace(layout, height)) {
+                this.drawTableHeader(layout);
+            }
+            if (recommended) {
+                PdfWriter.rect(doc, PdfWriter.MARGIN, layout.y, width, height, this.COLORS.recommended);
+            } else if (index % 2 === 1) {
+                PdfWriter.rect(doc, PdfWriter.MARGIN, layout.y, width, height, this.COLORS.stripe);
+            }
+
+            let x = PdfWriter.MARGIN;
+            this.COLUMNS.forEach(column => {
+                if (column.key === 'supplier') {
+                    supplierLines.forEach((text, i) => {
+                        PdfWriter.text(doc, x + 4, layout.y + 4 + i * 10, text, { size, bold: recommended });
+                    });
+                } else {
+                    const text = PdfWriter.truncate(values[column.key], column.width - 8, size);
+                    const textX = column.align === 'right' ? x + column.width - 4 : x + 4;
+                    PdfWriter.text(doc, textX, layout.y + 4, text, { size, align: column.align });
+                }
+                x += column.width;
+            });
+            layout.y += height;
+            PdfWriter.line(doc, PdfWriter.MARGIN, layout.y, PdfWriter.MARGIN + width, layout.y, { color: this.COLORS.rule });
+        });
+
+        layout.y += 6;
+        PdfWriter.text(doc, PdfWriter.MARGIN, layout.y,
+            `Unit (Base) is the comparable unit price in ${CurrencyService.getBaseCurrency()}. Score is the weighted score out of 100; the recommended quote is highlighted.`,
+            { size: 7, color: this.COLORS.muted });
+        layout.y += 10;
+    },
+
+    drawRecommendation(layout, recommendation) {
+        const { doc } = layout;
+        const left = PdfWriter.MARGIN;
+        const maxWidth = PdfWriter.PAGE_WIDTH - 2 * PdfWriter.MARGIN;
+        this.sectionTitle(layout, 'Recommendation');
+
+        if (!recommendation) {
+            PdfWriter.text(doc, left, layout.y, 'No quote could be recommended (no quote with valid pricing).', { size: 10 });
+            layout.y += 16;
+            return;
+        }
+
+        const quote = recommendation.quote;
+        const lines = [
+            ['Supplier', quote.supplier_name || quote.supplier_email || '-'],
+            ['Unit price', CurrencyService.formatWithBase(parseFloat(quote.unit_price), quote.currency)],
+            ['Lead time', quote.lead_time || quote.delivery_time || '-'],
+            ['Rationale', recommendation.reason],
+            ['Scoring profile', recommendation.profile ? recommendation.profile.name : '-'],
+            ['Weighted score', `${Math.round(recommendation.score * 100)} / 100`]
+        ];
+        if (recommendation.excludedExpired > 0) {
+            lines.push(['Not considered', `${recommendation.excludedExpired} expired quote(s)`]);
+        }
+        lines.forEach(([label, value]) => {
+            const wrapped = PdfWriter.wrapText(value, maxWidth - 120, 9);
+            this.ensureSpace(layout, wrapped.length * 12 + 2);
+            PdfWriter.text(doc, left, layout.y, label, { size: 9, bold: true });
+            wrapped.forEach(text => {
+                PdfWriter.text(doc, left + 120, layout.y, text, { size: 9 });
+                layout.y += 12;
+            });
+            layout.y += 2;
+        });
+
+        if ((recommendation.breakdown || []).length > 0) {
+            this.ensureSpace(layout, 20 + recommendation.breakdown.length * 12);
+            layout.y += 6;
+            const columns = [left, left + 150, left + 220, left + 280];
+            ['Criterion', 'Weight', 'Rating', 'Points'].forEach((label, i) => {
+                PdfWriter.text(doc, columns[i], layout.y, label, { size: 8, bold: true, color: this.COLORS.muted });
+            });
+            layout.y += 12;
+            recommendation.breakdown.forEach(entry => {
+                PdfWriter.text(doc, columns[0], layout.y, entry.label, { size: 8 });
+                PdfWriter.text(doc, columns[1], layout.y, `${Math.round(entry.weight * 100)}%`, { size: 8 });
+                PdfWriter.text(doc, columns[2], layout.y, `${Math.round(entry.normalized * 100)}%`, { size: 8 });
+                PdfWriter.text(doc, columns[3], layout.y, (entry.contribution * 100).toFixed(1), { size: 8 });
+                layout.y += 12;
+            });
+        }
+    },
+
+    drawSignatureBlock(layout) {
+        const { doc } = layout;
+        this.ensureSpace(layout, 130);
+        this.sectionTitle(layout, 'Approval');
+
+        const blockWidth = (PdfWriter.PAGE_WIDTH - 2 * PdfWriter.MARGIN - 30) / 2;
+        ['Prepared by (Buyer)', 'Approved by'].forEach((title, i) => {
+            const x = PdfWriter.MARGIN + i * (blockWidth + 30);
+            let y = layout.y;
+            PdfWriter.text(doc, x, y, title, { size: 9, bold: true });
+            y += 24;
+            ['Name', 'Signature', 'Date'].forEach(label => {
+                PdfWriter.text(doc, x, y - 10, label, { size: 8, color: this.COLORS.muted });
+                PdfWriter.line(doc, x + 50, y, x + blockWidth, y, { color: this.COLORS.muted });
+                y += 22;
+            });
+        });
+        layout.y += 24 + 3 * 22;
+    }
+};
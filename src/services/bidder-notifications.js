@@ -0,0 +1,163 @@
+/**
+ * Bidder Notification Service
+ * Prepares regret emails for suppliers whose quotes were not accepted and
+ * delivers them as replies in each supplier's quote thread
+ */
+const BidderNotificationService = {
+    /**
+     * Get the unsuccessful bidders for an award: one entry per supplier
+     * (their most recent quote), excluding the awarded suppliers
+     * @param {Array} quotes - All quotes received for the material
+     * @param {Object|Array} awardedQuotes - The accepted quote, or several for a split award
+     * @returns {Array} Losing quotes, one per supplier
+     */
+    getUnsuccessfulBidders(quotes, awardedQuotes) {
+        const awarded = [].concat(awardedQuotes || []);
+        const awardedEmails = awarded.map(q => (q.supplier_email || '').toLowerCase()).filter(Boolean);
+        const awardedNames = awarded
+            .filter(q => !q.supplier_email)
+            .map(q => (q.supplier_name || '').toLowerCase())
+            .filter(Boolean);
+        const bySupplier = new Map();
+
+        (quotes || []).forEach(quote => {
+            const email = (quote.supplier_email || '').toLowerCase();
+            if (!email || !quote.email_id) return;
+            if (awardedEmails.includes(email)) return;
+            if (awardedNames.includes((quote.supplier_name || '').toLowerCase())) return;
+
+            const existing = bySupplier.get(email);
+            if (!existing || new Date(quote.quote_date || 0) > new Date(existing.quote_date || 0)) {
+                bySupplier.set(email, quote);
+            }
+        });
+
+        return Array.from(bySupplier.values());
+    },
+
+    /**
+     * Build the plain-text regret message for a supplier
+     * The winning supplier and price are deliberately not disclosed.
+     */
+    buildRegretText(quote, materialCode) {
+        const name = quote.supplier_name || 'Supplier';
+        const reference = materialCode ? ` for ${materialCode}` : '';
+        return `Dear ${name},
+
+Thank you for taking the time to submit your quotation${reference}.
+
+After careful evaluation of all offers received, we have decided to award this order to another supplier. This decision was not easy, and we appreciate the effort that went into your proposal.
+
+We value our relationship with you and look forward to inviting you to quote on future requirements.
+
+Best regards,
+Procurement Team`;
+    },
+
+    /**
+     * Build review drafts for all unsuccessful bidders
+     * @param {Array} quotes - All quotes received for the material
+     * @param {Object|Array} awardedQuotes - The accepted quote, or several for a split award
+     * @param {string} materialCode - Material code of the award
+     * @returns {Array} Drafts: {supplier_name, supplier_email, email_id, subject, body, sent, drafted} - sent/drafted
+     *   tell whether the supplier was already notified or only has a reply draft saved
+     */
+    buildDrafts(quotes, awardedQuotes, materialCode) {
+        const notified = this.getNotifications(materialCode);
+        return this.getUnsuccessfulBidders(quotes, awardedQuotes).map(quote => {
+            const previous = notified.find(n => n.supplier_email === quote.supplier_email.toLowerCase());
+            return {
+                supplier_name: quote.supplier_name || quote.supplier_email,
+                supplier_email: quote.supplier_email,
+                email_id: quote.email_id,
+                subject: quote.email_subject || quote.subject || '',
+                body: this.buildRegretText(quote, materialCode),
+                sent: !!previous?.sent_at,
+                drafted: !!previous?.drafted_at
+            };
+        });
+    },
+
+    /**
+     * Deliver reviewed regret emails as replies in each supplier's thread
+     * @param {Array} drafts - Reviewed drafts (body is plain text)
+     * @param {string} materialCode - Material code of the award
+     * @param {string} mode - 'send' to send immediately, 'draft' to save as Outlook reply drafts
+     * @returns {Promise<Object>} {succeeded: [], failed: [{draft, error}]}
+     */
+    async deliver(drafts, materialCode, mode = 'send') {
+        const succeeded = [];
+        const failed = [];
+
+        for (const draft of drafts) {
+            try {
+                const html = EmailOperations.formatTextAsHtml(draft.body);
+                if (mode === 'draft') {
+                    await EmailOperations.createReplyDraft(draft.email_id, html);
+                } else {
+                    await EmailOperations.replyToEmail(draft.email_id, html);
+                }
+                this.recordNotification(materialCode, draft, mode === 'draft' ? 'drafted' : 'sent');
+                succeeded.push(draft);
+            } catch (error) {
+                console.error(`Failed to notify ${draft.supplier_email}:`, error);
+                failed.push({ draft: draft, error: error.message });
+            }
+        }
+
+        return { succeeded, failed };
+    },
+
+    // ==================== NOTIFICATION RECORDS ====================
+
+    /**
+     * Get the suppliers notified (or with a reply draft saved) for a material
+     * @returns {Array} [{supplier_email, supplier_name, email_id, sent_at, drafted_at}]
+     */
+    getNotifications(materialCode) {
+        if (!materialCode) return [];
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.BIDDER_NOTIFICATIONS);
+            const all = stored ? JSON.parse(stored) : {};
+            // Older records kept a single status and notified_at
+            return (all[materialCode] || []).map(n => n.status ? {
+                supplier_email: n.supplier_email,
+                supplier_name: n.supplier_name,
+                email_id: n.email_id,
+                sent_at: n.status === 'sent' ? n.notified_at : null,
+                drafted_at: n.status === 'drafted' ? n.notified_at : null
+            } : n);
+        } catch (error) {
+            console.error('Error loading bidder notifications:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Record that a supplier was notified or a reply draft was created
+     * Sending and drafting are kept apart, so a supplier with only a draft is still offered for sending.
+     * @param {string} status - 'sent' or 'drafted'
+     */
+    recordNotification(materialCode, draft, status) {
+        if (!materialCode) return;
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.BIDDER_NOTIFICATIONS);
+            const all = stored ? JSON.parse(stored) : {};
+            const email = draft.supplier_email.toLowerCase();
+            const previous = this.getNotifications(materialCode).find(n => n.supplier_email === email);
+            const entries = (all[materialCode] || []).filter(n => n.supplier_email !== email);
+            const now = new Date().toISOString();
+            entries.push({
+                supplier_email: email,
+                supplier_name: draft.supplier_name,
+                email_id: draft.email_id,
+                sent_at: status === 'sent' ? now : (previous?.sent_at || null),
+                drafted_at: status === 'drafted' ? now : (previous?.drafted_at || null)
+            });
+            all[materialCode] = entries;
+            localStorage.setItem(Config.STORAGE_KEYS.BIDDER_NOTIFICATIONS, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving bidder notification:', error);
+        }
+    }
+};
@@ -25,7 +25,8 @@ const Config = {
         CLARIFICATION_REQUESTS: 'Clarification Requests',
         AWAITING_CLARIFICATION: 'Awaiting Clarification Response',
         AWAITING_ENGINEER: 'Awaiting Engineer Response',
-        ENGINEER_RESPONSE: 'Engineer Response'
+        ENGINEER_RESPONSE: 'Engineer Response',
+        NEGOTIATION: 'Negotiation'
     },
 
     // Folder-based category definitions for email tagging
@@ -37,7 +38,8 @@ const Config = {
         'Clarification Requests': { name: 'Clarification', color: 'Preset3' },         // Yellow
         'Awaiting Clarification Response': { name: 'Awaiting Response', color: 'Preset1' },  // Orange
         'Awaiting Engineer Response': { name: 'Awaiting Engineer', color: 'Preset8' },       // Purple
-        'Engineer Response': { name: 'Engineer Response', color: 'Preset5' }           // Teal
+        'Engineer Response': { name: 'Engineer Response', color: 'Preset5' },          // Teal
+        'Negotiation': { name: 'Quote Negotiation', color: 'Preset0' }                 // Red
     },
 
     // Local storage keys
@@ -47,7 +49,26 @@ const Config = {
         AUTO_CLASSIFY: 'procurement_auto_classify',
         AUTO_CREATE_FOLDERS: 'procurement_auto_create_folders',
         CACHED_PRS: 'procurement_cached_prs',
-        CACHED_SUPPLIERS: 'procurement_cached_suppliers'
+        CACHED_SUPPLIERS: 'procurement_cached_suppliers',
+        PURCHASE_ORDERS: 'procurement_purchase_orders',
+        PO_NUMBER_SCHEME: 'procurement_po_number_scheme',
+        PO_NUMBER_LEDGER: 'procurement_po_number_ledger',
+        PO_CLIENT_ID: 'procurement_po_client_id',
+        BIDDER_NOTIFICATIONS: 'procurement_bidder_notifications',
+        SCORING_PROFILES: 'procurement_scoring_profiles',
+        CURRENCY_RATES: 'procurement_currency_rates',
+        QUOTE_CORRECTIONS: 'procurement_quote_corrections',
+        VALIDITY_EXTENSIONS: 'procurement_validity_extensions',
+        NEGOTIATIONS: 'procurement_negotiations',
+        BAFO_ROUNDS: 'procurement_bafo_rounds',
+        APPROVAL_SETTINGS: 'procurement_approval_settings',
+        APPROVALS: 'procurement_approvals',
+        SUPPLIER_ANALYTICS: 'procurement_supplier_analytics',
+        SAVINGS: 'procurement_savings',
+        MAIL_DELTA_LINK: 'procurement_mail_delta_link',
+        SENDER_FILTER: 'procurement_sender_filter',
+        SENDER_FILTER_LOG: 'procurement_sender_filter_log',
+        RFQ_DELIVERY_STATUS: 'procurement_rfq_delivery_status'
     },
 
     // Request timeout in milliseconds
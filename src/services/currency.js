@@ -0,0 +1,290 @@
+/**
+ * Currency Service
+ * Detects the currency a supplier quoted in, parses amounts and converts them
+ * to the base currency with an editable rate table (optionally refreshed from the backend)
+ */
+const CurrencyService = {
+    // Supported ISO 4217 codes
+    CODES: ['USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'CAD', 'AUD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'MXN', 'BRL', 'SGD', 'HKD', 'NZD', 'KRW', 'ZAR'],
+
+    // Currency symbols (multi-character symbols are matched first)
+    SYMBOLS: {
+        'US$': 'USD',
+        'CA$': 'CAD',
+        'C$': 'CAD',
+        'AU$': 'AUD',
+        'A$': 'AUD',
+        'NZ$': 'NZD',
+        'HK$': 'HKD',
+        'S$': 'SGD',
+        'R$': 'BRL',
+        'CN¥': 'CNY',
+        'RMB': 'CNY',
+        '€': 'EUR',
+        '£': 'GBP',
+        '₹': 'INR',
+        '₩': 'KRW',
+        '¥': 'JPY',
+        '$': 'USD'
+    },
+
+    // Currencies usually written with a decimal comma ("1.250,50"), so "1.250" is read as 1250
+    COMMA_DECIMAL_CURRENCIES: ['EUR', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL'],
+
+    // Default rate table: units of each currency per 1 unit of the base currency
+    DEFAULT_RATES: {
+        base: 'USD',
+        rates: {
+            USD: 1,
+            EUR: 0.92,
+            GBP: 0.79,
+            JPY: 150,
+            CNY: 7.2,
+            INR: 83,
+            CAD: 1.36,
+            AUD: 1.52,
+            CHF: 0.88,
+            SEK: 10.6,
+            NOK: 10.7,
+            DKK: 6.9,
+            PLN: 4.0,
+            MXN: 17.5,
+            BRL: 5.0,
+            SGD: 1.35,
+            HKD: 7.8,
+            NZD: 1.65,
+            KRW: 1350,
+            ZAR: 18.5
+        },
+        source: 'default',
+        updated_at: null
+    },
+
+    /**
+     * Regex fragment matching any currency symbol or code
+     */
+    get TOKEN_PATTERN() {
+        const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const symbols = Object.keys(this.SYMBOLS).sort((a, b) => b.length - a.length).map(escape);
+        return `(?:${symbols.concat(this.CODES.map(c => `${c}\\b`)).join('|')})`;
+    },
+
+    /**
+     * Map a symbol or code to an ISO code
+     */
+    codeFromToken(token) {
+        if (!token) return null;
+        const trimmed = token.trim();
+        if (this.SYMBOLS[trimmed]) return this.SYMBOLS[trimmed];
+        const upper = trimmed.toUpperCase();
+        return this.CODES.includes(upper) ? upper : null;
+    },
+
+    // ==================== DETECTION & PARSING ====================
+
+    /**
+     * Detect the currency used for prices in a text
+     * Currencies next to price labels win, otherwise the most frequent
+     * currency next to a number is used.
+     * @param {string} text - Plain text (HTML should be stripped first)
+     * @param {string} fallback - Currency to assume when none is found (default: base currency)
+     */
+    detectCurrency(text, fallback = null) {
+        const defaultCurrency = fallback || this.getBaseCurrency();
+        if (!text) return defaultCurrency;
+
+        const token = this.TOKEN_PATTERN;
+        const labelled = new RegExp(`(?:unit\\s*price|total\\s*price|price|total|amount|cost)[^\\n\\r]{0,40}?(?:(${token})\\s*\\d|\\d[\\d.,]*\\s*(${token}))`, 'i');
+        const labelMatch = text.match(labelled);
+        if (labelMatch) {
+            const code = this.codeFromToken(labelMatch[1] || labelMatch[2]);
+            if (code) return code;
+        }
+
+        const counts = {};
+        const adjacent = new RegExp(`(${token})\\s*\\d|\\d[\\d.,]*\\s*(${token})`, 'gi');
+        let match;
+        while ((match = adjacent.exec(text)) !== null) {
+            const code = this.codeFromToken(match[1] || match[2]);
+            if (code) counts[code] = (counts[code] || 0) + 1;
+        }
+        const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return ranked.length > 0 ? ranked[0][0] : defaultCurrency;
+    },
+
+    /**
+     * Parse an amount, accepting both "1,234.56" and "1.234,56" formats
+     * With both separators the last one is the decimal point. A lone dot is a
+     * decimal point ("0.125", "1.250") unless it cannot be ("1.250.000") or the
+     * currency is written with a decimal comma; a lone comma is a decimal comma
+     * before one or two digits ("12,50") or in a decimal-comma currency.
+     * @param {string|number} value - Amount text
+     * @param {string} currency - ISO code the amount is in, if known
+     * @returns {number|null}
+     */
+    parseAmount(value, currency = null) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number') return isNaN(value) ? null : value;
+        let cleaned = String(value).replace(/[^\d.,-]/g, '');
+        if (!cleaned) return null;
+
+        const commaDecimal = this.COMMA_DECIMAL_CURRENCIES.includes(currency);
+        const grouped = (separator, minGroups) => new RegExp(`^-?[1-9]\\d{0,2}(\\${separator}\\d{3}){${minGroups},}$`).test(cleaned);
+        let decimal;
+        if (cleaned.includes('.') && cleaned.includes(',')) {
+            decimal = cleaned.lastIndexOf(',') > cleaned.lastIndexOf('.') ? ',' : '.';
+        } else if (cleaned.includes(',')) {
+            decimal = grouped(',', 2) || (!commaDecimal && grouped(',', 1)) ? null : ',';
+        } else if (cleaned.includes('.')) {
+            decimal = grouped('.', 2) || (commaDecimal && grouped('.', 1)) ? null : '.';
+        }
+
+        if (decimal === ',') {
+            cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+        } else if (decimal === '.') {
+            cleaned = cleaned.replace(/,/g, '');
+        } else {
+            cleaned = cleaned.replace(/[.,]/g, '');
+        }
+        const amount = parseFloat(cleaned);
+        return isNaN(amount) ? null : amount;
+    },
+
+    /**
+     * Find an amount after a label, e.g. "Unit Price: €1.234,50" or "Total: 1200 GBP"
+     * @param {string} text - Text to search
+     * @param {string} labelPattern - Regex source for the label
+     * @param {string} defaultCurrency - Currency of the text, for reading amounts that don't state one
+     * @returns {Object|null} {amount, currency} (currency is null if not stated)
+     */
+    matchLabeledAmount(text, labelPattern, defaultCurrency = null) {
+        if (!text) return null;
+        const token = this.TOKEN_PATTERN;
+        const re = new RegExp(`(?:${labelPattern})[:\\s]*(${token})?\\s*(\\d[\\d.,]*\\d|\\d)(?:\\s*(${token}))?`, 'i');
+        const match = text.match(re);
+        if (!match) return null;
+        const currency = this.codeFromToken(match[1] || match[3]);
+        const amount = this.parseAmount(match[2], currency || defaultCurrency);
+        if (amount === null) return null;
+        return {
+            amount: amount,
+            currency: currency
+        };
+    },
+
+    // ==================== RATES ====================
+
+    /**
+     * Get the rate table {base, rates, source, updated_at}
+     */
+    getRates() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.CURRENCY_RATES);
+            if (stored) {
+                const table = JSON.parse(stored);
+                return { ...this.DEFAULT_RATES, ...table, rates: { ...table.rates } };
+            }
+        } catch (error) {
+            console.error('Error loading currency rates:', error);
+        }
+        return { ...this.DEFAULT_RATES, rates: { ...this.DEFAULT_RATES.rates } };
+    },
+
+    /**
+     * Save the rate table
+     */
+    saveRates(table) {
+        const base = (table.base || 'USD').toUpperCase();
+        const rates = {};
+        Object.entries(table.rates || {}).forEach(([code, rate]) => {
+            const value = parseFloat(rate);
+            if (value > 0) rates[code.toUpperCase()] = value;
+        });
+        rates[base] = 1;
+        const saved = {
+            base: base,
+            rates: rates,
+            source: table.source || 'manual',
+            updated_at: table.updated_at || new Date().toISOString()
+        };
+        localStorage.setItem(Config.STORAGE_KEYS.CURRENCY_RATES, JSON.stringify(saved));
+        return saved;
+    },
+
+    getBaseCurrency() {
+        return this.getRates().base;
+    },
+
+    /**
+     * Refresh rates from the backend rates endpoint
+     * @returns {Promise<Object>} Saved rate table
+     */
+    async refreshRatesFromBackend(base = null) {
+        const baseCurrency = base || this.getBaseCurrency();
+        const response = await ApiClient.getExchangeRates(baseCurrency);
+        if (!response || !response.rates || Object.keys(response.rates).length === 0) {
+            throw new Error('Backend returned no exchange rates');
+        }
+        const current = this.getRates();
+        return this.saveRates({
+            base: response.base || baseCurrency,
+            rates: { ...(current.base === (response.base || baseCurrency) ? current.rates : {}), ...response.rates },
+            source: 'backend',
+            updated_at: response.updated_at || new Date().toISOString()
+        });
+    },
+
+    // ==================== CONVERSION ====================
+
+    /**
+     * Convert an amount between currencies
+     * @returns {number|null} Converted amount, or null if a rate is missing
+     */
+    convert(amount, from, to = null) {
+        const value = parseFloat(amount);
+        if (isNaN(value)) return null;
+        const table = this.getRates();
+        const source = (from || table.base).toUpperCase();
+        const target = (to || table.base).toUpperCase();
+        if (source === target) return value;
+        const fromRate = table.rates[source];
+        const toRate = table.rates[target];
+        if (!fromRate || !toRate) return null;
+        return value / fromRate * toRate;
+    },
+
+    /**
+     * Convert an amount to the base currency
+     */
+    toBase(amount, currency) {
+        return this.convert(amount, currency, null);
+    },
+
+    /**
+     * Comparable unit price of a quote in the base currency
+     * Falls back to total price / price like the comparison views do.
+     * @returns {number|null}
+     */
+    getComparablePrice(quote) {
+        const raw = parseFloat(quote.unit_price) || parseFloat(quote.total_price) || parseFloat(quote.price) || 0;
+        if (!(raw > 0)) return null;
+        return this.toBase(raw, quote.currency);
+    },
+
+    /**
+     * Format an amount with its base-currency equivalent when they differ,
+     * e.g. "€1,000.00 (≈ $1,086.96)"
+     */
+    formatWithBase(amount, currency) {
+        const value = parseFloat(amount);
+        if (isNaN(value)) return 'N/A';
+        const code = currency || this.getBaseCurrency();
+        const original = Helpers.formatCurrency(value, code);
+        const base = this.getBaseCurrency();
+        if (code === base) return original;
+        const converted = this.toBase(value, code);
+        return converted === null
+            ? `${original} (no ${base} rate)`
+            : `${original} (≈ ${Helpers.formatCurrency(converted, base)})`;
+    }
+};
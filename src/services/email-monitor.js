@@ -14,19 +14,15 @@ function getRFQMappingFromEmail(email) {
  * Email Monitoring Service
  * Automatically monitors for replies to emails in Sent RFQs folder
  * Classifies and organizes them automatically
+ * New inbox mail comes from MailSyncService (Graph delta sync); what was done
+ * with each message is recorded in MessageLedger so it is not processed twice
  */
 const EmailMonitor = {
-    // Track processed emails to avoid duplicates
-    processedEmails: new Set(),
-    
-    // Monitoring interval (in milliseconds)
-    monitoringInterval: 3000, // 3 seconds
-    
-    // Interval ID for cleanup
-    intervalId: null,
-    
     // Whether monitoring is active
     isMonitoring: false,
+
+    // Replies being processed right now (by a sync cycle or a retry)
+    inFlight: new Set(),
     
     // Logging prefix for easy identification
     LOG_PREFIX: '[EmailMonitor]',
@@ -67,30 +63,20 @@ const EmailMonitor = {
         }
 
         this.log('========================================');
-        this.log('Starting automatic email monitoring...');
-        this.log(`Check interval: ${this.monitoringInterval / 1000} seconds`);
+        this.log('Starting automatic email monitoring (delta sync)...');
         this.log('========================================');
         this.isMonitoring = true;
 
-        // Initial check
-        await this.checkForReplies();
-
-        // Set up periodic checking
-        this.intervalId = setInterval(async () => {
-            if (AuthService.isSignedIn()) {
-                await this.checkForReplies();
-            }
-        }, this.monitoringInterval);
+        MailSyncService.start(emails => this.checkForReplies(emails));
+        ReplyRetryQueue.start();
     },
 
     /**
      * Stop monitoring
      */
     stopMonitoring() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
+        MailSyncService.stop();
+        ReplyRetryQueue.stop();
         this.isMonitoring = false;
         this.log('Email monitoring stopped');
     },
@@ -104,17 +90,24 @@ const EmailMonitor = {
         this.log('MANUAL CHECK TRIGGERED');
         this.log('========================================');
         
-        // Clear processed emails to recheck everything
-        this.processedEmails.clear();
-        this.log('Cleared processed emails cache');
+        // Clear the delta link to recheck recent mail (the ledger still skips messages already dealt with)
+        MailSyncService.reset();
+        this.log('Cleared sync state');
         
-        await this.checkForReplies();
+        if (MailSyncService.running) {
+            await MailSyncService.syncNow();
+        } else {
+            const { messages, deltaLink } = await MailSyncService.fetchChanges();
+            await this.checkForReplies(messages);
+            if (deltaLink) MailSyncService.saveDeltaLink(deltaLink);
+        }
     },
 
     /**
-     * Check for new replies to Sent RFQs
+     * Check new or changed inbox emails for replies to Sent RFQs
+     * @param {Array} recentEmails - Messages from the delta sync
      */
-    async checkForReplies() {
+    async checkForReplies(recentEmails) {
         try {
             if (!AuthService.isSignedIn()) {
                 this.log('Not signed in, skipping check');
@@ -126,9 +119,7 @@ const EmailMonitor = {
             this.log(`Time: ${new Date().toISOString()}`);
             this.log('========================================');
 
-            // Get recent emails from Inbox
-            const recentEmails = await this.getRecentInboxEmails();
-            this.log(`Found ${recentEmails.length} recent email(s) in inbox`);
+            this.log(`${recentEmails.length} new or changed email(s) in inbox`);
             
             if (recentEmails.length === 0) {
                 this.log('No emails to check');
@@ -141,104 +132,256 @@ const EmailMonitor = {
                 this.log(`  ${i + 1}. "${e.subject}" from ${e.from?.emailAddress?.address || 'unknown'}`);
             });
             
-            let processedCount = 0;
-            let skippedCount = 0;
-            let detectedCount = 0;
-            
+            const counts = { processed: 0, skipped: 0, detected: 0, autoReply: 0 };
             for (const email of recentEmails) {
-                // Skip if already processed
-                if (this.processedEmails.has(email.id)) {
-                    skippedCount++;
-                    continue;
-                }
-
-                this.log('----------------------------------------');
-                this.log(`Checking email: "${email.subject}"`);
-                this.log(`  From: ${email.from?.emailAddress?.address || 'unknown'}`);
-                this.log(`  ID: ${email.id}`);
-
-                // CRITICAL: Check if email is from Microsoft Outlook and delete immediately
-                if (EmailOperations.isFromMicrosoftOutlook(email)) {
-                    this.log('⚠️  DETECTED Microsoft Outlook email - DELETING immediately');
-                    try {
-                        await EmailOperations.deleteEmail(email.id);
-                        this.logSuccess(`✓ Deleted Microsoft Outlook email: ${email.id}`);
-                        this.processedEmails.add(email.id);
-                        skippedCount++;
-                        continue; // Skip all further processing
-                    } catch (deleteError) {
-                        this.logError('Failed to delete Microsoft Outlook email:', deleteError.message);
-                        // Continue to mark as processed so we don't keep trying
-                        this.processedEmails.add(email.id);
-                        skippedCount++;
-                        continue;
-                    }
-                }
-
-                // Check if this is a reply to an email with SENT RFQ category
-                const isReplyToSentRfq = await this.isReplyToSentRfq(email);
-                
-                if (isReplyToSentRfq) {
-                    detectedCount++;
-                    this.logSuccess(`>>> DETECTED as reply to Sent RFQ!`);
-                    this.log(`    Material Code: ${isReplyToSentRfq.materialCode || 'unknown'}`);
-                    
-                    try {
-                        await this.processReply(email, isReplyToSentRfq);
-                        this.processedEmails.add(email.id);
-                        processedCount++;
-                    } catch (processError) {
-                        this.logError('Failed to process reply:', processError.message);
-                    }
-                } else {
-                    this.log(`  Not an RFQ reply, skipping`);
+                try {
+                    await this.checkMessage(email, counts);
+                } catch (messageError) {
+                    // Queue the message so one failure neither drops it nor stops the rest of the batch
+                    this.logError(`Failed to check email ${email.id}:`, messageError.message);
+                    await ReplyRetryQueue.recordFailure(email, { recheck: true, materialCode: null }, messageError);
                 }
             }
             
             this.log('========================================');
             this.log('CHECK COMPLETE');
-            this.log(`  Detected: ${detectedCount} RFQ replies`);
-            this.log(`  Processed: ${processedCount} emails`);
-            this.log(`  Skipped: ${skippedCount} (already processed)`);
+            this.log(`  Detected: ${counts.detected} RFQ replies`);
+            this.log(`  Bounces/automatic replies: ${counts.autoReply}`);
+            this.log(`  Processed: ${counts.processed} emails`);
+            this.log(`  Skipped: ${counts.skipped} (already processed or system mail)`);
             this.log('========================================');
         } catch (error) {
+            // Let the sync cycle fail so the batch is fetched again rather than skipped
             this.logError('Error checking for replies:', error.message);
             this.logError('Stack:', error.stack);
+            throw error;
         }
     },
 
     /**
-     * Get recent emails from Inbox (both read and unread for reliability)
+     * Check one inbox message: filter system mail, then route approval replies,
+     * bounces/automatic replies and RFQ replies
+     * @param {Object} email - Message from the delta sync
+     * @param {Object} counts - {processed, skipped, detected, autoReply}, updated in place
      */
-    async getRecentInboxEmails() {
-        try {
-            // Get both read and unread recent emails to ensure we catch replies
-            // Removed isRead filter to catch emails even if user viewed them
-            const endpoint = '/me/mailFolders/inbox/messages?' +
-                '$select=id,subject,from,receivedDateTime,conversationId,internetMessageId,bodyPreview,isRead' +
-                '&$top=20' +
-                '&$orderby=receivedDateTime desc';
+    async checkMessage(email, counts = { processed: 0, skipped: 0, detected: 0, autoReply: 0 }) {
+        // Skip if already processed (in this or an earlier session)
+        if (await MessageLedger.isProcessed(email.id)) {
+            counts.skipped++;
+            return;
+        }
+
+        this.log('----------------------------------------');
+        this.log(`Checking email: "${email.subject}"`);
+        this.log(`  From: ${email.from?.emailAddress?.address || 'unknown'}`);
+        this.log(`  ID: ${email.id}`);
+
+        // System and notification mail is handled by the sender filter rules
+        const filter = await SenderFilterService.check(email);
+        if (filter.matched) {
+            this.log(`⚠️  System/notification mail (${filter.reason}) - ${SenderFilterService.ACTIONS[filter.action]}`);
+            try {
+                const logEntry = await SenderFilterService.apply(email, filter);
+                this.logSuccess(SenderFilterService.describe(logEntry));
+                await MessageLedger.record(email, SenderFilterService.getLedgerDetails(logEntry));
+            } catch (filterError) {
+                this.logError('Failed to apply sender filter:', filterError.message);
+                // Mark as processed so we don't keep trying
+                await MessageLedger.record(email, {
+                    outcome: 'skipped',
+                    classification: 'system_notification',
+                    error: `${SenderFilterService.ACTIONS[filter.action]} failed: ${filterError.message}`
+                });
+            }
+            counts.skipped++;
+            return; // Skip all further processing
+        }
+
+        // Approval replies carry the approval reference (and the material code) in the subject
+        if (ApprovalService.extractReference(email.subject)) {
+            await this.handleApprovalReply(email);
+            return;
+        }
+
+        // Check if this is a reply to an email with SENT RFQ category
+        const isReplyToSentRfq = await this.isReplyToSentRfq(email);
+        
+        if (isReplyToSentRfq?.autoReply) {
+            counts.autoReply++;
+            await this.handleAutoReply(email, isReplyToSentRfq);
+        } else if (isReplyToSentRfq) {
+            counts.detected++;
+            this.logSuccess(`>>> DETECTED as reply to Sent RFQ!`);
+            this.log(`    Material Code: ${isReplyToSentRfq.materialCode || 'unknown'}`);
             
-            const response = await AuthService.graphRequest(endpoint);
-            const emails = response.value || [];
-            this.log(`Fetched ${emails.length} recent emails from inbox`);
-            return emails;
+            if (await this.handleReply(email, isReplyToSentRfq)) {
+                counts.processed++;
+            }
+        } else {
+            this.log(`  Not an RFQ reply, skipping`);
+        }
+    },
+
+    /**
+     * Process a detected RFQ reply and record the outcome; a failure goes to the retry queue
+     * @returns {Promise<boolean>} true if the reply was processed
+     */
+    async handleReply(email, replyInfo) {
+        if (this.inFlight.has(email.id)) {
+            this.log(`  Already being processed, skipping`);
+            return false;
+        }
+        this.inFlight.add(email.id);
+        try {
+            const result = await this.processReply(email, replyInfo);
+            if (result.outcome === 'processed') {
+                RfqDeliveryStatusService.clearForReply(replyInfo.materialCode, email.from?.emailAddress?.address);
+            }
+            const previous = await MessageLedger.get(email.id);
+            await MessageLedger.record(email, { ...result, attempts: (previous?.attempts || 0) + 1 });
+            return true;
+        } catch (processError) {
+            this.logError('Failed to process reply:', processError.message);
+            const entry = await ReplyRetryQueue.recordFailure(email, replyInfo, processError);
+            if (entry.outcome === 'needs_attention') {
+                this.logError(`Giving up after ${entry.attempts} attempts - reply needs attention`);
+            } else {
+                this.log(`  Attempt ${entry.attempts} of ${ReplyRetryQueue.MAX_ATTEMPTS} failed, retrying at ${entry.next_retry_at}`);
+            }
+            return false;
+        } finally {
+            this.inFlight.delete(email.id);
+        }
+    },
+
+    /**
+     * Process an approval reply and record the outcome; a failure goes to the retry queue
+     * @returns {Promise<boolean>} true if the reply was processed
+     */
+    async handleApprovalReply(email) {
+        if (this.inFlight.has(email.id)) {
+            this.log(`  Already being processed, skipping`);
+            return false;
+        }
+        this.inFlight.add(email.id);
+        try {
+            const result = await this.processApprovalReply(email);
+            const previous = await MessageLedger.get(email.id);
+            await MessageLedger.record(email, { ...result, attempts: (previous?.attempts || 0) + 1 });
+            return true;
+        } catch (processError) {
+            this.logError('Failed to process approval reply:', processError.message);
+            const entry = await ReplyRetryQueue.recordFailure(email, { approval: true, materialCode: null }, processError);
+            if (entry.outcome === 'needs_attention') {
+                this.logError(`Giving up after ${entry.attempts} attempts - approval reply needs attention`);
+            } else {
+                this.log(`  Attempt ${entry.attempts} of ${ReplyRetryQueue.MAX_ATTEMPTS} failed, retrying at ${entry.next_retry_at}`);
+            }
+            return false;
+        } finally {
+            this.inFlight.delete(email.id);
+        }
+    },
+
+    /**
+     * Record a bounce or automatic reply in an RFQ thread and mark the RFQ it is
+     * about as "delivery failed" or "supplier away" for the buyer to follow up.
+     * The message stays in the inbox.
+     */
+    async handleAutoReply(email, replyInfo) {
+        const detection = replyInfo.autoReply;
+        const issues = RfqDeliveryStatusService.mark(email, detection, replyInfo.materialCode);
+        issues.forEach(issue => {
+            this.logSuccess(`RFQ ${issue.material_code || ''} to ${issue.supplier_email}: ${RfqDeliveryStatusService.describe(issue)}`);
+        });
+
+        let note;
+        if (issues.length > 0) {
+            note = issues.map(issue => `${RfqDeliveryStatusService.describe(issue)} - ${issue.supplier_email}`).join('; ');
+        } else if (detection.type === 'bounce' && !detection.permanent) {
+            note = `Delivery delayed${detection.recipients.length > 0 ? ` - ${detection.recipients.join(', ')}` : ''}`;
+        } else {
+            note = 'Failed recipient not found in the notice';
+        }
+        await MessageLedger.record(email, {
+            outcome: detection.type === 'bounce' ? 'bounced' : 'auto_reply',
+            material_code: replyInfo.materialCode,
+            note: `${note} (${detection.reason})`
+        });
+    },
+
+    /**
+     * Retry a reply from the retry queue
+     * The message is read again first; if it has been moved or deleted since,
+     * there is nothing left to process.
+     * @param {Object} entry - Ledger entry with outcome 'failed' or 'needs_attention'
+     * @returns {Promise<boolean>} true if the reply was processed
+     */
+    async retryMessage(entry) {
+        this.log(`Retrying reply ${entry.message_id} (attempt ${entry.attempts + 1})`);
+        let email;
+        try {
+            email = await AuthService.graphRequest(`/me/messages/${entry.message_id}?$select=${MailSyncService.SELECT}`);
         } catch (error) {
-            this.logError('Error getting recent inbox emails:', error.message);
-            return [];
+            if (error.status === 404) {
+                this.log('  Message no longer in the mailbox, dropping it from the retry queue');
+                await MessageLedger.record(
+                    MessageLedger.toMessage(entry),
+                    { outcome: 'skipped', material_code: entry.material_code, attempts: entry.attempts, error: 'Message was moved or deleted before it could be retried' }
+                );
+                return false;
+            }
+            await ReplyRetryQueue.recordFailure(
+                MessageLedger.toMessage(entry),
+                entry.reply_info,
+                error
+            );
+            return false;
+        }
+        if (entry.reply_info?.approval) {
+            return this.handleApprovalReply(email);
+        }
+        if (entry.reply_info?.recheck) {
+            // The message failed before it was identified - run the whole check again
+            try {
+                await this.checkMessage(email);
+                return true;
+            } catch (error) {
+                this.logError(`Failed to check email ${email.id}:`, error.message);
+                await ReplyRetryQueue.recordFailure(email, entry.reply_info, error);
+                return false;
+            }
         }
+        return this.handleReply(email, entry.reply_info || { parentEmailId: null, materialCode: entry.material_code });
     },
 
     /**
      * Check if an email is a reply to an email with SENT RFQ category
-     * Returns the parent email info if found, null otherwise
+     * Returns the parent email info if found, null otherwise. Bounces and
+     * automatic replies in an RFQ thread are returned too, with the detection
+     * in autoReply, so they are not processed as supplier replies.
+     * @returns {Promise<Object|null>} {parentEmailId, parentSubject, materialCode, autoReply}
+     */
+    async isReplyToSentRfq(email) {
+        const replyInfo = await this.findSentRfq(email);
+        if (!replyInfo) return null;
+
+        const autoReply = await AutoReplyDetector.check(email);
+        if (autoReply) {
+            this.log(`  ${AutoReplyDetector.TYPES[autoReply.type]} (${autoReply.reason}), not a supplier reply`);
+        }
+        return { ...replyInfo, autoReply: autoReply };
+    },
+
+    /**
+     * Find the Sent RFQ an email belongs to
      * 
      * Detection methods (in order):
      * 1. Subject-based: Check if subject contains "Re:" and "MAT-XXXXX" pattern
      * 2. Conversation-based: Look for emails in same conversation with SENT RFQ category
      * 3. Folder-based: Check if email is already in a Sent RFQs folder
      */
-    async isReplyToSentRfq(email) {
+    async findSentRfq(email) {
         try {
             const subject = email.subject || '';
             this.log(`  Analyzing email subject: "${subject}"`);
@@ -463,6 +606,8 @@ const EmailMonitor = {
 
     /**
      * Process a reply email: classify, categorize, and move to appropriate folder
+     * @returns {Promise<Object>} Ledger details {outcome, classification, confidence, material_code, target_folder}
+     * @throws If classification, folder setup or the move fails (the reply is retried)
      */
     async processReply(email, replyInfo) {
         this.log('========================================');
@@ -471,38 +616,19 @@ const EmailMonitor = {
         this.log('========================================');
         
         try {
-            // Step 0: CRITICAL - Check if email is from Microsoft Outlook and delete immediately
-            this.log('Step 0: Checking for Microsoft Outlook emails...');
-            if (EmailOperations.isFromMicrosoftOutlook(email)) {
-                this.log('⚠️  DETECTED Microsoft Outlook email - DELETING immediately');
-                try {
-                    await EmailOperations.deleteEmail(email.id);
-                    this.logSuccess(`✓ Deleted Microsoft Outlook email: ${email.id}`);
-                    return; // Stop all processing
-                } catch (deleteError) {
-                    this.logError('Failed to delete Microsoft Outlook email:', deleteError.message);
-                    throw deleteError; // Fail the processing
-                }
-            }
-
             // Step 1: Get full email details with body content
             this.log('Step 1: Fetching full email details...');
             const fullEmail = await AuthService.graphRequest(
-                `/me/messages/${email.id}?$select=id,subject,from,body,receivedDateTime,conversationId`
+                `/me/messages/${email.id}?$select=id,subject,from,body,receivedDateTime,conversationId,internetMessageHeaders`
             );
             this.logSuccess(`Got email from: ${fullEmail.from?.emailAddress?.address || 'unknown'}`);
             
-            // Double-check after getting full email (in case from field wasn't complete)
-            if (EmailOperations.isFromMicrosoftOutlook(fullEmail)) {
-                this.log('⚠️  DETECTED Microsoft Outlook email (after full fetch) - DELETING immediately');
-                try {
-                    await EmailOperations.deleteEmail(email.id);
-                    this.logSuccess(`✓ Deleted Microsoft Outlook email: ${email.id}`);
-                    return; // Stop all processing
-                } catch (deleteError) {
-                    this.logError('Failed to delete Microsoft Outlook email:', deleteError.message);
-                    throw deleteError; // Fail the processing
-                }
+            // Check the sender rules again with the complete sender and headers (retries skip checkForReplies)
+            const filter = SenderFilterService.evaluate(fullEmail);
+            if (filter.matched) {
+                this.log(`⚠️  System/notification mail (${filter.reason}) - ${SenderFilterService.ACTIONS[filter.action]}`);
+                const logEntry = await SenderFilterService.apply(fullEmail, filter);
+                return SenderFilterService.getLedgerDetails(logEntry); // Stop all processing
             }
             
             // Step 2: Get email chain for classification
@@ -614,7 +740,12 @@ const EmailMonitor = {
 
             if (!materialCode) {
                 this.logError('Could not determine material code for email, skipping folder organization');
-                return;
+                return {
+                    outcome: 'skipped',
+                    classification: classification.classification,
+                    confidence: classification.confidence,
+                    error: 'No material code found'
+                };
             }
 
             // Step 5: Determine target folder based on classification
@@ -662,16 +793,59 @@ const EmailMonitor = {
             this.logSuccess(`COMPLETED processing reply email ${email.id}`);
             this.log(`  Classification: ${classification.classification}`);
             this.log(`  Moved to: ${targetFolder}`);
-            this.log(`  Category: ${categoryName || 'none'}`);
             this.log('========================================');
+            return {
+                outcome: 'processed',
+                classification: classification.classification,
+                confidence: classification.confidence,
+                material_code: materialCode,
+                target_folder: targetFolder
+            };
         } catch (error) {
             this.logError('========================================');
             this.logError('FAILED to process reply email:', email.id);
             this.logError('Error:', error.message);
             this.logError('Stack:', error.stack);
             this.logError('========================================');
-            // Don't add to processed list if processing failed, so we can retry
+            // Let the caller record the failure so the reply is retried
+            throw error;
+        }
+    },
+
+    /**
+     * Record an approve/reject reply to an award approval request
+     * Throws when the reply cannot be read, so the caller can queue it for a retry.
+     * @returns {Promise<Object>} Ledger details
+     */
+    async processApprovalReply(email) {
+        this.log(`  Reply to approval request ${ApprovalService.extractReference(email.subject)}`);
+        // uniqueBody holds only the new part of the reply, without the quoted request
+        const fullEmail = await AuthService.graphRequest(
+            `/me/messages/${email.id}?$select=id,subject,from,uniqueBody,bodyPreview,receivedDateTime`,
+            { headers: { 'Prefer': 'outlook.body-content-type="text"' } }
+        );
+        const approval = ApprovalService.recordReply(fullEmail);
+        if (!approval) {
+            this.log('  Not a decision on a pending approval, skipping');
+            return { outcome: 'skipped', classification: 'approval_reply', error: 'Not a decision on a pending approval' };
+        }
+
+        this.logSuccess(`Approval ${approval.reference} ${approval.status} by ${approval.approver.email}`);
+        try {
+            await EmailOperations.markAsRead(email.id, true);
+        } catch (readError) {
+            this.logError('Failed to mark approval reply as read (non-critical):', readError.message);
+        }
+
+        // Let the task pane update an open approval view
+        if (typeof handleApprovalDecision === 'function') {
+            handleApprovalDecision(approval);
         }
+        return {
+            outcome: 'approval',
+            classification: `approval_${approval.status}`,
+            material_code: approval.material_code || null
+        };
     },
 
     /**
@@ -64,7 +64,7 @@ const EmailOperations = {
         }
 
         return await AuthService.graphRequest(
-            `/me/messages/${emailId}?$select=id,subject,from,toRecipients,ccRecipients,body,receivedDateTime,conversationId,internetMessageId`
+            `/me/messages/${emailId}?$select=id,subject,from,toRecipients,ccRecipients,body,receivedDateTime,conversationId,internetMessageId,hasAttachments`
         );
     },
 
@@ -205,6 +205,7 @@ const EmailOperations = {
      * @param {string} options.subject - Email subject
      * @param {string} options.body - Email HTML body
      * @param {Array} options.cc - CC recipients (optional)
+     * @param {Array} options.attachments - Attachments in Graph API format {name, contentType, contentBytes} (optional)
      * @param {string} options.materialCode - Material code for folder organization (optional)
      * @returns {Promise<Object>} Result with status and sent email ID
      */
@@ -236,12 +237,23 @@ const EmailOperations = {
             }));
         }
 
+        // Inline attachments are sent with the message (Graph limit: 3 MB per sendMail request)
+        if (options.attachments && options.attachments.length > 0) {
+            message.attachments = options.attachments.map(attachment => ({
+                '@odata.type': '#microsoft.graph.fileAttachment',
+                name: attachment.name,
+                contentType: attachment.contentType || 'application/octet-stream',
+                contentBytes: attachment.contentBytes
+            }));
+        }
+
         // Send the email
         console.log('Sending email via Graph API:', {
             to: options.to,
             subject: options.subject,
             hasBody: !!options.body,
-            bodyLength: options.body?.length || 0
+            bodyLength: options.body?.length || 0,
+            attachmentCount: message.attachments ? message.attachments.length : 0
         });
 
         try {
@@ -669,49 +681,6 @@ const EmailOperations = {
         }
     },
 
-    /**
-     * Check if an email is from Microsoft Outlook
-     * @param {Object} email - Email object with from field
-     * @returns {boolean} True if email is from Microsoft Outlook
-     */
-    isFromMicrosoftOutlook(email) {
-        if (!email || !email.from) {
-            return false;
-        }
-
-        const fromAddress = (email.from?.emailAddress?.address || '').toLowerCase();
-        const fromName = (email.from?.emailAddress?.name || '').toLowerCase();
-
-        // Check email domain
-        const microsoftDomains = [
-            '@microsoft.com',
-            '@outlook.com',
-            '@office.com',
-            '@office365.com',
-            '@microsoftonline.com'
-        ];
-
-        const isMicrosoftDomain = microsoftDomains.some(domain => 
-            fromAddress.includes(domain)
-        );
-
-        // Check sender name for Microsoft Outlook indicators
-        const microsoftNamePatterns = [
-            'microsoft outlook',
-            'microsoft office',
-            'outlook',
-            'office 365',
-            'microsoft',
-            'exchange online'
-        ];
-
-        const isMicrosoftName = microsoftNamePatterns.some(pattern => 
-            fromName.includes(pattern)
-        );
-
-        return isMicrosoftDomain || isMicrosoftName;
-    },
-
     /**
      * Create and save draft using Graph API (doesn't open compose window)
      * @param {Object} options - Draft options
@@ -1065,6 +1034,28 @@ const EmailOperations = {
         return { status: 'replied' };
     },
 
+    /**
+     * Create a reply draft in the email's thread without sending it
+     * @returns {Promise<Object>} The created draft message
+     */
+    async createReplyDraft(emailId, replyContent) {
+        if (!AuthService.isSignedIn()) {
+            throw new Error('Please sign in to create reply drafts');
+        }
+
+        return await AuthService.graphRequest(`/me/messages/${emailId}/createReply`, {
+            method: 'POST',
+            body: JSON.stringify({
+                message: {
+                    body: {
+                        contentType: 'HTML',
+                        content: replyContent
+                    }
+                }
+            })
+        });
+    },
+
     /**
      * Forward an email using Graph API
      */
@@ -28,7 +28,8 @@ const FolderManagement = {
                 Config.FOLDERS.CLARIFICATION_REQUESTS,
                 Config.FOLDERS.AWAITING_CLARIFICATION,  // Separate folder, not nested
                 Config.FOLDERS.AWAITING_ENGINEER,
-                Config.FOLDERS.ENGINEER_RESPONSE
+                Config.FOLDERS.ENGINEER_RESPONSE,
+                Config.FOLDERS.NEGOTIATION
             ];
 
             for (const subfolder of subfolders) {
@@ -264,6 +265,20 @@ const FolderManagement = {
         return folderPath;
     },
 
+    /**
+     * List the root folders of all materials (MAT-XXXXX), sorted by material code
+     */
+    async listMaterialRootFolders() {
+        if (!AuthService.isSignedIn()) {
+            throw new Error('Please sign in to list folders');
+        }
+
+        const response = await AuthService.graphRequest('/me/mailFolders?$top=500');
+        return (response.value || [])
+            .filter(folder => /^MAT-\d+/i.test(folder.displayName || ''))
+            .sort((a, b) => a.displayName.localeCompare(b.displayName, undefined, { numeric: true }));
+    },
+
     /**
      * List all subfolders of a material folder
      */
@@ -424,6 +439,11 @@ const FolderManagement = {
                     name: Config.FOLDERS.ENGINEER_RESPONSE,
                     path: `${materialCode}/${Config.FOLDERS.ENGINEER_RESPONSE}`,
                     description: 'Technical responses from engineering'
+                },
+                {
+                    name: Config.FOLDERS.NEGOTIATION,
+                    path: `${materialCode}/${Config.FOLDERS.NEGOTIATION}`,
+                    description: 'Quotes with a counter-offer sent'
                 }
             ]
         };
@@ -0,0 +1,305 @@
+/**
+ * Line Item Service
+ * Extracts per-part line items from quote emails (HTML tables, delimited text
+ * tables and labelled lines), compares suppliers line by line and groups
+ * split awards by supplier
+ */
+const LineItemService = {
+    // Header keywords for each column, checked in this order
+    COLUMN_PATTERNS: [
+        { field: 'extended_price', re: /ext|extended|line\s*total|total|amount|subtotal/i },
+        { field: 'unit_price', re: /unit\s*price|unit\s*cost|price|rate|cost/i },
+        { field: 'quantity', re: /qty|quantity|pcs|units?$/i },
+        { field: 'part_number', re: /part|p\/n|pn\b|sku|item\s*(no|code|#|number)|mat(erial)?\s*(no|code|#)?/i },
+        { field: 'line', re: /^(#|no\.?|line|pos\.?|item)$/i },
+        { field: 'description', re: /desc|product|name|item|material/i }
+    ],
+
+    // Summary rows that are not line items
+    SUMMARY_ROW: /^\s*(sub\s*-?\s*total|grand\s*total|total|tax|vat|gst|shipping|freight|discount)\b/i,
+
+    /**
+     * Extract line items from an email body
+     * @param {string} body - Email body (HTML or plain text)
+     * @param {string} defaultCurrency - Currency for amounts without a symbol/code
+     * @returns {Array} [{line, part_number, description, quantity, unit_price, extended_price, currency}]
+     */
+    extract(body, defaultCurrency = null) {
+        if (!body) return [];
+        const currency = defaultCurrency || CurrencyService.getBaseCurrency();
+
+        if (/<table[\s>]/i.test(body)) {
+            const items = this.extractFromHtmlTables(body, currency);
+            if (items.length > 0) return items;
+        }
+
+        const text = /<[a-z][\s\S]*>/i.test(body) ? this.htmlToLines(body) : body;
+        const tableItems = this.extractFromDelimitedText(text, currency);
+        if (tableItems.length > 0) return tableItems;
+        return this.extractFromLabelledLines(text, currency);
+    },
+
+    /**
+     * Convert HTML to text keeping block elements on separate lines
+     */
+    htmlToLines(html) {
+        return Helpers.stripHtml(
+            html.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|li|tr|h\d)>/gi, '\n')
+        );
+    },
+
+    /**
+     * Map header cells to line item fields
+     * @returns {Object|null} {field: columnIndex}, or null if the row is not a line item header
+     */
+    mapColumns(headerCells) {
+        const columns = {};
+        headerCells.forEach((cell, index) => {
+            const label = (cell || '').trim();
+            if (!label) return;
+            const match = this.COLUMN_PATTERNS.find(p => columns[p.field] === undefined && p.re.test(label));
+            if (match) columns[match.field] = index;
+        });
+        const identifies = columns.part_number !== undefined || columns.description !== undefined;
+        const prices = columns.unit_price !== undefined || columns.extended_price !== undefined;
+        return identifies && prices ? columns : null;
+    },
+
+    /**
+     * Build a line item from a row of cells using a column map
+     */
+    buildItem(cells, columns, currency, lineNumber) {
+        // Cells are text, or numbers already parsed from a labelled line
+        const cell = (field) => {
+            const value = columns[field] !== undefined ? cells[columns[field]] : '';
+            return typeof value === 'number' ? value : (value || '').trim();
+        };
+        const label = cell('part_number') || cell('description');
+        if (!label || this.SUMMARY_ROW.test(label)) return null;
+
+        const amount = (value) => {
+            if (typeof value === 'number') return { amount: value, currency: null };
+            if (!value) return { amount: null, currency: null };
+            const token = value.match(new RegExp(CurrencyService.TOKEN_PATTERN, 'i'));
+            const code = token ? CurrencyService.codeFromToken(token[0]) : null;
+            return {
+                amount: CurrencyService.parseAmount(value.replace(/^[^\d]+/, ''), code || currency),
+                currency: code
+            };
+        };
+
+        const quantity = CurrencyService.parseAmount(cell('quantity'), currency);
+        const unit = amount(cell('unit_price'));
+        const extended = amount(cell('extended_price'));
+        if (unit.amount === null && extended.amount === null) return null;
+
+        let unitPrice = unit.amount;
+        let extendedPrice = extended.amount;
+        if (extendedPrice === null && unitPrice !== null && quantity) {
+            extendedPrice = Math.round(unitPrice * quantity * 100) / 100;
+        }
+        if (unitPrice === null && extendedPrice !== null && quantity) {
+            unitPrice = Math.round(extendedPrice / quantity * 10000) / 10000;
+        }
+
+        return {
+            line: parseInt(cell('line')) || lineNumber,
+            part_number: cell('part_number') || null,
+            description: cell('description') || null,
+            quantity: quantity,
+            unit_price: unitPrice,
+            extended_price: extendedPrice,
+            currency: unit.currency || extended.currency || currency
+        };
+    },
+
+    /**
+     * Extract line items from HTML tables (the first table with a recognisable header wins)
+     */
+    extractFromHtmlTables(html, currency) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        for (const table of doc.querySelectorAll('table')) {
+            const rows = Array.from(table.querySelectorAll('tr')).map(tr =>
+                Array.from(tr.querySelectorAll('th, td')).map(td => td.textContent.replace(/\s+/g, ' ').trim())
+            );
+            const items = this.extractFromRows(rows, currency);
+            if (items.length > 0) return items;
+        }
+        return [];
+    },
+
+    /**
+     * Extract line items from pipe- or tab-delimited text tables
+     */
+    extractFromDelimitedText(text, currency) {
+        const rows = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => /\||\t/.test(line))
+            .map(line => line.replace(/^\||\|$/g, '').split(/\s*\|\s*|\t+/))
+            .filter(cells => !cells.every(c => /^[-:\s]*$/.test(c))); // markdown separator rows
+        return this.extractFromRows(rows, currency);
+    },
+
+    /**
+     * Find a header row and read the rows below it
+     */
+    extractFromRows(rows, currency) {
+        const headerIndex = rows.findIndex(cells => this.mapColumns(cells));
+        if (headerIndex === -1) return [];
+        const columns = this.mapColumns(rows[headerIndex]);
+
+        const items = [];
+        rows.slice(headerIndex + 1).forEach(cells => {
+            const item = this.buildItem(cells, columns, currency, items.length + 1);
+            if (item) items.push(item);
+        });
+        return items;
+    },
+
+    /**
+     * Extract line items written one per line, e.g.
+     * "1. Part PN-100 Bracket, Qty: 100, Unit Price: $12.00"
+     */
+    extractFromLabelledLines(text, currency) {
+        const items = [];
+        text.split(/\r?\n/).forEach(line => {
+            const part = line.match(/(?:part(?:\s*(?:no\.?|number|#))?|p\/n)[:\s#]*([A-Z0-9][A-Z0-9\-_./]*\d[A-Z0-9\-_./]*)/i);
+            if (!part) return;
+            const qty = line.match(/(?:qty|quantity)[:\s]*(\d[\d,]*)/i);
+            const unit = CurrencyService.matchLabeledAmount(line, 'unit\\s*price|price|@', currency);
+            const extended = CurrencyService.matchLabeledAmount(line, 'ext(?:ended)?\\.?\\s*(?:price)?|line\\s*total|total|amount', currency);
+            if (!unit && !extended) return;
+
+            const cells = [part[1], qty ? qty[1] : '', unit ? unit.amount : '', extended ? extended.amount : ''];
+            const description = line
+                .slice(part.index + part[0].length)
+                .split(/,|;|\b(?:qty|quantity|unit\s*price|price|@)\b/i)[0]
+                .replace(/^[\s:\-–]+|[\s:\-–]+$/g, '');
+            const item = this.buildItem(
+                cells,
+                { part_number: 0, quantity: 1, unit_price: 2, extended_price: 3 },
+                (unit || extended).currency || currency,
+                items.length + 1
+            );
+            if (item) {
+                item.description = description || null;
+                items.push(item);
+            }
+        });
+        return items;
+    },
+
+    /**
+     * Sum of the extended prices, when all lines are priced in one currency
+     * @returns {Object|null} {total, currency}
+     */
+    getTotal(items) {
+        if (!items || items.length === 0) return null;
+        const currencies = [...new Set(items.map(i => i.currency))];
+        if (currencies.length !== 1 || items.some(i => i.extended_price === null)) return null;
+        const total = items.reduce((sum, i) => sum + i.extended_price, 0);
+        return { total: Math.round(total * 100) / 100, currency: currencies[0] };
+    },
+
+    // ==================== COMPARISON ====================
+
+    /**
+     * Key used to match the same line across suppliers
+     */
+    lineKey(item) {
+        return (item.part_number || item.description || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    },
+
+    /**
+     * Compare quotes line by line
+     * @param {Array} quotes - Quotes (only those with line_items take part)
+     * @returns {Array} [{key, part_number, description, quantity, offers: [{quoteIndex, item, unit_price_base, extended_base}], bestQuoteIndex}]
+     */
+    buildLineComparison(quotes) {
+        const lines = new Map();
+        quotes.forEach((quote, quoteIndex) => {
+            (quote.line_items || []).forEach(item => {
+                const key = this.lineKey(item);
+                if (!key) return;
+                if (!lines.has(key)) {
+                    lines.set(key, {
+                        key: key,
+                        part_number: item.part_number,
+                        description: item.description,
+                        quantity: item.quantity,
+                        offers: [],
+                        bestQuoteIndex: null
+                    });
+                }
+                const line = lines.get(key);
+                line.description = line.description || item.description;
+                line.offers.push({
+                    quoteIndex: quoteIndex,
+                    item: item,
+                    unit_price_base: item.unit_price !== null ? CurrencyService.toBase(item.unit_price, item.currency) : null,
+                    extended_base: item.extended_price !== null ? CurrencyService.toBase(item.extended_price, item.currency) : null
+                });
+            });
+        });
+
+        return Array.from(lines.values()).map(line => {
+            const priced = line.offers.filter(o => o.unit_price_base !== null);
+            if (priced.length > 0) {
+                line.bestQuoteIndex = priced.reduce((best, o) => o.unit_price_base < best.unit_price_base ? o : best).quoteIndex;
+            }
+            return line;
+        });
+    },
+
+    /**
+     * Default award: the cheapest offer on every line
+     * @returns {Object} {lineKey: quoteIndex}
+     */
+    defaultSelections(comparison) {
+        const selections = {};
+        comparison.forEach(line => {
+            if (line.bestQuoteIndex !== null) selections[line.key] = line.bestQuoteIndex;
+        });
+        return selections;
+    },
+
+    /**
+     * Group awarded lines by supplier quote
+     * A group's total is in the quote's currency when all its lines are; lines in
+     * other currencies are converted with toBase and the total is in the base
+     * currency. The total (and total_base) is null when a line has no exchange rate.
+     * @param {Array} quotes - Quotes the comparison was built from
+     * @param {Array} comparison - Result of buildLineComparison
+     * @param {Object} selections - {lineKey: quoteIndex}
+     * @returns {Array} [{quote, lines, total, currency, total_base}] - one entry per awarded quote
+     */
+    buildSplitAward(quotes, comparison, selections) {
+        const groups = new Map();
+        comparison.forEach(line => {
+            const quoteIndex = selections[line.key];
+            if (quoteIndex === undefined || quoteIndex === null) return;
+            const offer = line.offers.find(o => o.quoteIndex === quoteIndex);
+            if (!offer) return;
+            if (!groups.has(quoteIndex)) {
+                groups.set(quoteIndex, { quote: quotes[quoteIndex], lines: [], total: 0, currency: null, total_base: 0 });
+            }
+            const group = groups.get(quoteIndex);
+            group.lines.push(offer.item);
+            if (group.total_base === null || !offer.item.extended_price) return;
+            group.total_base = offer.extended_base === null ? null : group.total_base + offer.extended_base;
+        });
+
+        const base = CurrencyService.getBaseCurrency();
+        groups.forEach(group => {
+            const quoteCurrency = group.quote.currency || base;
+            const mixed = group.lines.some(item => item.currency && item.currency !== quoteCurrency);
+            group.currency = mixed ? base : quoteCurrency;
+            group.total = group.lines.reduce((sum, item) => {
+                if (sum === null || !item.extended_price) return sum;
+                const amount = mixed ? CurrencyService.toBase(item.extended_price, item.currency || quoteCurrency) : item.extended_price;
+                return amount === null ? null : sum + amount;
+            }, 0);
+        });
+        return Array.from(groups.values());
+    }
+};
@@ -0,0 +1,220 @@
+/**
+ * Mail Sync Service
+ * Incremental inbox sync with Graph delta queries. Each cycle follows the stored
+ * delta link, so only messages that are new or changed since the last cycle are
+ * returned. The delta link is persisted per user so a reload carries on where it
+ * left off. Cycles back off while the inbox is quiet or Graph fails, and wait at
+ * least as long as Graph's Retry-After when throttled.
+ */
+const MailSyncService = {
+    FOLDER: 'inbox',
+    SELECT: 'id,subject,from,receivedDateTime,conversationId,internetMessageId,bodyPreview,isRead',
+    PAGE_SIZE: 50,
+
+    // First sync (no delta link yet) only looks this far back
+    INITIAL_LOOKBACK_HOURS: 24,
+
+    // Delays between cycles (ms): quiet cycles stretch from MIN to MAX_IDLE,
+    // failures double from MIN up to MAX_ERROR
+    MIN_INTERVAL: 10000,
+    MAX_IDLE_INTERVAL: 60000,
+    MAX_ERROR_INTERVAL: 300000,
+    IDLE_GROWTH: 1.5,
+
+    timerId: null,
+    running: false,
+    syncing: false,
+    interval: 10000,
+    consecutiveErrors: 0,
+    onChanges: null,
+    lastSyncAt: null,
+    lastError: null,
+
+    /**
+     * Start syncing
+     * @param {Function} onChanges - async (messages) => void, called with new or changed messages
+     */
+    start(onChanges) {
+        if (this.running) return;
+        this.onChanges = onChanges;
+        this.running = true;
+        this.interval = this.MIN_INTERVAL;
+        this.consecutiveErrors = 0;
+        this.runCycle();
+    },
+
+    /**
+     * Stop syncing (a cycle in progress finishes but schedules no further cycles)
+     */
+    stop() {
+        this.running = false;
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    },
+
+    /**
+     * Run a cycle now instead of waiting for the next one
+     */
+    async syncNow() {
+        if (!this.running || this.syncing) return;
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+        await this.runCycle();
+    },
+
+    /**
+     * Forget the delta link so the next cycle starts a fresh initial sync
+     */
+    reset() {
+        localStorage.removeItem(Config.STORAGE_KEYS.MAIL_DELTA_LINK);
+    },
+
+    // ==================== CYCLES ====================
+
+    async runCycle() {
+        if (!this.running) return;
+        this.syncing = true;
+        let delay;
+        try {
+            const { messages, deltaLink } = await this.fetchChanges();
+            if (messages.length > 0 && this.onChanges) {
+                await this.onChanges(messages);
+            }
+            // Only move past the batch once it has been handled, so a failure repeats it
+            if (deltaLink) this.saveDeltaLink(deltaLink);
+            this.lastSyncAt = new Date().toISOString();
+            this.lastError = null;
+            this.consecutiveErrors = 0;
+            delay = this.getIdleDelay(messages.length > 0);
+        } catch (error) {
+            console.error('[MailSync] Sync failed:', error.message);
+            this.lastError = error.message;
+            delay = this.getErrorDelay(error);
+        } finally {
+            this.syncing = false;
+        }
+        this.schedule(delay);
+    },
+
+    schedule(delay) {
+        if (!this.running) return;
+        this.timerId = setTimeout(() => {
+            this.timerId = null;
+            if (AuthService.isSignedIn()) {
+                this.runCycle();
+            } else {
+                this.schedule(this.MAX_IDLE_INTERVAL);
+            }
+        }, delay);
+    },
+
+    /**
+     * Delay after a successful cycle: back to the minimum when mail arrived, longer while quiet
+     */
+    getIdleDelay(hadChanges) {
+        this.interval = hadChanges
+            ? this.MIN_INTERVAL
+            : Math.min(Math.round(this.interval * this.IDLE_GROWTH), this.MAX_IDLE_INTERVAL);
+        return this.interval;
+    },
+
+    /**
+     * Delay after a failed cycle: exponential backoff, never shorter than Retry-After
+     */
+    getErrorDelay(error) {
+        this.consecutiveErrors++;
+        const backoff = Math.min(this.MIN_INTERVAL * Math.pow(2, this.consecutiveErrors), this.MAX_ERROR_INTERVAL);
+        const retryAfter = error.retryAfter ? error.retryAfter * 1000 : 0;
+        this.interval = this.MIN_INTERVAL;
+        return Math.max(backoff, retryAfter);
+    },
+
+    // ==================== DELTA QUERY ====================
+
+    /**
+     * Follow the delta link (or start an initial sync) through every page
+     * Messages removed from the inbox (moved or deleted) are left out. The new
+     * delta link is returned rather than stored: the caller saves it once the
+     * messages are processed, so an interrupted cycle is repeated from the
+     * previous link.
+     * @returns {Promise<Object>} {messages, deltaLink} - new or changed messages and the link for the next cycle
+     */
+    async fetchChanges() {
+        let url = this.getDeltaLink() || this.getInitialUrl();
+        let resynced = false;
+        const messages = new Map();
+        let deltaLink = null;
+
+        while (url) {
+            let response;
+            try {
+                response = await AuthService.graphRequest(url, {
+                    headers: { 'Prefer': `odata.maxpagesize=${this.PAGE_SIZE}` }
+                });
+            } catch (error) {
+                // The sync state expired - start over once with an initial sync
+                if (error.status === 410 && !resynced) {
+                    console.warn('[MailSync] Delta link expired, starting a new sync');
+                    this.reset();
+                    resynced = true;
+                    messages.clear();
+                    url = this.getInitialUrl();
+                    continue;
+                }
+                throw error;
+            }
+
+            (response?.value || []).forEach(item => {
+                if (item['@removed']) {
+                    messages.delete(item.id);
+                } else {
+                    messages.set(item.id, item);
+                }
+            });
+
+            if (response?.['@odata.nextLink']) {
+                url = response['@odata.nextLink'];
+            } else {
+                deltaLink = response?.['@odata.deltaLink'] || null;
+                url = null;
+            }
+        }
+        return { messages: Array.from(messages.values()), deltaLink: deltaLink };
+    },
+
+    getInitialUrl() {
+        const since = new Date(Date.now() - this.INITIAL_LOOKBACK_HOURS * 3600000).toISOString();
+        return `/me/mailFolders/${this.FOLDER}/messages/delta?$select=${this.SELECT}&$filter=receivedDateTime ge ${since}`;
+    },
+
+    /**
+     * Stored delta link for the signed-in user
+     */
+    getDeltaLink() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(Config.STORAGE_KEYS.MAIL_DELTA_LINK) || 'null');
+            const user = AuthService.getUser()?.email || null;
+            return stored && stored.user === user && stored.folder === this.FOLDER ? stored.delta_link : null;
+        } catch (error) {
+            console.error('Error loading mail delta link:', error);
+            return null;
+        }
+    },
+
+    saveDeltaLink(deltaLink) {
+        try {
+            localStorage.setItem(Config.STORAGE_KEYS.MAIL_DELTA_LINK, JSON.stringify({
+                delta_link: deltaLink,
+                folder: this.FOLDER,
+                user: AuthService.getUser()?.email || null,
+                saved_at: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.error('Error saving mail delta link:', error);
+        }
+    }
+};
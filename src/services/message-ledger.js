@@ -0,0 +1,273 @@
+/**
+ * Message Ledger
+ * Durable record (IndexedDB) of what was done with each inbox message: outcome,
+ * classification, material, target folder and when. EmailMonitor checks it so a
+ * task pane reload or a manual re-sync does not classify the same reply twice,
+ * the task pane lists it as the recent automated actions, and failed replies
+ * wait here for ReplyRetryQueue. If IndexedDB is not available the ledger is
+ * kept in memory for the session.
+ */
+const MessageLedger = {
+    DB_NAME: 'procurement_message_ledger',
+    DB_VERSION: 2,
+    STORE: 'messages',
+
+    // Entries older than this are pruned when the ledger is opened
+    RETENTION_DAYS: 90,
+
+    OUTCOMES: {
+        processed: 'Filed',
+        approval: 'Approval recorded',
+        deleted: 'Deleted',
+        filtered: 'Filtered',
+        bounced: 'Delivery failed',
+        auto_reply: 'Automatic reply',
+        skipped: 'Skipped',
+        classified: 'Classified',
+        failed: 'Retrying',
+        needs_attention: 'Needs attention',
+        dismissed: 'Dismissed'
+    },
+
+    // Outcomes after which the monitor leaves a message alone ('failed' is retried,
+    // 'classified' from the task pane is still filed by the monitor)
+    FINAL_OUTCOMES: ['processed', 'approval', 'deleted', 'filtered', 'bounced', 'auto_reply', 'skipped', 'needs_attention', 'dismissed'],
+
+    dbPromise: null,
+    memory: null,
+    listeners: [],
+
+    // ==================== DATABASE ====================
+
+    /**
+     * Open (or create) the database; resolves to null when IndexedDB is unavailable
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        this.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('[MessageLedger] IndexedDB not available, keeping the ledger in memory');
+                resolve(null);
+                return;
+            }
+            let request;
+            try {
+                request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            } catch (error) {
+                console.error('[MessageLedger] Failed to open IndexedDB:', error);
+                resolve(null);
+                return;
+            }
+            request.onupgradeneeded = (event) => {
+                let store;
+                if (event.oldVersion < 1) {
+                    store = request.result.createObjectStore(this.STORE, { keyPath: 'message_id' });
+                    store.createIndex('processed_at', 'processed_at');
+                } else {
+                    store = request.transaction.objectStore(this.STORE);
+                }
+                if (event.oldVersion < 2) {
+                    store.createIndex('outcome', 'outcome');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('[MessageLedger] Failed to open IndexedDB:', request.error);
+                resolve(null);
+            };
+        }).then(db => {
+            if (!db) this.memory = new Map();
+            else this.prune(db);
+            return db;
+        });
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a request against the store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     */
+    async withStore(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE, mode);
+            const request = operation(transaction.objectStore(this.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Delete entries older than RETENTION_DAYS (replies still waiting for a retry are kept)
+     */
+    prune(db) {
+        try {
+            const cutoff = new Date(Date.now() - this.RETENTION_DAYS * 86400000).toISOString();
+            const transaction = db.transaction(this.STORE, 'readwrite');
+            const request = transaction.objectStore(this.STORE).index('processed_at').openCursor(IDBKeyRange.upperBound(cutoff));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (cursor.value.outcome !== 'failed' && cursor.value.outcome !== 'needs_attention') {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
+        } catch (error) {
+            console.error('[MessageLedger] Failed to prune ledger:', error);
+        }
+    },
+
+    // ==================== ENTRIES ====================
+
+    /**
+     * Ledger entry for a message, or null
+     */
+    async get(messageId) {
+        if (!messageId) return null;
+        try {
+            const db = await this.open();
+            if (!db) return this.memory.get(messageId) || null;
+            return (await this.withStore('readonly', store => store.get(messageId))) || null;
+        } catch (error) {
+            console.error('[MessageLedger] Failed to read entry:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Whether the monitor has already dealt with a message
+     */
+    async isProcessed(messageId) {
+        const entry = await this.get(messageId);
+        return !!entry && this.FINAL_OUTCOMES.includes(entry.outcome);
+    },
+
+    /**
+     * Record what was done with a message (replaces any earlier entry for it)
+     * @param {Object} message - Graph message (id, subject, from, receivedDateTime)
+     * @param {Object} details - {outcome, classification, confidence, material_code, target_folder, source, error, note},
+     *   plus {attempts, next_retry_at, reply_info} for replies in the retry queue
+     * @returns {Promise<Object>} The entry
+     */
+    async record(message, details) {
+        const entry = {
+            message_id: message.id,
+            subject: message.subject || '',
+            from: message.from?.emailAddress?.address || (typeof message.from === 'string' ? message.from : ''),
+            received_at: message.receivedDateTime || null,
+            outcome: details.outcome,
+            classification: details.classification || null,
+            confidence: details.confidence ?? null,
+            material_code: details.material_code || null,
+            target_folder: details.target_folder || null,
+            source: details.source || 'monitor',
+            error: details.error || null,
+            note: details.note || null,
+            attempts: details.attempts || 0,
+            next_retry_at: details.next_retry_at || null,
+            reply_info: details.reply_info || null,
+            processed_at: new Date().toISOString()
+        };
+        try {
+            const db = await this.open();
+            if (db) {
+                await this.withStore('readwrite', store => store.put(entry));
+            } else {
+                this.memory.set(entry.message_id, entry);
+            }
+        } catch (error) {
+            console.error('[MessageLedger] Failed to record entry:', error);
+        }
+        this.listeners.forEach(listener => listener(entry));
+        return entry;
+    },
+
+    /**
+     * Forget a message so the monitor processes it again
+     */
+    async remove(messageId) {
+        try {
+            const db = await this.open();
+            if (db) {
+                await this.withStore('readwrite', store => store.delete(messageId));
+            } else {
+                this.memory.delete(messageId);
+            }
+        } catch (error) {
+            console.error('[MessageLedger] Failed to remove entry:', error);
+        }
+    },
+
+    /**
+     * The message fields of an entry, for recording a new outcome for it
+     */
+    toMessage(entry) {
+        return { id: entry.message_id, subject: entry.subject, from: entry.from, receivedDateTime: entry.received_at };
+    },
+
+    /**
+     * Most recent entries, newest first
+     * @param {number} limit - Maximum number of entries
+     */
+    async getRecent(limit = 100) {
+        try {
+            const db = await this.open();
+            if (!db) {
+                return Array.from(this.memory.values())
+                    .sort((a, b) => b.processed_at.localeCompare(a.processed_at))
+                    .slice(0, limit);
+            }
+            const entries = [];
+            await this.withStore('readonly', store => {
+                const request = store.index('processed_at').openCursor(null, 'prev');
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor && entries.length < limit) {
+                        entries.push(cursor.value);
+                        cursor.continue();
+                    }
+                };
+                return request;
+            });
+            return entries;
+        } catch (error) {
+            console.error('[MessageLedger] Failed to read ledger:', error);
+            return [];
+        }
+    },
+
+    /**
+     * All entries with the given outcomes, oldest first
+     * @param {Array<string>} outcomes - e.g. ['failed', 'needs_attention']
+     */
+    async getByOutcome(outcomes) {
+        try {
+            const db = await this.open();
+            let entries;
+            if (!db) {
+                entries = Array.from(this.memory.values()).filter(entry => outcomes.includes(entry.outcome));
+            } else {
+                entries = [];
+                for (const outcome of outcomes) {
+                    entries.push(...await this.withStore('readonly', store => store.index('outcome').getAll(outcome)));
+                }
+            }
+            return entries.sort((a, b) => a.processed_at.localeCompare(b.processed_at));
+        } catch (error) {
+            console.error('[MessageLedger] Failed to read ledger:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Call a listener whenever an entry is recorded
+     * @param {Function} listener - (entry) => void
+     */
+    onRecord(listener) {
+        this.listeners.push(listener);
+    }
+};
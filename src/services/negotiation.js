@@ -0,0 +1,216 @@
+/**
+ * Negotiation Service
+ * Counter-offers on supplier quotes: builds the counter-offer reply, sends it in
+ * the supplier's quote thread, files the quote under the material's Negotiation
+ * folder and keeps a record of each round per supplier thread
+ */
+const NegotiationService = {
+    /**
+     * Get the negotiation record for a quote's supplier thread
+     * @returns {Object|null} {material_code, supplier_email, supplier_name, original, rounds: [{round, sent_at, targets}]}
+     */
+    getNegotiation(quote) {
+        const key = QuoteRevisionService.groupKey(quote);
+        if (!key) return null;
+        return this.getAll()[key] || null;
+    },
+
+    /**
+     * All negotiation records keyed by supplier thread
+     */
+    getAll() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.NEGOTIATIONS);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading negotiations:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Build the plain-text counter-offer
+     * @param {Object} quote - Quote being negotiated
+     * @param {Object} targets - {unit_price, lead_time, payment_terms}, any of which may be empty
+     * @param {string} materialCode - Material code for the reference line
+     */
+    buildCounterOfferText(quote, targets, materialCode) {
+        const name = quote.supplier_name || 'Supplier';
+        const reference = materialCode ? ` for ${materialCode}` : '';
+        const currency = quote.currency || CurrencyService.getBaseCurrency();
+
+        const requests = [];
+        if (targets.unit_price) {
+            const quoted = parseFloat(quote.unit_price) > 0 ? ` (quoted ${Helpers.formatCurrency(parseFloat(quote.unit_price), currency)})` : '';
+            requests.push(`- Unit price: ${Helpers.formatCurrency(parseFloat(targets.unit_price), currency)}${quoted}`);
+        }
+        if (targets.lead_time) {
+            const quoted = quote.lead_time ? ` (quoted ${quote.lead_time})` : '';
+            requests.push(`- Lead time: ${targets.lead_time}${quoted}`);
+        }
+        if (targets.payment_terms) {
+            const quoted = quote.payment_terms ? ` (quoted ${quote.payment_terms})` : '';
+            requests.push(`- Payment terms: ${targets.payment_terms}${quoted}`);
+        }
+
+        return `Dear ${name},
+
+Thank you for your quotation${reference}. We are interested in your offer, but it is not yet competitive with the other quotations we have received.
+
+To move forward, we would need you to meet the following:
+${requests.join('\n')}
+
+Please let us know whether you can revise your quotation on this basis, and send us the updated offer in reply to this email.
+
+Best regards,
+Procurement Team`;
+    },
+
+    /**
+     * Send a counter-offer as a reply in the supplier's thread, record the round
+     * and move the quote email to the material's Negotiation folder
+     * @param {Object} quote - Quote being negotiated (needs email_id)
+     * @param {Object} targets - {unit_price, lead_time, payment_terms}
+     * @param {string} text - Reviewed counter-offer text
+     * @param {string} materialCode - Material code (selects the Negotiation folder)
+     * @returns {Promise<Object>} {round, moved, emailId} - moved is false when the email could not be filed;
+     *   emailId is the quote email's ID after the move
+     */
+    async sendCounterOffer(quote, targets, text, materialCode) {
+        if (!quote.email_id) {
+            throw new Error('This quote has no email to reply to');
+        }
+        if (!targets.unit_price && !targets.lead_time && !targets.payment_terms) {
+            throw new Error('Enter at least one target (price, lead time or payment terms)');
+        }
+
+        await EmailOperations.replyToEmail(quote.email_id, EmailOperations.formatTextAsHtml(text));
+        const round = this.recordRound(quote, targets, materialCode);
+
+        let moved = false;
+        let emailId = quote.email_id;
+        if (materialCode) {
+            try {
+                const materialFolder = await FolderManagement.createFolderIfNotExists(materialCode);
+                await FolderManagement.createFolderIfNotExists(Config.FOLDERS.NEGOTIATION, materialFolder.id);
+                const result = await FolderManagement.moveEmailToFolder(quote.email_id, `${materialCode}/${Config.FOLDERS.NEGOTIATION}`);
+                moved = true;
+                emailId = result?.id || quote.email_id;
+            } catch (error) {
+                // The counter-offer is already sent - filing the email is best effort
+                console.error('Error moving quote to Negotiation folder:', error);
+            }
+        }
+
+        if (emailId !== quote.email_id) {
+            await this.rekeyEmail(quote.email_id, emailId);
+        }
+
+        return { round, moved, emailId };
+    },
+
+    /**
+     * Re-key everything stored against a quote email once Graph has given it a new ID
+     * (moving a message to another folder changes its ID)
+     */
+    async rekeyEmail(oldId, newId) {
+        const all = this.getAll();
+        Object.values(all).forEach(record => {
+            record.rounds.forEach(round => {
+                if (round.email_id === oldId) round.email_id = newId;
+            });
+        });
+        try {
+            localStorage.setItem(Config.STORAGE_KEYS.NEGOTIATIONS, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving negotiation:', error);
+        }
+
+        QuoteValidityService.rekeyRequest(oldId, newId);
+        PurchaseOrderService.rekeyQuoteEmail(oldId, newId);
+        if (QuoteExtractionService.rekeyCorrections(oldId, newId)) {
+            // Best effort - the corrections stay local (unsynced) when the backend is unavailable
+            await QuoteExtractionService.pushCorrections(newId);
+        }
+    },
+
+    /**
+     * Record a counter-offer round (the first round also stores the figures originally quoted)
+     * @returns {number} The round number
+     */
+    recordRound(quote, targets, materialCode) {
+        const key = QuoteRevisionService.groupKey(quote);
+        if (!key) return 1;
+        const all = this.getAll();
+        const record = all[key] || {
+            material_code: materialCode || quote.material_code || null,
+            supplier_email: quote.supplier_email || null,
+            supplier_name: quote.supplier_name || null,
+            original: {
+                unit_price: parseFloat(quote.unit_price) || null,
+                total_price: parseFloat(quote.total_price) || null,
+                currency: quote.currency || null,
+                lead_time: quote.lead_time || null,
+                payment_terms: quote.payment_terms || null
+            },
+            rounds: []
+        };
+        record.rounds.push({
+            round: record.rounds.length + 1,
+            sent_at: new Date().toISOString(),
+            email_id: quote.email_id,
+            targets: {
+                unit_price: parseFloat(targets.unit_price) || null,
+                lead_time: targets.lead_time || null,
+                payment_terms: targets.payment_terms || null
+            }
+        });
+        all[key] = record;
+        try {
+            localStorage.setItem(Config.STORAGE_KEYS.NEGOTIATIONS, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving negotiation:', error);
+        }
+        return record.rounds.length;
+    },
+
+    /**
+     * Original vs. best negotiated figures for a quote
+     * Supplier responses are the revisions of the thread received after the first counter-offer.
+     * @param {Object} quote - Current quote (with revisions from QuoteRevisionService.group)
+     * @returns {Object|null} {rounds, original, best: {unit_price, currency, lead_time} | null, responses}
+     */
+    summarize(quote) {
+        const negotiation = this.getNegotiation(quote);
+        if (!negotiation) return null;
+
+        const startedAt = new Date(negotiation.rounds[0].sent_at);
+        const thread = (quote.revisions || []).map(entry => entry.quote || quote);
+        const responses = (thread.length > 0 ? thread : [quote])
+            .filter(q => new Date(q.quote_date || 0) > startedAt);
+
+        let best = null;
+        if (responses.length > 0) {
+            const priced = responses.filter(q => CurrencyService.getComparablePrice(q) !== null);
+            const cheapest = priced.length > 0
+                ? priced.reduce((a, b) => CurrencyService.getComparablePrice(b) < CurrencyService.getComparablePrice(a) ? b : a)
+                : null;
+            const timed = responses.filter(q => ScoringService.parseDays(q.lead_time || q.delivery_time) !== null);
+            const fastest = timed.length > 0
+                ? timed.reduce((a, b) => ScoringService.parseDays(b.lead_time || b.delivery_time) < ScoringService.parseDays(a.lead_time || a.delivery_time) ? b : a)
+                : null;
+            best = {
+                unit_price: cheapest ? parseFloat(cheapest.unit_price) || null : null,
+                currency: cheapest ? cheapest.currency : null,
+                lead_time: fastest ? (fastest.lead_time || fastest.delivery_time) : null
+            };
+        }
+
+        return {
+            rounds: negotiation.rounds,
+            original: negotiation.original,
+            best: best,
+            responses: responses.length
+        };
+    }
+};
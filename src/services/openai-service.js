@@ -212,5 +212,63 @@ IMPORTANT: Provide ONLY the answer to the question. Do NOT include:
             console.error('OpenAI generateResponse error:', error);
             throw error;
         }
+    },
+
+    /**
+     * Extract quote fields from a supplier quote email using OpenAI
+     * @param {string} emailText - Plain-text email body
+     * @param {string} emailSubject - Optional email subject for context
+     * @returns {Promise<Object>} {unit_price, total_price, currency, lead_time, validity, payment_terms} (null when not stated)
+     */
+    async extractQuoteFields(emailText, emailSubject = '') {
+        try {
+            const prompt = `You are reading a supplier's reply to a request for quotation.
+
+Email Subject: ${emailSubject || 'Not provided'}
+
+Email Body:
+${emailText.substring(0, 4000)}
+
+Extract the quoted commercial terms and return them as a JSON object with exactly these keys:
+- "unit_price": price per unit as a number (no currency symbol), or null
+- "total_price": total quoted price as a number, or null
+- "currency": ISO 4217 currency code of the prices (e.g. "USD", "EUR"), or null
+- "lead_time": delivery / lead time as written (e.g. "4 weeks"), or null
+- "validity": how long the quote is valid as written (e.g. "30 days"), or null
+- "payment_terms": payment terms as written (e.g. "Net 30"), or null
+
+Only use values stated in the email - use null instead of guessing. Return ONLY the JSON object, no other text.`;
+
+            const response = await this.request('/chat/completions', {
+                method: 'POST',
+                body: JSON.stringify({
+                    model: 'gpt-4o-mini',
+                    messages: [
+                        {
+                            role: 'system',
+                            content: 'You extract structured data from procurement emails. Always return a valid JSON object only.'
+                        },
+                        {
+                            role: 'user',
+                            content: prompt
+                        }
+                    ],
+                    temperature: 0,
+                    max_tokens: 300
+                })
+            });
+
+            const content = response.choices[0]?.message?.content || '{}';
+            try {
+                const jsonMatch = content.match(/\{[\s\S]*\}/);
+                return JSON.parse(jsonMatch ? jsonMatch[0] : content);
+            } catch (parseError) {
+                console.error('Failed to parse OpenAI response as JSON:', parseError);
+                throw new Error('Failed to parse quote fields from AI response');
+            }
+        } catch (error) {
+            console.error('OpenAI extractQuoteFields error:', error);
+            throw error;
+        }
     }
 };
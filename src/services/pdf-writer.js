@@ -0,0 +1,247 @@
+/**
+ * PDF Writer
+ * Minimal PDF generator for reports created in the task pane (the browser print
+ * dialog is unreliable inside Outlook and produces nothing that can be attached).
+ * Draws text in the standard Helvetica fonts, lines and filled rectangles on A4
+ * pages. Coordinates are in points from the top-left corner of the page.
+ */
+const PdfWriter = {
+    PAGE_WIDTH: 595,
+    PAGE_HEIGHT: 842,
+    MARGIN: 40,
+
+    // Helvetica / Helvetica-Bold glyph widths (1/1000 em) for characters 32-126
+    WIDTHS: {
+        regular: [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+            278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611,
+            722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584],
+        bold: [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+            333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611,
+            722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584]
+    },
+
+    // Characters outside Latin-1 that WinAnsiEncoding can show
+    WIN_ANSI: { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99 },
+
+    /**
+     * Create an empty document
+     * @param {Object} options - {title, footer} - footer is drawn on every page with "Page n of N"
+     */
+    createDocument(options = {}) {
+        return { title: options.title || '', footer: options.footer || '', pages: [] };
+    },
+
+    /**
+     * Start a new page
+     */
+    addPage(doc) {
+        const page = { operations: [] };
+        doc.pages.push(page);
+        return page;
+    },
+
+    currentPage(doc) {
+        return doc.pages[doc.pages.length - 1] || this.addPage(doc);
+    },
+
+    // ==================== DRAWING ====================
+
+    /**
+     * Draw a line of text
+     * @param {Object} options - {size, bold, color: [r, g, b] (0-1), align: 'left'|'right'|'center'}
+     *                           x is the right edge for 'right' and the centre for 'center'
+     */
+    text(doc, x, y, text, options = {}) {
+        const size = options.size || 10;
+        const font = options.bold ? 'F2' : 'F1';
+        const value = String(text ?? '');
+        let left = x;
+        if (options.align === 'right') left = x - this.textWidth(value, size, options.bold);
+        if (options.align === 'center') left = x - this.textWidth(value, size, options.bold) / 2;
+        const [r, g, b] = options.color || [0, 0, 0];
+        this.currentPage(doc).operations.push(
+            `BT ${this.num(r)} ${this.num(g)} ${this.num(b)} rg /${font} ${size} Tf ` +
+            `${this.num(left)} ${this.num(this.PAGE_HEIGHT - y - size)} Td <${this.encodeHex(value)}> Tj ET`
+        );
+    },
+
+    /**
+     * Draw a straight line
+     * @param {Object} options - {width, color: [r, g, b]}
+     */
+    line(doc, x1, y1, x2, y2, options = {}) {
+        const [r, g, b] = options.color || [0, 0, 0];
+        this.currentPage(doc).operations.push(
+            `${this.num(r)} ${this.num(g)} ${this.num(b)} RG ${this.num(options.width || 0.5)} w ` +
+            `${this.num(x1)} ${this.num(this.PAGE_HEIGHT - y1)} m ${this.num(x2)} ${this.num(this.PAGE_HEIGHT - y2)} l S`
+        );
+    },
+
+    /**
+     * Draw a filled rectangle
+     * @param {Array} color - Fill color [r, g, b]
+     */
+    rect(doc, x, y, width, height, color) {
+        const [r, g, b] = color;
+        this.currentPage(doc).operations.push(
+            `${this.num(r)} ${this.num(g)} ${this.num(b)} rg ` +
+            `${this.num(x)} ${this.num(this.PAGE_HEIGHT - y - height)} ${this.num(width)} ${this.num(height)} re f`
+        );
+    },
+
+    /**
+     * Width of a string in points
+     */
+    textWidth(text, size, bold = false) {
+        const widths = bold ? this.WIDTHS.bold : this.WIDTHS.regular;
+        let total = 0;
+        for (const char of String(text ?? '')) {
+            const code = char.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return total * size / 1000;
+    },
+
+    /**
+     * Split text into lines no wider than maxWidth (long words are broken)
+     */
+    wrapText(text, maxWidth, size, bold = false) {
+        const lines = [];
+        String(text ?? '').split(/\r?\n/).forEach(paragraph => {
+            let current = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = current ? `${current} ${word}` : word;
+                if (this.textWidth(candidate, size, bold) <= maxWidth) {
+                    current = candidate;
+                    return;
+                }
+                if (current) lines.push(current);
+                current = word;
+                while (this.textWidth(current, size, bold) > maxWidth && current.length > 1) {
+                    let cut = current.length - 1;
+                    while (cut > 1 && this.textWidth(current.slice(0, cut), size, bold) > maxWidth) cut--;
+                    lines.push(current.slice(0, cut));
+                    current = current.slice(cut);
+                }
+            });
+            lines.push(current);
+        });
+        return lines;
+    },
+
+    /**
+     * Shorten text to fit a width, ending with "..."
+     */
+    truncate(text, maxWidth, size, bold = false) {
+        let value = String(text ?? '');
+        if (this.textWidth(value, size, bold) <= maxWidth) return value;
+        while (value.length > 0 && this.textWidth(value + '...', size, bold) > maxWidth) {
+            value = value.slice(0, -1);
+        }
+        return value + '...';
+    },
+
+    // ==================== SERIALIZATION ====================
+
+    num(value) {
+        return (Math.round(value * 100) / 100).toString();
+    },
+
+    /**
+     * Encode text as WinAnsi hex (characters that cannot be shown become "?")
+     */
+    encodeHex(text) {
+        let hex = '';
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            let byte = 0x3F;
+            if (this.WIN_ANSI[char] !== undefined) {
+                byte = this.WIN_ANSI[char];
+            } else if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) {
+                byte = code;
+            } else if (/\s/.test(char)) {
+                // Narrow and other Unicode spaces (e.g. from Intl number formatting)
+                byte = 0x20;
+            }
+            hex += byte.toString(16).padStart(2, '0');
+        }
+        return hex;
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Uint8Array} PDF bytes
+     */
+    toBytes(doc) {
+        if (doc.pages.length === 0) this.addPage(doc);
+        const pageCount = doc.pages.length;
+
+        // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+        const objects = [];
+        const pageIds = doc.pages.map((page, i) => 6 + i * 2);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        objects[5] = `<< /Title <feff${this.encodeUtf16Hex(doc.title)}> /Producer (Procurement Add-in) /CreationDate (D:${this.pdfDate(new Date())}) >>`;
+
+        doc.pages.forEach((page, i) => {
+            const operations = page.operations.slice();
+            const footer = `${doc.footer ? doc.footer + '   ' : ''}Page ${i + 1} of ${pageCount}`;
+            const footerSize = 8;
+            operations.push(
+                `BT 0.4 0.4 0.4 rg /F1 ${footerSize} Tf ` +
+                `${this.num(this.PAGE_WIDTH - this.MARGIN - this.textWidth(footer, footerSize))} ${this.num(this.MARGIN / 2)} Td <${this.encodeHex(footer)}> Tj ET`
+            );
+            const content = operations.join('\n');
+            const pageId = pageIds[i];
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.PAGE_WIDTH} ${this.PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+            objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+        });
+
+        // Everything above is ASCII, so string offsets are byte offsets
+        let output = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = output.length;
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) {
+            bytes[i] = output.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Blob} PDF file
+     */
+    toBlob(doc) {
+        return new Blob([this.toBytes(doc)], { type: 'application/pdf' });
+    },
+
+    encodeUtf16Hex(text) {
+        let hex = '';
+        for (let i = 0; i < String(text).length; i++) {
+            hex += String(text).charCodeAt(i).toString(16).padStart(4, '0');
+        }
+        return hex;
+    },
+
+    pdfDate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+};
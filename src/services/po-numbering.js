@@ -0,0 +1,255 @@
+/**
+ * PO Numbering Service
+ * Issues purchase order numbers from a configurable pattern and records every
+ * issued number in a persistent ledger.
+ *
+ * Numbers are reserved from the backend when it is reachable. When it is not,
+ * a local number is issued that carries this installation's client ID, so it
+ * cannot collide with backend numbers or with other installations.
+ */
+const PONumberingService = {
+    // Default numbering scheme
+    // Pattern tokens: {PREFIX}, {FY} (e.g. 2026), {FY2} (e.g. 26), {SITE}, {SEQ}
+    DEFAULT_SCHEME: {
+        pattern: '{PREFIX}-{FY}-{SITE}-{SEQ}',
+        prefix: 'PO',
+        siteCode: '',
+        fiscalYearStartMonth: 1, // 1 = January (fiscal year = calendar year)
+        sequencePadding: 5
+    },
+
+    /**
+     * Get the configured numbering scheme (merged over defaults)
+     */
+    getScheme() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.PO_NUMBER_SCHEME);
+            return { ...this.DEFAULT_SCHEME, ...(stored ? JSON.parse(stored) : {}) };
+        } catch (error) {
+            console.error('Error loading PO number scheme:', error);
+            return { ...this.DEFAULT_SCHEME };
+        }
+    },
+
+    /**
+     * Save the numbering scheme
+     */
+    saveScheme(scheme) {
+        const merged = this.validateScheme(scheme);
+        localStorage.setItem(Config.STORAGE_KEYS.PO_NUMBER_SCHEME, JSON.stringify(merged));
+        return merged;
+    },
+
+    /**
+     * Normalize a numbering scheme (merged over the saved one) without saving it
+     * @throws {Error} If the pattern has no {SEQ}
+     */
+    validateScheme(scheme) {
+        const merged = { ...this.getScheme(), ...scheme };
+        merged.prefix = (merged.prefix || '').trim().toUpperCase();
+        merged.siteCode = (merged.siteCode || '').trim().toUpperCase();
+        merged.fiscalYearStartMonth = Math.min(12, Math.max(1, parseInt(merged.fiscalYearStartMonth) || 1));
+        merged.sequencePadding = Math.min(10, Math.max(1, parseInt(merged.sequencePadding) || 5));
+        if (!merged.pattern || !merged.pattern.includes('{SEQ}')) {
+            throw new Error('PO number pattern must contain {SEQ}');
+        }
+        return merged;
+    },
+
+    /**
+     * Fiscal year for a date. A fiscal year that does not start in January is
+     * named after the calendar year in which it ends (April 2026 -> FY2027).
+     */
+    getFiscalYear(date = new Date(), startMonth = 1) {
+        const year = date.getFullYear();
+        return startMonth > 1 && date.getMonth() + 1 >= startMonth ? year + 1 : year;
+    },
+
+    /**
+     * Format a PO number from the scheme
+     * Empty tokens are dropped together with their separator.
+     * @param {Object} scheme - Numbering scheme
+     * @param {number} sequence - Sequence number
+     * @param {Object} options - {fiscalYear, clientId}
+     */
+    formatNumber(scheme, sequence, options = {}) {
+        const fiscalYear = options.fiscalYear || this.getFiscalYear(new Date(), scheme.fiscalYearStartMonth);
+        let seq = String(sequence).padStart(scheme.sequencePadding, '0');
+        if (options.clientId) {
+            // Local numbers are namespaced by client ID: L<clientId><seq>
+            seq = `L${options.clientId}${seq}`;
+        }
+        const tokens = {
+            PREFIX: scheme.prefix,
+            FY: String(fiscalYear),
+            FY2: String(fiscalYear).slice(-2),
+            SITE: scheme.siteCode,
+            SEQ: seq
+        };
+        return scheme.pattern
+            .replace(/\{(PREFIX|FY2|FY|SITE|SEQ)\}/g, (_, token) => tokens[token] || '')
+            .replace(/([-_/.])\1+/g, '$1')
+            .replace(/^[-_/.]|[-_/.]$/g, '');
+    },
+
+    /**
+     * Preview of the next local number for the settings screen
+     * Backend numbers are only known once reserved, so this shows what would be
+     * issued locally: the next sequence in the ledger, with the client ID.
+     */
+    previewNumber(scheme = null) {
+        const effective = { ...this.getScheme(), ...(scheme || {}) };
+        const fiscalYear = this.getFiscalYear(new Date(), effective.fiscalYearStartMonth);
+        const sequence = this.getNextLocalSequence(this.getLedger(), effective, fiscalYear);
+        return this.formatNumber(effective, sequence, { fiscalYear, clientId: this.getClientId() });
+    },
+
+    /**
+     * Stable per-installation client ID used to namespace local numbers
+     * Six random base36 characters, re-drawn if any number in the ledger already
+     * carries them. IDs in any other format (from older versions) are replaced.
+     */
+    getClientId() {
+        let clientId = localStorage.getItem(Config.STORAGE_KEYS.PO_CLIENT_ID);
+        if (!clientId || !/^[0-9A-Z]{6}$/.test(clientId)) {
+            const ledger = this.getLedger();
+            do {
+                clientId = (crypto.getRandomValues(new Uint32Array(1))[0] % Math.pow(36, 6))
+                    .toString(36).padStart(6, '0').toUpperCase();
+            } while (ledger.some(e => (e.po_number || '').includes(`L${clientId}`)));
+            localStorage.setItem(Config.STORAGE_KEYS.PO_CLIENT_ID, clientId);
+        }
+        return clientId;
+    },
+
+    // ==================== LEDGER ====================
+
+    /**
+     * Get the issued-number ledger (array of entries, oldest first)
+     */
+    getLedger() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.PO_NUMBER_LEDGER);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error loading PO number ledger:', error);
+            return [];
+        }
+    },
+
+    saveLedger(ledger) {
+        localStorage.setItem(Config.STORAGE_KEYS.PO_NUMBER_LEDGER, JSON.stringify(ledger));
+    },
+
+    /**
+     * Check whether a number has already been issued
+     */
+    isIssued(poNumber) {
+        return this.getLedger().some(entry => entry.po_number === poNumber);
+    },
+
+    /**
+     * Record a newly issued number
+     */
+    recordIssued(entry) {
+        const ledger = this.getLedger();
+        ledger.push({
+            status: 'reserved',
+            issued_at: new Date().toISOString(),
+            ...entry
+        });
+        this.saveLedger(ledger);
+    },
+
+    /**
+     * Update the status of an issued number ('reserved', 'used', 'void')
+     */
+    updateStatus(poNumber, status, details = {}) {
+        const ledger = this.getLedger();
+        const entry = ledger.find(e => e.po_number === poNumber);
+        if (!entry) {
+            console.warn(`PO number ${poNumber} not found in ledger`);
+            return;
+        }
+        Object.assign(entry, details, { status: status, updated_at: new Date().toISOString() });
+        this.saveLedger(ledger);
+    },
+
+    // ==================== ISSUING ====================
+
+    /**
+     * Reserve the next PO number
+     * Tries the backend first, falls back to a local, client-namespaced sequence.
+     * @param {Object} context - {rfqId, materialCode} stored with the ledger entry
+     * @returns {Promise<string>} Reserved PO number
+     */
+    async reserveNumber(context = {}) {
+        const scheme = this.getScheme();
+        const fiscalYear = this.getFiscalYear(new Date(), scheme.fiscalYearStartMonth);
+
+        try {
+            const response = await ApiClient.reservePONumber({
+                pattern: scheme.pattern,
+                prefix: scheme.prefix,
+                siteCode: scheme.siteCode,
+                fiscalYear: fiscalYear,
+                sequencePadding: scheme.sequencePadding
+            });
+            const poNumber = response?.po_number;
+            if (poNumber && !this.isIssued(poNumber)) {
+                this.recordIssued({
+                    po_number: poNumber,
+                    source: 'backend',
+                    fiscal_year: fiscalYear,
+                    rfq_id: context.rfqId || null,
+                    material_code: context.materialCode || null
+                });
+                return poNumber;
+            }
+            if (poNumber) {
+                console.warn(`Backend returned already-issued PO number ${poNumber}, issuing locally`);
+            }
+        } catch (error) {
+            console.warn('Could not reserve PO number from backend, issuing locally:', error.message);
+        }
+
+        return this.issueLocalNumber(scheme, fiscalYear, context);
+    },
+
+    /**
+     * Next local sequence for a fiscal year and site
+     */
+    getNextLocalSequence(ledger, scheme, fiscalYear) {
+        return ledger
+            .filter(e => e.source === 'local' && e.fiscal_year === fiscalYear && e.site_code === scheme.siteCode)
+            .reduce((max, e) => Math.max(max, e.sequence || 0), 0) + 1;
+    },
+
+    /**
+     * Issue a local number: next sequence for this fiscal year and site,
+     * namespaced with the client ID and checked against the ledger
+     */
+    issueLocalNumber(scheme, fiscalYear, context = {}) {
+        const clientId = this.getClientId();
+        const ledger = this.getLedger();
+        let sequence = this.getNextLocalSequence(ledger, scheme, fiscalYear);
+        let poNumber = this.formatNumber(scheme, sequence, { fiscalYear, clientId });
+
+        // Skip anything already in the ledger (e.g. after a pattern change)
+        while (ledger.some(e => e.po_number === poNumber)) {
+            sequence++;
+            poNumber = this.formatNumber(scheme, sequence, { fiscalYear, clientId });
+        }
+
+        this.recordIssued({
+            po_number: poNumber,
+            source: 'local',
+            fiscal_year: fiscalYear,
+            site_code: scheme.siteCode,
+            sequence: sequence,
+            rfq_id: context.rfqId || null,
+            material_code: context.materialCode || null
+        });
+        return poNumber;
+    }
+};
@@ -0,0 +1,129 @@
+/**
+ * Portfolio Service
+ * Per-material pipeline status for the portfolio dashboard: RFQs sent, replies
+ * and quotes from the material's folders, best price and recommendation from
+ * its quotes, and the award state from local PO and approval records
+ */
+const PortfolioService = {
+    STAGES: {
+        not_started: { label: 'No RFQs sent', order: 0 },
+        awaiting_replies: { label: 'Awaiting replies', order: 1 },
+        quotes_received: { label: 'Quotes received', order: 2 },
+        awaiting_approval: { label: 'Awaiting approval', order: 3 },
+        awarded: { label: 'Awarded', order: 4 }
+    },
+
+    /**
+     * Material subfolders that hold supplier replies (quotes, questions and countered quotes)
+     */
+    getReplyFolderNames() {
+        return [
+            Config.FOLDERS.QUOTES,
+            Config.FOLDERS.NEGOTIATION,
+            Config.FOLDERS.CLARIFICATION_REQUESTS,
+            Config.FOLDERS.AWAITING_CLARIFICATION,
+            Config.FOLDERS.AWAITING_ENGINEER
+        ].map(name => name.toLowerCase());
+    },
+
+    /**
+     * Build a material's row from its subfolders (see FolderManagement.listMaterialFolders)
+     * Quote columns stay empty until applyQuotes is called.
+     */
+    buildRow(materialCode, subfolders) {
+        const count = (names) => subfolders
+            .filter(f => names.includes((f.displayName || '').toLowerCase()))
+            .reduce((sum, f) => sum + (f.totalItemCount || 0), 0);
+        const quoteFolders = [Config.FOLDERS.QUOTES, Config.FOLDERS.NEGOTIATION].map(name => name.toLowerCase());
+
+        const row = {
+            material_code: materialCode,
+            rfqs_sent: count([Config.FOLDERS.SENT_RFQS.toLowerCase()]),
+            replies: count(this.getReplyFolderNames()),
+            quote_emails: count(quoteFolders),
+            quotes_received: null,
+            best_price: null,
+            recommended: null,
+            quotes_loaded: false,
+            error: null,
+            ...this.getAwardStatus(materialCode)
+        };
+        row.stage = this.getStage(row);
+        return row;
+    },
+
+    /**
+     * Fill in the quote columns
+     * @param {Object} row - Row from buildRow
+     * @param {Array} quotes - The material's quotes, priced at the PR quantity
+     * @param {Object|null} recommendation - See calculateRecommendedQuote
+     */
+    applyQuotes(row, quotes, recommendation) {
+        row.quotes_received = quotes.length;
+        row.best_price = null;
+        quotes.forEach(quote => {
+            const comparable = CurrencyService.getComparablePrice(quote);
+            if (comparable === null) return;
+            if (!row.best_price || comparable < row.best_price.base_amount) {
+                row.best_price = {
+                    amount: parseFloat(quote.unit_price) || parseFloat(quote.total_price) || parseFloat(quote.price),
+                    currency: quote.currency || CurrencyService.getBaseCurrency(),
+                    base_amount: comparable,
+                    supplier: quote.supplier_name || quote.supplier_email
+                };
+            }
+        });
+        row.recommended = recommendation
+            ? {
+                supplier: recommendation.quote.supplier_name || recommendation.quote.supplier_email,
+                reason: recommendation.reason
+            }
+            : null;
+        row.quotes_loaded = true;
+        row.stage = this.getStage(row);
+        return row;
+    },
+
+    /**
+     * Award state from the POs and approvals recorded for a material
+     * @returns {Object} {awarded, po_numbers, approval_status}
+     */
+    getAwardStatus(materialCode) {
+        const code = materialCode.toUpperCase();
+        const poNumbers = Object.values(PurchaseOrderService.getPurchaseOrders())
+            .filter(po => (po.material_code || '').toUpperCase() === code)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+            .map(po => po.po_number);
+        const latestApproval = Object.values(ApprovalService.getAll())
+            .filter(a => (a.material_code || '').toUpperCase() === code)
+            .sort((a, b) => new Date(b.requested_at) - new Date(a.requested_at))[0];
+
+        return {
+            awarded: poNumbers.length > 0,
+            po_numbers: poNumbers,
+            approval_status: latestApproval ? latestApproval.status : null
+        };
+    },
+
+    /**
+     * Furthest pipeline stage a material has reached
+     */
+    getStage(row) {
+        if (row.awarded) return 'awarded';
+        if (row.approval_status === 'pending') return 'awaiting_approval';
+        if ((row.quotes_received ?? row.quote_emails) > 0) return 'quotes_received';
+        if (row.rfqs_sent > 0) return 'awaiting_replies';
+        return 'not_started';
+    },
+
+    /**
+     * Number of materials at each stage
+     */
+    summarize(rows) {
+        const summary = { total: rows.length };
+        Object.keys(this.STAGES).forEach(stage => {
+            summary[stage] = rows.filter(r => r.stage === stage).length;
+        });
+        return summary;
+    }
+};
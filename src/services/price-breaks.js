@@ -0,0 +1,110 @@
+/**
+ * Price Break Service
+ * Extracts tiered / volume-break pricing ("100 pcs @ $12, 500 pcs @ $10.50")
+ * from quote text and prices quotes at a given order quantity
+ */
+const PriceBreakService = {
+    // Quantity units suppliers commonly write after the quantity
+    UNIT_PATTERN: '(?:pcs?|pieces?|units?|ea|each|nos?|items?|off|sets?|kgs?|lbs?|m|meters?|metres?|ft|feet)\\.?',
+
+    /**
+     * Extract quantity breaks from plain text
+     * Recognised forms include:
+     *   "100 pcs @ $12.00", "500+ units: €10.50", "100-499 pcs - $12",
+     *   "Qty 1000: 9.75 USD", "$12.00 for 100 pcs", "$12/unit for 100+ units"
+     * @param {string} text - Plain text (HTML stripped)
+     * @param {string} defaultCurrency - Currency for breaks that don't state one
+     * @returns {Array} [{min_quantity, max_quantity, unit_price, currency}] sorted by min_quantity
+     */
+    extract(text, defaultCurrency = null) {
+        if (!text) return [];
+
+        const token = CurrencyService.TOKEN_PATTERN;
+        const unit = this.UNIT_PATTERN;
+        const qty = '(\\d[\\d,]*)(?:\\s*(?:-|to)\\s*(\\d[\\d,]*)|\\s*\\+|\\s*(?:or|and)\\s*(?:more|above|over))?';
+        const price = `(${token})?\\s*(\\d[\\d.,]*\\d|\\d)\\s*(${token})?(?:\\s*(?:/|per)\\s*(?:unit|pc|piece|ea|each))?`;
+
+        const patterns = [
+            // Quantity first: "[Qty] 100[-499] pcs @ $12" / "100+ units: $12" / "100 pcs - 12 USD"
+            {
+                re: new RegExp(`(qty|quantity|moq)?[:\\s]*${qty}\\s*(${unit})?\\s*(@|at|:|=|-|–)\\s*${price}`, 'gi'),
+                map: (m) => ({ min: m[2], max: m[3], pre: m[6], amount: m[7], post: m[8], hasUnit: !!(m[1] || m[4] || m[5] === '@') })
+            },
+            // Price first: "$12.00 for 100 pcs" / "$10.50/unit for 500+ units"
+            {
+                re: new RegExp(`${price}\\s*(?:for|at|@)\\s*(?:orders?\\s*of\\s*)?${qty}\\s*${unit}`, 'gi'),
+                map: (m) => ({ pre: m[1], amount: m[2], post: m[3], min: m[4], max: m[5], hasUnit: true })
+            }
+        ];
+
+        const breaks = [];
+        patterns.forEach(({ re, map }) => {
+            let match;
+            while ((match = re.exec(text)) !== null) {
+                const parts = map(match);
+                const minQuantity = parseInt(String(parts.min).replace(/,/g, ''));
+                const currency = CurrencyService.codeFromToken(parts.pre || parts.post);
+                const unitPrice = CurrencyService.parseAmount(parts.amount, currency || defaultCurrency);
+
+                // A break needs a quantity, a price and some sign it is a price (currency or unit word)
+                if (!(minQuantity > 0) || !(unitPrice > 0)) continue;
+                if (!currency && !parts.hasUnit) continue;
+                if (breaks.some(b => b.min_quantity === minQuantity)) continue;
+
+                breaks.push({
+                    min_quantity: minQuantity,
+                    max_quantity: parts.max ? parseInt(String(parts.max).replace(/,/g, '')) : null,
+                    unit_price: unitPrice,
+                    currency: currency || defaultCurrency || CurrencyService.getBaseCurrency()
+                });
+            }
+        });
+
+        // A single "break" is just a unit price, not tiered pricing
+        return breaks.length > 1 ? breaks.sort((a, b) => a.min_quantity - b.min_quantity) : [];
+    },
+
+    /**
+     * Find the break that applies to a quantity
+     * Quantities below the lowest tier use the lowest tier (flagged below_minimum).
+     * @returns {Object|null} {break, below_minimum}
+     */
+    findBreak(priceBreaks, quantity) {
+        if (!priceBreaks || priceBreaks.length === 0 || !(quantity > 0)) return null;
+        const sorted = [...priceBreaks].sort((a, b) => a.min_quantity - b.min_quantity);
+        const applicable = sorted.filter(b => b.min_quantity <= quantity);
+        if (applicable.length === 0) {
+            return { break: sorted[0], below_minimum: true };
+        }
+        return { break: applicable[applicable.length - 1], below_minimum: false };
+    },
+
+    /**
+     * Price a quote at an order quantity
+     * Returns a copy of the quote whose unit_price/total_price apply to that quantity,
+     * so sorting, scoring and exports work unchanged. Quotes without breaks keep
+     * their quoted unit price.
+     * @param {Object} quote - Quote (may carry price_breaks)
+     * @param {number} quantity - Order quantity
+     * @returns {Object} Priced quote with evaluated_quantity and price_break_applied
+     */
+    priceAtQuantity(quote, quantity) {
+        if (!(quantity > 0)) return quote;
+
+        const match = this.findBreak(quote.price_breaks, quantity);
+        const quotedUnitPrice = quote.quoted_unit_price ?? quote.unit_price;
+        const unitPrice = match ? match.break.unit_price : parseFloat(quotedUnitPrice);
+
+        return {
+            ...quote,
+            quoted_unit_price: quotedUnitPrice,
+            unit_price: isNaN(unitPrice) ? quote.unit_price : unitPrice,
+            total_price: isNaN(unitPrice) ? quote.total_price : Math.round(unitPrice * quantity * 100) / 100,
+            currency: match ? match.break.currency : quote.currency,
+            quantity: quantity,
+            evaluated_quantity: quantity,
+            price_break_applied: match ? match.break : null,
+            below_minimum_quantity: match ? match.below_minimum : false
+        };
+    }
+};
@@ -0,0 +1,319 @@
+/**
+ * Purchase Order Service
+ * Creates purchase orders for accepted quotes, renders the PO document,
+ * sends the award email to the supplier and keeps a local record of issued POs
+ */
+const PurchaseOrderService = {
+    /**
+     * Build the PO record for an accepted quote
+     * @param {Object} quote - Accepted quote
+     * @param {Object} context - {pr, rfqId, materialCode, supplierId, approvalReference}
+     * @param {string} poNumber - PO number
+     * @returns {Object} Purchase order record
+     */
+    buildPurchaseOrder(quote, context, poNumber) {
+        const pr = context.pr || null;
+        // Split awards carry the awarded lines; the header quantity/unit price don't apply
+        const lineItems = quote.line_items && quote.line_items.length > 0 ? quote.line_items : null;
+        const unitPrice = lineItems ? NaN : parseFloat(quote.unit_price);
+        const totalPrice = parseFloat(quote.total_price);
+        const quantity = lineItems ? null : (parseFloat(quote.quantity) || parseFloat(pr?.quantities) || null);
+
+        return {
+            po_number: poNumber,
+            status: 'created',
+            created_at: new Date().toISOString(),
+            created_by: AuthService.getUser()?.email || null,
+            rfq_id: context.rfqId || null,
+            pr_id: pr?.pr_id || null,
+            material_code: context.materialCode || null,
+            material_description: pr?.description || pr?.material || null,
+            supplier: {
+                supplier_id: context.supplierId || null,
+                name: quote.supplier_name || quote.supplier || 'Supplier',
+                email: quote.supplier_email || null
+            },
+            quantity: quantity,
+            unit: pr?.unit || null,
+            unit_price: isNaN(unitPrice) ? null : unitPrice,
+            total_price: isNaN(totalPrice)
+                ? (!isNaN(unitPrice) && quantity ? unitPrice * quantity : null)
+                : totalPrice,
+            currency: quote.currency || 'USD',
+            line_items: lineItems,
+            lead_time: quote.lead_time || quote.delivery_time || null,
+            payment_terms: quote.payment_terms || null,
+            quote_email_id: quote.email_id || null,
+            approval_reference: context.approvalReference || null,
+            award_email_sent: false
+        };
+    },
+
+    /**
+     * Render the PO document as a standalone HTML file
+     * @param {Object} po - Purchase order record
+     * @returns {string} HTML document
+     */
+    generatePODocument(po) {
+        const esc = (value) => Helpers.escapeHtml(value == null ? '' : String(value));
+        const money = (value, currency = po.currency) => value != null ? Helpers.formatCurrency(value, currency || po.currency) : '-';
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Purchase Order ${esc(po.po_number)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; padding: 24px; font-size: 12px; color: #323130; }
+        h1 { color: #0d3d61; font-size: 22px; margin-bottom: 4px; }
+        .meta p { margin: 3px 0; }
+        table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+        th { background-color: #0d3d61; color: white; }
+        .terms { margin-top: 16px; }
+    </style>
+</head>
+<body>
+    <h1>Purchase Order ${esc(po.po_number)}</h1>
+    <div class="meta">
+        <p><strong>Date:</strong> ${esc(Helpers.formatDate(po.created_at))}</p>
+        <p><strong>Supplier:</strong> ${esc(po.supplier.name)}${po.supplier.email ? ` &lt;${esc(po.supplier.email)}&gt;` : ''}</p>
+        ${po.pr_id ? `<p><strong>Purchase Requisition:</strong> ${esc(po.pr_id)}</p>` : ''}
+        ${po.rfq_id ? `<p><strong>RFQ Reference:</strong> ${esc(po.rfq_id)}</p>` : ''}
+    </div>
+    <table>
+        <thead>
+            <tr>
+                <th>Material</th>
+                <th>Description</th>
+                <th>Quantity</th>
+                <th>Unit Price</th>
+                <th>Total</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${po.line_items ? po.line_items.map(item => `
+            <tr>
+                <td>${esc(item.part_number || po.material_code || '-')}</td>
+                <td>${esc(item.description || '-')}</td>
+                <td>${item.quantity != null ? esc(item.quantity) : '-'}</td>
+                <td>${money(item.unit_price, item.currency)}</td>
+                <td>${money(item.extended_price, item.currency)}</td>
+            </tr>`).join('') : `
+            <tr>
+                <td>${esc(po.material_code || '-')}</td>
+                <td>${esc(po.material_description || '-')}</td>
+                <td>${po.quantity != null ? esc(po.quantity) + (po.unit ? ' ' + esc(po.unit) : '') : '-'}</td>
+                <td>${money(po.unit_price)}</td>
+                <td>${money(po.total_price)}</td>
+            </tr>`}
+        </tbody>
+        ${po.line_items ? `
+        <tfoot>
+            <tr>
+                <td colspan="4"><strong>Total</strong></td>
+                <td><strong>${money(po.total_price)}</strong></td>
+            </tr>
+        </tfoot>` : ''}
+    </table>
+    <div class="terms">
+        <p><strong>Delivery:</strong> ${esc(po.lead_time || 'As quoted')}</p>
+        <p><strong>Payment Terms:</strong> ${esc(po.payment_terms || 'As quoted')}</p>
+        <p>Please reference PO number ${esc(po.po_number)} on all shipping documents and invoices.</p>
+    </div>
+</body>
+</html>`;
+    },
+
+    /**
+     * Build the award email body sent to the supplier
+     */
+    buildAwardEmailBody(po) {
+        const esc = (value) => Helpers.escapeHtml(value == null ? '' : String(value));
+        return `
+            <p>Dear ${esc(po.supplier.name)},</p>
+            <p>We are pleased to inform you that your quotation${po.material_code ? ` for ${esc(po.material_code)}` : ''} has been accepted.</p>
+            <p>Please find attached Purchase Order <strong>${esc(po.po_number)}</strong>${po.total_price != null ? ` for a total of <strong>${Helpers.formatCurrency(po.total_price, po.currency)}</strong>` : ''}.</p>
+            <p>Kindly confirm receipt of this order and the expected delivery date.</p>
+            <p>Best regards,<br>Procurement Team</p>
+        `;
+    },
+
+    /**
+     * Create a PO for an accepted quote: register it with the backend,
+     * send the award email with the PO document attached and record it locally
+     * @param {Object} quote - Accepted quote
+     * @param {Object} context - {pr, rfqId, materialCode, supplierId}
+     * @returns {Promise<Object>} {po, emailSent, emailError}
+     */
+    async createPurchaseOrder(quote, context = {}) {
+        if (!quote) {
+            throw new Error('No quote provided');
+        }
+        const existing = this.findForQuote(quote, context);
+        if (existing) {
+            throw new Error(`PO ${existing.po_number} was already issued to ${existing.supplier.name} for this quote on ${Helpers.formatDate(existing.created_at)}`);
+        }
+
+        const reservedNumber = await PONumberingService.reserveNumber({
+            rfqId: context.rfqId,
+            materialCode: context.materialCode
+        });
+        const po = this.buildPurchaseOrder(quote, context, reservedNumber);
+
+        // The backend is the system of record - do not report a PO it did not create
+        let created;
+        try {
+            created = await ApiClient.createPurchaseOrder({
+                poNumber: po.po_number,
+                quote: quote,
+                pr: context.pr,
+                supplier: po.supplier,
+                rfqId: po.rfq_id,
+                materialCode: po.material_code
+            });
+        } catch (error) {
+            // Keep the number in the ledger so it is never issued again
+            PONumberingService.updateStatus(reservedNumber, 'void', { reason: error.message });
+            throw error;
+        }
+
+        if (created && created.po_number && created.po_number !== reservedNumber) {
+            // Backend assigned its own number - void ours and record theirs
+            PONumberingService.updateStatus(reservedNumber, 'void', { reason: `Replaced by ${created.po_number}` });
+            if (!PONumberingService.isIssued(created.po_number)) {
+                PONumberingService.recordIssued({
+                    po_number: created.po_number,
+                    source: 'backend',
+                    rfq_id: po.rfq_id,
+                    material_code: po.material_code
+                });
+            }
+            po.po_number = created.po_number;
+        }
+        PONumberingService.updateStatus(po.po_number, 'used', { supplier_name: po.supplier.name });
+        po.status = created?.status || 'created';
+        this.savePurchaseOrder(po);
+
+        let emailError = null;
+        if (po.supplier.email) {
+            try {
+                const documentHtml = this.generatePODocument(po);
+                await EmailOperations.sendEmail({
+                    to: [{ address: po.supplier.email, name: po.supplier.name }],
+                    subject: `Purchase Order ${po.po_number}${po.material_code ? ` - ${po.material_code}` : ''}`,
+                    body: this.buildAwardEmailBody(po),
+                    attachments: [{
+                        name: `${po.po_number}.html`,
+                        contentType: 'text/html',
+                        contentBytes: Helpers.textToBase64(documentHtml)
+                    }]
+                });
+                po.award_email_sent = true;
+                po.status = 'sent';
+                po.sent_at = new Date().toISOString();
+            } catch (error) {
+                console.error('Failed to send PO award email:', error);
+                emailError = error.message;
+            }
+        } else {
+            emailError = 'No supplier email address available';
+        }
+
+        this.savePurchaseOrder(po);
+        return { po: po, emailSent: po.award_email_sent, emailError: emailError };
+    },
+
+    // ==================== PO RECORDS ====================
+
+    /**
+     * Get all locally recorded POs keyed by PO number
+     */
+    getPurchaseOrders() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.PURCHASE_ORDERS);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading purchase orders:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Save (insert or update) a PO record
+     */
+    savePurchaseOrder(po) {
+        try {
+            const orders = this.getPurchaseOrders();
+            orders[po.po_number] = po;
+            localStorage.setItem(Config.STORAGE_KEYS.PURCHASE_ORDERS, JSON.stringify(orders));
+        } catch (error) {
+            console.error('Error saving purchase order:', error);
+        }
+    },
+
+    /**
+     * Look up a PO by number
+     */
+    getPurchaseOrder(poNumber) {
+        return this.getPurchaseOrders()[poNumber] || null;
+    },
+
+    /**
+     * Find the most recent PO issued against an RFQ (or material code)
+     * @param {string} rfqId - RFQ ID or material code
+     * @param {string} supplierEmail - Only POs to this supplier (optional)
+     */
+    getPurchaseOrderForRfq(rfqId, supplierEmail = null) {
+        if (!rfqId) return null;
+        const supplier = (supplierEmail || '').toLowerCase();
+        const matches = Object.values(this.getPurchaseOrders())
+            .filter(po => po.rfq_id === rfqId || po.material_code === rfqId)
+            .filter(po => !supplier || (po.supplier?.email || '').toLowerCase() === supplier)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        return matches[0] || null;
+    },
+
+    /**
+     * PO already issued for a quote: one created from the same email, or one to
+     * the same supplier for the same RFQ
+     * @param {Object} quote - Quote (email_id, supplier_email)
+     * @param {Object} context - {rfqId, materialCode}
+     * @returns {Object|null} The PO record
+     */
+    findForQuote(quote, context = {}) {
+        if (quote.email_id) {
+            const fromEmail = Object.values(this.getPurchaseOrders()).find(po => po.quote_email_id === quote.email_id);
+            if (fromEmail) return fromEmail;
+        }
+        if (!quote.supplier_email) return null;
+        return this.getPurchaseOrderForRfq(context.rfqId, quote.supplier_email) ||
+            this.getPurchaseOrderForRfq(context.materialCode, quote.supplier_email);
+    },
+
+    /**
+     * Point POs created from a quote email at the email's new ID after a move
+     */
+    rekeyQuoteEmail(oldId, newId) {
+        Object.values(this.getPurchaseOrders())
+            .filter(po => po.quote_email_id === oldId)
+            .forEach(po => this.savePurchaseOrder({ ...po, quote_email_id: newId }));
+    },
+
+    /**
+     * Refresh a PO record with its status from the backend
+     * The local record is returned unchanged when the backend cannot be reached.
+     */
+    async refreshPurchaseOrder(po) {
+        try {
+            const remote = await ApiClient.getPurchaseOrder(po.po_number);
+            if (remote && remote.status && remote.status !== po.status) {
+                po.status = remote.status;
+                this.savePurchaseOrder(po);
+            }
+        } catch (error) {
+            console.warn(`Could not refresh PO ${po.po_number} from backend:`, error.message);
+        }
+        return po;
+    }
+};
@@ -0,0 +1,377 @@
+/**
+ * Quote Attachment Service
+ * Reads quotes that suppliers send as PDF, XLSX or CSV attachments: fetches the
+ * file attachments through Graph, extracts their text/tables in the browser and
+ * merges the parsed fields into a quote, recording which attachment each came from
+ */
+const QuoteAttachmentService = {
+    // Parsing libraries, loaded on first use so the add-in starts without them
+    // Exact npm versions with SRI hashes, so the browser refuses any other file.
+    // The hashes are sha384 of the files in the npm tarballs - update them with the version.
+    // xlsx 0.20.x is not on the npm registry; @e965/xlsx republishes the SheetJS release unchanged.
+    LIBRARIES: {
+        pdfjs: {
+            url: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js',
+            integrity: 'sha384-/1qUCSGwTur9vjf/z9lmu/eCUYbpOTgSjmpbMQZ1/CtX2v/WcAIKqRv+U1DUCG6e',
+            worker: {
+                url: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js',
+                integrity: 'sha384-SnzOobpRMLXZ52iJvZm/C0fYw0OQemTXzTjIsdsfMcrCtCEe9qgzxTd3RSklO5x2'
+            },
+            global: 'pdfjsLib'
+        },
+        xlsx: {
+            url: 'https://cdn.jsdelivr.net/npm/@e965/xlsx@0.20.3/dist/xlsx.full.min.js',
+            integrity: 'sha384-EnyY0/GSHQGSxSgMwaIPzSESbqoOLSexfnSMN2AP+39Ckmn92stwABZynq1JyzdT',
+            global: 'XLSX'
+        }
+    },
+
+    // Larger files are skipped (Graph returns attachments base64-encoded in JSON)
+    MAX_ATTACHMENT_BYTES: 10 * 1024 * 1024,
+
+    // Quote fields that can be filled from an attachment, with the quote aliases kept in sync
+    FIELDS: {
+        unit_price: ['price'],
+        total_price: [],
+        lead_time: ['delivery_time'],
+        validity: ['validity_period'],
+        payment_terms: [],
+        price_breaks: [],
+        line_items: []
+    },
+
+    // Loaded library promises and extracted attachments per message ID
+    libraryPromises: {},
+    cache: new Map(),
+
+    /**
+     * Detect the attachment type from its content type or file name
+     * @returns {string|null} 'pdf', 'spreadsheet', 'csv' or null if unsupported
+     */
+    getType(attachment) {
+        const name = (attachment.name || '').toLowerCase();
+        const contentType = (attachment.contentType || '').toLowerCase();
+        if (contentType === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+        if (contentType === 'text/csv' || name.endsWith('.csv')) return 'csv';
+        if (contentType.includes('spreadsheetml') || contentType === 'application/vnd.ms-excel' ||
+            name.endsWith('.xlsx') || name.endsWith('.xls')) {
+            return 'spreadsheet';
+        }
+        return null;
+    },
+
+    /**
+     * Whether a quote parsed from the body still lacks a confident price, e.g. "please find attached"
+     */
+    needsAttachmentData(quote) {
+        const confident = (field) => (quote.field_confidence?.[field]?.confidence ?? 1) >= QuoteExtractionService.ACCEPT_CONFIDENCE;
+        const hasPrice = (parseFloat(quote.unit_price) > 0 && confident('unit_price')) ||
+            (parseFloat(quote.total_price) > 0 && confident('total_price'));
+        return !hasPrice && !(quote.line_items && quote.line_items.length > 0);
+    },
+
+    // ==================== GRAPH ====================
+
+    /**
+     * List the readable quote attachments of a message (inline images and unsupported files are skipped)
+     */
+    async listQuoteAttachments(messageId) {
+        const response = await AuthService.graphRequest(
+            `/me/messages/${messageId}/attachments?$select=id,name,contentType,size,isInline`
+        );
+        return (response?.value || []).filter(attachment =>
+            attachment['@odata.type'] === '#microsoft.graph.fileAttachment' &&
+            !attachment.isInline &&
+            this.getType(attachment) !== null &&
+            (attachment.size || 0) <= this.MAX_ATTACHMENT_BYTES
+        );
+    },
+
+    /**
+     * Download an attachment's content
+     * @returns {Promise<Uint8Array>}
+     */
+    async getAttachmentBytes(messageId, attachmentId) {
+        const attachment = await AuthService.graphRequest(`/me/messages/${messageId}/attachments/${attachmentId}`);
+        if (!attachment?.contentBytes) {
+            throw new Error('Attachment has no content');
+        }
+        const binary = atob(attachment.contentBytes);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    // ==================== TEXT EXTRACTION ====================
+
+    /**
+     * Load a parsing library from the CDN (once), checked against its SRI hash
+     */
+    loadLibrary(name) {
+        const library = this.LIBRARIES[name];
+        if (window[library.global]) return Promise.resolve(window[library.global]);
+        if (!this.libraryPromises[name]) {
+            this.libraryPromises[name] = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = library.url;
+                script.integrity = library.integrity;
+                script.crossOrigin = 'anonymous';
+                script.onload = () => {
+                    const lib = window[library.global];
+                    if (!lib) {
+                        reject(new Error(`${name} did not load`));
+                        return;
+                    }
+                    if (!library.worker) {
+                        resolve(lib);
+                        return;
+                    }
+                    this.loadWorker(library.worker).then(workerSrc => {
+                        lib.GlobalWorkerOptions.workerSrc = workerSrc;
+                        resolve(lib);
+                    }, error => {
+                        delete this.libraryPromises[name];
+                        reject(error);
+                    });
+                };
+                script.onerror = () => {
+                    delete this.libraryPromises[name];
+                    reject(new Error(`Could not load ${name} from ${library.url}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.libraryPromises[name];
+    },
+
+    /**
+     * Fetch a worker script checked against its SRI hash
+     * Workers cannot take an integrity attribute, so the verified file is served from a blob URL.
+     * @returns {Promise<string>} Blob URL of the worker
+     */
+    async loadWorker(worker) {
+        const response = await fetch(worker.url, { integrity: worker.integrity, mode: 'cors' });
+        if (!response.ok) {
+            throw new Error(`Could not load worker from ${worker.url}`);
+        }
+        return URL.createObjectURL(await response.blob());
+    },
+
+    /**
+     * Extract text from a PDF, one line per text row
+     * Wide gaps between words become tabs so tables read as tab-delimited rows.
+     */
+    async extractPdfText(bytes) {
+        const pdfjs = await this.loadLibrary('pdfjs');
+        const pdf = await pdfjs.getDocument({ data: bytes }).promise;
+        const pages = [];
+
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+
+            // Group text items into rows by their baseline
+            const rows = new Map();
+            content.items.forEach(item => {
+                if (!item.str || !item.str.trim()) return;
+                const y = Math.round(item.transform[5]);
+                const key = [...rows.keys()].find(k => Math.abs(k - y) <= 2) ?? y;
+                if (!rows.has(key)) rows.set(key, []);
+                rows.get(key).push(item);
+            });
+
+            const lines = [...rows.entries()]
+                .sort((a, b) => b[0] - a[0])
+                .map(([, items]) => {
+                    items.sort((a, b) => a.transform[4] - b.transform[4]);
+                    let line = '';
+                    let previousEnd = null;
+                    items.forEach(item => {
+                        const x = item.transform[4];
+                        const fontSize = Math.abs(item.transform[3]) || 10;
+                        if (previousEnd !== null) {
+                            line += x - previousEnd > fontSize * 1.5 ? '\t' : ' ';
+                        }
+                        line += item.str.trim();
+                        previousEnd = x + item.width;
+                    });
+                    return line;
+                });
+            pages.push(lines.join('\n'));
+        }
+
+        return { text: pages.join('\n'), rows: null };
+    },
+
+    /**
+     * Extract all sheets of an XLSX/XLS workbook as rows of cells
+     */
+    async extractSpreadsheetRows(bytes) {
+        const XLSX = await this.loadLibrary('xlsx');
+        const workbook = XLSX.read(bytes, { type: 'array' });
+        const rows = [];
+        workbook.SheetNames.forEach(sheetName => {
+            const sheetRows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+                header: 1,
+                raw: false,
+                blankrows: false,
+                defval: ''
+            });
+            rows.push(...sheetRows.map(row => row.map(cell => String(cell).trim())));
+        });
+        return this.fromRows(rows);
+    },
+
+    /**
+     * Parse CSV text into rows of cells (quoted fields may contain commas, quotes and newlines)
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const delimiter = (text.split('\n')[0].match(/;/g) || []).length > (text.split('\n')[0].match(/,/g) || []).length ? ';' : ',';
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                if (row.some(c => c !== '')) rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell.trim());
+        if (row.some(c => c !== '')) rows.push(row);
+        return rows;
+    },
+
+    /**
+     * Text (tab-separated cells, for labelled fields) plus the rows themselves (for line item tables)
+     */
+    fromRows(rows) {
+        return {
+            text: rows.map(cells => cells.filter(c => c !== '').join('\t')).join('\n'),
+            rows: rows
+        };
+    },
+
+    /**
+     * Extract the text of one attachment
+     * @returns {Promise<Object>} {text, rows} - rows is null for PDFs
+     */
+    async extractAttachment(messageId, attachment) {
+        const bytes = await this.getAttachmentBytes(messageId, attachment.id);
+        switch (this.getType(attachment)) {
+            case 'pdf':
+                return this.extractPdfText(bytes);
+            case 'spreadsheet':
+                return this.extractSpreadsheetRows(bytes);
+            case 'csv':
+                return this.fromRows(this.parseCsv(new TextDecoder('utf-8').decode(bytes)));
+            default:
+                throw new Error(`Unsupported attachment type: ${attachment.name}`);
+        }
+    },
+
+    /**
+     * Extract the text of every readable quote attachment on a message
+     * Attachments that fail are reported instead of failing the whole message.
+     * @param {string} messageId - Graph message ID
+     * @returns {Promise<Object>} {sources: [{attachment_id, name, type, text, rows}], errors: [{name, error}]}
+     */
+    async extractFromMessage(messageId) {
+        if (this.cache.has(messageId)) return this.cache.get(messageId);
+
+        const attachments = await this.listQuoteAttachments(messageId);
+        const sources = [];
+        const errors = [];
+        for (const attachment of attachments) {
+            try {
+                const extracted = await this.extractAttachment(messageId, attachment);
+                if (extracted.text.trim()) {
+                    sources.push({
+                        attachment_id: attachment.id,
+                        name: attachment.name,
+                        type: this.getType(attachment),
+                        text: extracted.text,
+                        rows: extracted.rows
+                    });
+                }
+            } catch (error) {
+                console.error(`Error reading attachment ${attachment.name}:`, error);
+                errors.push({ name: attachment.name, error: error.message });
+            }
+        }
+
+        const result = { sources, errors };
+        this.cache.set(messageId, result);
+        return result;
+    },
+
+    // ==================== MERGING ====================
+
+    /**
+     * Fill a quote's fields from one attachment's parsed fields
+     * A field is taken from the attachment when the body had no value or a less
+     * confident one. Each filled field is recorded in quote.field_sources as
+     * {field: attachment name} and in quote.field_confidence.
+     * @param {Object} quote - Quote (modified in place)
+     * @param {Object} found - {field: {value, confidence}} parsed from the attachment
+     * @param {string} sourceName - Attachment file name
+     * @returns {Array} Fields filled from this attachment
+     */
+    mergeFields(quote, found, sourceName) {
+        const isEmpty = (value) => QuoteExtractionService.isEmpty(value);
+        const filled = [];
+        const hadPrice = !this.needsAttachmentData(quote);
+        quote.field_confidence = quote.field_confidence || {};
+
+        Object.entries(this.FIELDS).forEach(([field, aliases]) => {
+            const entry = found[field];
+            if (!entry || isEmpty(entry.value)) return;
+            const current = quote.field_confidence[field]?.confidence ?? (isEmpty(quote[field]) ? 0 : 1);
+            if (!isEmpty(quote[field]) && current >= entry.confidence) return;
+            quote[field] = entry.value;
+            aliases.forEach(alias => {
+                quote[alias] = entry.value;
+            });
+            quote.field_confidence[field] = { confidence: entry.confidence, strategy: 'attachment' };
+            filled.push(field);
+        });
+
+        // Prices read from the attachment are in the attachment's currency
+        if (!hadPrice && found.currency && filled.some(f => f === 'unit_price' || f === 'total_price' || f === 'line_items')) {
+            quote.currency = found.currency.value;
+            quote.field_confidence.currency = { confidence: found.currency.confidence, strategy: 'attachment' };
+            filled.push('currency');
+        }
+
+        if (filled.length > 0) {
+            quote.field_sources = quote.field_sources || {};
+            filled.forEach(field => {
+                quote.field_sources[field] = sourceName;
+            });
+        }
+        return filled;
+    }
+};
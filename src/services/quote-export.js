@@ -0,0 +1,287 @@
+/**
+ * Quote Export Service
+ * Builds the XLSX quote comparison workbook for procurement sign-off: a summary
+ * sheet with the recommendation and scoring breakdown, a comparison sheet with
+ * base-currency formulas and best price / lead time highlighted, and a detail
+ * sheet per quote
+ */
+const QuoteExportService = {
+    // Cell styles (colors as RRGGBB)
+    STYLES: {
+        title: { bold: true, size: 14, color: '0D3D61' },
+        section: { bold: true, size: 12, color: '0D3D61' },
+        header: { bold: true, color: 'FFFFFF', fill: '0078D4', border: true, wrap: true },
+        label: { bold: true },
+        cell: { border: true },
+        wrap: { wrap: true },
+        best: { bold: true, color: '0B6A0B', fill: 'DFF6DD' }
+    },
+
+    /**
+     * Build the comparison workbook
+     * @param {Array} quotes - Quotes to export (one per supplier thread)
+     * @param {Object|null} recommendation - Result of calculateRecommendedQuote
+     * @param {Object} options - {title, materialCode}
+     * @returns {Object} XlsxWriter workbook
+     */
+    buildWorkbook(quotes, recommendation, options = {}) {
+        const workbook = XlsxWriter.createWorkbook();
+        const summaryRows = [];
+        const comparisonRows = [];
+        XlsxWriter.addSheet(workbook, 'Summary', { rows: summaryRows, columns: [{ width: 26 }, { width: 16 }, { width: 18 }, { width: 12 }, { width: 12 }] });
+        const comparison = {
+            rows: comparisonRows,
+            columns: [{ width: 28 }, { width: 28 }, { width: 10 }, { width: 14 }, { width: 14 }, { width: 12 }, { width: 16 }, { width: 16 },
+                { width: 16 }, { width: 12 }, { width: 18 }, { width: 16 }, { width: 14 }, { width: 14 }, { width: 12 }, { width: 24 }],
+            freezeRows: 1,
+            conditionalFormats: []
+        };
+        XlsxWriter.addSheet(workbook, 'Comparison', comparison);
+
+        // Detail sheets are added first so the comparison can name them
+        const detailNames = quotes.map(quote =>
+            XlsxWriter.addSheet(workbook, quote.supplier_name || quote.supplier_email || 'Quote', this.buildDetailSheet(quote))
+        );
+
+        this.fillComparison(comparison, quotes, recommendation, detailNames);
+        this.fillSummary(summaryRows, quotes, recommendation, options);
+        return workbook;
+    },
+
+    /**
+     * Build the workbook and serialize it
+     * @returns {Blob} XLSX file
+     */
+    toBlob(quotes, recommendation, options = {}) {
+        return XlsxWriter.toBlob(this.buildWorkbook(quotes, recommendation, options));
+    },
+
+    /**
+     * Units of the base currency per unit of a currency
+     * @returns {number|null} null when no exchange rate is known
+     */
+    getRateToBase(currency) {
+        return CurrencyService.convert(1, currency || CurrencyService.getBaseCurrency());
+    },
+
+    // ==================== SHEETS ====================
+
+    fillSummary(rows, quotes, recommendation, options) {
+        const styles = this.STYLES;
+        const baseCurrency = CurrencyService.getBaseCurrency();
+        const rates = CurrencyService.getRates();
+
+        rows.push([{ value: options.title || 'Quote Comparison', style: styles.title }]);
+        rows.push([{ value: 'Material', style: styles.label }, options.materialCode || '']);
+        rows.push([{ value: 'Generated', style: styles.label }, new Date().toLocaleString()]);
+        rows.push([{ value: 'Quotes compared', style: styles.label }, quotes.length]);
+        rows.push([{ value: 'Base currency', style: styles.label },
+            `${baseCurrency} (rates: ${rates.source}${rates.updated_at ? `, ${Helpers.formatDate(rates.updated_at)}` : ''})`]);
+        rows.push([]);
+
+        rows.push([{ value: 'Recommendation', style: styles.section }]);
+        if (!recommendation) {
+            rows.push(['No quote could be recommended (no valid pricing)']);
+            return;
+        }
+
+        const quote = recommendation.quote;
+        const currency = quote.currency || baseCurrency;
+        const unitPrice = parseFloat(quote.unit_price);
+        rows.push([{ value: 'Supplier', style: styles.label }, quote.supplier_name || quote.supplier_email || '']);
+        rows.push([{ value: 'Unit price', style: styles.label },
+            { value: unitPrice, style: { numFmt: XlsxWriter.currencyFormat(currency) } }]);
+        const rate = this.getRateToBase(currency);
+        if (currency !== baseCurrency && rate !== null) {
+            rows.push([{ value: `Unit price (${baseCurrency})`, style: styles.label },
+                { formula: `B${rows.length}*${rate}`, style: { numFmt: XlsxWriter.currencyFormat(baseCurrency) } }]);
+        }
+        rows.push([{ value: 'Lead time', style: styles.label }, quote.lead_time || quote.delivery_time || '']);
+        rows.push([{ value: 'Reason', style: styles.label }, recommendation.reason]);
+        rows.push([{ value: 'Scoring profile', style: styles.label }, recommendation.profile ? recommendation.profile.name : '']);
+        if (recommendation.excludedExpired > 0) {
+            rows.push([{ value: 'Not considered', style: styles.label }, `${recommendation.excludedExpired} expired quote(s)`]);
+        }
+        rows.push([]);
+
+        // Points are formulas so reviewers can see how the score adds up
+        rows.push([{ value: 'Scoring Breakdown', style: styles.section }]);
+        rows.push(['Criterion', 'Value', 'Weight', 'Rating', 'Points'].map(value => ({ value, style: styles.header })));
+        const firstRow = rows.length + 1;
+        recommendation.breakdown.forEach(entry => {
+            const row = rows.length + 1;
+            rows.push([
+                { value: entry.label, style: styles.cell },
+                { value: this.formatCriterionValue(entry, currency), style: styles.cell },
+                { value: entry.weight, style: { ...styles.cell, numFmt: '0%' } },
+                { value: entry.normalized, style: { ...styles.cell, numFmt: '0%' } },
+                { formula: `C${row}*D${row}*100`, style: { ...styles.cell, numFmt: '0.0' } }
+            ]);
+        });
+        const lastRow = rows.length;
+        rows.push([
+            { value: 'Total score', style: { ...styles.cell, bold: true } },
+            { value: '', style: styles.cell },
+            { formula: `SUM(C${firstRow}:C${lastRow})`, style: { ...styles.cell, bold: true, numFmt: '0%' } },
+            { value: '', style: styles.cell },
+            { formula: `SUM(E${firstRow}:E${lastRow})`, style: { ...styles.cell, bold: true, numFmt: '0.0' } }
+        ]);
+    },
+
+    /**
+     * Criterion value as shown in the breakdown (price in the base currency)
+     */
+    formatCriterionValue(entry, currency) {
+        if (entry.value === null) return 'n/a';
+        if (entry.key === 'price') {
+            return Helpers.formatCurrency(entry.value, CurrencyService.getBaseCurrency());
+        }
+        return `${Math.round(entry.value * 100) / 100}${entry.unit === '%' || entry.unit === '/10' ? '' : ' '}${entry.unit}`.trim();
+    },
+
+    fillComparison(sheet, quotes, recommendation, detailNames) {
+        const styles = this.STYLES;
+        const baseCurrency = CurrencyService.getBaseCurrency();
+        const baseFormat = XlsxWriter.currencyFormat(baseCurrency);
+        const rows = sheet.rows;
+
+        rows.push([
+            'Supplier', 'Supplier Email', 'Currency', 'Unit Price', 'Total Price', `Rate to ${baseCurrency}`,
+            `Unit Price (${baseCurrency})`, `Total Price (${baseCurrency})`, 'Lead Time', 'Lead Time (days)',
+            'Payment Terms', 'Validity', 'Expires', 'Quote Date', 'Revision', 'Details Sheet'
+        ].map(value => ({ value, style: styles.header })));
+
+        quotes.forEach((quote, i) => {
+            const row = rows.length + 1;
+            const currency = quote.currency || baseCurrency;
+            const amountFormat = XlsxWriter.currencyFormat(currency);
+            const unitPrice = parseFloat(quote.unit_price) || null;
+            const totalPrice = parseFloat(quote.total_price) || parseFloat(quote.price) || null;
+            const rate = this.getRateToBase(currency);
+            const leadTime = quote.lead_time || quote.delivery_time || '';
+            const status = QuoteValidityService.getStatus(quote);
+            const recommended = recommendation && recommendation.quote.email_id === quote.email_id;
+            const cell = recommended ? { ...styles.cell, bold: true } : styles.cell;
+
+            rows.push([
+                { value: (quote.supplier_name || '') + (recommended ? ' (recommended)' : ''), style: cell },
+                { value: quote.supplier_email || '', style: cell },
+                { value: currency, style: cell },
+                { value: unitPrice, style: { ...cell, numFmt: amountFormat } },
+                { value: totalPrice, style: { ...cell, numFmt: amountFormat } },
+                { value: rate, style: { ...cell, numFmt: '0.0000' } },
+                unitPrice !== null && rate !== null
+                    ? { formula: `D${row}*F${row}`, style: { ...cell, numFmt: baseFormat } }
+                    : { value: '', style: cell },
+                totalPrice !== null && rate !== null
+                    ? { formula: `E${row}*F${row}`, style: { ...cell, numFmt: baseFormat } }
+                    : { value: '', style: cell },
+                { value: leadTime, style: cell },
+                { value: ScoringService.parseDays(leadTime), style: cell },
+                { value: quote.payment_terms || '', style: cell },
+                { value: quote.validity || quote.validity_period || '', style: cell },
+                { value: status ? Helpers.formatDate(status.expires_at) + (status.expired ? ' (expired)' : '') : '', style: cell },
+                { value: quote.quote_date ? Helpers.formatDate(quote.quote_date) : '', style: cell },
+                { value: quote.revision_number || 1, style: cell },
+                { value: detailNames[i], style: cell }
+            ]);
+        });
+
+        const first = 2;
+        const last = rows.length;
+        rows.push([]);
+        rows.push([{ value: 'Lowest', style: styles.label }, '', '', '', '', '',
+            { formula: `MIN(G${first}:G${last})`, style: { bold: true, numFmt: baseFormat } },
+            { formula: `MIN(H${first}:H${last})`, style: { bold: true, numFmt: baseFormat } },
+            '', { formula: `MIN(J${first}:J${last})`, style: styles.label }]);
+        rows.push([{ value: 'Average', style: styles.label }, '', '', '', '', '',
+            { formula: `AVERAGE(G${first}:G${last})`, style: { numFmt: baseFormat } },
+            { formula: `AVERAGE(H${first}:H${last})`, style: { numFmt: baseFormat } },
+            '', { formula: `AVERAGE(J${first}:J${last})`, style: { numFmt: '0.0' } }]);
+
+        // Best price and fastest delivery stay highlighted if reviewers edit the sheet
+        sheet.conditionalFormats.push(
+            { range: `G${first}:G${last}`, type: 'lowest', style: styles.best },
+            { range: `H${first}:H${last}`, type: 'lowest', style: styles.best },
+            { range: `J${first}:J${last}`, type: 'lowest', style: styles.best }
+        );
+    },
+
+    /**
+     * Detail sheet for one quote: extracted fields, price breaks and line items
+     */
+    buildDetailSheet(quote) {
+        const styles = this.STYLES;
+        const baseCurrency = CurrencyService.getBaseCurrency();
+        const currency = quote.currency || baseCurrency;
+        const amountFormat = XlsxWriter.currencyFormat(currency);
+        const rows = [];
+        const field = (label, value, style = null) => {
+            rows.push([{ value: label, style: styles.label }, style ? { value, style } : value]);
+        };
+
+        rows.push([{ value: quote.supplier_name || quote.supplier_email || 'Quote', style: styles.title }]);
+        field('Supplier email', quote.supplier_email || '');
+        field('Subject', quote.email_subject || quote.subject || '');
+        field('Quote date', quote.quote_date ? Helpers.formatDate(quote.quote_date) : '');
+        field('Currency', currency);
+        field('Unit price', parseFloat(quote.unit_price) || null, { numFmt: amountFormat });
+        const unitPriceRow = rows.length;
+        field('Total price', parseFloat(quote.total_price) || parseFloat(quote.price) || null, { numFmt: amountFormat });
+        const rate = this.getRateToBase(currency);
+        if (currency !== baseCurrency && rate !== null && parseFloat(quote.unit_price) > 0) {
+            rows.push([{ value: `Unit price (${baseCurrency})`, style: styles.label },
+                { formula: `B${unitPriceRow}*${rate}`, style: { numFmt: XlsxWriter.currencyFormat(baseCurrency) } }]);
+        }
+        field('Lead time', quote.lead_time || quote.delivery_time || '');
+        field('Payment terms', quote.payment_terms || '');
+        field('Validity', quote.validity || quote.validity_period || '');
+        const status = QuoteValidityService.getStatus(quote);
+        if (status) field('Validity status', QuoteValidityService.describe(status));
+        if ((quote.revisions || []).length > 1) field('Revision', `${quote.revision_number} of ${quote.revisions.length}`);
+        const edited = QuoteExtractionService.getEditedFields(quote);
+        if (edited.length > 0) field('Edited fields', edited.join(', '));
+        if (quote.notes) field('Notes', quote.notes, styles.wrap);
+
+        if ((quote.price_breaks || []).length > 0) {
+            rows.push([]);
+            rows.push([{ value: 'Price Breaks', style: styles.section }]);
+            rows.push(['Min Quantity', 'Max Quantity', 'Unit Price'].map(value => ({ value, style: styles.header })));
+            quote.price_breaks.forEach(priceBreak => {
+                rows.push([
+                    { value: priceBreak.min_quantity, style: styles.cell },
+                    { value: priceBreak.max_quantity ?? '', style: styles.cell },
+                    { value: priceBreak.unit_price, style: { ...styles.cell, numFmt: XlsxWriter.currencyFormat(priceBreak.currency || currency) } }
+                ]);
+            });
+        }
+
+        if ((quote.line_items || []).length > 0) {
+            rows.push([]);
+            rows.push([{ value: 'Line Items', style: styles.section }]);
+            rows.push(['Line', 'Part Number', 'Description', 'Quantity', 'Unit Price', 'Extended'].map(value => ({ value, style: styles.header })));
+            const first = rows.length + 1;
+            quote.line_items.forEach(item => {
+                const row = rows.length + 1;
+                const format = { ...styles.cell, numFmt: XlsxWriter.currencyFormat(item.currency || currency) };
+                rows.push([
+                    { value: item.line, style: styles.cell },
+                    { value: item.part_number || '', style: styles.cell },
+                    { value: item.description || '', style: styles.cell },
+                    { value: item.quantity, style: styles.cell },
+                    { value: item.unit_price, style: format },
+                    item.quantity && item.unit_price !== null
+                        ? { formula: `D${row}*E${row}`, style: format }
+                        : { value: item.extended_price, style: format }
+                ]);
+            });
+            rows.push(['', '', '', '', { value: 'Total', style: styles.label },
+                { formula: `SUM(F${first}:F${rows.length})`, style: { bold: true, numFmt: amountFormat } }]);
+        }
+
+        return {
+            rows: rows,
+            columns: [{ width: 18 }, { width: 30 }, { width: 36 }, { width: 12 }, { width: 14 }, { width: 14 }]
+        };
+    }
+};
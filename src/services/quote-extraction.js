@@ -0,0 +1,414 @@
+/**
+ * Quote Extraction Service
+ * The single quote parsing engine used by quote mode, the comparison modal and
+ * bidder notifications. Runs ordered extraction strategies (backend, structured
+ * text, LLM, manual corrections) and keeps the most confident value per field.
+ */
+const QuoteExtractionService = {
+    // Fields a strategy can provide
+    FIELDS: ['unit_price', 'total_price', 'currency', 'lead_time', 'validity', 'payment_terms', 'price_breaks', 'line_items'],
+
+    // Later strategies are skipped once these fields reach ACCEPT_CONFIDENCE
+    // ('price' is satisfied by unit_price, total_price or line_items). Validity and
+    // payment terms are often not stated at all, so they never trigger the paid LLM call.
+    REQUIRED_FIELDS: ['price', 'lead_time'],
+    ACCEPT_CONFIDENCE: 0.8,
+
+    // Strategies in the order they run
+    STRATEGY_ORDER: ['backend', 'structured', 'llm', 'manual'],
+
+    // How long a failing remote strategy is skipped before it is tried again
+    STRATEGY_COOLDOWN_MS: 5 * 60 * 1000,
+
+    strategies: {
+        backend: {
+            label: 'Backend extraction',
+            // The extract-quote endpoint needs the RFQ the quote answers
+            available: (input) => !!input.emailId && !!input.rfqId,
+            extract: (input) => QuoteExtractionService.extractWithBackend(input)
+        },
+        structured: {
+            label: 'Structured text',
+            available: () => true,
+            extract: (input) => QuoteExtractionService.parseStructured(input.text, input.html)
+        },
+        llm: {
+            label: 'AI extraction',
+            available: (input) => !!Config.OPENAI_API_KEY && !!input.text.trim(),
+            extract: (input) => QuoteExtractionService.extractWithLlm(input)
+        },
+        manual: {
+            label: 'Manual correction',
+            // Corrections always apply, even when earlier strategies were confident
+            always: true,
+            available: (input) => !!input.emailId,
+            extract: (input) => QuoteExtractionService.getManualFields(input.emailId)
+        }
+    },
+
+    // Results per message ID and remote strategies paused after a failure
+    cache: new Map(),
+    pausedUntil: {},
+
+    /**
+     * Extract quote fields from an email
+     * @param {Object} email - Graph message (id, subject, body)
+     * @param {Object} context - {rfqId, supplierId} for the backend strategy (optional)
+     * @returns {Promise<Object>} {values: {field: value}, confidence: {field: {confidence, strategy}}, strategies: [ids run], errors: [{strategy, error}]}
+     */
+    async extract(email, context = {}) {
+        if (email.id && this.cache.has(email.id)) return this.cache.get(email.id);
+
+        const html = email.body?.content || '';
+        const input = {
+            emailId: email.id || null,
+            subject: email.subject || '',
+            html: html,
+            text: Helpers.stripHtml(html),
+            rfqId: context.rfqId || null,
+            supplierId: context.supplierId || null
+        };
+
+        const fields = {};
+        const strategiesRun = [];
+        const errors = [];
+
+        for (const id of this.STRATEGY_ORDER) {
+            const strategy = this.strategies[id];
+            if (!strategy.always && this.isComplete(fields)) continue;
+            if (!strategy.available(input) || (this.pausedUntil[id] || 0) > Date.now()) continue;
+
+            try {
+                const found = await strategy.extract(input);
+                strategiesRun.push(id);
+                this.mergeFields(fields, found, id);
+            } catch (error) {
+                console.warn(`Quote extraction strategy "${id}" failed:`, error.message);
+                errors.push({ strategy: id, error: error.message });
+                if (id === 'backend' || id === 'llm') {
+                    this.pausedUntil[id] = Date.now() + this.STRATEGY_COOLDOWN_MS;
+                }
+            }
+        }
+
+        const values = {};
+        const confidence = {};
+        this.FIELDS.forEach(field => {
+            values[field] = fields[field] ? fields[field].value : (field === 'price_breaks' || field === 'line_items' ? [] : null);
+            if (fields[field]) {
+                confidence[field] = { confidence: fields[field].confidence, strategy: fields[field].strategy };
+            }
+        });
+        if (!values.currency) values.currency = CurrencyService.getBaseCurrency();
+
+        const result = { values, confidence, strategies: strategiesRun, errors };
+        if (input.emailId) this.cache.set(input.emailId, result);
+        return result;
+    },
+
+    /**
+     * Forget a cached result (e.g. after a manual correction)
+     */
+    invalidate(emailId) {
+        this.cache.delete(emailId);
+    },
+
+    /**
+     * Keep the more confident value for each field
+     * @param {Object} fields - Accumulated {field: {value, confidence, strategy}} (modified in place)
+     * @param {Object} found - {field: {value, confidence}} from one strategy
+     */
+    mergeFields(fields, found, strategyId) {
+        Object.entries(found || {}).forEach(([field, entry]) => {
+            if (!this.FIELDS.includes(field) || !entry || this.isEmpty(entry.value)) return;
+            if (!fields[field] || entry.confidence >= fields[field].confidence) {
+                fields[field] = { value: entry.value, confidence: entry.confidence, strategy: strategyId };
+            }
+        });
+    },
+
+    /**
+     * Whether price and lead time are known with enough confidence
+     */
+    isComplete(fields) {
+        const confident = (field) => fields[field] && fields[field].confidence >= this.ACCEPT_CONFIDENCE;
+        return this.REQUIRED_FIELDS.every(field => field === 'price'
+            ? confident('unit_price') || confident('total_price') || confident('line_items')
+            : confident(field));
+    },
+
+    isEmpty(value) {
+        return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    },
+
+    /**
+     * Flatten strategy output to plain values
+     */
+    toValues(found) {
+        const values = {};
+        Object.entries(found).forEach(([field, entry]) => {
+            values[field] = entry.value;
+        });
+        return values;
+    },
+
+    // ==================== STRATEGIES ====================
+
+    /**
+     * Backend extraction (POST /emails/extract-quote)
+     */
+    async extractWithBackend(input) {
+        const result = await ApiClient.extractQuote(input.emailId, input.rfqId, input.supplierId, input.html);
+        const details = result?.extracted_details;
+        if (!details) return {};
+
+        // The backend may report its own confidence (0..1); otherwise trust it slightly more than local regexes
+        const reported = parseFloat(details.confidence);
+        const confidence = reported >= 0 && reported <= 1 ? reported : 0.85;
+        const code = CurrencyService.codeFromToken(details.currency || '');
+        const price = CurrencyService.parseAmount(details.unit_price ?? details.price, code);
+        const total = CurrencyService.parseAmount(details.total_price, code);
+        return {
+            unit_price: { value: price, confidence },
+            total_price: { value: total, confidence },
+            currency: { value: code, confidence },
+            lead_time: { value: details.delivery_time || details.lead_time || null, confidence },
+            validity: { value: details.validity || null, confidence },
+            payment_terms: { value: details.terms || details.payment_terms || null, confidence }
+        };
+    },
+
+    /**
+     * Structured-format extraction with regexes over the plain text
+     * Labelled values ("Unit Price: €12.50") score high; unlabelled guesses score low.
+     * @param {string} text - Plain text
+     * @param {string} html - Original HTML (tables keep their cells for line items); optional
+     * @param {Array} lineItems - Line items already extracted from the same source (skips table parsing)
+     * @returns {Object} {field: {value, confidence}}
+     */
+    parseStructured(text, html = null, lineItems = null) {
+        const found = {};
+        const set = (field, value, confidence) => {
+            if (!this.isEmpty(value) && (!found[field] || confidence > found[field].confidence)) {
+                found[field] = { value, confidence };
+            }
+        };
+        // Value after "Label:" up to the end of the line or the next "Other Label:"
+        const lineAfter = (labelPattern) => {
+            const match = text.match(new RegExp(`\\b(?:${labelPattern})\\s*[:\\t-]\\s*([^\\n\\r\\t]+)`, 'i'));
+            if (!match) return null;
+            const value = match[1].split(/[,;]\s*(?=[A-Za-z][A-Za-z ]{1,30}:)/)[0].trim();
+            return value || null;
+        };
+
+        // Currency: stated next to a price, else assumed
+        const currency = CurrencyService.detectCurrency(text);
+        const statesCurrency = new RegExp(CurrencyService.TOKEN_PATTERN, 'i').test(text);
+        set('currency', currency, statesCurrency ? 0.85 : 0.3);
+
+        // Prices
+        const unit = CurrencyService.matchLabeledAmount(text, 'unit\\s*price|price\\s*per\\s*unit|price\\s*/\\s*unit', currency);
+        if (unit) set('unit_price', unit.amount, 0.9);
+        const total = CurrencyService.matchLabeledAmount(text, 'total\\s*price|total\\s*amount|grand\\s*total', currency);
+        if (total) set('total_price', total.amount, 0.9);
+        if (!unit) {
+            const price = CurrencyService.matchLabeledAmount(text, 'price|cost', currency);
+            if (price) set('unit_price', price.amount, 0.6);
+        }
+        if (!total) {
+            const looseTotal = CurrencyService.matchLabeledAmount(text, 'total', currency);
+            if (looseTotal) set('total_price', looseTotal.amount, 0.6);
+        }
+
+        // Quantity breaks; the lowest tier doubles as the unit price
+        const priceBreaks = PriceBreakService.extract(text, currency);
+        set('price_breaks', priceBreaks, 0.8);
+        if (priceBreaks.length > 0) set('unit_price', priceBreaks[0].unit_price, 0.6);
+
+        // Line items; their sum is the total when none is stated
+        const items = lineItems || LineItemService.extract(html || text, currency);
+        set('line_items', items, 0.8);
+        const lineTotal = LineItemService.getTotal(items);
+        if (lineTotal) set('total_price', lineTotal.total, 0.8);
+
+        // Unlabelled amounts: smallest as unit price, largest as total (low confidence)
+        if (!found.unit_price && !found.total_price) {
+            const amounts = [];
+            const amountPattern = new RegExp(`(${CurrencyService.TOKEN_PATTERN})\\s*(\\d[\\d.,]*)|(\\d[\\d.,]*)\\s*(${CurrencyService.TOKEN_PATTERN})`, 'gi');
+            let match;
+            while ((match = amountPattern.exec(text)) !== null) {
+                const amount = CurrencyService.parseAmount(match[2] || match[3], CurrencyService.codeFromToken(match[1] || match[4]) || currency);
+                if (amount > 0) amounts.push(amount);
+            }
+            if (amounts.length > 0) {
+                set('unit_price', Math.min(...amounts), 0.3);
+                set('total_price', Math.max(...amounts), 0.3);
+            }
+        }
+
+        // Lead time
+        const leadTime = lineAfter('lead\\s*time|delivery\\s*time|delivery');
+        if (leadTime) set('lead_time', leadTime, 0.9);
+        const leadTimeOf = text.match(/(?:lead\s*time|delivery(?:\s*time)?)\s*(?:of|is|will be|in|within)?\s*(\d+(?:\s*(?:-|to)\s*\d+)?\s*(?:business\s*|working\s*)?(?:weeks?|days?|months?))/i);
+        if (leadTimeOf) set('lead_time', leadTimeOf[1].trim(), 0.8);
+        const leadTimePhrase = text.match(/(\d+(?:\s*(?:-|to)\s*\d+)?\s*(?:business\s*|working\s*)?(?:weeks?|days?|months?))\s*(?:lead\s*time|delivery|ARO|after receipt)/i);
+        if (leadTimePhrase) set('lead_time', leadTimePhrase[1].trim(), 0.7);
+
+        // Validity
+        const validity = lineAfter('validity|quote\\s*valid(?:ity)?|valid\\s*until|valid\\s*till');
+        if (validity) set('validity', validity, 0.9);
+        const validFor = text.match(/valid\s*(?:for|until|till|through)\s*:?\s*((?:\d+\s*(?:days?|weeks?|months?))|[^\n\r.]+\d{4})/i);
+        if (validFor) set('validity', validFor[1].trim(), 0.8);
+        const expires = text.match(/expires?\s*(?:in|on)\s*:?\s*([^\n\r.]+)/i);
+        if (expires) set('validity', expires[1].trim(), 0.6);
+
+        // Payment terms
+        const paymentTerms = lineAfter('payment\\s*terms?|payment');
+        if (paymentTerms) set('payment_terms', paymentTerms, 0.9);
+        const net = text.match(/\bnet\s*\d+(?:\s*days)?\b/i);
+        if (net) set('payment_terms', net[0].trim(), 0.7);
+        const terms = lineAfter('terms');
+        if (terms) set('payment_terms', terms, 0.5);
+
+        return found;
+    },
+
+    /**
+     * LLM extraction (OpenAI) for free-form emails
+     */
+    async extractWithLlm(input) {
+        const result = await OpenAIService.extractQuoteFields(input.text, input.subject);
+        const confidence = 0.7;
+        const code = CurrencyService.codeFromToken(result.currency || '');
+        return {
+            unit_price: { value: CurrencyService.parseAmount(result.unit_price, code), confidence },
+            total_price: { value: CurrencyService.parseAmount(result.total_price, code), confidence },
+            currency: { value: code, confidence },
+            lead_time: { value: result.lead_time || null, confidence },
+            validity: { value: result.validity || null, confidence },
+            payment_terms: { value: result.payment_terms || null, confidence }
+        };
+    },
+
+    // ==================== MANUAL CORRECTIONS ====================
+
+    /**
+     * Get the corrected fields stored for a message
+     * @returns {Object} {field: value}
+     */
+    getCorrections(emailId) {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS);
+            const all = stored ? JSON.parse(stored) : {};
+            return all[emailId]?.fields || {};
+        } catch (error) {
+            console.error('Error loading quote corrections:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Save corrected fields for a message
+     * Fields left empty fall back to the extracted value.
+     * @param {string} emailId - Graph message ID
+     * @param {Object} fields - {field: value}
+     * @returns {Object} Stored record {fields, updated_at, synced}
+     */
+    saveCorrections(emailId, fields) {
+        const stored = localStorage.getItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS);
+        const all = stored ? JSON.parse(stored) : {};
+        const merged = { ...(all[emailId]?.fields || {}) };
+        Object.entries(fields).forEach(([field, value]) => {
+            if (!this.FIELDS.includes(field)) return;
+            if (this.isEmpty(value)) {
+                delete merged[field];
+            } else {
+                merged[field] = value;
+            }
+        });
+
+        if (Object.keys(merged).length === 0) {
+            delete all[emailId];
+        } else {
+            all[emailId] = { fields: merged, updated_at: new Date().toISOString(), synced: false };
+        }
+        localStorage.setItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS, JSON.stringify(all));
+        this.invalidate(emailId);
+        return all[emailId] || null;
+    },
+
+    /**
+     * Remove all corrections for a message
+     */
+    clearCorrections(emailId) {
+        const stored = localStorage.getItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS);
+        const all = stored ? JSON.parse(stored) : {};
+        delete all[emailId];
+        localStorage.setItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS, JSON.stringify(all));
+        this.invalidate(emailId);
+    },
+
+    /**
+     * Carry a message's corrections over to its new ID after a move
+     * The backend only knows the old ID, so the record is marked unsynced.
+     * @returns {boolean} Whether there were corrections to carry over
+     */
+    rekeyCorrections(oldId, newId) {
+        const stored = localStorage.getItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS);
+        const all = stored ? JSON.parse(stored) : {};
+        if (!all[oldId]) return false;
+        all[newId] = { ...all[oldId], synced: false };
+        delete all[oldId];
+        localStorage.setItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS, JSON.stringify(all));
+        this.invalidate(oldId);
+        this.invalidate(newId);
+        return true;
+    },
+
+    /**
+     * Push a message's corrections to the backend
+     * Corrections stay local (synced: false) when the backend is unavailable.
+     * @returns {Promise<boolean>} Whether the backend accepted them
+     */
+    async pushCorrections(emailId) {
+        const stored = localStorage.getItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS);
+        const all = stored ? JSON.parse(stored) : {};
+        // No record means the corrections were discarded - push the empty set
+        const record = all[emailId] || null;
+
+        try {
+            await ApiClient.saveQuoteCorrections(emailId, record ? record.fields : {});
+        } catch (error) {
+            console.warn(`Quote corrections for ${emailId} kept locally:`, error.message);
+            return false;
+        }
+
+        // Re-read: the record may have changed while the request was in flight
+        const latest = JSON.parse(localStorage.getItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS) || '{}');
+        if (record && latest[emailId] && latest[emailId].updated_at === record.updated_at) {
+            latest[emailId].synced = true;
+            localStorage.setItem(Config.STORAGE_KEYS.QUOTE_CORRECTIONS, JSON.stringify(latest));
+        }
+        return true;
+    },
+
+    /**
+     * Fields of a quote that come from a manual correction
+     */
+    getEditedFields(quote) {
+        return Object.entries(quote.field_confidence || {})
+            .filter(([, entry]) => entry.strategy === 'manual')
+            .map(([field]) => field);
+    },
+
+    /**
+     * Corrections as strategy output - a user's value is always trusted
+     */
+    getManualFields(emailId) {
+        const found = {};
+        Object.entries(this.getCorrections(emailId)).forEach(([field, value]) => {
+            found[field] = { value, confidence: 1 };
+        });
+        return found;
+    }
+};
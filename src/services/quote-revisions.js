@@ -0,0 +1,123 @@
+/**
+ * Quote Revision Service
+ * Groups the quotes a supplier sends in one conversation into a revision
+ * history: the latest email with a price is the current quote, every email is
+ * kept as a revision with the fields that changed since the previous quote.
+ * Emails without a price (acknowledgments, questions) stay in the history only.
+ */
+const QuoteRevisionService = {
+    // Fields compared between revisions
+    DIFF_FIELDS: [
+        { key: 'unit_price', label: 'Unit Price', numeric: true },
+        { key: 'total_price', label: 'Total Price', numeric: true },
+        { key: 'currency', label: 'Currency' },
+        { key: 'lead_time', label: 'Lead Time' },
+        { key: 'payment_terms', label: 'Payment Terms' },
+        { key: 'validity', label: 'Validity' }
+    ],
+
+    /**
+     * Key identifying one supplier's quote thread
+     * Quotes without a conversation ID are grouped per supplier and material.
+     */
+    groupKey(quote) {
+        const supplier = (quote.supplier_email || quote.supplier_name || '').toLowerCase();
+        if (!supplier) return null;
+        return `${supplier}|${quote.conversation_id || quote.material_code || ''}`;
+    },
+
+    /**
+     * Whether an email actually quotes a price
+     */
+    hasPrice(quote) {
+        return parseFloat(quote.unit_price) > 0 || parseFloat(quote.total_price) > 0 || parseFloat(quote.price) > 0;
+    },
+
+    /**
+     * Collapse revised quotes into their current version
+     * Each returned quote carries is_current, revision_number, and revisions:
+     * the full history oldest first, each entry {email_id, quote_date, revision_number, changes, has_price}.
+     * Entries other than the current quote also keep their email's quote as entry.quote.
+     * A thread without any price falls back to its latest email.
+     * @param {Array} quotes - Quotes in any order
+     * @returns {Array} One quote per supplier thread, in the order of the input
+     */
+    group(quotes) {
+        const groups = new Map();
+        const order = [];
+        (quotes || []).forEach(quote => {
+            const key = this.groupKey(quote) || `single|${quote.email_id || order.length}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+                order.push(key);
+            }
+            groups.get(key).push(quote);
+        });
+
+        return order.map(key => {
+            const thread = groups.get(key)
+                .slice()
+                .sort((a, b) => new Date(a.quote_date || 0) - new Date(b.quote_date || 0));
+            const priced = thread.filter(quote => this.hasPrice(quote));
+            const current = priced.length > 0 ? priced[priced.length - 1] : thread[thread.length - 1];
+
+            // Priced emails are compared with the quote before them; others have no changes
+            let previousQuote = null;
+            const revisions = thread.map((quote, index) => {
+                const hasPrice = this.hasPrice(quote);
+                const entry = {
+                    email_id: quote.email_id,
+                    quote_date: quote.quote_date,
+                    revision_number: index + 1,
+                    changes: hasPrice && previousQuote ? this.diff(previousQuote, quote) : [],
+                    has_price: hasPrice
+                };
+                if (hasPrice) previousQuote = quote;
+                if (quote !== current) {
+                    quote.is_current = false;
+                    entry.quote = quote;
+                }
+                return entry;
+            });
+
+            current.is_current = true;
+            current.revision_number = thread.indexOf(current) + 1;
+            current.revisions = revisions;
+            return current;
+        });
+    },
+
+    /**
+     * Fields that changed from one revision to the next
+     * @returns {Array} [{field, label, from, to, direction}] - direction is 'up'/'down' for numbers
+     */
+    diff(previous, current) {
+        const changes = [];
+        this.DIFF_FIELDS.forEach(({ key, label, numeric }) => {
+            const before = previous[key];
+            const after = current[key];
+            const empty = (value) => value === null || value === undefined || value === '';
+            if (empty(before) && empty(after)) return;
+
+            if (numeric) {
+                const from = parseFloat(before);
+                const to = parseFloat(after);
+                if (from === to || (isNaN(from) && isNaN(to))) return;
+                changes.push({
+                    field: key,
+                    label: label,
+                    from: isNaN(from) ? null : Helpers.formatCurrency(from, previous.currency || 'USD'),
+                    to: isNaN(to) ? null : Helpers.formatCurrency(to, current.currency || 'USD'),
+                    direction: isNaN(from) || isNaN(to) ? null : (to < from ? 'down' : 'up')
+                });
+                return;
+            }
+
+            const from = empty(before) ? null : String(before).trim();
+            const to = empty(after) ? null : String(after).trim();
+            if ((from || '').toLowerCase() === (to || '').toLowerCase()) return;
+            changes.push({ field: key, label: label, from: from, to: to, direction: null });
+        });
+        return changes;
+    }
+};
@@ -0,0 +1,149 @@
+/**
+ * Quote Validity Service
+ * Works out when a quote expires from its received date and stated validity
+ * ("30 days", "valid until 2026-12-31") and drafts validity extension requests
+ * as replies in the supplier's quote thread
+ */
+const QuoteValidityService = {
+    // Quotes expiring within this many days are flagged as expiring soon
+    EXPIRING_SOON_DAYS: 7,
+
+    // Extension asked for in the request email
+    EXTENSION_DAYS: 30,
+
+    /**
+     * Expiry date of a quote
+     * @returns {Date|null} null when the received date or validity is unknown
+     */
+    getExpiryDate(quote) {
+        const validity = quote.validity || quote.validity_period;
+        if (!validity || !quote.quote_date) return null;
+        const received = new Date(quote.quote_date);
+        if (isNaN(received.getTime())) return null;
+        const days = ScoringService.parseValidityDays(validity, received);
+        if (days === null) return null;
+        return new Date(received.getTime() + days * 86400000);
+    },
+
+    /**
+     * Validity status of a quote
+     * @param {Object} quote - Quote with quote_date and validity
+     * @param {Date} now - Reference time
+     * @returns {Object|null} {expires_at, days_left, expired, expiring_soon}
+     */
+    getStatus(quote, now = new Date()) {
+        const expiresAt = this.getExpiryDate(quote);
+        if (!expiresAt) return null;
+        const expired = expiresAt < now;
+        // Days left round up and days since expiry round down, so both are 0 on the day itself
+        const daysLeft = expired
+            ? -Math.floor((now - expiresAt) / 86400000)
+            : Math.ceil((expiresAt - now) / 86400000);
+        return {
+            expires_at: expiresAt.toISOString(),
+            days_left: daysLeft,
+            expired: expired,
+            expiring_soon: !expired && daysLeft <= this.EXPIRING_SOON_DAYS
+        };
+    },
+
+    /**
+     * Whether a quote has expired (quotes without a known expiry never expire)
+     */
+    isExpired(quote, now = new Date()) {
+        return !!this.getStatus(quote, now)?.expired;
+    },
+
+    /**
+     * Badge text for a status, e.g. "Expires in 5 days" or "Expired 2 days ago"
+     */
+    describe(status) {
+        if (!status) return '';
+        const days = Math.abs(status.days_left);
+        const unit = days === 1 ? 'day' : 'days';
+        if (status.expired) return days === 0 ? 'Expired today' : `Expired ${days} ${unit} ago`;
+        if (status.days_left === 0) return 'Expires today';
+        return `Expires in ${days} ${unit}`;
+    },
+
+    // ==================== EXTENSION REQUESTS ====================
+
+    /**
+     * Build the plain-text request asking a supplier to extend their quote
+     */
+    buildExtensionRequestText(quote, materialCode) {
+        const name = quote.supplier_name || 'Supplier';
+        const reference = materialCode ? ` for ${materialCode}` : '';
+        const status = this.getStatus(quote);
+        const expiry = status
+            ? ` ${status.expired ? 'expired' : 'expires'} on ${Helpers.formatDate(status.expires_at)}`
+            : ' is nearing the end of its validity';
+        return `Dear ${name},
+
+Thank you for your quotation${reference}. Our evaluation is still in progress, and we note that your offer${expiry}.
+
+Could you please confirm that your quoted prices and terms remain valid for a further ${this.EXTENSION_DAYS} days, or send us an updated quotation?
+
+Best regards,
+Procurement Team`;
+    },
+
+    /**
+     * Create the extension request as a reply draft in the supplier's quote thread
+     * @returns {Promise<Object>} The created draft message
+     */
+    async requestExtension(quote, materialCode) {
+        if (!quote.email_id) {
+            throw new Error('This quote has no email to reply to');
+        }
+        const html = EmailOperations.formatTextAsHtml(this.buildExtensionRequestText(quote, materialCode));
+        const draft = await EmailOperations.createReplyDraft(quote.email_id, html);
+        this.recordRequest(quote.email_id);
+        return draft;
+    },
+
+    /**
+     * When an extension was last requested for a quote email
+     * @returns {string|null} ISO timestamp
+     */
+    getRequest(emailId) {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.VALIDITY_EXTENSIONS);
+            const all = stored ? JSON.parse(stored) : {};
+            return all[emailId] || null;
+        } catch (error) {
+            console.error('Error loading validity extension requests:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Record that an extension was requested for a quote email
+     */
+    recordRequest(emailId) {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.VALIDITY_EXTENSIONS);
+            const all = stored ? JSON.parse(stored) : {};
+            all[emailId] = new Date().toISOString();
+            localStorage.setItem(Config.STORAGE_KEYS.VALIDITY_EXTENSIONS, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving validity extension request:', error);
+        }
+    },
+
+    /**
+     * Carry an extension request over to the quote email's new ID after a move
+     */
+    rekeyRequest(oldId, newId) {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.VALIDITY_EXTENSIONS);
+            const all = stored ? JSON.parse(stored) : {};
+            if (!all[oldId]) return;
+            all[newId] = all[oldId];
+            delete all[oldId];
+            localStorage.setItem(Config.STORAGE_KEYS.VALIDITY_EXTENSIONS, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving validity extension request:', error);
+        }
+    }
+};
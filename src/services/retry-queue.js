@@ -0,0 +1,165 @@
+/**
+ * Reply Retry Queue
+ * Replies that EmailMonitor failed to process (classification API down, folder
+ * move failed) are retried with exponential backoff. The queue lives in the
+ * message ledger: a reply waiting for a retry has outcome 'failed' with its
+ * attempt count and next retry time; after MAX_ATTEMPTS it becomes
+ * 'needs_attention' and waits for the buyer to retry or dismiss it.
+ */
+const ReplyRetryQueue = {
+    MAX_ATTEMPTS: 5,
+
+    // Delay before retry n is BASE_DELAY * 2^(n-1), capped at MAX_DELAY (ms)
+    BASE_DELAY: 60000,
+    MAX_DELAY: 3600000,
+
+    timerId: null,
+    running: false,
+    retrying: false,
+
+    /**
+     * Start retrying queued replies as they fall due
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.schedule();
+    },
+
+    stop() {
+        this.running = false;
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    },
+
+    // ==================== QUEUE ====================
+
+    /**
+     * Record a failed attempt: queue the reply for another try, or move it to
+     * the needs-attention list once it has used all its attempts
+     * @param {Object} email - Graph message
+     * @param {Object} replyInfo - See EmailMonitor.isReplyToSentRfq ({approval: true} for approval replies,
+     *   {recheck: true} for messages that failed before they were identified)
+     * @param {Error} error - Why processing failed
+     * @returns {Promise<Object>} The ledger entry
+     */
+    async recordFailure(email, replyInfo, error) {
+        const previous = await MessageLedger.get(email.id);
+        const attempts = (previous?.attempts || 0) + 1;
+        const exhausted = attempts >= this.MAX_ATTEMPTS;
+        const entry = await MessageLedger.record(email, {
+            outcome: exhausted ? 'needs_attention' : 'failed',
+            material_code: replyInfo?.materialCode || null,
+            error: error.message,
+            attempts: attempts,
+            next_retry_at: exhausted ? null : new Date(Date.now() + this.getDelay(attempts, error)).toISOString(),
+            reply_info: replyInfo || null
+        });
+        this.schedule();
+        return entry;
+    },
+
+    /**
+     * Delay before the next attempt, never shorter than a Graph Retry-After
+     */
+    getDelay(attempts, error = null) {
+        const backoff = Math.min(this.BASE_DELAY * Math.pow(2, attempts - 1), this.MAX_DELAY);
+        const retryAfter = error?.retryAfter ? error.retryAfter * 1000 : 0;
+        return Math.max(backoff, retryAfter);
+    },
+
+    /**
+     * Replies waiting for an automatic retry and replies that need attention
+     * @returns {Promise<Object>} {pending: [entries], needsAttention: [entries]}
+     */
+    async getItems() {
+        const entries = await MessageLedger.getByOutcome(['failed', 'needs_attention']);
+        return {
+            pending: entries
+                .filter(entry => entry.outcome === 'failed')
+                .sort((a, b) => (a.next_retry_at || '').localeCompare(b.next_retry_at || '')),
+            needsAttention: entries.filter(entry => entry.outcome === 'needs_attention')
+        };
+    },
+
+    // ==================== RETRIES ====================
+
+    /**
+     * Set a timer for the earliest retry that is due
+     * @param {number} minDelay - Wait at least this long (ms)
+     */
+    async schedule(minDelay = 0) {
+        if (!this.running) return;
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+        const { pending } = await this.getItems();
+        if (pending.length === 0 || !this.running) return;
+
+        const delay = Math.max(minDelay, new Date(pending[0].next_retry_at || 0) - Date.now());
+        this.timerId = setTimeout(() => {
+            this.timerId = null;
+            this.processDue();
+        }, delay);
+    },
+
+    /**
+     * Retry every reply whose retry time has passed
+     * Replies a sync cycle is already processing are left to it. When nothing
+     * could be retried (signed out, or all in progress) the next run waits BASE_DELAY.
+     */
+    async processDue() {
+        if (this.retrying) return;
+        this.retrying = true;
+        let retried = 0;
+        try {
+            if (AuthService.isSignedIn()) {
+                const now = new Date().toISOString();
+                const { pending } = await this.getItems();
+                const due = pending.filter(e => (!e.next_retry_at || e.next_retry_at <= now) && !EmailMonitor.inFlight.has(e.message_id));
+                for (const entry of due) {
+                    await EmailMonitor.retryMessage(entry);
+                    retried++;
+                }
+            }
+        } catch (error) {
+            console.error('[RetryQueue] Retry run failed:', error);
+        } finally {
+            this.retrying = false;
+        }
+        this.schedule(retried > 0 ? 0 : this.BASE_DELAY);
+    },
+
+    /**
+     * Retry a queued or needs-attention reply now
+     * @returns {Promise<boolean>} true if the reply was processed
+     */
+    async retryNow(messageId) {
+        const entry = await MessageLedger.get(messageId);
+        if (!entry || !['failed', 'needs_attention'].includes(entry.outcome)) {
+            throw new Error('This reply is no longer waiting for a retry');
+        }
+        const processed = await EmailMonitor.retryMessage(entry);
+        this.schedule();
+        return processed;
+    },
+
+    /**
+     * Stop retrying a reply; the buyer will handle it by hand
+     */
+    async dismiss(messageId) {
+        const entry = await MessageLedger.get(messageId);
+        if (!entry) return;
+        await MessageLedger.record(MessageLedger.toMessage(entry), {
+            outcome: 'dismissed',
+            material_code: entry.material_code,
+            error: entry.error,
+            attempts: entry.attempts,
+            source: 'task_pane'
+        });
+        this.schedule();
+    }
+};
@@ -0,0 +1,199 @@
+/**
+ * RFQ Delivery Status Service
+ * Tracks supplier contacts an RFQ did not reach: the RFQ bounced ("delivery
+ * failed") or the supplier answered with an out-of-office ("supplier away until
+ * X"). Each open issue waits for the buyer to send the RFQ on to an alternate
+ * contact or dismiss it; a real reply from the supplier closes it.
+ */
+const RfqDeliveryStatusService = {
+    STATUSES: {
+        delivery_failed: 'Delivery failed',
+        supplier_away: 'Supplier away'
+    },
+
+    // Resolved issues are kept this long for reference
+    RETENTION_DAYS: 30,
+
+    // ==================== ISSUES ====================
+
+    getAll() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.RFQ_DELIVERY_STATUS);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error loading RFQ delivery status:', error);
+            return [];
+        }
+    },
+
+    saveAll(issues) {
+        const cutoff = new Date(Date.now() - this.RETENTION_DAYS * 86400000).toISOString();
+        const kept = issues.filter(issue => !issue.resolved_at || issue.resolved_at > cutoff);
+        try {
+            localStorage.setItem(Config.STORAGE_KEYS.RFQ_DELIVERY_STATUS, JSON.stringify(kept));
+        } catch (error) {
+            console.error('Error saving RFQ delivery status:', error);
+        }
+    },
+
+    /**
+     * Issues still waiting for the buyer, newest first
+     */
+    getOpen() {
+        return this.getAll()
+            .filter(issue => !issue.resolved_at)
+            .sort((a, b) => b.detected_at.localeCompare(a.detected_at));
+    },
+
+    get(id) {
+        return this.getAll().find(issue => issue.id === id) || null;
+    },
+
+    getId(materialCode, supplierEmail) {
+        return `${materialCode || 'unknown'}|${(supplierEmail || '').toLowerCase()}`;
+    },
+
+    /**
+     * Mark the RFQs a bounce or auto-reply is about
+     * A bounce marks each failed recipient; an auto-reply marks its sender.
+     * Delay notices (the server is still trying) mark nothing.
+     * @param {Object} email - The bounce or auto-reply (Graph message)
+     * @param {Object} detection - From AutoReplyDetector.detect()
+     * @param {string} materialCode - Material the RFQ thread is about
+     * @returns {Array} The open issues
+     */
+    mark(email, detection, materialCode) {
+        if (detection.type === 'bounce' && !detection.permanent) return [];
+        const status = detection.type === 'bounce' ? 'delivery_failed' : 'supplier_away';
+        const issues = this.getAll();
+        const marked = detection.recipients.map(address => {
+            const mapping = this.findMapping(address);
+            const issue = {
+                id: this.getId(materialCode, address),
+                material_code: materialCode || null,
+                supplier_email: address,
+                supplier_name: mapping?.supplier_name ||
+                    (detection.type === 'auto_reply' ? email.from?.emailAddress?.name : null) || address,
+                rfq_id: mapping?.rfq_id || null,
+                supplier_id: mapping?.supplier_id || null,
+                status: status,
+                reason: detection.reason,
+                diagnostic: detection.diagnostic || detection.status || null,
+                away_until: detection.away_until || null,
+                contacts: detection.contacts || [],
+                message_id: email.id,
+                conversation_id: email.conversationId || null,
+                subject: email.subject || '',
+                detected_at: new Date().toISOString(),
+                resolved_at: null,
+                resolution: null,
+                alternate_contact: null
+            };
+            const index = issues.findIndex(existing => existing.id === issue.id);
+            if (index >= 0) issues[index] = issue; else issues.push(issue);
+            return issue;
+        });
+        this.saveAll(issues);
+        return marked;
+    },
+
+    /**
+     * RFQ mapping for a supplier address (from the task pane's sent RFQ records)
+     */
+    findMapping(address) {
+        if (typeof window !== 'undefined' && window.RFQMapping?.findBySupplier) {
+            return window.RFQMapping.findBySupplier(address);
+        }
+        return null;
+    },
+
+    /**
+     * Close an issue
+     * @param {string} id - Issue id
+     * @param {string} resolution - 'alternate', 'replied' or 'dismissed'
+     * @param {Object} alternateContact - {address, name} when sent to an alternate contact
+     */
+    resolve(id, resolution, alternateContact = null) {
+        const issues = this.getAll();
+        const issue = issues.find(existing => existing.id === id);
+        if (!issue || issue.resolved_at) return null;
+        issue.resolved_at = new Date().toISOString();
+        issue.resolution = resolution;
+        issue.alternate_contact = alternateContact;
+        this.saveAll(issues);
+        return issue;
+    },
+
+    /**
+     * A real reply from a supplier closes an open away/failed issue for it
+     */
+    clearForReply(materialCode, supplierEmail) {
+        return this.resolve(this.getId(materialCode, supplierEmail), 'replied');
+    },
+
+    /**
+     * One-line status, e.g. "Supplier away until Nov 3, 2026"
+     */
+    describe(issue) {
+        if (issue.status === 'supplier_away') {
+            return issue.away_until
+                ? `Supplier away until ${Helpers.formatDate(`${issue.away_until}T00:00:00`)}`
+                : 'Supplier away';
+        }
+        return this.STATUSES[issue.status] || issue.status;
+    },
+
+    // ==================== ALTERNATE CONTACT ====================
+
+    /**
+     * Forward the original RFQ to an alternate contact and close the issue
+     * The RFQ is found in the bounce or auto-reply's conversation: the message
+     * sent to the supplier address that did not answer.
+     * @param {string} id - Issue id
+     * @param {string} address - Alternate contact email
+     * @returns {Promise<Object>} The resolved issue
+     */
+    async sendToAlternate(id, address) {
+        const issue = this.get(id);
+        if (!issue) {
+            throw new Error('This contact issue no longer exists');
+        }
+        const alternate = (address || '').trim();
+        if (!Helpers.isValidEmail(alternate)) {
+            throw new Error('Enter a valid email address for the alternate contact');
+        }
+        if (alternate.toLowerCase() === issue.supplier_email) {
+            throw new Error('Choose a contact other than the one the RFQ was sent to');
+        }
+
+        const rfqMessage = await this.findSentRfq(issue);
+        if (!rfqMessage) {
+            throw new Error(`The RFQ sent to ${issue.supplier_email} could not be found - forward it from your Sent Items`);
+        }
+        const reason = issue.status === 'delivery_failed'
+            ? `Our request for quotation could not be delivered to ${issue.supplier_email}.`
+            : `${issue.supplier_name} is away${issue.away_until ? ` until ${Helpers.formatDate(`${issue.away_until}T00:00:00`)}` : ''}.`;
+        await EmailOperations.forwardEmail(rfqMessage.id, [alternate],
+            `${reason} Could you please handle the request below, or pass it on to the right person in your team?`);
+
+        return this.resolve(id, 'alternate', { address: alternate.toLowerCase(), forwarded_message_id: rfqMessage.id });
+    },
+
+    /**
+     * The RFQ message sent to the issue's supplier address
+     */
+    async findSentRfq(issue) {
+        if (!issue.conversation_id) return null;
+        const escapedConversationId = issue.conversation_id.replace(/'/g, "''").replace(/\\/g, '\\\\');
+        const response = await AuthService.graphRequest(
+            `/me/messages?$filter=conversationId eq '${escapedConversationId}'` +
+            `&$select=id,subject,toRecipients,categories,sentDateTime,isDraft&$top=50`
+        );
+        const sent = (response?.value || [])
+            .filter(message => !message.isDraft && (message.toRecipients || [])
+                .some(r => (r.emailAddress?.address || '').toLowerCase() === issue.supplier_email))
+            .sort((a, b) => new Date(a.sentDateTime || 0) - new Date(b.sentDateTime || 0));
+        return sent.find(message => (message.categories || []).some(c => c.toLowerCase().includes('sent rfq'))) ||
+            sent[0] || null;
+    }
+};
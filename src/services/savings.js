@@ -0,0 +1,288 @@
+/**
+ * Savings Service
+ * Records what each award cost against the PR budget (or a target entered by
+ * the buyer) and against the average and highest quote received, and builds
+ * the savings report by buyer, month and material. All amounts are stored in
+ * the base currency.
+ */
+const SavingsService = {
+    // PR fields that may carry a budget, per unit or for the whole requisition
+    PR_UNIT_BUDGET_FIELDS: ['budget_unit_price', 'estimated_unit_price', 'budget_price', 'estimated_price', 'target_price'],
+    PR_TOTAL_BUDGET_FIELDS: ['budget_total', 'estimated_total', 'budget_amount', 'budget'],
+
+    REPORT_DIMENSIONS: {
+        buyer: 'Buyer',
+        month: 'Month',
+        material: 'Material'
+    },
+
+    // ==================== BUDGET ====================
+
+    /**
+     * Budget stated on a PR
+     * @returns {Object|null} {unit_price, total, currency, source: 'pr'}
+     */
+    getPRBudget(pr) {
+        if (!pr) return null;
+        const first = (fields) => fields.map(f => parseFloat(pr[f])).find(v => v > 0) || null;
+        const unitPrice = first(this.PR_UNIT_BUDGET_FIELDS);
+        const total = first(this.PR_TOTAL_BUDGET_FIELDS);
+        if (!unitPrice && !total) return null;
+        return {
+            unit_price: unitPrice,
+            total: total,
+            currency: pr.currency || pr.budget_currency || CurrencyService.getBaseCurrency(),
+            source: 'pr'
+        };
+    },
+
+    /**
+     * Budget total in the base currency
+     * @returns {number|null}
+     */
+    getBudgetTotal(budget, quantity) {
+        if (!budget) return null;
+        const total = budget.total || (budget.unit_price && quantity ? budget.unit_price * quantity : null);
+        return total ? CurrencyService.toBase(total, budget.currency) : null;
+    },
+
+    /**
+     * A quote's total for the award quantity in the base currency
+     * @param {Object} quote - Quote, priced at the award quantity where breaks apply
+     */
+    getQuoteTotal(quote, quantity) {
+        const total = parseFloat(quote.total_price);
+        const unitPrice = parseFloat(quote.unit_price);
+        const amount = total > 0 ? total : (unitPrice > 0 && quantity ? unitPrice * quantity : null);
+        return amount ? CurrencyService.toBase(amount, quote.currency) : null;
+    },
+
+    // ==================== RECORDS ====================
+
+    /**
+     * All savings records keyed by award (the PO numbers of the award)
+     */
+    getAll() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.SAVINGS);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading savings records:', error);
+            return {};
+        }
+    },
+
+    getRecord(awardKey) {
+        return this.getAll()[awardKey] || null;
+    },
+
+    saveRecord(record) {
+        const all = this.getAll();
+        all[record.award_key] = record;
+        try {
+            localStorage.setItem(Config.STORAGE_KEYS.SAVINGS, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving savings record:', error);
+        }
+        return record;
+    },
+
+    /**
+     * Record the savings of an award
+     * @param {Array} pos - POs created for the award
+     * @param {Object} context - {pr, comparisonQuotes} - comparison quotes priced at the award quantity
+     * @returns {Object} The savings record
+     */
+    recordAward(pos, context = {}) {
+        const base = CurrencyService.getBaseCurrency();
+        const primary = pos[0];
+        const quantity = parseFloat(context.pr?.quantities) || primary.quantity || null;
+        const poTotals = pos.map(po => po.total_price !== null ? CurrencyService.toBase(po.total_price, po.currency) : null);
+        const user = AuthService.getUser();
+
+        const quoteTotals = (context.comparisonQuotes || [])
+            .map(quote => this.getQuoteTotal(quote, quantity))
+            .filter(total => total !== null);
+
+        const record = {
+            award_key: pos.map(po => po.po_number).join(','),
+            po_numbers: pos.map(po => po.po_number),
+            material_code: primary.material_code,
+            material_description: primary.material_description,
+            pr_id: primary.pr_id,
+            suppliers: pos.map(po => po.supplier.name),
+            buyer: primary.created_by || user?.email || null,
+            buyer_name: user?.name || null,
+            awarded_at: primary.created_at,
+            currency: base,
+            quantity: quantity,
+            awarded_total: poTotals.includes(null) ? null : Math.round(poTotals.reduce((sum, t) => sum + t, 0) * 100) / 100,
+            budget: this.getPRBudget(context.pr),
+            quotes_compared: quoteTotals.length,
+            average_quote_total: quoteTotals.length > 0
+                ? Math.round(quoteTotals.reduce((sum, t) => sum + t, 0) / quoteTotals.length * 100) / 100
+                : null,
+            highest_quote_total: quoteTotals.length > 0 ? Math.max(...quoteTotals) : null
+        };
+        return this.saveRecord(this.calculate(record));
+    },
+
+    /**
+     * Set a buyer-entered target price for an award that has no PR budget
+     * @param {string} awardKey - Record key
+     * @param {number} unitPrice - Target unit price
+     * @param {string} currency - Currency of the target
+     */
+    setTarget(awardKey, unitPrice, currency) {
+        const record = this.getRecord(awardKey);
+        if (!record) throw new Error('No savings record for this award');
+        const value = parseFloat(unitPrice);
+        if (!(value > 0)) throw new Error('Enter a target unit price greater than zero');
+        if (!record.quantity) throw new Error('The award quantity is unknown, so a unit target cannot be totalled');
+        if (CurrencyService.toBase(value, currency) === null) throw new Error(`No exchange rate for ${currency}`);
+        record.budget = { unit_price: value, total: null, currency: currency, source: 'target' };
+        return this.saveRecord(this.calculate(record));
+    },
+
+    /**
+     * Work out budget total and savings (positive = spent less than the reference)
+     */
+    calculate(record) {
+        const savings = (reference) => reference !== null && record.awarded_total !== null
+            ? Math.round((reference - record.awarded_total) * 100) / 100
+            : null;
+        record.budget_total = this.getBudgetTotal(record.budget, record.quantity);
+        record.savings_vs_budget = savings(record.budget_total);
+        record.savings_vs_average = savings(record.average_quote_total);
+        record.savings_vs_highest = savings(record.highest_quote_total);
+        return record;
+    },
+
+    // ==================== REPORT ====================
+
+    /**
+     * Group key of a record for a report dimension
+     */
+    getDimensionKey(record, dimension) {
+        switch (dimension) {
+            case 'buyer':
+                return record.buyer_name || record.buyer || 'Unknown';
+            case 'month':
+                return (record.awarded_at || '').slice(0, 7) || 'Unknown';
+            case 'material':
+                return record.material_code || 'Unknown';
+            default:
+                return 'All';
+        }
+    },
+
+    /**
+     * Totals per buyer, month or material
+     * Savings vs budget are only summed over awards that have a budget, and
+     * budget_spend is the awarded spend of those awards so the percentage compares like with like.
+     * @returns {Array} [{key, awards, spend, budget, budget_spend, savings_vs_budget, savings_vs_average, savings_vs_highest, savings_pct}]
+     */
+    buildReport(records, dimension) {
+        const groups = {};
+        records.forEach(record => {
+            const key = this.getDimensionKey(record, dimension);
+            const group = groups[key] || (groups[key] = {
+                key: key,
+                awards: 0,
+                spend: 0,
+                budget: 0,
+                budget_spend: 0,
+                savings_vs_budget: 0,
+                savings_vs_average: 0,
+                savings_vs_highest: 0
+            });
+            group.awards++;
+            group.spend += record.awarded_total || 0;
+            if (record.savings_vs_budget !== null) {
+                group.budget += record.budget_total;
+                group.budget_spend += record.awarded_total;
+                group.savings_vs_budget += record.savings_vs_budget;
+            }
+            group.savings_vs_average += record.savings_vs_average || 0;
+            group.savings_vs_highest += record.savings_vs_highest || 0;
+        });
+
+        return Object.values(groups)
+            .map(group => ({ ...group, savings_pct: group.budget > 0 ? group.savings_vs_budget / group.budget : null }))
+            .sort((a, b) => dimension === 'month' ? b.key.localeCompare(a.key) : a.key.localeCompare(b.key));
+    },
+
+    /**
+     * Savings report workbook: one sheet per dimension plus the award records
+     * @returns {Blob} XLSX file
+     */
+    toXlsxBlob(records) {
+        const base = CurrencyService.getBaseCurrency();
+        const money = { border: true, numFmt: XlsxWriter.currencyFormat(base) };
+        const header = QuoteExportService.STYLES.header;
+        const cell = QuoteExportService.STYLES.cell;
+        const workbook = XlsxWriter.createWorkbook();
+
+        Object.entries(this.REPORT_DIMENSIONS).forEach(([dimension, label]) => {
+            const report = this.buildReport(records, dimension);
+            const rows = [[label, 'Awards', 'Spend', 'Budget', 'Savings vs Budget', 'Savings %', 'Savings vs Average Quote', 'Savings vs Highest Quote']
+                .map(value => ({ value, style: header }))];
+            report.forEach(group => {
+                const row = rows.length + 1;
+                rows.push([
+                    { value: group.key, style: cell },
+                    { value: group.awards, style: cell },
+                    { value: group.spend, style: money },
+                    { value: group.budget, style: money },
+                    { value: group.savings_vs_budget, style: money },
+                    { formula: `IF(D${row}=0,"",E${row}/D${row})`, style: { ...cell, numFmt: '0.0%' } },
+                    { value: group.savings_vs_average, style: money },
+                    { value: group.savings_vs_highest, style: money }
+                ]);
+            });
+            if (report.length > 0) {
+                const last = rows.length;
+                const sum = (col, style = money) => ({ formula: `SUM(${col}2:${col}${last})`, style: { ...style, bold: true } });
+                rows.push([{ value: 'Total', style: { ...cell, bold: true } }, sum('B', cell), sum('C'), sum('D'), sum('E'),
+                    { formula: `IF(D${last + 1}=0,"",E${last + 1}/D${last + 1})`, style: { ...cell, bold: true, numFmt: '0.0%' } },
+                    sum('G'), sum('H')]);
+            }
+            XlsxWriter.addSheet(workbook, `By ${label}`, {
+                rows: rows,
+                columns: [{ width: 28 }, { width: 10 }, { width: 16 }, { width: 16 }, { width: 18 }, { width: 11 }, { width: 22 }, { width: 22 }],
+                freezeRows: 1
+            });
+        });
+
+        const awardRows = [['Awarded', 'PO Numbers', 'Material', 'PR', 'Suppliers', 'Buyer', 'Quantity', 'Spend', 'Budget', 'Budget Source',
+            'Average Quote', 'Highest Quote', 'Savings vs Budget', 'Savings vs Average', 'Savings vs Highest'].map(value => ({ value, style: header }))];
+        records.slice().sort((a, b) => new Date(b.awarded_at) - new Date(a.awarded_at)).forEach(record => {
+            const amount = (value) => value === null || value === undefined ? { value: null, style: cell } : { value, style: money };
+            awardRows.push([
+                { value: Helpers.formatDate(record.awarded_at), style: cell },
+                { value: record.po_numbers.join(', '), style: cell },
+                { value: record.material_code || '', style: cell },
+                { value: record.pr_id || '', style: cell },
+                { value: record.suppliers.join(', '), style: cell },
+                { value: record.buyer_name || record.buyer || '', style: cell },
+                { value: record.quantity, style: cell },
+                amount(record.awarded_total),
+                amount(record.budget_total),
+                { value: record.budget ? (record.budget.source === 'pr' ? 'PR' : 'Target') : '', style: cell },
+                amount(record.average_quote_total),
+                amount(record.highest_quote_total),
+                amount(record.savings_vs_budget),
+                amount(record.savings_vs_average),
+                amount(record.savings_vs_highest)
+            ]);
+        });
+        XlsxWriter.addSheet(workbook, 'Awards', {
+            rows: awardRows,
+            columns: [{ width: 14 }, { width: 22 }, { width: 14 }, { width: 12 }, { width: 28 }, { width: 24 }, { width: 10 },
+                { width: 16 }, { width: 16 }, { width: 12 }, { width: 16 }, { width: 16 }, { width: 18 }, { width: 18 }, { width: 18 }],
+            freezeRows: 1
+        });
+
+        return XlsxWriter.toBlob(workbook);
+    }
+};
@@ -0,0 +1,313 @@
+/**
+ * Scoring Service
+ * Weighted multi-criteria scoring of supplier quotes. Category managers define
+ * named scoring profiles (criterion weights) and assign them to material families.
+ */
+const ScoringService = {
+    // Scoring criteria
+    // direction: 'lower' = smaller values are better, 'higher' = larger values are better
+    CRITERIA: [
+        { key: 'price', label: 'Unit Price', direction: 'lower' },
+        { key: 'lead_time', label: 'Lead Time', direction: 'lower', unit: 'days' },
+        { key: 'payment_terms', label: 'Payment Terms', direction: 'higher', unit: 'days' },
+        { key: 'validity', label: 'Quote Validity', direction: 'higher', unit: 'days' },
+        { key: 'supplier_match', label: 'Supplier Match Score', direction: 'higher', unit: '/10' },
+        { key: 'on_time_rate', label: 'Past On-Time Rate', direction: 'higher', unit: '%' },
+        { key: 'reliability', label: 'RFQ Reliability', direction: 'higher', unit: '%' }
+    ],
+
+    // Built-in profile - reproduces the original 70/30 price/lead time weighting
+    DEFAULT_PROFILE: {
+        id: 'default',
+        name: 'Default (Price & Lead Time)',
+        materialFamilies: [],
+        weights: {
+            price: 70,
+            lead_time: 30,
+            payment_terms: 0,
+            validity: 0,
+            supplier_match: 0,
+            on_time_rate: 0,
+            reliability: 0
+        }
+    },
+
+    // ==================== PROFILES ====================
+
+    /**
+     * Get all scoring profiles (the default profile is always first)
+     */
+    getProfiles() {
+        let stored = [];
+        try {
+            const raw = localStorage.getItem(Config.STORAGE_KEYS.SCORING_PROFILES);
+            stored = raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            console.error('Error loading scoring profiles:', error);
+        }
+        const storedDefault = stored.find(p => p.id === this.DEFAULT_PROFILE.id);
+        const defaultProfile = {
+            ...this.DEFAULT_PROFILE,
+            weights: { ...this.DEFAULT_PROFILE.weights, ...(storedDefault?.weights || {}) }
+        };
+        return [defaultProfile, ...stored.filter(p => p.id !== this.DEFAULT_PROFILE.id)];
+    },
+
+    /**
+     * Validate and save all scoring profiles
+     */
+    saveProfiles(profiles) {
+        const cleaned = this.validateProfiles(profiles);
+        localStorage.setItem(Config.STORAGE_KEYS.SCORING_PROFILES, JSON.stringify(cleaned));
+        return cleaned;
+    },
+
+    /**
+     * Clean up profiles without saving them
+     * @throws {Error} If a profile has no name or no weighted criterion
+     */
+    validateProfiles(profiles) {
+        return profiles.map(profile => {
+            const name = (profile.name || '').trim();
+            if (!name) {
+                throw new Error('Every scoring profile needs a name');
+            }
+            const weights = {};
+            this.CRITERIA.forEach(c => {
+                weights[c.key] = Math.max(0, parseFloat(profile.weights?.[c.key]) || 0);
+            });
+            if (Object.values(weights).every(w => w === 0)) {
+                throw new Error(`Scoring profile "${name}" needs at least one weighted criterion`);
+            }
+            return {
+                id: profile.id,
+                name: profile.id === this.DEFAULT_PROFILE.id ? this.DEFAULT_PROFILE.name : name,
+                materialFamilies: profile.id === this.DEFAULT_PROFILE.id ? [] : (profile.materialFamilies || [])
+                    .map(f => f.trim())
+                    .filter(Boolean),
+                weights: weights
+            };
+        });
+    },
+
+    /**
+     * Look up a profile by ID (falls back to the default profile)
+     */
+    getProfile(profileId) {
+        const profiles = this.getProfiles();
+        return profiles.find(p => p.id === profileId) || profiles[0];
+    },
+
+    /**
+     * Create an empty profile with a unique ID
+     */
+    createProfile(name = 'New Profile') {
+        return {
+            id: 'profile-' + Date.now().toString(36),
+            name: name,
+            materialFamilies: [],
+            weights: { ...this.DEFAULT_PROFILE.weights }
+        };
+    },
+
+    /**
+     * Check whether a material matches a family pattern
+     * Patterns containing * are matched against the material code (e.g. "MAT-1*"),
+     * other patterns match the material description (case-insensitive substring)
+     */
+    matchesFamily(pattern, materialCode, materialDescription) {
+        if (pattern.includes('*')) {
+            const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+            return !!materialCode && new RegExp(`^${escaped}$`, 'i').test(materialCode);
+        }
+        const needle = pattern.toLowerCase();
+        return (materialCode || '').toLowerCase() === needle ||
+            (materialDescription || '').toLowerCase().includes(needle);
+    },
+
+    /**
+     * Find the profile assigned to a material (first matching family wins)
+     */
+    getProfileForMaterial(materialCode, materialDescription = '') {
+        const profiles = this.getProfiles();
+        const match = profiles.find(profile =>
+            (profile.materialFamilies || []).some(pattern =>
+                this.matchesFamily(pattern, materialCode, materialDescription)
+            )
+        );
+        return match || profiles[0];
+    },
+
+    // ==================== VALUE PARSING ====================
+
+    /**
+     * Parse a duration like "14 days", "2-3 weeks" or "1 month" to days
+     * Ranges use the upper bound. Returns null if no number is found.
+     */
+    parseDays(text) {
+        if (text === null || text === undefined || text === '') return null;
+        if (typeof text === 'number') return text;
+        const value = String(text).toLowerCase();
+        const match = value.match(/(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(business days?|working days?|days?|weeks?|wks?|months?)?/);
+        if (!match) return null;
+        const amount = parseFloat(match[2] || match[1]);
+        const unit = match[3] || '';
+        if (unit.startsWith('w')) return amount * 7;
+        if (unit.startsWith('month')) return amount * 30;
+        return amount;
+    },
+
+    /**
+     * Parse payment terms to days of credit ("Net 30" -> 30, "advance payment" -> 0)
+     */
+    parsePaymentTermsDays(terms) {
+        if (!terms) return null;
+        const value = String(terms).toLowerCase();
+        if (/advance|prepay|pre-pay|in advance|\bcia\b|\bcod\b|cash on delivery|upon order|immediate/.test(value)) {
+            return 0;
+        }
+        const net = value.match(/net\s*(\d+)/);
+        if (net) return parseInt(net[1]);
+        return this.parseDays(value);
+    },
+
+    /**
+     * Parse quote validity to days, either a period ("30 days") or an
+     * end date ("valid until 2026-12-31"), counted from the quote date
+     */
+    parseValidityDays(validity, quoteDate = null) {
+        if (!validity) return null;
+        const dateMatch = String(validity).match(/\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4}|[a-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\s+[a-z]{3,9}\.?\s+\d{4}/i);
+        if (dateMatch) {
+            const end = new Date(dateMatch[0]);
+            if (!isNaN(end.getTime())) {
+                const start = quoteDate ? new Date(quoteDate) : new Date();
+                return Math.max(0, Math.round((end - start) / 86400000));
+            }
+        }
+        return this.parseDays(validity);
+    },
+
+    /**
+     * Extract the raw value of a criterion for a quote
+     * @param {string} key - Criterion key
+     * @param {Object} quote - Quote
+     * @param {Object} supplier - Matching supplier record, if known
+     */
+    getCriterionValue(key, quote, supplier) {
+        switch (key) {
+            case 'price': {
+                // Compare in the base currency so EUR/GBP quotes are not read as dollars
+                const price = parseFloat(quote.unit_price);
+                return price > 0 ? CurrencyService.toBase(price, quote.currency) : null;
+            }
+            case 'lead_time':
+                return this.parseDays(quote.lead_time || quote.delivery_time);
+            case 'payment_terms':
+                return this.parsePaymentTermsDays(quote.payment_terms);
+            case 'validity':
+                return this.parseValidityDays(quote.validity || quote.validity_period, quote.quote_date);
+            case 'supplier_match': {
+                const score = parseFloat(supplier?.match_score);
+                return isNaN(score) ? null : score;
+            }
+            case 'on_time_rate': {
+                const rate = parseFloat(quote.on_time_rate ?? supplier?.on_time_rate);
+                if (isNaN(rate)) return null;
+                return rate <= 1 ? rate * 100 : rate;
+            }
+            case 'reliability':
+                // Responsiveness to past RFQs (see SupplierAnalyticsService)
+                return SupplierAnalyticsService.getReliability(quote.supplier_email);
+            default:
+                return null;
+        }
+    },
+
+    // ==================== SCORING ====================
+
+    /**
+     * Score quotes with a profile
+     * Each criterion is normalized across the quotes to 0 (worst) .. 1 (best);
+     * a missing value scores 0, so a quote cannot win on a figure it did not
+     * state. The total is the weighted average of the normalized values, so it
+     * is also 0..1 and higher is better.
+     * @param {Array} quotes - Quotes to score
+     * @param {Object} profile - Scoring profile
+     * @param {Function} supplierLookup - Optional (quote) => supplier record
+     * @returns {Array} [{quote, score, breakdown: [{key, label, unit, weight, value, normalized, contribution}]}]
+     */
+    scoreQuotes(quotes, profile, supplierLookup = null) {
+        const criteria = this.CRITERIA.filter(c => (profile.weights[c.key] || 0) > 0);
+        const totalWeight = criteria.reduce((sum, c) => sum + profile.weights[c.key], 0);
+
+        const values = quotes.map(quote => {
+            const supplier = supplierLookup ? supplierLookup(quote) : null;
+            const row = {};
+            criteria.forEach(c => {
+                row[c.key] = this.getCriterionValue(c.key, quote, supplier);
+            });
+            return row;
+        });
+
+        const ranges = {};
+        criteria.forEach(c => {
+            const present = values.map(v => v[c.key]).filter(v => v !== null);
+            ranges[c.key] = present.length > 0
+                ? { min: Math.min(...present), max: Math.max(...present) }
+                : null;
+        });
+
+        return quotes.map((quote, i) => {
+            const breakdown = criteria.map(c => {
+                const value = values[i][c.key];
+                const range = ranges[c.key];
+                let normalized = 0;
+                if (value !== null && range) {
+                    if (range.max === range.min) {
+                        normalized = 1;
+                    } else {
+                        const position = (value - range.min) / (range.max - range.min);
+                        normalized = c.direction === 'lower' ? 1 - position : position;
+                    }
+                }
+                const weight = profile.weights[c.key] / totalWeight;
+                return {
+                    key: c.key,
+                    label: c.label,
+                    unit: c.unit || '',
+                    weight: weight,
+                    value: value,
+                    normalized: normalized,
+                    contribution: normalized * weight
+                };
+            });
+            return {
+                quote: quote,
+                score: breakdown.reduce((sum, b) => sum + b.contribution, 0),
+                breakdown: breakdown
+            };
+        });
+    },
+
+    /**
+     * Describe why a scored quote ranks first
+     */
+    explainScore(scored) {
+        const best = scored.breakdown
+            .filter(b => b.value !== null && b.normalized === 1)
+            .sort((a, b) => b.weight - a.weight)
+            .map(b => b.label.toLowerCase());
+
+        if (best.length === 0) {
+            return 'Best balance across weighted criteria';
+        }
+        if (best.length === scored.breakdown.length && best.length > 1) {
+            return 'Best on every weighted criterion';
+        }
+        const list = best.length > 1
+            ? best.slice(0, -1).join(', ') + ' and ' + best[best.length - 1]
+            : best[0];
+        return `Best ${list}`;
+    }
+};
@@ -0,0 +1,330 @@
+/**
+ * Sender Filter Service
+ * Decides whether an inbox message is system or notification mail rather than a
+ * supplier reply, from allow/deny lists, known Microsoft service senders and
+ * (optionally) the headers mail systems put on auto-generated messages. Matching
+ * mail is moved to a folder or left alone; deleting it is an explicit opt-in.
+ * Every action is logged so it can be undone.
+ */
+const SenderFilterService = {
+    ACTIONS: {
+        move: 'Move to folder',
+        ignore: 'Leave in the inbox',
+        delete: 'Delete (move to Deleted Items)'
+    },
+
+    DEFAULT_SETTINGS: {
+        action: 'move',
+        folder: 'System Notifications',
+        // Off by default: Precedence: bulk/list also matches newsletters, and reading
+        // headers costs a Graph request per message
+        detect_auto_generated: false,
+        allow: [],
+        deny: []
+    },
+
+    // Microsoft service mail (account, security and admin notices). Consumer domains
+    // such as outlook.com and hotmail.com are deliberately absent - suppliers use them.
+    SYSTEM_DOMAINS: ['microsoft.com', 'microsoftonline.com', 'microsoft365.com', 'office365.com', 'office.com', 'sharepointonline.com'],
+
+    // Exact display names of Exchange/Outlook system messages
+    SYSTEM_SENDER_NAMES: ['microsoft outlook', 'microsoft office 365', 'microsoft 365'],
+
+    // Undo log size
+    LOG_LIMIT: 200,
+
+    // ==================== SETTINGS ====================
+
+    /**
+     * Filter settings
+     * @returns {Object} {action, folder, detect_auto_generated, allow: [], deny: []}
+     */
+    getSettings() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.SENDER_FILTER);
+            if (stored) return { ...this.DEFAULT_SETTINGS, ...JSON.parse(stored) };
+        } catch (error) {
+            console.error('Error loading sender filter settings:', error);
+        }
+        return { ...this.DEFAULT_SETTINGS, allow: [], deny: [] };
+    },
+
+    /**
+     * Save filter settings
+     * @param {Object} settings - allow/deny may be arrays or newline/comma-separated text
+     */
+    saveSettings(settings) {
+        const saved = this.validateSettings(settings);
+        localStorage.setItem(Config.STORAGE_KEYS.SENDER_FILTER, JSON.stringify(saved));
+        return saved;
+    },
+
+    /**
+     * Clean up filter settings without saving them
+     * @throws {Error} If the action, folder or a list entry is not valid
+     */
+    validateSettings(settings) {
+        const action = settings.action || this.DEFAULT_SETTINGS.action;
+        if (!this.ACTIONS[action]) {
+            throw new Error(`Unknown system mail action "${action}"`);
+        }
+        const folder = (settings.folder || '').trim();
+        if (action === 'move' && !folder) {
+            throw new Error('Enter a folder to move system mail to');
+        }
+        const saved = {
+            action: action,
+            folder: folder || this.DEFAULT_SETTINGS.folder,
+            detect_auto_generated: settings.detect_auto_generated === true,
+            allow: this.parseList(settings.allow),
+            deny: this.parseList(settings.deny)
+        };
+        [...saved.allow, ...saved.deny].forEach(entry => {
+            if (!/^@?[^@\s]+\.[^@\s]+$/.test(entry) && !Helpers.isValidEmail(entry)) {
+                throw new Error(`"${entry}" is not an email address or domain`);
+            }
+        });
+        return saved;
+    },
+
+    parseList(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(/[\n,;]/);
+        return [...new Set(items.map(item => item.trim().toLowerCase()).filter(Boolean))];
+    },
+
+    /**
+     * Add a sender to the allow list (and take it off the deny list)
+     */
+    allowSender(address) {
+        const email = (address || '').trim().toLowerCase();
+        if (!email) return;
+        const settings = this.getSettings();
+        settings.allow = [...new Set([...settings.allow, email])];
+        settings.deny = settings.deny.filter(entry => entry !== email);
+        localStorage.setItem(Config.STORAGE_KEYS.SENDER_FILTER, JSON.stringify(settings));
+    },
+
+    // ==================== MATCHING ====================
+
+    /**
+     * Sender address of a Graph message or a task pane email ("from" may be a string)
+     */
+    getSenderAddress(email) {
+        const from = email?.from;
+        const address = from?.emailAddress?.address || (typeof from === 'string' ? from : '');
+        const bracketed = address.match(/<([^>]+)>/);
+        return (bracketed ? bracketed[1] : address).trim().toLowerCase();
+    },
+
+    /**
+     * Whether an address matches a list entry ("name@domain", "@domain" or "domain",
+     * domains including their subdomains)
+     */
+    matchesEntry(address, entry) {
+        if (!address || !entry) return false;
+        if (entry.includes('@') && !entry.startsWith('@')) return address === entry;
+        const domain = entry.replace(/^@/, '');
+        const senderDomain = address.split('@')[1] || '';
+        return senderDomain === domain || senderDomain.endsWith(`.${domain}`);
+    },
+
+    /**
+     * Auto-generated mail from its headers
+     * Auto-replies (Auto-Submitted: auto-replied) are left alone: they are supplier
+     * out-of-office replies, not system mail.
+     * @param {Array} headers - Graph internetMessageHeaders [{name, value}]
+     * @returns {string|null} Reason, or null
+     */
+    getHeaderReason(headers) {
+        const header = (name) => (headers || []).find(h => (h.name || '').toLowerCase() === name)?.value?.trim().toLowerCase() || null;
+        const autoSubmitted = header('auto-submitted');
+        if (autoSubmitted && autoSubmitted !== 'no' && !autoSubmitted.startsWith('auto-replied')) {
+            return `Auto-Submitted: ${autoSubmitted}`;
+        }
+        if (header('x-ms-exchange-generated-message-source')) {
+            return 'Generated by Exchange';
+        }
+        const precedence = header('precedence');
+        if (precedence && ['bulk', 'junk', 'list'].includes(precedence)) {
+            return `Precedence: ${precedence}`;
+        }
+        return null;
+    },
+
+    /**
+     * Evaluate the rules for a message
+     * Messages about a material are never filtered, so quotes sent by supplier
+     * systems and bounces of RFQs (which Exchange sends as "Microsoft Outlook")
+     * still reach the RFQ workflow. Then the allow list, deny list, known system
+     * senders and (when enabled) headers.
+     * @param {Object} email - Message; internetMessageHeaders are used when present
+     * @returns {Object} {matched, reason, action}
+     */
+    evaluate(email) {
+        const settings = this.getSettings();
+        const address = this.getSenderAddress(email);
+        const name = (email?.from?.emailAddress?.name || '').trim().toLowerCase();
+        const result = (reason) => ({ matched: !!reason, reason: reason, action: settings.action });
+
+        if (this.isAboutMaterial(email)) return result(null);
+        if (settings.allow.some(entry => this.matchesEntry(address, entry))) return result(null);
+        const denied = settings.deny.find(entry => this.matchesEntry(address, entry));
+        if (denied) return result(`Deny list: ${denied}`);
+        const systemDomain = this.SYSTEM_DOMAINS.find(domain => this.matchesEntry(address, domain));
+        if (systemDomain) return result(`Microsoft service sender (${systemDomain})`);
+        if (this.SYSTEM_SENDER_NAMES.includes(name)) return result(`System sender "${email.from.emailAddress.name}"`);
+        if (settings.detect_auto_generated) {
+            return result(this.getHeaderReason(email?.internetMessageHeaders));
+        }
+        return result(null);
+    },
+
+    /**
+     * Whether the subject names a material (MAT-...)
+     */
+    isAboutMaterial(email) {
+        return /MAT-\d+/i.test(email?.subject || '');
+    },
+
+    /**
+     * Evaluate a message, reading its headers first when header detection is on and needs them
+     */
+    async check(email) {
+        const evaluation = this.evaluate(email);
+        const settings = this.getSettings();
+        if (evaluation.matched || !settings.detect_auto_generated) return evaluation;
+
+        const address = this.getSenderAddress(email);
+        const needsHeaders = email?.id && !email.internetMessageHeaders && !this.isAboutMaterial(email) &&
+            !settings.allow.some(entry => this.matchesEntry(address, entry));
+        if (!needsHeaders || !AuthService.isSignedIn()) return evaluation;
+
+        try {
+            const headers = await AuthService.graphRequest(`/me/messages/${email.id}?$select=internetMessageHeaders`);
+            return this.evaluate({ ...email, internetMessageHeaders: headers?.internetMessageHeaders || [] });
+        } catch (error) {
+            console.warn('[SenderFilter] Could not read message headers:', error.message);
+            return evaluation;
+        }
+    },
+
+    // ==================== ACTIONS ====================
+
+    /**
+     * Carry out the configured action on a matched message and log it for undo
+     * @param {Object} email - The message
+     * @param {Object} evaluation - From check()/evaluate()
+     * @returns {Promise<Object>} Log entry
+     */
+    async apply(email, evaluation) {
+        const settings = this.getSettings();
+        let messageId = email.id;
+        let folder = null;
+
+        if (evaluation.action === 'move') {
+            folder = settings.folder;
+            await FolderManagement.createFolderIfNotExists(folder);
+            const moved = await FolderManagement.moveEmailToFolder(email.id, folder);
+            messageId = moved?.id || email.id;
+        } else if (evaluation.action === 'delete') {
+            // A move to Deleted Items (rather than DELETE) returns the new id, so it can be undone
+            folder = 'Deleted Items';
+            const moved = await AuthService.graphRequest(`/me/messages/${email.id}/move`, {
+                method: 'POST',
+                body: JSON.stringify({ destinationId: 'deleteditems' })
+            });
+            messageId = moved?.id || email.id;
+        }
+
+        const logEntry = {
+            original_message_id: email.id,
+            message_id: messageId,
+            subject: email.subject || '',
+            from: this.getSenderAddress(email),
+            reason: evaluation.reason,
+            action: evaluation.action,
+            folder: folder,
+            filtered_at: new Date().toISOString(),
+            undone_at: null
+        };
+        this.saveLogEntry(logEntry);
+        return logEntry;
+    },
+
+    /**
+     * Message ledger details of a filter action
+     */
+    getLedgerDetails(logEntry, source = 'monitor') {
+        return {
+            outcome: 'filtered',
+            classification: 'system_notification',
+            target_folder: logEntry.folder,
+            note: `${logEntry.reason} - ${this.ACTIONS[logEntry.action]}`,
+            source: source
+        };
+    },
+
+    /**
+     * One-line description of what was done, for notifications
+     */
+    describe(logEntry) {
+        if (logEntry.action === 'move') return `System notification moved to ${logEntry.folder}`;
+        if (logEntry.action === 'delete') return 'System notification moved to Deleted Items';
+        return 'System notification left in the inbox and not processed';
+    },
+
+    // ==================== UNDO LOG ====================
+
+    getLog() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.SENDER_FILTER_LOG);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error loading sender filter log:', error);
+            return [];
+        }
+    },
+
+    saveLogEntry(logEntry) {
+        const log = this.getLog().filter(e => e.original_message_id !== logEntry.original_message_id);
+        log.unshift(logEntry);
+        try {
+            localStorage.setItem(Config.STORAGE_KEYS.SENDER_FILTER_LOG, JSON.stringify(log.slice(0, this.LOG_LIMIT)));
+        } catch (error) {
+            console.error('Error saving sender filter log:', error);
+        }
+    },
+
+    /**
+     * Log entry that can still be undone for a message (by its id before filtering)
+     */
+    getUndoable(originalMessageId) {
+        return this.getLog().find(e => e.original_message_id === originalMessageId && !e.undone_at) || null;
+    },
+
+    /**
+     * Undo a filter action: move the message back to the inbox, allow its sender
+     * and clear its ledger entry so it is processed like any other reply
+     * @returns {Promise<string>} Id of the message in the inbox
+     */
+    async undo(originalMessageId) {
+        const logEntry = this.getUndoable(originalMessageId);
+        if (!logEntry) {
+            throw new Error('There is nothing to undo for this message');
+        }
+
+        let restoredId = logEntry.message_id;
+        if (logEntry.action !== 'ignore') {
+            const restored = await AuthService.graphRequest(`/me/messages/${logEntry.message_id}/move`, {
+                method: 'POST',
+                body: JSON.stringify({ destinationId: 'inbox' })
+            });
+            restoredId = restored?.id || logEntry.message_id;
+        }
+
+        this.allowSender(logEntry.from);
+        this.saveLogEntry({ ...logEntry, undone_at: new Date().toISOString() });
+        await MessageLedger.remove(originalMessageId);
+        return restoredId;
+    }
+};
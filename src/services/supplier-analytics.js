@@ -0,0 +1,269 @@
+/**
+ * Supplier Analytics Service
+ * Per-supplier response time, response rate, decline rate, quote win rate and
+ * clarification frequency across all material folders, plus the reliability
+ * factor the scoring profiles can weight. Results are cached in localStorage
+ * and recalculated on request.
+ */
+const SupplierAnalyticsService = {
+    // Replies that turn down the RFQ rather than quote
+    DECLINE_PATTERN: /\b(unable to (quote|offer|supply|bid)|cannot (quote|offer|supply)|can't (quote|offer|supply)|not able to (quote|offer|supply)|declin(e|ing) to (quote|bid)|no[- ]bid|regret(fully)?|not in a position to (quote|offer))\b/i,
+
+    // Suppliers with fewer RFQs than this get no reliability score
+    MIN_RFQS: 2,
+
+    // Response times at or below FAST score full marks for timeliness, at or above SLOW score none
+    FAST_RESPONSE_HOURS: 24,
+    SLOW_RESPONSE_HOURS: 240,
+
+    // Reliability = weighted blend of response rate, share of responses that quote and timeliness
+    RELIABILITY_WEIGHTS: {
+        response_rate: 0.5,
+        quote_rate: 0.3,
+        timeliness: 0.2
+    },
+
+    // ==================== COLLECTION ====================
+
+    /**
+     * All messages in a folder (follows paging)
+     */
+    async getFolderMessages(folderId) {
+        const messages = [];
+        let endpoint = `/me/mailFolders/${folderId}/messages?$top=250` +
+            '&$select=id,subject,from,toRecipients,sentDateTime,receivedDateTime,conversationId,bodyPreview';
+        while (endpoint) {
+            const response = await AuthService.graphRequest(endpoint);
+            messages.push(...(response?.value || []));
+            endpoint = response?.['@odata.nextLink'] || null;
+        }
+        return messages;
+    },
+
+    /**
+     * Read the sent RFQs and supplier replies of every material folder
+     * @param {Function} onProgress - Optional (message) => void
+     * @returns {Promise<Array>} [{material_code, sent: [messages], replies: [{folder, message}]}]
+     */
+    async collect(onProgress = null) {
+        const replyFolders = {
+            [Config.FOLDERS.QUOTES.toLowerCase()]: 'quote',
+            [Config.FOLDERS.NEGOTIATION.toLowerCase()]: 'quote',
+            [Config.FOLDERS.CLARIFICATION_REQUESTS.toLowerCase()]: 'clarification',
+            [Config.FOLDERS.AWAITING_CLARIFICATION.toLowerCase()]: 'clarification',
+            [Config.FOLDERS.AWAITING_ENGINEER.toLowerCase()]: 'clarification'
+        };
+
+        const materialFolders = await FolderManagement.listMaterialRootFolders();
+        const materials = [];
+        for (let i = 0; i < materialFolders.length; i++) {
+            const materialCode = materialFolders[i].displayName.toUpperCase();
+            if (onProgress) onProgress(`Reading ${materialCode} (${i + 1} of ${materialFolders.length})...`);
+
+            const material = { material_code: materialCode, sent: [], replies: [] };
+            const subfolders = await FolderManagement.listMaterialFolders(materialFolders[i].displayName);
+            for (const subfolder of subfolders) {
+                const name = (subfolder.displayName || '').toLowerCase();
+                if (name === Config.FOLDERS.SENT_RFQS.toLowerCase()) {
+                    material.sent.push(...await this.getFolderMessages(subfolder.id));
+                } else if (replyFolders[name]) {
+                    const messages = await this.getFolderMessages(subfolder.id);
+                    material.replies.push(...messages.map(message => ({ kind: replyFolders[name], message: message })));
+                }
+            }
+            materials.push(material);
+        }
+        return materials;
+    },
+
+    // ==================== METRICS ====================
+
+    /**
+     * Compute per-supplier statistics
+     * An RFQ is the first message sent to a supplier for a material; replies count
+     * only from suppliers that were sent the RFQ, and only after it was sent.
+     * @param {Array} materials - See collect()
+     * @param {Object} purchaseOrders - PO records keyed by PO number (for win rates)
+     * @returns {Object} Stats keyed by lowercase supplier email
+     */
+    computeStats(materials, purchaseOrders = {}) {
+        const suppliers = {};
+        const getSupplier = (email, name) => {
+            if (!suppliers[email]) {
+                suppliers[email] = {
+                    email: email,
+                    name: name || email,
+                    rfqs: 0,
+                    responded: 0,
+                    response_hours: [],
+                    quoted: 0,
+                    declined: 0,
+                    clarifications: 0,
+                    awarded: 0
+                };
+            }
+            if (name && suppliers[email].name === email) suppliers[email].name = name;
+            return suppliers[email];
+        };
+
+        const awardedBy = {};
+        Object.values(purchaseOrders).forEach(po => {
+            const email = (po.supplier?.email || '').toLowerCase();
+            if (!email || !po.material_code) return;
+            awardedBy[`${po.material_code.toUpperCase()}|${email}`] = true;
+        });
+
+        materials.forEach(material => {
+            // First RFQ sent to each supplier for this material
+            const rfqSent = {};
+            material.sent.forEach(message => {
+                const sentAt = message.sentDateTime || message.receivedDateTime;
+                (message.toRecipients || []).forEach(recipient => {
+                    const email = (recipient.emailAddress?.address || '').toLowerCase();
+                    if (!email) return;
+                    getSupplier(email, recipient.emailAddress.name);
+                    if (!rfqSent[email] || new Date(sentAt) < new Date(rfqSent[email])) {
+                        rfqSent[email] = sentAt;
+                    }
+                });
+            });
+
+            const repliesBySupplier = {};
+            material.replies.forEach(reply => {
+                const email = (reply.message.from?.emailAddress?.address || '').toLowerCase();
+                if (!rfqSent[email]) return;
+                if (new Date(reply.message.receivedDateTime) < new Date(rfqSent[email])) return;
+                (repliesBySupplier[email] = repliesBySupplier[email] || []).push(reply);
+            });
+
+            Object.keys(rfqSent).forEach(email => {
+                const stats = suppliers[email];
+                stats.rfqs++;
+                const replies = (repliesBySupplier[email] || [])
+                    .sort((a, b) => new Date(a.message.receivedDateTime) - new Date(b.message.receivedDateTime));
+                if (replies.length === 0) return;
+
+                stats.responded++;
+                stats.response_hours.push((new Date(replies[0].message.receivedDateTime) - new Date(rfqSent[email])) / 3600000);
+                stats.clarifications += replies.filter(r => r.kind === 'clarification').length;
+
+                const quotes = replies.filter(r => r.kind === 'quote');
+                const declined = quotes.length > 0
+                    ? quotes.every(r => this.isDecline(r.message))
+                    : replies.some(r => this.isDecline(r.message));
+                if (declined) {
+                    stats.declined++;
+                } else if (quotes.length > 0) {
+                    stats.quoted++;
+                    if (awardedBy[`${material.material_code}|${email}`]) stats.awarded++;
+                }
+            });
+        });
+
+        Object.values(suppliers).forEach(stats => this.summarizeSupplier(stats));
+        return suppliers;
+    },
+
+    /**
+     * Whether a reply turns down the RFQ
+     */
+    isDecline(message) {
+        return this.DECLINE_PATTERN.test(`${message.subject || ''} ${message.bodyPreview || ''}`);
+    },
+
+    /**
+     * Derive rates and the reliability score from a supplier's counts
+     */
+    summarizeSupplier(stats) {
+        const hours = stats.response_hours.slice().sort((a, b) => a - b);
+        const ratio = (part, whole) => whole > 0 ? part / whole : null;
+
+        stats.response_rate = ratio(stats.responded, stats.rfqs);
+        stats.decline_rate = ratio(stats.declined, stats.responded);
+        stats.win_rate = ratio(stats.awarded, stats.quoted);
+        stats.clarifications_per_rfq = ratio(stats.clarifications, stats.rfqs);
+        stats.avg_response_hours = hours.length > 0 ? hours.reduce((sum, h) => sum + h, 0) / hours.length : null;
+        stats.median_response_hours = hours.length > 0
+            ? (hours.length % 2 === 1 ? hours[(hours.length - 1) / 2] : (hours[hours.length / 2 - 1] + hours[hours.length / 2]) / 2)
+            : null;
+        delete stats.response_hours;
+        stats.reliability = this.getReliabilityScore(stats);
+        return stats;
+    },
+
+    /**
+     * Reliability score 0-100 (null below MIN_RFQS)
+     */
+    getReliabilityScore(stats) {
+        if (stats.rfqs < this.MIN_RFQS) return null;
+        const weights = this.RELIABILITY_WEIGHTS;
+        let timeliness = 0;
+        if (stats.median_response_hours !== null) {
+            const span = this.SLOW_RESPONSE_HOURS - this.FAST_RESPONSE_HOURS;
+            timeliness = Math.min(1, Math.max(0, 1 - (stats.median_response_hours - this.FAST_RESPONSE_HOURS) / span));
+        }
+        const quoteRate = stats.responded > 0 ? 1 - stats.decline_rate : 0;
+        const score = weights.response_rate * stats.response_rate +
+            weights.quote_rate * quoteRate +
+            weights.timeliness * timeliness;
+        return Math.round(score * 1000) / 10;
+    },
+
+    // ==================== CACHE ====================
+
+    /**
+     * Recalculate analytics for all suppliers and cache them
+     * @returns {Promise<Object>} {computed_at, suppliers}
+     */
+    async refresh(onProgress = null) {
+        const materials = await this.collect(onProgress);
+        const analytics = {
+            computed_at: new Date().toISOString(),
+            materials: materials.length,
+            suppliers: this.computeStats(materials, PurchaseOrderService.getPurchaseOrders())
+        };
+        try {
+            localStorage.setItem(Config.STORAGE_KEYS.SUPPLIER_ANALYTICS, JSON.stringify(analytics));
+        } catch (error) {
+            console.error('Error saving supplier analytics:', error);
+        }
+        return analytics;
+    },
+
+    /**
+     * Last calculated analytics, or null
+     */
+    getCached() {
+        try {
+            const stored = localStorage.getItem(Config.STORAGE_KEYS.SUPPLIER_ANALYTICS);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Error loading supplier analytics:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Cached stats for a supplier
+     */
+    getSupplierStats(email) {
+        if (!email) return null;
+        return this.getCached()?.suppliers?.[email.toLowerCase()] || null;
+    },
+
+    /**
+     * Cached reliability score for a supplier (0-100, or null when unknown)
+     */
+    getReliability(email) {
+        return this.getSupplierStats(email)?.reliability ?? null;
+    },
+
+    /**
+     * Format a response time in hours as "5 h" or "2.5 days"
+     */
+    formatHours(hours) {
+        if (hours === null || hours === undefined) return 'N/A';
+        if (hours < 48) return `${Math.round(hours)} h`;
+        return `${Math.round(hours / 24 * 10) / 10} days`;
+    }
+};
@@ -0,0 +1,396 @@
+/**
+ * XLSX Writer
+ * Minimal Office Open XML workbook writer for exports generated in the task pane.
+ * Supports formulas, number formats, fonts/fills/borders, column widths, frozen
+ * header rows, merged cells and conditional formatting, which the parsing
+ * library used for attachments cannot write.
+ *
+ * A cell is null, a string, a number, or {value, formula, style}, where style is
+ * {bold, italic, size, color, fill, numFmt, border, wrap, align} (colors as RRGGBB).
+ */
+const XlsxWriter = {
+    /**
+     * Create an empty workbook
+     */
+    createWorkbook() {
+        return { sheets: [] };
+    },
+
+    /**
+     * Add a worksheet
+     * @param {Object} workbook - Result of createWorkbook
+     * @param {string} name - Sheet name (made unique and valid for Excel)
+     * @param {Object} sheet - {rows: [[cell]], columns: [{width}], freezeRows, merges: ['A1:D1'],
+     *                          conditionalFormats: [{range, type: 'lowest'|'highest', style}]}
+     * @returns {string} The sheet name used
+     */
+    addSheet(workbook, name, sheet) {
+        const base = (name || 'Sheet').replace(/[\[\]:*?\/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+        let unique = base;
+        for (let i = 2; workbook.sheets.some(s => s.name.toLowerCase() === unique.toLowerCase()); i++) {
+            const suffix = ` (${i})`;
+            unique = base.slice(0, 31 - suffix.length) + suffix;
+        }
+        workbook.sheets.push({
+            name: unique,
+            rows: sheet.rows || [],
+            columns: sheet.columns || [],
+            freezeRows: sheet.freezeRows || 0,
+            merges: sheet.merges || [],
+            conditionalFormats: sheet.conditionalFormats || []
+        });
+        return unique;
+    },
+
+    /**
+     * Column letter(s) for a 0-based column index (0 -> A, 27 -> AB)
+     */
+    columnName(index) {
+        let name = '';
+        let n = index + 1;
+        while (n > 0) {
+            const remainder = (n - 1) % 26;
+            name = String.fromCharCode(65 + remainder) + name;
+            n = Math.floor((n - 1) / 26);
+        }
+        return name;
+    },
+
+    /**
+     * A1-style reference for a 0-based row and column
+     */
+    cellRef(row, column) {
+        return `${this.columnName(column)}${row + 1}`;
+    },
+
+    /**
+     * Quote a sheet name for use in formulas ('Supplier A'!B3)
+     */
+    sheetRef(sheetName) {
+        return `'${sheetName.replace(/'/g, "''")}'`;
+    },
+
+    /**
+     * Excel number format for an amount in a currency, e.g. "$"#,##0.00 or #,##0.00 "EUR"
+     */
+    currencyFormat(currency) {
+        const symbols = { USD: '$', EUR: '€', GBP: '£', JPY: '¥', CNY: '¥', INR: '₹' };
+        const code = (currency || 'USD').toUpperCase();
+        return symbols[code] ? `"${symbols[code]}"#,##0.00` : `#,##0.00 "${code}"`;
+    },
+
+    // ==================== SERIALIZATION ====================
+
+    /**
+     * Serialize the workbook
+     * @returns {Blob} XLSX file
+     */
+    toBlob(workbook) {
+        if (workbook.sheets.length === 0) {
+            throw new Error('Workbook has no sheets');
+        }
+        const styles = this.createStyleRegistry();
+        const sheetXml = workbook.sheets.map(sheet => this.buildSheetXml(sheet, styles));
+
+        const files = [
+            { name: '[Content_Types].xml', content: this.buildContentTypes(workbook) },
+            { name: '_rels/.rels', content: this.buildRootRels() },
+            { name: 'xl/workbook.xml', content: this.buildWorkbookXml(workbook) },
+            { name: 'xl/_rels/workbook.xml.rels', content: this.buildWorkbookRels(workbook) },
+            { name: 'xl/styles.xml', content: this.buildStylesXml(styles) },
+            ...sheetXml.map((content, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: content }))
+        ];
+        return new Blob([this.zip(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    },
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    },
+
+    buildContentTypes(workbook) {
+        const sheets = workbook.sheets.map((s, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets +
+            '</Types>';
+    },
+
+    buildRootRels() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    },
+
+    buildWorkbookXml(workbook) {
+        const sheets = workbook.sheets.map((s, i) =>
+            `<sheet name="${this.escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+        ).join('');
+        // Formulas are written without cached values - recalculate on open
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets>${sheets}</sheets>` +
+            '<calcPr calcId="191029" fullCalcOnLoad="1"/>' +
+            '</workbook>';
+    },
+
+    buildWorkbookRels(workbook) {
+        const sheets = workbook.sheets.map((s, i) =>
+            `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        ).join('');
+        const stylesId = workbook.sheets.length + 1;
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets +
+            `<Relationship Id="rId${stylesId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+    },
+
+    buildSheetXml(sheet, styles) {
+        const parts = [];
+        parts.push('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>');
+        parts.push('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">');
+
+        if (sheet.freezeRows > 0) {
+            parts.push('<sheetViews><sheetView workbookViewId="0">' +
+                `<pane ySplit="${sheet.freezeRows}" topLeftCell="A${sheet.freezeRows + 1}" activePane="bottomLeft" state="frozen"/>` +
+                '</sheetView></sheetViews>');
+        }
+
+        // An empty <cols/> is invalid, so it is only written when a column has a width
+        const cols = sheet.columns.map((column, i) =>
+            column && column.width ? `<col min="${i + 1}" max="${i + 1}" width="${column.width}" customWidth="1"/>` : ''
+        ).join('');
+        if (cols) {
+            parts.push(`<cols>${cols}</cols>`);
+        }
+
+        parts.push('<sheetData>');
+        sheet.rows.forEach((row, r) => {
+            if (!row || row.length === 0) return;
+            const cells = row.map((cell, c) => this.buildCellXml(cell, this.cellRef(r, c), styles)).join('');
+            parts.push(`<row r="${r + 1}">${cells}</row>`);
+        });
+        parts.push('</sheetData>');
+
+        if (sheet.merges.length > 0) {
+            parts.push(`<mergeCells count="${sheet.merges.length}">` +
+                sheet.merges.map(range => `<mergeCell ref="${range}"/>`).join('') +
+                '</mergeCells>');
+        }
+
+        let priority = 1;
+        sheet.conditionalFormats.forEach(format => {
+            const dxfId = styles.addDxf(format.style);
+            const bottom = format.type === 'lowest' ? ' bottom="1"' : '';
+            parts.push(`<conditionalFormatting sqref="${format.range}">` +
+                `<cfRule type="top10" dxfId="${dxfId}" priority="${priority++}" rank="1"${bottom}/>` +
+                '</conditionalFormatting>');
+        });
+
+        parts.push('</worksheet>');
+        return parts.join('');
+    },
+
+    buildCellXml(cell, ref, styles) {
+        if (cell === null || cell === undefined || cell === '') return '';
+        const spec = typeof cell === 'object' ? cell : { value: cell };
+        const styleId = spec.style ? styles.addXf(spec.style) : 0;
+        const s = styleId ? ` s="${styleId}"` : '';
+
+        if (spec.formula) {
+            return `<c r="${ref}"${s}><f>${this.escapeXml(spec.formula.replace(/^=/, ''))}</f></c>`;
+        }
+        const value = spec.value;
+        if (value === null || value === undefined || value === '') {
+            return styleId ? `<c r="${ref}"${s}/>` : '';
+        }
+        if (typeof value === 'number' && isFinite(value)) {
+            return `<c r="${ref}"${s}><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+    },
+
+    // ==================== STYLES ====================
+
+    /**
+     * Collects the fonts, fills, borders and number formats used by the cells
+     */
+    createStyleRegistry() {
+        const registry = {
+            numFmts: [],
+            fonts: ['<font><sz val="11"/><name val="Calibri"/></font>'],
+            fills: ['<fill><patternFill patternType="none"/></fill>', '<fill><patternFill patternType="gray125"/></fill>'],
+            borders: ['<border><left/><right/><top/><bottom/><diagonal/></border>'],
+            xfs: ['<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'],
+            dxfs: [],
+            index(list, xml) {
+                const existing = list.indexOf(xml);
+                if (existing !== -1) return existing;
+                list.push(xml);
+                return list.length - 1;
+            },
+            fontXml(style) {
+                return '<font>' +
+                    (style.bold ? '<b/>' : '') +
+                    (style.italic ? '<i/>' : '') +
+                    `<sz val="${style.size || 11}"/>` +
+                    (style.color ? `<color rgb="FF${style.color}"/>` : '') +
+                    '<name val="Calibri"/></font>';
+            },
+            fillXml(color) {
+                return `<fill><patternFill patternType="solid"><fgColor rgb="FF${color}"/><bgColor indexed="64"/></patternFill></fill>`;
+            },
+            numFmtId(format) {
+                if (!format) return 0;
+                const builtIn = { '0': 1, '0.00': 2, '#,##0': 3, '#,##0.00': 4, '0%': 9, '0.00%': 10 };
+                if (builtIn[format] !== undefined) return builtIn[format];
+                const existing = this.numFmts.indexOf(format);
+                if (existing !== -1) return 164 + existing;
+                this.numFmts.push(format);
+                return 164 + this.numFmts.length - 1;
+            },
+            addXf(style) {
+                const fontId = this.index(this.fonts, this.fontXml(style));
+                const fillId = style.fill ? this.index(this.fills, this.fillXml(style.fill)) : 0;
+                const borderId = style.border
+                    ? this.index(this.borders, '<border><left style="thin"><color rgb="FFD0D0D0"/></left><right style="thin"><color rgb="FFD0D0D0"/></right><top style="thin"><color rgb="FFD0D0D0"/></top><bottom style="thin"><color rgb="FFD0D0D0"/></bottom><diagonal/></border>')
+                    : 0;
+                const numFmtId = this.numFmtId(style.numFmt);
+                const alignment = style.wrap || style.align
+                    ? `<alignment${style.align ? ` horizontal="${style.align}"` : ''}${style.wrap ? ' wrapText="1" vertical="top"' : ''}/>`
+                    : '';
+                const xf = `<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0"` +
+                    (numFmtId ? ' applyNumberFormat="1"' : '') +
+                    (fontId ? ' applyFont="1"' : '') +
+                    (fillId ? ' applyFill="1"' : '') +
+                    (borderId ? ' applyBorder="1"' : '') +
+                    (alignment ? ` applyAlignment="1">${alignment}</xf>` : '/>');
+                return this.index(this.xfs, xf);
+            },
+            addDxf(style) {
+                const font = style.bold || style.color
+                    ? `<font>${style.bold ? '<b/>' : ''}${style.color ? `<color rgb="FF${style.color}"/>` : ''}</font>`
+                    : '';
+                const fill = style.fill ? `<fill><patternFill><bgColor rgb="FF${style.fill}"/></patternFill></fill>` : '';
+                return this.index(this.dxfs, `<dxf>${font}${fill}</dxf>`);
+            }
+        };
+        return registry;
+    },
+
+    buildStylesXml(styles) {
+        const numFmts = styles.numFmts.length > 0
+            ? `<numFmts count="${styles.numFmts.length}">` +
+                styles.numFmts.map((format, i) => `<numFmt numFmtId="${164 + i}" formatCode="${this.escapeXml(format)}"/>`).join('') +
+                '</numFmts>'
+            : '';
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            numFmts +
+            `<fonts count="${styles.fonts.length}">${styles.fonts.join('')}</fonts>` +
+            `<fills count="${styles.fills.length}">${styles.fills.join('')}</fills>` +
+            `<borders count="${styles.borders.length}">${styles.borders.join('')}</borders>` +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            `<cellXfs count="${styles.xfs.length}">${styles.xfs.join('')}</cellXfs>` +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            `<dxfs count="${styles.dxfs.length}">${styles.dxfs.join('')}</dxfs>` +
+            '</styleSheet>';
+    },
+
+    // ==================== ZIP ====================
+
+    crcTable: null,
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Build an uncompressed (stored) ZIP archive
+     * @param {Array} files - [{name, content}] with string content
+     * @returns {Uint8Array}
+     */
+    zip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);          // version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 names
+            local.setUint16(8, 0, true);           // stored
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);        // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+};
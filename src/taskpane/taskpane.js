@@ -30,7 +30,13 @@ const AppState = {
     // Parsed questions with AI responses
     questions: [],
     // Pending RFQ drafts (for modal display)
-    pendingDrafts: []
+    pendingDrafts: [],
+    // Most recent award {quotes, po} - several quotes for a split award (for notifying unsuccessful bidders)
+    lastAward: null,
+    // Award held for approval {quotes, split, comparisonQuotes, contexts, value, requirement, approval}
+    pendingAward: null,
+    // Regret drafts under review in the bidder notification modal
+    bidderDrafts: []
 };
 
 // ==================== STATE PERSISTENCE ====================
@@ -151,6 +157,24 @@ function getRFQMappingFromEmail(email) {
     return null;
 }
 
+/**
+ * Get the most recent RFQ mapping for a supplier email address
+ * @param {string} supplierEmail - Address the RFQ was sent to
+ * @returns {Object|null} Mapping object or null if not found
+ */
+function findRFQMappingBySupplier(supplierEmail) {
+    const email = (supplierEmail || '').toLowerCase();
+    if (!email) return null;
+    let latest = null;
+    for (const mapping of rfqMappings.values()) {
+        if ((mapping.supplier_email || '').toLowerCase() === email &&
+            (!latest || (mapping.sentDateTime || '') > (latest.sentDateTime || ''))) {
+            latest = mapping;
+        }
+    }
+    return latest;
+}
+
 /**
  * Clean up old RFQ mappings (older than 30 days)
  */
@@ -179,6 +203,7 @@ if (typeof window !== 'undefined') {
     window.RFQMapping = {
         get: getRFQMapping,
         getFromEmail: getRFQMappingFromEmail,
+        findBySupplier: findRFQMappingBySupplier,
         store: storeRFQMapping
     };
 }
@@ -444,6 +469,14 @@ async function ensureEmailClassified(email, expectedClassification) {
             backendEmailId = email.id;
         }
         
+        await MessageLedger.record(email, {
+            outcome: 'classified',
+            classification: classifyResult.classification || expectedClassification,
+            confidence: classifyResult.confidence,
+            material_code: email.subject?.match(/MAT-\d+/i)?.[0]?.toUpperCase() || null,
+            source: 'task_pane'
+        });
+        
         return {
             emailId: backendEmailId,
             classification: classifyResult.classification || expectedClassification,
@@ -703,7 +736,7 @@ async function detectEmailContext() {
         let email = null;
         try {
             email = await AuthService.graphRequest(
-                `/me/messages/${emailId}?$select=id,subject,from,parentFolderId,categories,body,receivedDateTime,conversationId`
+                `/me/messages/${emailId}?$select=id,subject,from,parentFolderId,categories,body,receivedDateTime,conversationId,hasAttachments`
             );
         } catch (graphError) {
             console.error('Graph API error getting email:', graphError);
@@ -716,7 +749,7 @@ async function detectEmailContext() {
                     );
                     console.log('Converted to REST ID:', restId.substring(0, 50) + '...');
                     email = await AuthService.graphRequest(
-                        `/me/messages/${restId}?$select=id,subject,from,parentFolderId,categories,body,receivedDateTime,conversationId`
+                        `/me/messages/${restId}?$select=id,subject,from,parentFolderId,categories,body,receivedDateTime,conversationId,hasAttachments`
                     );
                 } catch (convertError) {
                     console.error('Error with converted ID:', convertError);
@@ -789,7 +822,8 @@ async function detectEmailContext() {
         
         // Check for Quotes folder (by immediate name OR full path)
         const lowerPath = folderPath.toLowerCase();
-        const isInQuotesFolder = folderName.includes('quote') || lowerPath.includes('quote');
+        const isInQuotesFolder = folderName.includes('quote') || lowerPath.includes('quote') ||
+            folderName === Config.FOLDERS.NEGOTIATION.toLowerCase();
         const isInClarificationFolder = folderName.includes('clarification') || lowerPath.includes('clarification');
         const isInEngineerFolder = folderName.includes('engineer') || lowerPath.includes('engineer');
         
@@ -1400,79 +1434,6 @@ async function loadRfqProgress(state) {
         itemElement.classList.add(state);
     };
     
-    // Helper to check if email is an undeliverable/bounceback
-    const isUndeliverable = (email, bodyPreview = '') => {
-        const subject = (email.subject || '').toLowerCase();
-        const from = (email.from?.emailAddress?.address || '').toLowerCase();
-        const fromName = (email.from?.emailAddress?.name || '').toLowerCase();
-        const body = (bodyPreview || '').toLowerCase();
-        
-        // Subject/from checks (existing)
-        if (subject.includes('undeliverable') || 
-            subject.includes('delivery failure') ||
-            subject.includes('delivery has failed') ||
-            subject.includes('mail delivery failed') ||
-            from.includes('postmaster') ||
-            from.includes('mailer-daemon') ||
-            (from.includes('noreply') && subject.includes('failed')) ||
-            fromName.includes('postmaster') ||
-            fromName.includes('mailer-daemon')) {
-            return true;
-        }
-        
-        // NEW: Body content checks for bounceback patterns
-        if (body.includes('message undeliverable') ||
-            body.includes('delivery has failed') ||
-            body.includes('returned mail') ||
-            body.includes('mail delivery subsystem') ||
-            body.includes('delivery status notification') ||
-            body.includes('this is an automatically generated delivery status notification') ||
-            body.includes('delivery to the following recipient failed') ||
-            body.includes('could not be delivered')) {
-            return true;
-        }
-        
-        return false;
-    };
-    
-    // Helper to check if email is a real supplier reply
-    const isSupplierReply = (email, bodyPreview = '') => {
-        const subject = (email.subject || '').toLowerCase();
-        
-        // Must contain RFQ in subject
-        if (!subject.includes('rfq')) {
-            return false;
-        }
-        
-        // Must not be undeliverable
-        if (isUndeliverable(email, bodyPreview)) {
-            return false;
-        }
-        
-        // NEW: Must have actual content (not just bounceback)
-        const body = (bodyPreview || '').trim();
-        if (body.length < 50) {
-            return false; // Too short to be a real reply
-        }
-        
-        // Check body doesn't contain bounceback patterns
-        const bouncePatterns = [
-            'delivery failed',
-            'undeliverable',
-            'returned mail',
-            'mail delivery subsystem',
-            'delivery status notification',
-            'could not be delivered',
-            'permanent failure',
-            'temporary failure'
-        ];
-        if (bouncePatterns.some(pattern => body.includes(pattern))) {
-            return false;
-        }
-        
-        return true;
-    };
-    
     // Try to count actual replies received
     let repliesReceived = 0;
     let repliesSorted = 0;
@@ -1495,12 +1456,11 @@ async function loadRfqProgress(state) {
                                 const isTrackedSent = trackedSentEmails.some(e => e.id === email.id);
                                 if (isTrackedSent) continue;
                                 
-                                const bodyPreview = email.bodyPreview || '';
                                 const receivedDate = new Date(email.receivedDateTime);
                                 const isNewAfterBaseline = !baselineTime || receivedDate > baselineTime;
                                 
                                 // Only count if: valid reply AND new after baseline AND not already counted
-                                if (isSupplierReply(email, bodyPreview) && 
+                                if (AutoReplyDetector.isSupplierReply(email) && 
                                     isNewAfterBaseline &&
                                     !allReplyIds.has(email.id)) {
                                     allReplyIds.add(email.id);
@@ -1573,14 +1533,13 @@ async function loadRfqProgress(state) {
                     if (folderEmails.value) {
                         for (const email of folderEmails.value) {
                             const receivedDate = new Date(email.receivedDateTime);
-                            const bodyPreview = email.bodyPreview || '';
                             const isNewAfterBaseline = !baselineTime || receivedDate > baselineTime;
                             
                             // Check if this email should be counted as a reply
                             const inTrackedConversation = trackedConversationIds.has(email.conversationId);
                             
                             // Add to sorted folders set if it's a valid reply and new
-                            if (isSupplierReply(email, bodyPreview) && isNewAfterBaseline) {
+                            if (AutoReplyDetector.isSupplierReply(email) && isNewAfterBaseline) {
                                 // Check if this is a tracked reply:
                                 // - In tracked conversation (Step 1 should have found it, but check anyway)
                                 // - OR not yet in allReplyIds (new reply we're discovering)
@@ -1624,13 +1583,12 @@ async function loadRfqProgress(state) {
                 if (inboxReplies.value) {
                     for (const email of inboxReplies.value) {
                         const receivedDate = new Date(email.receivedDateTime);
-                        const bodyPreview = email.bodyPreview || '';
                         
                         // Only count if: NOT in tracked conversation (already counted in Step 1) AND new after baseline
                         const inTrackedConversation = trackedConversationIds.has(email.conversationId);
                         const isNewAfterBaseline = !baselineTime || receivedDate > baselineTime;
                         
-                        if (isSupplierReply(email, bodyPreview) && 
+                        if (AutoReplyDetector.isSupplierReply(email) && 
                             !allReplyIds.has(email.id) &&
                             !inTrackedConversation &&  // Skip if already counted in Step 1
                             isNewAfterBaseline) {
@@ -2458,35 +2416,48 @@ async function showQuoteMode(context) {
 }
 
 /**
- * Parse quote details from email body (backend auto_reply_service generate_quote_reply format).
- * Format: Unit Price: $X.00 USD, Total Price: $X,XXX.00 USD, Delivery Time: ..., Payment Terms: Net 30, Validity: ...
+ * Parse quote fields from text extracted from a PDF/XLSX/CSV attachment
+ * @param {Object} source - {text, rows} from QuoteAttachmentService (rows only for spreadsheets/CSV)
+ * @returns {Object} {field: {value, confidence}}
  */
-function parseQuoteDetailsFromBody(bodyContent) {
-    const text = Helpers.stripHtml(bodyContent || '');
-    const details = {
-        unit_price: null,
-        total_price: null,
-        lead_time: null,
-        validity: null,
-        payment_terms: null,
-        notes: null
-    };
-    const unitMatch = text.match(/(?:Unit\s*Price|unit\s*price)[:\s]*\$?([\d,]+)(?:\.\d*)?\s*(?:USD)?/i);
-    if (unitMatch) details.unit_price = unitMatch[1].replace(/,/g, '');
-    const totalMatch = text.match(/(?:Total\s*Price|total\s*price)[:\s]*\$?([\d,]+)(?:\.\d*)?\s*(?:USD)?/i);
-    if (totalMatch) details.total_price = totalMatch[1].replace(/,/g, '');
-    const deliveryMatch = text.match(/(?:Delivery\s*Time|delivery\s*time)[:\s]*([^\n\r]+)/i);
-    if (deliveryMatch) details.lead_time = deliveryMatch[1].trim();
-    const termsMatch = text.match(/(?:Payment\s*Terms|payment\s*terms)[:\s]*([^\n\r]+)/i);
-    if (termsMatch) details.payment_terms = termsMatch[1].trim();
-    const validityMatch = text.match(/(?:valid\s*for|Validity[:\s]*[^\d]*)(\d+)\s*days?/i);
-    if (validityMatch) details.validity = validityMatch[1] + ' days';
-    return details;
+function parseQuoteDetailsFromAttachment(source) {
+    const lineItems = source.rows
+        ? LineItemService.extractFromRows(source.rows, CurrencyService.detectCurrency(source.text))
+        : null;
+    return QuoteExtractionService.parseStructured(source.text, null, lineItems);
+}
+
+/**
+ * Fill a quote's missing or uncertain fields from its PDF/XLSX/CSV attachments
+ * Only runs for messages with attachments whose body has no confident price ("please find attached").
+ * @param {Object} quote - Quote parsed from the body (modified in place)
+ * @param {Object} email - Graph message (needs id and hasAttachments)
+ * @returns {Promise<Object>} The quote, with field_sources and attachment_sources when attachments were read
+ */
+async function applyAttachmentQuoteData(quote, email) {
+    if (!quote || !email?.hasAttachments || !QuoteAttachmentService.needsAttachmentData(quote)) {
+        return quote;
+    }
+    
+    try {
+        const { sources, errors } = await QuoteAttachmentService.extractFromMessage(email.id);
+        quote.attachment_sources = sources.map(source => ({ name: source.name, type: source.type, fields: [] }));
+        quote.attachment_errors = errors;
+        
+        sources.forEach((source, index) => {
+            const parsed = parseQuoteDetailsFromAttachment(source);
+            quote.attachment_sources[index].fields = QuoteAttachmentService.mergeFields(quote, parsed, source.name);
+        });
+    } catch (error) {
+        console.error(`Error reading attachments of ${email.id}:`, error);
+        quote.attachment_errors = [{ name: 'attachments', error: error.message }];
+    }
+    return quote;
 }
 
 /**
- * Load and display quote data by parsing the current email body (backend quote format).
- * Supplier name from email; Unit Price, Total, Lead Time, Validity, Payment Terms from email content.
+ * Load and display quote data for the current email using the quote extraction engine.
+ * Supplier name from email; Unit Price, Total, Lead Time, Validity, Payment Terms from email content and attachments.
  */
 async function loadParsedQuoteData(email) {
     const loadingEl = document.getElementById('quote-loading');
@@ -2494,25 +2465,19 @@ async function loadParsedQuoteData(email) {
     
     if (loadingEl) loadingEl.classList.remove('hidden');
     if (dataEl) dataEl.classList.add('hidden');
-    
-    const supplierName = email.from?.emailAddress?.name || email.from?.emailAddress?.address || 'Supplier';
-    const bodyContent = email.body?.content || '';
-    const parsed = parseQuoteDetailsFromBody(bodyContent);
+    Helpers.hideElement(document.getElementById('quote-edit-form'));
+    Helpers.hideElement(document.getElementById('edit-quote-fields-btn'));
+    Helpers.hideElement(document.getElementById('negotiation-panel'));
+    Helpers.hideElement(document.getElementById('quote-existing-po'));
     
     const setField = (id, value) => {
         const el = document.getElementById(id);
         if (el) el.textContent = value ?? '-';
     };
     
-    const details = {
-        supplier_name: supplierName,
-        unit_price: parsed.unit_price,
-        total_price: parsed.total_price,
-        lead_time: parsed.lead_time,
-        validity: parsed.validity,
-        payment_terms: parsed.payment_terms,
-        notes: parsed.notes || ''
-    };
+    const details = await extractQuoteFromEmail(email);
+    details.supplier_name = email.from?.emailAddress?.name || email.from?.emailAddress?.address || 'Supplier';
+    details.notes = '';
     
     AppState.currentQuote = { email: email, details: details };
     
@@ -2520,12 +2485,511 @@ async function loadParsedQuoteData(email) {
     if (dataEl) dataEl.classList.remove('hidden');
     
     setField('quote-supplier', details.supplier_name);
-    setField('quote-price', details.unit_price ? `$${details.unit_price}` : '-');
-    setField('quote-total-price', details.total_price ? `$${Number(details.total_price).toLocaleString()}` : '-');
+    setField('quote-price', details.unit_price ? CurrencyService.formatWithBase(details.unit_price, details.currency) : '-');
+    setField('quote-total-price', details.total_price ? CurrencyService.formatWithBase(details.total_price, details.currency) : '-');
     setField('quote-leadtime', details.lead_time || '-');
     setField('quote-validity', details.validity || '-');
     setField('quote-terms', details.payment_terms || '-');
     setField('quote-notes', details.notes || '-');
+    renderQuoteValidity(details);
+    renderPriceBreakTable(details);
+    renderLineItemTable(details);
+    renderQuoteFieldSources(details);
+    renderQuoteFieldConfidence(details);
+    Helpers.showElement(document.getElementById('edit-quote-fields-btn'));
+    renderExistingPurchaseOrder(details).catch(err => {
+        console.error('Error looking up existing PO:', err);
+    });
+}
+
+/**
+ * Show the PO already issued for the open quote and disable accepting it again
+ */
+async function renderExistingPurchaseOrder(details) {
+    const notice = document.getElementById('quote-existing-po');
+    const acceptBtn = document.getElementById('accept-quote-btn');
+    const local = PurchaseOrderService.findForQuote(details, resolveQuoteAwardContext(details));
+    if (acceptBtn) {
+        acceptBtn.disabled = !!local;
+        acceptBtn.title = local ? `PO ${local.po_number} was already issued for this quote` : '';
+    }
+    if (!notice) return;
+    if (!local) {
+        Helpers.hideElement(notice);
+        return;
+    }
+    
+    const po = await PurchaseOrderService.refreshPurchaseOrder(local);
+    if (AppState.currentQuote?.details !== details) return;
+    notice.innerHTML = `
+        <strong>PO ${Helpers.escapeHtml(po.po_number)}</strong> was issued to ${Helpers.escapeHtml(po.supplier.name)}
+        on ${Helpers.formatDate(po.created_at)}${po.total_price != null ? ` for ${Helpers.formatCurrency(po.total_price, po.currency)}` : ''}
+        (${Helpers.escapeHtml(po.status)}). A second PO cannot be created for this quote.
+    `;
+    Helpers.showElement(notice);
+}
+
+/**
+ * Flag fields the extraction engine is unsure about so they get checked before comparing
+ */
+function renderQuoteFieldConfidence(details) {
+    const fieldElements = {
+        unit_price: 'quote-price',
+        total_price: 'quote-total-price',
+        lead_time: 'quote-leadtime',
+        validity: 'quote-validity',
+        payment_terms: 'quote-terms'
+    };
+    const strategyLabel = (id) => QuoteExtractionService.strategies[id]?.label || 'Attachment';
+    const edited = QuoteExtractionService.getEditedFields(details);
+    
+    document.querySelectorAll('#parsed-quote-data .field-edited').forEach(el => el.remove());
+    Object.entries(fieldElements).forEach(([field, elementId]) => {
+        const el = document.getElementById(elementId);
+        if (!el) return;
+        const entry = details.field_confidence?.[field];
+        const uncertain = entry && entry.confidence < QuoteExtractionService.ACCEPT_CONFIDENCE;
+        el.classList.toggle('low-confidence', !!uncertain);
+        el.title = entry ? `${strategyLabel(entry.strategy)} - ${Math.round(entry.confidence * 100)}% confidence` : '';
+        if (edited.includes(field)) {
+            el.insertAdjacentHTML('afterend', '<span class="field-edited">edited</span>');
+        }
+    });
+}
+
+/**
+ * Show when the quote expires and offer an extension request once it is close to expiring
+ */
+function renderQuoteValidity(details) {
+    const badge = document.getElementById('quote-validity-badge');
+    const button = document.getElementById('request-extension-btn');
+    const status = QuoteValidityService.getStatus(details);
+    
+    if (badge) {
+        badge.textContent = QuoteValidityService.describe(status);
+        badge.className = `validity-badge ${getValidityBadgeClass(status)}`;
+        badge.title = status ? `Valid until ${Helpers.formatDate(status.expires_at)}` : '';
+        Helpers.toggleElement(badge, !!status);
+    }
+    if (button) {
+        const requested = details.email_id ? QuoteValidityService.getRequest(details.email_id) : null;
+        button.title = requested
+            ? `Extension requested on ${Helpers.formatDate(requested)}`
+            : 'Draft a reply asking the supplier to extend the quote';
+        Helpers.toggleElement(button, !!details.email_id && !!status && (status.expired || status.expiring_soon));
+    }
+}
+
+/**
+ * Badge colour for a validity status
+ */
+function getValidityBadgeClass(status) {
+    if (!status) return '';
+    if (status.expired) return 'expired';
+    return status.expiring_soon ? 'expiring' : 'valid';
+}
+
+/**
+ * Validity badge (and extension request button) for a comparison card
+ */
+function renderValidityNote(quote) {
+    const status = QuoteValidityService.getStatus(quote);
+    if (!status) return '';
+    const requested = quote.email_id ? QuoteValidityService.getRequest(quote.email_id) : null;
+    const canRequest = !!quote.email_id && (status.expired || status.expiring_soon);
+    return `
+        <div class="quote-card-validity">
+            <span class="validity-badge ${getValidityBadgeClass(status)}" title="Valid until ${Helpers.formatDate(status.expires_at)}">${QuoteValidityService.describe(status)}</span>
+            ${canRequest ? `
+                <button class="ms-Button ms-Button--tertiary ms-Button--small request-extension-link" type="button">
+                    <span class="ms-Button-label">${requested ? 'Extension requested - ask again' : 'Request extension'}</span>
+                </button>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Create a reply draft asking the supplier to extend their quote validity
+ */
+async function requestValidityExtension(quote) {
+    try {
+        Helpers.showLoading('Creating extension request...');
+        const materialCode = resolveQuoteAwardContext(quote).materialCode;
+        await QuoteValidityService.requestExtension(quote, materialCode);
+        Helpers.showSuccess(`Extension request for ${quote.supplier_name || 'the supplier'} saved to Drafts`);
+    } catch (error) {
+        console.error('Error creating validity extension request:', error);
+        Helpers.showError('Failed to create extension request: ' + error.message);
+    } finally {
+        Helpers.hideLoading();
+    }
+}
+
+// ==================== NEGOTIATION ====================
+
+/**
+ * Open the counter-offer form for the quote in quote mode
+ */
+function openNegotiationPanel() {
+    const details = AppState.currentQuote?.details;
+    if (!details) {
+        Helpers.showError('Quote data is still loading');
+        return;
+    }
+    
+    ['negotiation-target-price', 'negotiation-target-leadtime', 'negotiation-target-terms'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = '';
+    });
+    renderNegotiationHistory(details);
+    updateCounterOfferPreview();
+    Helpers.showElement(document.getElementById('negotiation-panel'));
+    document.getElementById('negotiation-target-price')?.focus();
+}
+
+/**
+ * Targets entered in the counter-offer form
+ */
+function getNegotiationTargets() {
+    const value = (id) => (document.getElementById(id)?.value || '').trim();
+    return {
+        unit_price: value('negotiation-target-price'),
+        lead_time: value('negotiation-target-leadtime'),
+        payment_terms: value('negotiation-target-terms')
+    };
+}
+
+/**
+ * Regenerate the counter-offer text from the targets
+ */
+function updateCounterOfferPreview() {
+    const details = AppState.currentQuote?.details;
+    const message = document.getElementById('negotiation-message');
+    if (!details || !message) return;
+    const materialCode = resolveQuoteAwardContext(details).materialCode;
+    message.value = NegotiationService.buildCounterOfferText(details, getNegotiationTargets(), materialCode);
+}
+
+/**
+ * List the counter-offers already sent to this supplier
+ */
+function renderNegotiationHistory(details) {
+    const container = document.getElementById('negotiation-history');
+    if (!container) return;
+    const negotiation = NegotiationService.getNegotiation(details);
+    if (!negotiation) {
+        Helpers.hideElement(container);
+        return;
+    }
+    
+    const currency = negotiation.original.currency || details.currency;
+    container.innerHTML = negotiation.rounds.map(round => {
+        const targets = [];
+        if (round.targets.unit_price) targets.push(Helpers.formatCurrency(round.targets.unit_price, currency || 'USD'));
+        if (round.targets.lead_time) targets.push(Helpers.escapeHtml(round.targets.lead_time));
+        if (round.targets.payment_terms) targets.push(Helpers.escapeHtml(round.targets.payment_terms));
+        return `<div class="negotiation-round">Round ${round.round} &bull; ${Helpers.formatDate(round.sent_at, true)}: asked for ${targets.join(', ')}</div>`;
+    }).join('');
+    Helpers.showElement(container);
+}
+
+/**
+ * Send the counter-offer and file the quote under Negotiation
+ */
+async function sendCounterOffer() {
+    const current = AppState.currentQuote;
+    if (!current?.details) return;
+    const details = current.details;
+    const targets = getNegotiationTargets();
+    const text = document.getElementById('negotiation-message')?.value || '';
+    
+    if (targets.unit_price && !(parseFloat(targets.unit_price) > 0)) {
+        Helpers.showError('Target price must be a positive number');
+        return;
+    }
+    if (!text.trim()) {
+        Helpers.showError('The counter-offer message is empty');
+        return;
+    }
+    
+    try {
+        Helpers.showLoading('Sending counter-offer...');
+        const materialCode = resolveQuoteAwardContext(details).materialCode;
+        const result = await NegotiationService.sendCounterOffer(details, targets, text, materialCode);
+        if (result.emailId !== details.email_id) {
+            // The move gave the quote email a new ID - keep the open quote pointing at it
+            details.email_id = result.emailId;
+            if (current.email) current.email.id = result.emailId;
+        }
+        Helpers.hideElement(document.getElementById('negotiation-panel'));
+        Helpers.showSuccess(result.moved
+            ? `Counter-offer (round ${result.round}) sent and quote moved to ${materialCode}/${Config.FOLDERS.NEGOTIATION}`
+            : `Counter-offer (round ${result.round}) sent`);
+    } catch (error) {
+        console.error('Error sending counter-offer:', error);
+        Helpers.showError('Failed to send counter-offer: ' + error.message);
+    } finally {
+        Helpers.hideLoading();
+    }
+}
+
+/**
+ * Original vs. best negotiated figures for a comparison card
+ */
+function renderNegotiationNote(quote) {
+    const summary = NegotiationService.summarize(quote);
+    if (!summary) return '';
+    
+    const rounds = `${summary.rounds.length} counter-offer${summary.rounds.length === 1 ? '' : 's'}`;
+    if (!summary.best) {
+        return `<div class="quote-card-negotiation">${rounds} sent - awaiting response</div>`;
+    }
+    
+    const figures = [];
+    const original = summary.original;
+    if (summary.best.unit_price !== null) {
+        const from = original.unit_price ? Helpers.formatCurrency(original.unit_price, original.currency || 'USD') : 'not stated';
+        figures.push(`price ${from} &rarr; ${Helpers.formatCurrency(summary.best.unit_price, summary.best.currency || 'USD')}`);
+    }
+    if (summary.best.lead_time) {
+        figures.push(`lead time ${Helpers.escapeHtml(original.lead_time || 'not stated')} &rarr; ${Helpers.escapeHtml(summary.best.lead_time)}`);
+    }
+    return `<div class="quote-card-negotiation">${rounds}: ${figures.join(', ') || 'no revised figures'}</div>`;
+}
+
+/**
+ * Show the correction form filled with the current values
+ */
+function openQuoteEditForm() {
+    const details = AppState.currentQuote?.details;
+    if (!details) return;
+    
+    const currencySelect = document.getElementById('quote-edit-currency');
+    if (currencySelect) {
+        currencySelect.innerHTML = CurrencyService.CODES
+            .map(code => `<option value="${code}" ${code === details.currency ? 'selected' : ''}>${code}</option>`)
+            .join('');
+    }
+    const setInput = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value ?? '';
+    };
+    setInput('quote-edit-unit-price', details.unit_price);
+    setInput('quote-edit-total-price', details.total_price);
+    setInput('quote-edit-leadtime', details.lead_time);
+    setInput('quote-edit-validity', details.validity);
+    setInput('quote-edit-terms', details.payment_terms);
+    
+    Helpers.hideElement(document.getElementById('parsed-quote-data'));
+    Helpers.hideElement(document.getElementById('edit-quote-fields-btn'));
+    Helpers.showElement(document.getElementById('quote-edit-form'));
+}
+
+/**
+ * Hide the correction form without saving
+ */
+function closeQuoteEditForm() {
+    Helpers.hideElement(document.getElementById('quote-edit-form'));
+    Helpers.showElement(document.getElementById('parsed-quote-data'));
+    Helpers.showElement(document.getElementById('edit-quote-fields-btn'));
+}
+
+/**
+ * Save the changed fields as corrections for this email and push them to the backend
+ */
+async function saveQuoteEdits() {
+    const current = AppState.currentQuote;
+    if (!current?.details?.email_id) return;
+    const details = current.details;
+    const edited = QuoteExtractionService.getEditedFields(details);
+    
+    const inputValue = (id) => (document.getElementById(id)?.value || '').trim();
+    const form = {
+        unit_price: inputValue('quote-edit-unit-price'),
+        total_price: inputValue('quote-edit-total-price'),
+        currency: inputValue('quote-edit-currency'),
+        lead_time: inputValue('quote-edit-leadtime'),
+        validity: inputValue('quote-edit-validity'),
+        payment_terms: inputValue('quote-edit-terms')
+    };
+    
+    for (const field of ['unit_price', 'total_price']) {
+        if (form[field] && !(parseFloat(form[field]) >= 0)) {
+            Helpers.showError('Prices must be positive numbers');
+            return;
+        }
+    }
+    
+    // Only changed fields become corrections; clearing an edited field reverts it
+    const corrections = {};
+    Object.entries(form).forEach(([field, value]) => {
+        const parsedValue = value && (field === 'unit_price' || field === 'total_price') ? parseFloat(value) : value;
+        const previous = details[field] ?? '';
+        if (!value) {
+            if (edited.includes(field)) corrections[field] = null;
+        } else if (String(parsedValue) !== String(previous)) {
+            corrections[field] = parsedValue;
+        }
+    });
+    
+    if (Object.keys(corrections).length === 0) {
+        closeQuoteEditForm();
+        return;
+    }
+    
+    QuoteExtractionService.saveCorrections(details.email_id, corrections);
+    await loadParsedQuoteData(current.email);
+    
+    const synced = await QuoteExtractionService.pushCorrections(details.email_id);
+    Helpers.showSuccess(synced ? 'Corrections saved' : 'Corrections saved on this device (backend unavailable)');
+}
+
+/**
+ * Discard all corrections for this email and show the extracted values again
+ */
+async function resetQuoteEdits() {
+    const current = AppState.currentQuote;
+    if (!current?.details?.email_id) return;
+    
+    QuoteExtractionService.clearCorrections(current.details.email_id);
+    await loadParsedQuoteData(current.email);
+    await QuoteExtractionService.pushCorrections(current.details.email_id);
+    Helpers.showSuccess('Edits discarded');
+}
+
+/**
+ * Mark the quote fields read from attachments and list the attachments used
+ */
+function renderQuoteFieldSources(details) {
+    const dataEl = document.getElementById('parsed-quote-data');
+    const sourcesEl = document.getElementById('quote-attachment-sources');
+    if (!dataEl) return;
+    
+    dataEl.querySelectorAll('.field-source').forEach(el => el.remove());
+    
+    const fieldElements = {
+        unit_price: 'quote-price',
+        total_price: 'quote-total-price',
+        lead_time: 'quote-leadtime',
+        validity: 'quote-validity',
+        payment_terms: 'quote-terms',
+        line_items: 'quote-line-items',
+        price_breaks: 'quote-price-breaks'
+    };
+    Object.entries(details.field_sources || {}).forEach(([field, sourceName]) => {
+        const valueEl = document.getElementById(fieldElements[field]);
+        if (!valueEl) return;
+        const badge = document.createElement('span');
+        badge.className = 'field-source';
+        badge.title = `Extracted from attachment ${sourceName}`;
+        badge.innerHTML = `<i class="ms-Icon ms-Icon--Attach"></i> ${Helpers.escapeHtml(sourceName)}`;
+        valueEl.insertAdjacentElement('afterend', badge);
+    });
+    
+    if (!sourcesEl) return;
+    const read = details.attachment_sources || [];
+    const failed = details.attachment_errors || [];
+    if (read.length === 0 && failed.length === 0) {
+        Helpers.hideElement(sourcesEl);
+        return;
+    }
+    sourcesEl.innerHTML = [
+        ...read.map(source => `<div><i class="ms-Icon ms-Icon--Attach"></i> ${Helpers.escapeHtml(source.name)}: ${source.fields.length > 0 ? source.fields.length + ' field(s) used' : 'no quote fields found'}</div>`),
+        ...failed.map(failure => `<div class="error-text">Could not read ${Helpers.escapeHtml(failure.name)}: ${Helpers.escapeHtml(failure.error)}</div>`)
+    ].join('');
+    Helpers.showElement(sourcesEl);
+}
+
+/**
+ * Render the line-item view in quote mode (hidden for single-line quotes)
+ */
+function renderLineItemTable(details) {
+    const field = document.getElementById('quote-line-items-field');
+    const container = document.getElementById('quote-line-items');
+    if (!field || !container) return;
+    
+    const items = details.line_items || [];
+    if (items.length === 0) {
+        Helpers.hideElement(field);
+        return;
+    }
+    
+    const money = (amount, currency) => amount !== null ? Helpers.formatCurrency(amount, currency) : '-';
+    const total = LineItemService.getTotal(items);
+    
+    container.innerHTML = `
+        <table class="line-item-table">
+            <thead>
+                <tr>
+                    <th>Part</th>
+                    <th>Description</th>
+                    <th>Qty</th>
+                    <th>Unit Price</th>
+                    <th>Extended</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${items.map(item => `
+                    <tr>
+                        <td>${Helpers.escapeHtml(item.part_number || '-')}</td>
+                        <td>${Helpers.escapeHtml(item.description || '-')}</td>
+                        <td>${item.quantity !== null ? item.quantity.toLocaleString() : '-'}</td>
+                        <td>${money(item.unit_price, item.currency)}</td>
+                        <td>${money(item.extended_price, item.currency)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            ${total ? `
+            <tfoot>
+                <tr>
+                    <td colspan="4">Total (${items.length} line${items.length !== 1 ? 's' : ''})</td>
+                    <td>${Helpers.escapeHtml(CurrencyService.formatWithBase(total.total, total.currency))}</td>
+                </tr>
+            </tfoot>
+            ` : ''}
+        </table>
+    `;
+    Helpers.showElement(field);
+}
+
+/**
+ * Render the quantity-break mini-table in quote mode (hidden when the quote has a single price)
+ */
+function renderPriceBreakTable(details) {
+    const field = document.getElementById('quote-price-breaks-field');
+    const container = document.getElementById('quote-price-breaks');
+    if (!field || !container) return;
+    
+    const breaks = details.price_breaks || [];
+    if (breaks.length === 0) {
+        Helpers.hideElement(field);
+        return;
+    }
+    
+    const prQuantity = parseFloat(resolveQuoteAwardContext(details).pr?.quantities) || null;
+    const applicable = prQuantity ? PriceBreakService.findBreak(breaks, prQuantity)?.break : null;
+    
+    container.innerHTML = `
+        <table class="price-break-table">
+            <thead>
+                <tr>
+                    <th>Quantity</th>
+                    <th>Unit Price</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${breaks.map(b => `
+                    <tr class="${b === applicable ? 'applicable' : ''}">
+                        <td>${b.min_quantity.toLocaleString()}${b.max_quantity ? ` - ${b.max_quantity.toLocaleString()}` : '+'}</td>
+                        <td>${Helpers.escapeHtml(CurrencyService.formatWithBase(b.unit_price, b.currency))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${applicable ? `<div class="price-break-note">Applies to the requested quantity of ${prQuantity.toLocaleString()}</div>` : ''}
+    `;
+    Helpers.showElement(field);
 }
 
 // ==================== MODE ACTION HANDLERS ====================
@@ -2987,79 +3451,6 @@ async function startReplyMonitoring(totalSent, updateProgressCallback, materialC
         console.warn(`Using fallback baseline timestamp: ${new Date(fallbackBaseline).toISOString()}`);
     }
     
-    // Helper to check if email is an undeliverable/bounceback
-    const isUndeliverable = (email, bodyPreview = '') => {
-        const subject = (email.subject || '').toLowerCase();
-        const from = (email.from?.emailAddress?.address || '').toLowerCase();
-        const fromName = (email.from?.emailAddress?.name || '').toLowerCase();
-        const body = (bodyPreview || '').toLowerCase();
-        
-        // Subject/from checks (existing)
-        if (subject.includes('undeliverable') || 
-            subject.includes('delivery failure') ||
-            subject.includes('delivery has failed') ||
-            subject.includes('mail delivery failed') ||
-            from.includes('postmaster') ||
-            from.includes('mailer-daemon') ||
-            (from.includes('noreply') && subject.includes('failed')) ||
-            fromName.includes('postmaster') ||
-            fromName.includes('mailer-daemon')) {
-            return true;
-        }
-        
-        // NEW: Body content checks for bounceback patterns
-        if (body.includes('message undeliverable') ||
-            body.includes('delivery has failed') ||
-            body.includes('returned mail') ||
-            body.includes('mail delivery subsystem') ||
-            body.includes('delivery status notification') ||
-            body.includes('this is an automatically generated delivery status notification') ||
-            body.includes('delivery to the following recipient failed') ||
-            body.includes('could not be delivered')) {
-            return true;
-        }
-        
-        return false;
-    };
-    
-    // Helper to check if email is a real supplier reply
-    const isSupplierReply = (email, bodyPreview = '') => {
-        const subject = (email.subject || '').toLowerCase();
-        
-        // Must contain RFQ in subject
-        if (!subject.includes('rfq')) {
-            return false;
-        }
-        
-        // Must not be undeliverable
-        if (isUndeliverable(email, bodyPreview)) {
-            return false;
-        }
-        
-        // NEW: Must have actual content (not just bounceback)
-        const body = (bodyPreview || '').trim();
-        if (body.length < 50) {
-            return false; // Too short to be a real reply
-        }
-        
-        // Check body doesn't contain bounceback patterns
-        const bouncePatterns = [
-            'delivery failed',
-            'undeliverable',
-            'returned mail',
-            'mail delivery subsystem',
-            'delivery status notification',
-            'could not be delivered',
-            'permanent failure',
-            'temporary failure'
-        ];
-        if (bouncePatterns.some(pattern => body.includes(pattern))) {
-            return false;
-        }
-        
-        return true;
-    };
-    
     // Define the monitoring check function
     const performMonitoringCheck = async () => {
         try {
@@ -3124,8 +3515,7 @@ async function startReplyMonitoring(totalSent, updateProgressCallback, materialC
                                 
                                 // Check if it's a valid supplier reply
                                 const receivedDate = new Date(email.receivedDateTime);
-                                const bodyPreview = email.bodyPreview || '';
-                                const isValidReply = isSupplierReply(email, bodyPreview);
+                                const isValidReply = AutoReplyDetector.isSupplierReply(email);
                                 
                                 // For tracked conversations, count replies if they're valid
                                 // Baseline check is mainly for untracked emails (inbox fallback)
@@ -3224,8 +3614,7 @@ async function startReplyMonitoring(totalSent, updateProgressCallback, materialC
                         if (!inTrackedConversation && 
                             isNewAfterBaseline && 
                             !allReplyIds.has(email.id)) {
-                            const bodyPreview = email.bodyPreview || '';
-                            if (isSupplierReply(email, bodyPreview)) {
+                            if (AutoReplyDetector.isSupplierReply(email)) {
                                 allReplyIds.add(email.id);
                                 repliesReceived++;
                                 // Not sorted yet (still in inbox)
@@ -3253,12 +3642,11 @@ async function startReplyMonitoring(totalSent, updateProgressCallback, materialC
                     if (folderEmails.value) {
                         for (const email of folderEmails.value) {
                             const receivedDate = new Date(email.receivedDateTime);
-                            const bodyPreview = email.bodyPreview || '';
                             
                             // Check if this email is one of our tracked replies
                             const inTrackedConversation = trackedConversationIds.has(email.conversationId);
                             const isTrackedReply = inTrackedConversation || allReplyIds.has(email.id);
-                            const isValidReply = isSupplierReply(email, bodyPreview);
+                            const isValidReply = AutoReplyDetector.isSupplierReply(email);
                             const isNewAfterBaseline = !baselineTime || receivedDate > baselineTime;
                             
                             // If it's a valid tracked reply, it's sorted (in folder)
@@ -3650,22 +4038,8 @@ async function handleSendToEngineer() {
     
     const email = AppState.emailContext.email;
     
-    // CRITICAL: Check if email is from Microsoft Outlook and delete immediately
-    if (EmailOperations.isFromMicrosoftOutlook(email)) {
-        try {
-            Helpers.showLoading('Deleting Microsoft Outlook email...');
-            if (email.id) {
-                await EmailOperations.deleteEmail(email.id);
-            }
-            Helpers.showSuccess('Microsoft Outlook email deleted');
-            Helpers.hideLoading();
-            return;
-        } catch (deleteError) {
-            Helpers.showError('Failed to delete Microsoft Outlook email: ' + deleteError.message);
-            Helpers.hideLoading();
-            return;
-        }
-    }
+    // System and notification mail is handled by the sender filter rules
+    if (await filterSystemNotification(email)) return;
     
     try {
         Helpers.showLoading('Forwarding to engineering...');
@@ -3779,22 +4153,8 @@ async function handleReplyToSupplier() {
     
     const email = AppState.emailContext.email;
     
-    // CRITICAL: Check if email is from Microsoft Outlook and delete immediately
-    if (EmailOperations.isFromMicrosoftOutlook(email)) {
-        try {
-            Helpers.showLoading('Deleting Microsoft Outlook email...');
-            if (email.id) {
-                await EmailOperations.deleteEmail(email.id);
-            }
-            Helpers.showSuccess('Microsoft Outlook email deleted');
-            Helpers.hideLoading();
-            return;
-        } catch (deleteError) {
-            Helpers.showError('Failed to delete Microsoft Outlook email: ' + deleteError.message);
-            Helpers.hideLoading();
-            return;
-        }
-    }
+    // System and notification mail is handled by the sender filter rules
+    if (await filterSystemNotification(email)) return;
     
     // Check if we have questions with responses
     if (!AppState.questions || AppState.questions.length === 0) {
@@ -3884,28 +4244,26 @@ async function handleReplyToSupplier() {
 }
 
 /**
- * Generate a PO number in format PO-YYYYMMDD-XXX
+ * Show PO generation mode and start the award (held for approval when required)
+ * @param {Object} quote - Accepted quote
+ * @param {Array} comparisonQuotes - Quotes it was compared with, for the bid tab (optional)
  */
-function generatePONumber() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const random = String(Math.floor(Math.random() * 1000)).padStart(3, '0');
-    return `PO-${year}${month}${day}-${random}`;
+async function showPOGenerationMode(quote, comparisonQuotes = null) {
+    await startAward([quote], { comparisonQuotes: comparisonQuotes });
 }
 
 /**
- * Show PO generation mode and start the generation process
+ * Switch to PO generation mode in its loading state
+ * @returns {boolean} false if the PO generation view is missing
  */
-async function showPOGenerationMode(quote) {
+function preparePOGenerationMode() {
     console.log('Showing PO Generation mode');
     hideAllModes();
     
     const poMode = document.getElementById('po-generation-mode');
     if (!poMode) {
         console.error('PO generation mode element not found');
-        return;
+        return false;
     }
     
     poMode.classList.remove('hidden');
@@ -3922,56 +4280,182 @@ async function showPOGenerationMode(quote) {
     const mainContent = document.getElementById('main-content');
     if (mainContent) mainContent.style.display = 'none';
     
-    // Show loading state, hide success state
+    // Show loading state, hide success and error states
     const loadingState = document.getElementById('po-loading-state');
     const successState = document.getElementById('po-success-state');
+    const errorState = document.getElementById('po-error-state');
+    
+    const approvalState = document.getElementById('po-approval-state');
+    const notifyBidders = document.getElementById('po-notify-bidders');
+    const savings = document.getElementById('po-savings');
     
     if (loadingState) loadingState.classList.remove('hidden');
     if (successState) successState.classList.add('hidden');
+    if (errorState) errorState.classList.add('hidden');
+    if (approvalState) approvalState.classList.add('hidden');
+    if (notifyBidders) notifyBidders.classList.add('hidden');
+    if (savings) savings.classList.add('hidden');
+    
+    return true;
+}
+
+/**
+ * Resolve the RFQ, PR and material a quote belongs to, for PO creation
+ * @param {Object} quote - Accepted quote
+ * @returns {Object} {pr, rfqId, materialCode, supplierId}
+ */
+function resolveQuoteAwardContext(quote) {
+    const subject = quote.subject || quote.email_subject || '';
+    const subjectMatch = subject.match(/MAT-\d+/i);
+    const materialCode = quote.material_code || (subjectMatch ? subjectMatch[0].toUpperCase() : null);
+    
+    // PR: prefer the selected PR, otherwise the open PR for the same material
+    const matchesMaterial = (pr) => pr && materialCode &&
+        normalizeMatch(Helpers.extractMaterialCode(pr)) === normalizeMatch(materialCode);
+    let pr = null;
+    if (matchesMaterial(AppState.selectedPR)) {
+        pr = AppState.selectedPR;
+    } else {
+        pr = (AppState.prs || []).find(matchesMaterial) || null;
+    }
+    
+    // RFQ: the one sent to this supplier (subject carries the material code)
+    const supplierEmail = normalizeMatch(quote.supplier_email);
+    const rfq = getRFQs().find(r =>
+        supplierEmail && normalizeMatch(r.supplier_email) === supplierEmail &&
+        (!materialCode || (r.subject || '').toUpperCase().includes(materialCode))
+    ) || null;
     
-    // Start the PO generation process
-    await simulatePOCreation(quote);
+    return {
+        pr: pr,
+        rfqId: rfq?.rfq_id || EmailOperations.extractRfqId(subject),
+        materialCode: materialCode,
+        supplierId: rfq?.supplier_id || null
+    };
 }
 
 /**
- * Simulate PO creation with 2-second delay
+ * Create the PO for an accepted quote and show the result
+ * @param {Object} quote - Accepted quote
+ * @param {string} approvalReference - Approval the award was approved under (optional)
+ * @returns {Promise<Object|null>} The PO, or null if it was not created
  */
-async function simulatePOCreation(quote) {
+async function createPurchaseOrderForQuote(quote, approvalReference = null) {
+    const loadingState = document.getElementById('po-loading-state');
+    const successState = document.getElementById('po-success-state');
+    const errorState = document.getElementById('po-error-state');
+    const poNumberElement = document.getElementById('po-number-value');
+    const successMessageElement = document.getElementById('po-success-message');
+    const errorMessageElement = document.getElementById('po-error-message');
+    
+    if (errorState) errorState.classList.add('hidden');
+    
     try {
-        // Wait 2 seconds to show loading animation
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Generate PO number
-        const poNumber = generatePONumber();
-        
-        // Get supplier name from quote
-        const supplierName = quote?.supplier_name || quote?.supplier || 'the supplier';
-        
-        // Hide loading, show success
-        const loadingState = document.getElementById('po-loading-state');
-        const successState = document.getElementById('po-success-state');
-        const poNumberElement = document.getElementById('po-number-value');
-        const successMessageElement = document.getElementById('po-success-message');
+        const context = { ...resolveQuoteAwardContext(quote), approvalReference: approvalReference };
+        const result = await PurchaseOrderService.createPurchaseOrder(quote, context);
+        const po = result.po;
         
         if (loadingState) loadingState.classList.add('hidden');
         if (successState) successState.classList.remove('hidden');
-        if (poNumberElement) poNumberElement.textContent = poNumber;
+        if (poNumberElement) poNumberElement.textContent = po.po_number;
         if (successMessageElement) {
-            successMessageElement.innerHTML = `PO <strong>${Helpers.escapeHtml(poNumber)}</strong> has been added and sent to <strong>${Helpers.escapeHtml(supplierName)}</strong>.`;
+            if (result.emailSent) {
+                successMessageElement.innerHTML = `PO <strong>${Helpers.escapeHtml(po.po_number)}</strong> has been created and sent to <strong>${Helpers.escapeHtml(po.supplier.name)}</strong>.`;
+            } else {
+                successMessageElement.innerHTML = `PO <strong>${Helpers.escapeHtml(po.po_number)}</strong> has been created, but the award email to <strong>${Helpers.escapeHtml(po.supplier.name)}</strong> was not sent: ${Helpers.escapeHtml(result.emailError || 'unknown error')}`;
+            }
         }
         
-        console.log(`PO generated: ${poNumber} for supplier: ${supplierName}`);
+        // Offer to notify the other bidders once the material's quotes can be located
+        AppState.lastAward = { quotes: [quote], po: po };
+        const notifyBidders = document.getElementById('po-notify-bidders');
+        if (notifyBidders && po.material_code) notifyBidders.classList.remove('hidden');
+        
+        console.log(`PO created: ${po.po_number} for supplier: ${po.supplier.name} (email sent: ${result.emailSent})`);
+        return po;
     } catch (error) {
         console.error('Error during PO generation:', error);
-        Helpers.showError('Failed to generate PO: ' + error.message);
-        // Show error but keep PO mode visible
+        if (loadingState) loadingState.classList.add('hidden');
+        if (successState) successState.classList.add('hidden');
+        if (errorState) errorState.classList.remove('hidden');
+        if (errorMessageElement) errorMessageElement.textContent = error.message;
+        Helpers.showError('Failed to create PO: ' + error.message);
+        return null;
+    }
+}
+
+/**
+ * Create one PO per supplier for a split award and show the result
+ * @param {Array} quotes - Quote copies carrying only the lines awarded to each supplier
+ * @param {string} approvalReference - Approval the award was approved under (optional)
+ * @returns {Promise<Array>} The POs created
+ */
+async function createPurchaseOrdersForSplitAward(quotes, approvalReference = null) {
+    const loadingState = document.getElementById('po-loading-state');
+    const successState = document.getElementById('po-success-state');
+    const errorState = document.getElementById('po-error-state');
+    const poNumberElement = document.getElementById('po-number-value');
+    const successMessageElement = document.getElementById('po-success-message');
+    const errorMessageElement = document.getElementById('po-error-message');
+    
+    const created = [];
+    const failed = [];
+    for (const quote of quotes) {
+        try {
+            const context = { ...resolveQuoteAwardContext(quote), approvalReference: approvalReference };
+            const result = await PurchaseOrderService.createPurchaseOrder(quote, context);
+            created.push({ quote: quote, result: result });
+        } catch (error) {
+            console.error(`Error creating PO for ${quote.supplier_name}:`, error);
+            failed.push({ quote: quote, error: error.message });
+        }
+    }
+    
+    if (loadingState) loadingState.classList.add('hidden');
+    
+    if (created.length === 0) {
+        if (errorState) errorState.classList.remove('hidden');
+        if (errorMessageElement) errorMessageElement.textContent = failed.map(f => `${f.quote.supplier_name}: ${f.error}`).join('; ');
+        Helpers.showError('Failed to create POs for the split award');
+        return [];
     }
+    
+    if (successState) successState.classList.remove('hidden');
+    if (poNumberElement) poNumberElement.textContent = created.map(c => c.result.po.po_number).join(', ');
+    if (successMessageElement) {
+        const lines = created.map(({ result }) => {
+            const po = result.po;
+            const status = result.emailSent
+                ? 'sent'
+                : `created, award email not sent: ${Helpers.escapeHtml(result.emailError || 'unknown error')}`;
+            return `<li>PO <strong>${Helpers.escapeHtml(po.po_number)}</strong> - ${Helpers.escapeHtml(po.supplier.name)}, ${po.line_items.length} line${po.line_items.length !== 1 ? 's' : ''} (${status})</li>`;
+        });
+        failed.forEach(f => {
+            lines.push(`<li>${Helpers.escapeHtml(f.quote.supplier_name)}: PO not created - ${Helpers.escapeHtml(f.error)}</li>`);
+        });
+        successMessageElement.innerHTML = `Split award across ${quotes.length} suppliers:<ul>${lines.join('')}</ul>`;
+    }
+    if (failed.length > 0) {
+        Helpers.showError(`${failed.length} of ${quotes.length} POs could not be created`);
+    }
+    
+    // Suppliers that won no lines are the unsuccessful bidders
+    const primaryPO = created[0].result.po;
+    AppState.lastAward = { quotes: created.map(c => c.quote), po: primaryPO };
+    const notifyBidders = document.getElementById('po-notify-bidders');
+    if (notifyBidders && primaryPO.material_code) notifyBidders.classList.remove('hidden');
+    return created.map(c => c.result.po);
 }
 
 /**
  * Handle accepting a quote
  */
 async function handleAcceptQuote(quote = null) {
+    // When bound directly as a click handler the first argument is the event
+    if (quote instanceof Event) {
+        quote = null;
+    }
+    
     // If quote is passed directly, use it
     // Otherwise, try to get from email context
     if (!quote && !AppState.emailContext?.email) {
@@ -3979,13 +4463,16 @@ async function handleAcceptQuote(quote = null) {
         return;
     }
     
-    // If no quote passed, try to construct from email context
+    // If no quote passed, use the quote parsed in quote mode
     if (!quote && AppState.emailContext?.email) {
-        // Try to get quote from parsed quote data
-        quote = AppState.parsedQuote || {
-            supplier_name: AppState.emailContext.email.from?.emailAddress?.name || 
-                          AppState.emailContext.email.from?.emailAddress?.address || 
-                          'Unknown Supplier'
+        const email = AppState.emailContext.email;
+        quote = AppState.currentQuote?.details || {
+            supplier_name: email.from?.emailAddress?.name || 
+                          email.from?.emailAddress?.address || 
+                          'Unknown Supplier',
+            supplier_email: email.from?.emailAddress?.address || '',
+            email_id: email.id,
+            subject: email.subject
         };
     }
     
@@ -3993,6 +4480,538 @@ async function handleAcceptQuote(quote = null) {
     await showPOGenerationMode(quote);
 }
 
+// ==================== AWARD APPROVAL ====================
+
+/**
+ * Start an award: create the PO(s) straight away, or hold them until the award is approved
+ * @param {Array} quotes - Awarded quotes (several for a split award)
+ * @param {Object} options - {split, comparisonQuotes} - comparisonQuotes go into the bid tab
+ */
+async function startAward(quotes, options = {}) {
+    if (!preparePOGenerationMode()) return;
+    
+    const contexts = quotes.map(quote => resolveQuoteAwardContext(quote));
+    const value = ApprovalService.getAwardValue(quotes, contexts);
+    const requirement = ApprovalService.getRequirement(value);
+    const approval = requirement.required ? ApprovalService.findForAward(quotes, value) : null;
+    
+    AppState.pendingAward = {
+        quotes: quotes,
+        split: !!options.split,
+        comparisonQuotes: options.comparisonQuotes || null,
+        contexts: contexts,
+        value: value,
+        requirement: requirement,
+        approval: approval
+    };
+    
+    if (!requirement.required || approval?.status === 'approved') {
+        await createAwardPurchaseOrders(AppState.pendingAward);
+        return;
+    }
+    renderAwardApproval();
+}
+
+/**
+ * Create the PO(s) of an award and link them to its approval
+ */
+async function createAwardPurchaseOrders(award) {
+    const reference = award.approval?.status === 'approved' ? award.approval.reference : null;
+    if (reference && ApprovalService.isConsumed(ApprovalService.getApproval(reference))) {
+        // Another PO was already issued under this approval (e.g. the award was accepted twice)
+        AppState.pendingAward = null;
+        Helpers.hideElement(document.getElementById('po-loading-state'));
+        Helpers.hideElement(document.getElementById('po-approval-state'));
+        Helpers.showElement(document.getElementById('po-error-state'));
+        document.getElementById('po-error-message').textContent =
+            `POs ${ApprovalService.getApproval(reference).po_numbers.join(', ')} were already issued under approval ${reference}. Start the award again to request a new approval.`;
+        return;
+    }
+    const pos = award.split
+        ? await createPurchaseOrdersForSplitAward(award.quotes, reference)
+        : [await createPurchaseOrderForQuote(award.quotes[0], reference)].filter(Boolean);
+    
+    if (reference && pos.length > 0) {
+        ApprovalService.recordPurchaseOrders(reference, pos.map(po => po.po_number));
+    }
+    AppState.pendingAward = null;
+    
+    if (pos.length > 0) {
+        await recordAwardSavings(award, pos);
+    }
+}
+
+/**
+ * Every quote received for the award's material, for the bid tab and savings
+ * Falls back to the awarded quotes when the material's quotes cannot be loaded.
+ */
+async function getAwardComparisonQuotes(award) {
+    let comparisonQuotes = award.comparisonQuotes;
+    const materialCode = award.contexts[0]?.materialCode;
+    if (!comparisonQuotes && materialCode) {
+        comparisonQuotes = await fetchMaterialQuotes(materialCode).catch(error => {
+            console.error('Error loading quotes for the award:', error);
+            return null;
+        });
+        // Quotes loaded here are as quoted - price them at the PR quantity like the comparison does
+        const quantity = parseFloat(award.contexts[0]?.pr?.quantities) || null;
+        if (comparisonQuotes && quantity) {
+            comparisonQuotes = comparisonQuotes.map(q => PriceBreakService.priceAtQuantity(q, quantity));
+        }
+        award.comparisonQuotes = comparisonQuotes;
+    }
+    return comparisonQuotes && comparisonQuotes.length > 0 ? comparisonQuotes : award.quotes;
+}
+
+/**
+ * Show the approval state of the pending award
+ */
+function renderAwardApproval() {
+    const award = AppState.pendingAward;
+    if (!award) return;
+    
+    ['po-loading-state', 'po-success-state', 'po-error-state'].forEach(id => {
+        Helpers.hideElement(document.getElementById(id));
+    });
+    Helpers.showElement(document.getElementById('po-approval-state'));
+    
+    const { requirement, approval } = award;
+    const baseCurrency = CurrencyService.getBaseCurrency();
+    const approver = approval?.approver || requirement.approver;
+    const suppliers = award.quotes.map(q => q.supplier_name || q.supplier_email).join(', ');
+    
+    document.getElementById('po-approval-summary').innerHTML = `
+        <dl>
+            <dt>Award</dt><dd>${Helpers.escapeHtml(suppliers)}</dd>
+            <dt>Value</dt><dd>${award.value !== null ? Helpers.formatCurrency(award.value, baseCurrency) : 'Unknown (no total on the quote)'}</dd>
+            <dt>Approver</dt><dd>${approver
+                ? `${Helpers.escapeHtml(approver.name || approver.email)}${approver.limit ? ` (up to ${Helpers.formatCurrency(approver.limit, baseCurrency)})` : ''}`
+                : '-'}</dd>
+        </dl>
+    `;
+    
+    const status = document.getElementById('po-approval-status');
+    const title = document.getElementById('po-approval-title');
+    const icon = document.querySelector('#po-approval-state .po-approval-icon');
+    const sendBtn = document.getElementById('send-approval-request-btn');
+    const createBtn = document.getElementById('create-approved-po-btn');
+    const sendLabel = sendBtn.querySelector('.ms-Button-label');
+    
+    status.className = 'po-approval-status';
+    icon.classList.toggle('approved', approval?.status === 'approved');
+    Helpers.toggleElement(createBtn, approval?.status === 'approved');
+    Helpers.toggleElement(sendBtn, approval?.status !== 'approved');
+    sendBtn.disabled = !requirement.approver;
+    sendLabel.textContent = 'Send Approval Request';
+    
+    if (!requirement.approver) {
+        title.textContent = 'Approval required';
+        status.textContent = requirement.reason;
+        status.classList.add('rejected');
+    } else if (!approval) {
+        title.textContent = 'Approval required';
+        status.textContent = 'The purchase order will be created once the approver replies APPROVED to the approval request. The bid tab is attached to the request.';
+    } else if (approval.status === 'pending') {
+        title.textContent = 'Waiting for approval';
+        status.textContent = `Approval request ${approval.reference} sent ${Helpers.formatDate(approval.requested_at)}. Replies are picked up automatically.`;
+        sendLabel.textContent = 'Resend Request';
+    } else if (approval.status === 'rejected') {
+        title.textContent = 'Award rejected';
+        status.textContent = `Rejected by ${approval.approver.name || approval.approver.email} on ${Helpers.formatDate(approval.decided_at)}${approval.comment ? `: "${approval.comment}"` : ''}`;
+        status.classList.add('rejected');
+        sendLabel.textContent = 'Request Approval Again';
+    } else {
+        title.textContent = 'Award approved';
+        status.textContent = `Approved by ${approval.approver.name || approval.approver.email} on ${Helpers.formatDate(approval.decided_at)}${approval.comment ? `: "${approval.comment}"` : ''}`;
+        status.classList.add('approved');
+    }
+}
+
+/**
+ * Email the approval request (with the bid tab) to the approver
+ */
+async function sendAwardApprovalRequest() {
+    const award = AppState.pendingAward;
+    if (!award || !award.requirement.approver) return;
+    
+    const button = document.getElementById('send-approval-request-btn');
+    Helpers.setButtonLoading(button, true);
+    try {
+        // The bid tab covers every quote for the material, not just the awarded ones
+        const comparisonQuotes = await getAwardComparisonQuotes(award);
+        const materialCode = award.contexts[0]?.materialCode;
+        
+        const recommendation = calculateRecommendedQuote(comparisonQuotes);
+        const bidTabContext = getBidTabContext(comparisonQuotes);
+        const bidTab = BidTabService.toAttachment(comparisonQuotes, recommendation, bidTabContext);
+        
+        award.approval = await ApprovalService.requestApproval({
+            quotes: award.quotes,
+            materialCode: materialCode || bidTabContext.materialCode,
+            prNumber: award.contexts[0]?.pr?.pr_id || bidTabContext.prNumber,
+            value: award.value,
+            approver: award.requirement.approver,
+            recommendation: recommendation
+        }, bidTab);
+        
+        renderAwardApproval();
+        Helpers.showSuccess(`Approval request sent to ${award.requirement.approver.name || award.requirement.approver.email}`);
+    } catch (error) {
+        console.error('Error sending approval request:', error);
+        Helpers.showError('Failed to send approval request: ' + error.message);
+    } finally {
+        Helpers.setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Create the PO(s) once the pending award is approved
+ */
+async function createApprovedPurchaseOrders() {
+    const award = AppState.pendingAward;
+    if (!award || award.approval?.status !== 'approved') {
+        Helpers.showError('This award has not been approved yet');
+        return;
+    }
+    Helpers.hideElement(document.getElementById('po-approval-state'));
+    Helpers.showElement(document.getElementById('po-loading-state'));
+    await createAwardPurchaseOrders(award);
+}
+
+/**
+ * Called by EmailMonitor when an approver replies to an approval request
+ */
+function handleApprovalDecision(approval) {
+    const who = approval.approver.name || approval.approver.email;
+    const what = approval.material_code ? ` for ${approval.material_code}` : '';
+    if (approval.status === 'approved') {
+        Helpers.showSuccess(`${who} approved the award${what}`);
+    } else {
+        Helpers.showError(`${who} rejected the award${what}${approval.comment ? `: ${approval.comment}` : ''}`);
+    }
+    
+    const award = AppState.pendingAward;
+    if (award && award.approval?.reference === approval.reference) {
+        award.approval = approval;
+        if (AppState.currentMode === 'po-generation') renderAwardApproval();
+    }
+}
+
+// ==================== SAVINGS ====================
+
+/**
+ * Record what the award saved and show it on the PO result
+ */
+async function recordAwardSavings(award, pos) {
+    try {
+        const comparisonQuotes = await getAwardComparisonQuotes(award);
+        const record = SavingsService.recordAward(pos, {
+            pr: award.contexts[0]?.pr || null,
+            comparisonQuotes: comparisonQuotes
+        });
+        renderAwardSavings(record);
+    } catch (error) {
+        // The PO is already created - savings tracking must not get in the way
+        console.error('Error recording award savings:', error);
+    }
+}
+
+/**
+ * Savings of the award on the PO result, with a target price form when the PR has no budget
+ */
+function renderAwardSavings(record) {
+    const container = document.getElementById('po-savings');
+    const summary = document.getElementById('po-savings-summary');
+    const targetForm = document.getElementById('po-savings-target');
+    if (!container || !summary) return;
+    
+    const base = record.currency;
+    const describe = (amount, reference) => {
+        if (amount === null) return '<span class="no-data">N/A</span>';
+        const pct = reference ? ` (${Math.round(amount / reference * 1000) / 10}%)` : '';
+        const cls = amount >= 0 ? 'saving' : 'overspend';
+        return `<span class="${cls}">${amount >= 0 ? '' : '-'}${Helpers.formatCurrency(Math.abs(amount), base)}${pct}</span>`;
+    };
+    
+    const budgetLabel = record.budget ? (record.budget.source === 'pr' ? 'PR budget' : 'Target') : 'Budget';
+    summary.innerHTML = `
+        <dl>
+            <dt>Awarded</dt><dd>${record.awarded_total !== null ? Helpers.formatCurrency(record.awarded_total, base) : '<span class="no-data">Unknown</span>'}</dd>
+            <dt>${budgetLabel}</dt><dd>${record.budget_total !== null ? Helpers.formatCurrency(record.budget_total, base) : '<span class="no-data">None</span>'}</dd>
+            <dt>vs ${budgetLabel.toLowerCase()}</dt><dd>${describe(record.savings_vs_budget, record.budget_total)}</dd>
+            <dt>vs average quote</dt><dd>${describe(record.savings_vs_average, record.average_quote_total)}</dd>
+            <dt>vs highest quote</dt><dd>${describe(record.savings_vs_highest, record.highest_quote_total)}</dd>
+        </dl>
+    `;
+    
+    // A PR budget is authoritative; otherwise the buyer can enter (or change) a target
+    Helpers.toggleElement(targetForm, record.budget?.source !== 'pr' && !!record.quantity);
+    const currencySelect = document.getElementById('po-savings-target-currency');
+    if (currencySelect) {
+        const selected = record.budget?.currency || base;
+        currencySelect.innerHTML = CurrencyService.CODES.map(code =>
+            `<option value="${code}" ${code === selected ? 'selected' : ''}>${code}</option>`
+        ).join('');
+    }
+    const priceInput = document.getElementById('po-savings-target-price');
+    if (priceInput) priceInput.value = record.budget?.unit_price || '';
+    
+    container.dataset.awardKey = record.award_key;
+    Helpers.showElement(container);
+}
+
+/**
+ * Save the buyer's target unit price for the award shown
+ */
+function saveSavingsTarget() {
+    const awardKey = document.getElementById('po-savings')?.dataset.awardKey;
+    if (!awardKey) return;
+    try {
+        const record = SavingsService.setTarget(
+            awardKey,
+            document.getElementById('po-savings-target-price').value,
+            document.getElementById('po-savings-target-currency').value
+        );
+        renderAwardSavings(record);
+        Helpers.showSuccess('Target saved');
+    } catch (error) {
+        console.error('Error saving savings target:', error);
+        Helpers.showError(error.message);
+    }
+}
+
+/**
+ * Open the savings report
+ */
+function openSavingsReport() {
+    const modal = document.getElementById('savings-modal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    renderSavingsReport();
+}
+
+function closeSavingsReport() {
+    document.getElementById('savings-modal')?.classList.add('hidden');
+}
+
+/**
+ * Render the savings report for the selected dimension
+ */
+function renderSavingsReport() {
+    const dimension = document.getElementById('savings-dimension')?.value || 'month';
+    const records = Object.values(SavingsService.getAll());
+    const report = SavingsService.buildReport(records, dimension);
+    const tableWrapper = document.getElementById('savings-table-wrapper');
+    const emptyState = document.getElementById('savings-empty');
+    const countEl = document.getElementById('savings-count');
+    const base = CurrencyService.getBaseCurrency();
+    if (countEl) countEl.textContent = `${records.length} award${records.length === 1 ? '' : 's'}`;
+    
+    if (report.length === 0) {
+        Helpers.hideElement(tableWrapper);
+        Helpers.showElement(emptyState);
+        return;
+    }
+    Helpers.hideElement(emptyState);
+    
+    const money = (amount) => `<span class="${amount < 0 ? 'overspend' : ''}">${Helpers.formatCurrency(amount, base)}</span>`;
+    const totals = report.reduce((sum, group) => {
+        ['awards', 'spend', 'budget', 'savings_vs_budget', 'savings_vs_average', 'savings_vs_highest'].forEach(key => {
+            sum[key] = (sum[key] || 0) + group[key];
+        });
+        return sum;
+    }, {});
+    totals.key = 'Total';
+    totals.savings_pct = totals.budget > 0 ? totals.savings_vs_budget / totals.budget : null;
+    
+    const renderRow = (group, index, className = '') => `
+        <tr class="${className || (index % 2 === 1 ? 'even-row' : '')}">
+            <td><strong>${Helpers.escapeHtml(group.key)}</strong></td>
+            <td>${group.awards}</td>
+            <td>${money(group.spend)}</td>
+            <td>${group.budget > 0 ? money(group.budget) : '<span class="no-data">-</span>'}</td>
+            <td>${group.budget > 0 ? money(group.savings_vs_budget) : '<span class="no-data">-</span>'}</td>
+            <td>${group.savings_pct !== null ? `${Math.round(group.savings_pct * 1000) / 10}%` : '<span class="no-data">-</span>'}</td>
+            <td>${money(group.savings_vs_average)}</td>
+            <td>${money(group.savings_vs_highest)}</td>
+        </tr>
+    `;
+    
+    tableWrapper.innerHTML = `
+        <table class="quote-comparison-table savings-table">
+            <thead>
+                <tr>
+                    <th>${SavingsService.REPORT_DIMENSIONS[dimension]}</th>
+                    <th>Awards</th>
+                    <th>Spend</th>
+                    <th>Budget</th>
+                    <th>Savings vs Budget</th>
+                    <th>%</th>
+                    <th>vs Average Quote</th>
+                    <th>vs Highest Quote</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${report.map((group, index) => renderRow(group, index)).join('')}
+                ${renderRow(totals, 0, 'savings-total-row')}
+            </tbody>
+        </table>
+    `;
+    Helpers.showElement(tableWrapper);
+}
+
+/**
+ * Download the savings report workbook
+ */
+function exportSavingsReport() {
+    const records = Object.values(SavingsService.getAll());
+    if (records.length === 0) {
+        Helpers.showError('No awards recorded yet');
+        return;
+    }
+    try {
+        const blob = SavingsService.toXlsxBlob(records);
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `savings-report-${new Date().toISOString().split('T')[0]}.xlsx`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        Helpers.showSuccess('Savings report exported');
+    } catch (error) {
+        console.error('Error exporting savings report:', error);
+        Helpers.showError('Failed to export the savings report: ' + error.message);
+    }
+}
+
+// ==================== UNSUCCESSFUL BIDDER NOTIFICATIONS ====================
+
+/**
+ * Open the review modal with regret drafts for every losing supplier of the last award
+ */
+async function openBidderNotificationModal() {
+    const award = AppState.lastAward;
+    const materialCode = award?.po?.material_code;
+    if (!materialCode) {
+        Helpers.showError('No material code found for this award');
+        return;
+    }
+    
+    const modal = document.getElementById('bidder-notification-modal');
+    const listContainer = document.getElementById('bidder-notification-list');
+    if (!modal || !listContainer) return;
+    
+    listContainer.innerHTML = `<div class="loading-indicator"><div class="spinner-small"></div><span>Loading quotes for ${Helpers.escapeHtml(materialCode)}...</span></div>`;
+    Helpers.showElement(modal);
+    
+    try {
+        const quotes = await fetchMaterialQuotes(materialCode, (message) => {
+            listContainer.innerHTML = `<div class="loading-indicator"><div class="spinner-small"></div><span>${Helpers.escapeHtml(message)}</span></div>`;
+        });
+        AppState.bidderDrafts = BidderNotificationService.buildDrafts(quotes || [], award.quotes, materialCode);
+        renderBidderNotificationDrafts();
+    } catch (error) {
+        console.error('Error preparing bidder notifications:', error);
+        listContainer.innerHTML = `<p class="placeholder-text">Error loading quotes: ${Helpers.escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Render the regret drafts for review
+ */
+function renderBidderNotificationDrafts() {
+    const listContainer = document.getElementById('bidder-notification-list');
+    if (!listContainer) return;
+    
+    const drafts = AppState.bidderDrafts;
+    if (drafts.length === 0) {
+        listContainer.innerHTML = '<p class="placeholder-text">No other suppliers quoted for this material</p>';
+        return;
+    }
+    
+    listContainer.innerHTML = drafts.map((draft, index) => {
+        let status = '';
+        if (draft.delivery_error) {
+            status = `<span class="bidder-notification-status failed" title="${Helpers.escapeHtml(draft.delivery_error)}">Failed</span>`;
+        } else if (draft.sent) {
+            status = '<span class="bidder-notification-status">Notified</span>';
+        } else if (draft.drafted) {
+            status = '<span class="bidder-notification-status drafted" title="A reply draft is waiting in Drafts - sending now sends a separate email">Draft saved</span>';
+        }
+        // Only suppliers that were actually sent the notice are left out; a saved draft may never have been sent
+        const excluded = draft.sent && !draft.delivery_error;
+        return `
+            <div class="bidder-notification-item${excluded ? ' excluded' : ''}" data-index="${index}">
+                <div class="bidder-notification-header">
+                    <input type="checkbox" class="bidder-notification-select" data-index="${index}" ${excluded ? '' : 'checked'}/>
+                    <div>
+                        <div class="bidder-notification-supplier">${Helpers.escapeHtml(draft.supplier_name)}</div>
+                        <div class="bidder-notification-email">${Helpers.escapeHtml(draft.supplier_email)}</div>
+                    </div>
+                    ${status}
+                </div>
+                <textarea class="ms-TextField-field bidder-notification-body" data-index="${index}" rows="9">${Helpers.escapeHtml(draft.body)}</textarea>
+            </div>
+        `;
+    }).join('');
+    
+    listContainer.querySelectorAll('.bidder-notification-body').forEach(textarea => {
+        textarea.addEventListener('input', () => {
+            AppState.bidderDrafts[parseInt(textarea.dataset.index)].body = textarea.value;
+        });
+    });
+}
+
+/**
+ * Send (or save as reply drafts) the selected regret emails
+ * @param {string} mode - 'send' or 'draft'
+ */
+async function deliverBidderNotifications(mode) {
+    const materialCode = AppState.lastAward?.po?.material_code;
+    const selected = Array.from(document.querySelectorAll('.bidder-notification-select:checked'))
+        .map(checkbox => AppState.bidderDrafts[parseInt(checkbox.dataset.index)]);
+    
+    if (selected.length === 0) {
+        Helpers.showError('Select at least one supplier to notify');
+        return;
+    }
+    
+    Helpers.showLoading(mode === 'draft' ? 'Saving reply drafts...' : 'Sending notifications...');
+    try {
+        const result = await BidderNotificationService.deliver(selected, materialCode, mode);
+        
+        result.succeeded.forEach(draft => {
+            if (mode === 'draft') draft.drafted = true; else draft.sent = true;
+            draft.delivery_error = null;
+        });
+        result.failed.forEach(failure => {
+            failure.draft.delivery_error = failure.error;
+        });
+        
+        const verb = mode === 'draft' ? 'saved as drafts' : 'sent';
+        if (result.failed.length > 0) {
+            Helpers.showError(`${result.succeeded.length} ${verb}, ${result.failed.length} failed`);
+            renderBidderNotificationDrafts();
+        } else {
+            Helpers.showSuccess(`${result.succeeded.length} notification(s) ${verb}`);
+            closeBidderNotificationModal();
+        }
+    } finally {
+        Helpers.hideLoading();
+    }
+}
+
+/**
+ * Close the bidder notification modal
+ */
+function closeBidderNotificationModal() {
+    Helpers.hideElement(document.getElementById('bidder-notification-modal'));
+}
+
 // ==================== INITIALIZATION ====================
 // Global error handler to prevent crashes
 window.onerror = function(message, source, lineno, colno, error) {
@@ -4162,8 +5181,43 @@ function setupModeEventListeners() {
         await openQuoteComparisonModal();
     });
     document.getElementById('accept-quote-btn')?.addEventListener('click', handleAcceptQuote);
+    document.getElementById('edit-quote-fields-btn')?.addEventListener('click', openQuoteEditForm);
+    document.getElementById('cancel-quote-edits-btn')?.addEventListener('click', closeQuoteEditForm);
+    document.getElementById('save-quote-edits-btn')?.addEventListener('click', saveQuoteEdits);
+    document.getElementById('reset-quote-edits-btn')?.addEventListener('click', resetQuoteEdits);
+    document.getElementById('negotiate-quote-btn')?.addEventListener('click', openNegotiationPanel);
+    document.getElementById('cancel-negotiation-btn')?.addEventListener('click', () => {
+        Helpers.hideElement(document.getElementById('negotiation-panel'));
+    });
+    document.getElementById('send-counter-offer-btn')?.addEventListener('click', sendCounterOffer);
+    ['negotiation-target-price', 'negotiation-target-leadtime', 'negotiation-target-terms'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', Helpers.debounce(updateCounterOfferPreview, 300));
+    });
+    document.getElementById('request-extension-btn')?.addEventListener('click', async () => {
+        if (!AppState.currentQuote) return;
+        await requestValidityExtension(AppState.currentQuote.details);
+        renderQuoteValidity(AppState.currentQuote.details);
+    });
+    
+    // PO generation mode buttons
+    document.getElementById('notify-bidders-btn')?.addEventListener('click', openBidderNotificationModal);
+    document.getElementById('send-approval-request-btn')?.addEventListener('click', sendAwardApprovalRequest);
+    document.getElementById('create-approved-po-btn')?.addEventListener('click', createApprovedPurchaseOrders);
+    document.getElementById('save-savings-target-btn')?.addEventListener('click', saveSavingsTarget);
+    document.getElementById('close-bidder-notification-modal')?.addEventListener('click', closeBidderNotificationModal);
+    document.getElementById('send-bidder-notifications-btn')?.addEventListener('click', () => deliverBidderNotifications('send'));
+    document.getElementById('save-bidder-drafts-btn')?.addEventListener('click', () => deliverBidderNotifications('draft'));
     
     // Quote comparison modal event handlers
+    document.getElementById('comparison-quantity')?.addEventListener('input', Helpers.debounce((e) => {
+        const quantity = parseFloat(e.target.value);
+        modalQuotesState.compareQuantity = quantity > 0 ? quantity : null;
+        applyModalFiltersAndSort();
+    }, 300));
+    document.getElementById('comparison-include-expired')?.addEventListener('change', (e) => {
+        modalQuotesState.includeExpired = e.target.checked;
+        applyModalFiltersAndSort();
+    });
     document.getElementById('close-quote-comparison-modal')?.addEventListener('click', closeQuoteComparisonModal);
     document.getElementById('close-quote-comparison-modal-footer')?.addEventListener('click', closeQuoteComparisonModal);
     
@@ -4186,6 +5240,16 @@ function setupModeEventListeners() {
                 e.stopPropagation();
             } else if (modal && !modal.classList.contains('hidden')) {
                 closeQuoteComparisonModal();
+            } else if (!document.getElementById('savings-modal')?.classList.contains('hidden')) {
+                closeSavingsReport();
+            } else if (!document.getElementById('portfolio-modal')?.classList.contains('hidden')) {
+                closePortfolioDashboard();
+            } else if (!document.getElementById('supplier-analytics-modal')?.classList.contains('hidden')) {
+                closeSupplierAnalytics();
+            } else if (!document.getElementById('activity-log-modal')?.classList.contains('hidden')) {
+                closeActivityLog();
+            } else if (!document.getElementById('contact-issues-modal')?.classList.contains('hidden')) {
+                closeContactIssues();
             }
         }
     });
@@ -4259,6 +5323,10 @@ function setupModeEventListeners() {
         exportQuotesToCSV(modalQuotesState.filteredQuotes);
     });
     
+    document.getElementById('export-xlsx-btn')?.addEventListener('click', () => {
+        exportQuotesToXLSX(modalQuotesState.filteredQuotes);
+    });
+    
     document.getElementById('export-pdf-btn')?.addEventListener('click', () => {
         exportQuotesToPDF(modalQuotesState.filteredQuotes);
     });
@@ -4287,7 +5355,15 @@ function setupModeEventListeners() {
     
     // Export PDF button in summary view
     document.getElementById('export-pdf-summary-btn')?.addEventListener('click', () => {
-        exportQuotesToPDF(modalQuotesState.allQuotes);
+        exportQuotesToPDF(getQuotesAtComparisonQuantity(modalQuotesState.allQuotes));
+    });
+    
+    document.getElementById('export-xlsx-summary-btn')?.addEventListener('click', () => {
+        exportQuotesToXLSX(getQuotesAtComparisonQuantity(modalQuotesState.allQuotes));
+    });
+    
+    document.getElementById('email-bid-tab-btn')?.addEventListener('click', () => {
+        emailBidTab(getQuotesAtComparisonQuantity(modalQuotesState.allQuotes));
     });
     
     // View all quotes link
@@ -4295,6 +5371,12 @@ function setupModeEventListeners() {
         e.preventDefault();
         showAllQuotesView();
     });
+    
+    // Line item comparison and split award
+    document.getElementById('compare-line-items-btn')?.addEventListener('click', toggleLineItemComparison);
+    document.getElementById('award-split-btn')?.addEventListener('click', awardSplitFromModal);
+    document.getElementById('bafo-round-btn')?.addEventListener('click', toggleBafoPanel);
+    document.getElementById('send-bafo-btn')?.addEventListener('click', sendBafoRequests);
 }
 
 /**
@@ -4440,6 +5522,82 @@ function setupEventListeners() {
     // Refresh button
     document.getElementById('refresh-btn')?.addEventListener('click', handleRefresh);
 
+    // Portfolio dashboard
+    document.getElementById('portfolio-btn')?.addEventListener('click', openPortfolioDashboard);
+    document.getElementById('close-portfolio-modal')?.addEventListener('click', closePortfolioDashboard);
+    document.getElementById('close-portfolio-modal-footer')?.addEventListener('click', closePortfolioDashboard);
+    document.getElementById('refresh-portfolio-btn')?.addEventListener('click', openPortfolioDashboard);
+    document.getElementById('portfolio-search')?.addEventListener('input', Helpers.debounce(renderPortfolioDashboard, 300));
+    document.getElementById('portfolio-show-awarded')?.addEventListener('change', renderPortfolioDashboard);
+    document.getElementById('savings-report-btn')?.addEventListener('click', openSavingsReport);
+    document.getElementById('close-savings-modal')?.addEventListener('click', closeSavingsReport);
+    document.getElementById('close-savings-modal-footer')?.addEventListener('click', closeSavingsReport);
+    document.getElementById('savings-dimension')?.addEventListener('change', renderSavingsReport);
+    document.getElementById('export-savings-btn')?.addEventListener('click', exportSavingsReport);
+    document.getElementById('savings-modal')?.addEventListener('click', (e) => {
+        if (e.target.id === 'savings-modal') closeSavingsReport();
+    });
+    document.getElementById('portfolio-modal')?.addEventListener('click', (e) => {
+        if (e.target.id === 'portfolio-modal') closePortfolioDashboard();
+    });
+
+    // Supplier analytics
+    document.getElementById('supplier-analytics-btn')?.addEventListener('click', openSupplierAnalytics);
+    document.getElementById('close-supplier-analytics-modal')?.addEventListener('click', closeSupplierAnalytics);
+    document.getElementById('close-supplier-analytics-modal-footer')?.addEventListener('click', closeSupplierAnalytics);
+    document.getElementById('recalculate-supplier-analytics-btn')?.addEventListener('click', recalculateSupplierAnalytics);
+    document.getElementById('supplier-analytics-search')?.addEventListener('input', Helpers.debounce(renderSupplierAnalytics, 300));
+    document.getElementById('supplier-analytics-modal')?.addEventListener('click', (e) => {
+        if (e.target.id === 'supplier-analytics-modal') closeSupplierAnalytics();
+    });
+
+    // Automated actions (message ledger)
+    document.getElementById('activity-log-btn')?.addEventListener('click', openActivityLog);
+    document.getElementById('close-activity-log-modal')?.addEventListener('click', closeActivityLog);
+    document.getElementById('close-activity-log-modal-footer')?.addEventListener('click', closeActivityLog);
+    document.getElementById('refresh-activity-log-btn')?.addEventListener('click', renderActivityLog);
+    document.getElementById('activity-log-outcome')?.addEventListener('change', renderActivityLog);
+    document.getElementById('activity-log-search')?.addEventListener('input', Helpers.debounce(renderActivityLog, 300));
+    document.getElementById('activity-log-modal')?.addEventListener('click', (e) => {
+        if (e.target.id === 'activity-log-modal') closeActivityLog();
+    });
+    document.getElementById('activity-log-table-wrapper')?.addEventListener('click', (e) => {
+        const undoButton = e.target.closest('[data-undo-filter-id]');
+        if (undoButton) undoSenderFilter(undoButton.dataset.undoFilterId);
+    });
+    document.getElementById('retry-queue-list')?.addEventListener('click', (e) => {
+        const retryButton = e.target.closest('[data-retry-id]');
+        const dismissButton = e.target.closest('[data-dismiss-id]');
+        if (retryButton) retryFailedReply(retryButton.dataset.retryId);
+        if (dismissButton) dismissFailedReply(dismissButton.dataset.dismissId);
+    });
+    MessageLedger.onRecord((entry) => {
+        updateAttentionBadge();
+        updateContactIssuesButton();
+        if (!document.getElementById('activity-log-modal')?.classList.contains('hidden')) {
+            renderActivityLog();
+        }
+        if (entry.outcome === 'bounced' || entry.outcome === 'auto_reply') {
+            promptAlternateContact(entry);
+        }
+    });
+    updateAttentionBadge();
+
+    // RFQ contact issues (bounces and out-of-office replies)
+    document.getElementById('contact-issues-btn')?.addEventListener('click', openContactIssues);
+    document.getElementById('close-contact-issues-modal')?.addEventListener('click', closeContactIssues);
+    document.getElementById('close-contact-issues-modal-footer')?.addEventListener('click', closeContactIssues);
+    document.getElementById('contact-issues-modal')?.addEventListener('click', (e) => {
+        if (e.target.id === 'contact-issues-modal') closeContactIssues();
+    });
+    document.getElementById('contact-issues-list')?.addEventListener('click', (e) => {
+        const sendButton = e.target.closest('[data-send-alternate-id]');
+        const dismissButton = e.target.closest('[data-dismiss-issue-id]');
+        if (sendButton) sendRfqToAlternate(sendButton.dataset.sendAlternateId, sendButton.closest('.contact-issue-item'));
+        if (dismissButton) dismissContactIssue(dismissButton.dataset.dismissIssueId);
+    });
+    updateContactIssuesButton();
+
     // Settings button
     document.getElementById('settings-btn')?.addEventListener('click', openSettingsModal);
     document.getElementById('close-settings')?.addEventListener('click', closeSettingsModal);
@@ -6119,12 +7277,35 @@ async function handleCreateAllDrafts() {
 }
 
 // ==================== EMAIL PROCESSING ====================
-async function loadCurrentEmailInfo() {
+/**
+ * Apply the sender filter rules to an email the user is acting on
+ * @returns {Promise<boolean>} true if it is system/notification mail (the action should stop)
+ */
+async function filterSystemNotification(email) {
+    if (!email?.id) return false;
+    const filter = await SenderFilterService.check(email);
+    if (!filter.matched) return false;
+    
     try {
-        const emailDetails = await EmailOperations.getCurrentEmailDetails();
-        AppState.currentEmail = emailDetails;
-        
-        const container = document.getElementById('current-email-info');
+        Helpers.showLoading('Filtering system notification...');
+        const logEntry = await SenderFilterService.apply(email, filter);
+        await MessageLedger.record(email, SenderFilterService.getLedgerDetails(logEntry, 'task_pane'));
+        Helpers.showSuccess(`${SenderFilterService.describe(logEntry)} (${filter.reason})`);
+    } catch (error) {
+        console.error('Error applying sender filter:', error);
+        Helpers.showError('Failed to filter system notification: ' + error.message);
+    } finally {
+        Helpers.hideLoading();
+    }
+    return true;
+}
+
+async function loadCurrentEmailInfo() {
+    try {
+        const emailDetails = await EmailOperations.getCurrentEmailDetails();
+        AppState.currentEmail = emailDetails;
+        
+        const container = document.getElementById('current-email-info');
         if (container && emailDetails) {
             container.innerHTML = `
                 <div class="email-subject">${Helpers.escapeHtml(emailDetails.subject)}</div>
@@ -6147,24 +7328,11 @@ async function handleClassifyEmail() {
         return;
     }
     
-    // CRITICAL: Check if email is from Microsoft Outlook and delete immediately
+    // System and notification mail is handled by the sender filter rules
     const email = AppState.currentEmail;
-    if (EmailOperations.isFromMicrosoftOutlook(email)) {
-        try {
-            Helpers.showLoading('Deleting Microsoft Outlook email...');
-            if (email.id) {
-                await EmailOperations.deleteEmail(email.id);
-            }
-            Helpers.showSuccess('Microsoft Outlook email deleted');
-            Helpers.hideLoading();
-            // Clear current email state
-            AppState.currentEmail = null;
-            return;
-        } catch (deleteError) {
-            Helpers.showError('Failed to delete Microsoft Outlook email: ' + deleteError.message);
-            Helpers.hideLoading();
-            return;
-        }
+    if (await filterSystemNotification(email)) {
+        AppState.currentEmail = null;
+        return;
     }
     
     try {
@@ -6186,6 +7354,15 @@ async function handleClassifyEmail() {
         );
         
         AppState.classification = result;
+        if (AppState.currentEmail.id) {
+            await MessageLedger.record(AppState.currentEmail, {
+                outcome: 'classified',
+                classification: result.classification,
+                confidence: result.confidence,
+                material_code: AppState.currentEmail.subject?.match(/MAT-\d+/i)?.[0]?.toUpperCase() || null,
+                source: 'task_pane'
+            });
+        }
         
         // Display classification result
         const classificationCard = document.getElementById('classification-result');
@@ -6601,88 +7778,24 @@ async function loadAllQuotesFromFolder() {
             return;
         }
         
-        // Find the Quotes folder for this specific material (MAT-XXXXX/Quotes)
-        container.innerHTML = `<div class="loading-indicator"><div class="spinner-small"></div><span>Finding Quotes folder for ${materialCode}...</span></div>`;
-        const quotesFolder = await findMaterialQuotesFolder(materialCode);
-        
-        if (!quotesFolder) {
-            container.innerHTML = `<p class="placeholder-text">No Quotes folder found for ${materialCode}. Quotes will appear here once suppliers respond.</p>`;
-            Helpers.hideLoading();
-            return;
-        }
+        // Find the Quotes and Negotiation folders for this specific material (MAT-XXXXX/Quotes) and extract their quotes
+        container.innerHTML = `<div class="loading-indicator"><div class="spinner-small"></div><span>Finding quote folders for ${materialCode}...</span></div>`;
+        const quotes = await fetchMaterialQuotes(materialCode, (message) => {
+            container.innerHTML = `<div class="loading-indicator"><div class="spinner-small"></div><span>${Helpers.escapeHtml(message)}</span></div>`;
+        });
         
-        // Get all emails from the Quotes folder for this material
-        container.innerHTML = `<div class="loading-indicator"><div class="spinner-small"></div><span>Loading emails from Quotes folder...</span></div>`;
-        let allEmails = [];
-        try {
-            allEmails = await getEmailsByFolderId(quotesFolder.id, {
-                top: 100,
-                select: ['id', 'subject', 'from', 'body', 'receivedDateTime'],
-                orderBy: 'receivedDateTime desc'
-            });
-        } catch (error) {
-            console.error(`Error getting emails from Quotes folder for ${materialCode}:`, error);
-            container.innerHTML = `<p class="placeholder-text">Error loading emails: ${Helpers.escapeHtml(error.message)}</p>`;
+        if (quotes === null) {
+            container.innerHTML = `<p class="placeholder-text">No Quotes or Negotiation folder found for ${materialCode}. Quotes will appear here once suppliers respond.</p>`;
             Helpers.hideLoading();
             return;
         }
         
-        if (allEmails.length === 0) {
+        if (quotes.length === 0) {
             container.innerHTML = '<p class="placeholder-text">No quotes found in Quotes folders</p>';
             Helpers.hideLoading();
             return;
         }
         
-        // Extract quote information from emails in batches (5 at a time)
-        container.innerHTML = `<div class="loading-indicator"><div class="spinner-small"></div><span>Extracting quote data from ${allEmails.length} email(s)...</span></div>`;
-        const quotes = [];
-        const batchSize = 5;
-        
-        for (let i = 0; i < allEmails.length; i += batchSize) {
-            const batch = allEmails.slice(i, i + batchSize);
-            const batchNumber = Math.floor(i / batchSize) + 1;
-            const totalBatches = Math.ceil(allEmails.length / batchSize);
-            
-            // Update progress
-            if (allEmails.length > batchSize) {
-                container.innerHTML = `<div class="loading-indicator"><div class="spinner-small"></div><span>Processing batch ${batchNumber} of ${totalBatches} (${i + 1}-${Math.min(i + batchSize, allEmails.length)} of ${allEmails.length})...</span></div>`;
-            }
-            
-            // Process batch in parallel
-            const batchPromises = batch.map(async (email) => {
-                try {
-                    const quote = await extractQuoteFromEmail(email);
-                    return quote;
-                } catch (error) {
-                    console.error(`Error extracting quote from email ${email.id}:`, error);
-                    // Return minimal quote info instead of failing
-                    return {
-                        supplier_name: email.from?.emailAddress?.name || email.from?.emailAddress?.address || 'Unknown',
-                        supplier_email: email.from?.emailAddress?.address || '',
-                        price: null,
-                        unit_price: null,
-                        total_price: null,
-                        lead_time: null,
-                        delivery_time: null,
-                        validity: null,
-                        payment_terms: null,
-                        quote_date: email.receivedDateTime,
-                        status: 'Received',
-                        currency: 'USD',
-                        email_id: email.id,
-                        email_subject: email.subject
-                    };
-                }
-            });
-            
-            const batchResults = await Promise.all(batchPromises);
-            batchResults.forEach(quote => {
-                if (quote) {
-                    quotes.push(quote);
-                }
-            });
-        }
-        
         // Render comparison table
         renderQuoteComparison(quotes);
         Helpers.hideLoading();
@@ -6695,12 +7808,97 @@ async function loadAllQuotesFromFolder() {
 }
 
 /**
- * Find the Quotes folder for a specific material (e.g., MAT-12345/Quotes)
+ * Load and extract all quotes in a material's Quotes and Negotiation folders
+ * @param {string} materialCode - The material code (e.g., "MAT-12345")
+ * @param {Function} onProgress - Optional callback receiving progress messages
+ * @returns {Promise<Array|null>} Quotes, or null if the material has neither folder
+ */
+async function fetchMaterialQuotes(materialCode, onProgress = null) {
+    const progress = (message) => {
+        if (onProgress) onProgress(message);
+    };
+    
+    // Every quote may have moved to Negotiation, so either folder is enough
+    const quotesFolder = await findMaterialSubfolder(materialCode, Config.FOLDERS.QUOTES);
+    const negotiationFolder = await findMaterialSubfolder(materialCode, Config.FOLDERS.NEGOTIATION);
+    if (!quotesFolder && !negotiationFolder) {
+        return null;
+    }
+    
+    progress(`Loading emails from ${[quotesFolder, negotiationFolder].filter(Boolean).map(f => f.name).join(' and ')} folder...`);
+    const emailOptions = {
+        top: 100,
+        select: ['id', 'subject', 'from', 'body', 'receivedDateTime', 'conversationId', 'hasAttachments'],
+        orderBy: 'receivedDateTime desc'
+    };
+    const allEmails = [];
+    for (const folder of [quotesFolder, negotiationFolder].filter(Boolean)) {
+        allEmails.push(...await getEmailsByFolderId(folder.id, emailOptions));
+    }
+    
+    // Extract quote information from emails in batches (5 at a time)
+    progress(`Extracting quote data from ${allEmails.length} email(s)...`);
+    const quotes = [];
+    const batchSize = 5;
+    
+    for (let i = 0; i < allEmails.length; i += batchSize) {
+        const batch = allEmails.slice(i, i + batchSize);
+        const batchNumber = Math.floor(i / batchSize) + 1;
+        const totalBatches = Math.ceil(allEmails.length / batchSize);
+        
+        // Update progress
+        if (allEmails.length > batchSize) {
+            progress(`Processing batch ${batchNumber} of ${totalBatches} (${i + 1}-${Math.min(i + batchSize, allEmails.length)} of ${allEmails.length})...`);
+        }
+        
+        // Process batch in parallel
+        const batchPromises = batch.map(async (email) => {
+            try {
+                return await extractQuoteFromEmail(email, materialCode);
+            } catch (error) {
+                console.error(`Error extracting quote from email ${email.id}:`, error);
+                // Return minimal quote info instead of failing
+                return {
+                    supplier_name: email.from?.emailAddress?.name || email.from?.emailAddress?.address || 'Unknown',
+                    supplier_email: email.from?.emailAddress?.address || '',
+                    price: null,
+                    unit_price: null,
+                    total_price: null,
+                    lead_time: null,
+                    delivery_time: null,
+                    validity: null,
+                    payment_terms: null,
+                    quote_date: email.receivedDateTime,
+                    status: 'Received',
+                    currency: 'USD',
+                    email_id: email.id,
+                    email_subject: email.subject,
+                    material_code: materialCode,
+                    conversation_id: email.conversationId || null
+                };
+            }
+        });
+        
+        const batchResults = await Promise.all(batchPromises);
+        batchResults.forEach(quote => {
+            if (quote) {
+                quotes.push(quote);
+            }
+        });
+    }
+    
+    // A revised quote in the same thread replaces the supplier's earlier one
+    return QuoteRevisionService.group(quotes);
+}
+
+/**
+ * Find a subfolder of a material folder (e.g., MAT-12345/Quotes)
  * Returns folder ID directly (no path resolution needed)
  * @param {string} materialCode - The material code (e.g., "MAT-12345")
+ * @param {string} folderName - Subfolder name (defaults to the Quotes folder)
  * @returns {Promise<Object|null>} Folder object with {id, name} or null if not found
  */
-async function findMaterialQuotesFolder(materialCode) {
+async function findMaterialSubfolder(materialCode, folderName = Config.FOLDERS.QUOTES) {
     try {
         // Get all mail folders with timeout
         const folderRequest = AuthService.graphRequest('/me/mailFolders?$top=500');
@@ -6733,15 +7931,14 @@ async function findMaterialQuotesFolder(materialCode) {
             );
             
             if (children.value) {
-                // Find the Quotes folder
-                const quotesFolder = children.value.find(child =>
-                    child.displayName && child.displayName.toLowerCase() === 'quotes'
+                const subfolder = children.value.find(child =>
+                    child.displayName && child.displayName.toLowerCase() === folderName.toLowerCase()
                 );
                 
-                if (quotesFolder) {
+                if (subfolder) {
                     return {
-                        id: quotesFolder.id,
-                        name: quotesFolder.displayName
+                        id: subfolder.id,
+                        name: subfolder.displayName
                     };
                 }
             }
@@ -6797,152 +7994,66 @@ async function getEmailsByFolderId(folderId, options = {}) {
 }
 
 /**
- * Extract quote information from an email
- * Optimized to only fetch body if missing, with timeout protection
+ * Extract a quote from an email with the quote extraction engine
+ * Used by quote mode, the comparison modal and material quote loading, so every
+ * view reads the same values. Fetches the body if missing and fills gaps from
+ * PDF/XLSX/CSV attachments.
+ * @param {Object} email - Graph message
+ * @param {string} materialCode - Material folder the quote was filed in (optional)
+ * @returns {Promise<Object>} Quote with field_confidence ({field: {confidence, strategy}})
  */
-async function extractQuoteFromEmail(email) {
-    try {
-        // Get full email body if not already available (with timeout)
-        let emailBody = email.body?.content || '';
-        if (!emailBody && email.id) {
-            try {
-                const emailRequest = EmailOperations.getEmailById(email.id);
-                const fullEmail = await Helpers.withTimeout(
-                    emailRequest,
-                    5000,
-                    `Timeout fetching email body for ${email.id}`
-                );
-                emailBody = fullEmail.body?.content || '';
-            } catch (error) {
-                console.warn(`Could not fetch full email body for ${email.id}:`, error.message);
-                // Continue with empty body - extraction will work with what we have
-                emailBody = '';
-            }
-        }
-        
-        const bodyText = Helpers.stripHtml(emailBody);
-        const supplierName = email.from?.emailAddress?.name || email.from?.emailAddress?.address || 'Unknown';
-        const supplierEmail = email.from?.emailAddress?.address || '';
-        
-        // Try to extract quote data using patterns
-        const quote = {
-            supplier_name: supplierName,
-            supplier_email: supplierEmail,
-            email_id: email.id,
-            email_subject: email.subject,
-            quote_date: email.receivedDateTime,
-            status: 'Received',
-            currency: 'USD'
-        };
-        
-        // Extract prices
-        // Pattern: $X.XX, USD X.XX, Price: X, Unit Price: X, Total: X
-        const pricePatterns = [
-            /\$[\d,]+\.?\d*/g,
-            /USD\s*[\d,]+\.?\d*/gi,
-            /(?:unit\s*)?price[:\s]*\$?[\d,]+\.?\d*/gi,
-            /total[:\s]*\$?[\d,]+\.?\d*/gi,
-            /[\d,]+\.?\d*\s*(?:USD|dollars?)/gi
-        ];
-        
-        let prices = [];
-        for (const pattern of pricePatterns) {
-            const matches = bodyText.match(pattern);
-            if (matches) {
-                prices.push(...matches);
-            }
-        }
-        
-        // Extract numeric values from prices
-        const numericPrices = prices.map(p => {
-            const num = parseFloat(p.replace(/[^0-9.]/g, ''));
-            return isNaN(num) ? null : num;
-        }).filter(p => p !== null && p > 0);
-        
-        // Try to identify unit price vs total price from context
-        const unitPriceMatch = bodyText.match(/(?:unit\s*price|price\s*per\s*unit)[:\s]*\$?([\d,]+\.?\d*)/i);
-        const totalPriceMatch = bodyText.match(/(?:total\s*price|total\s*amount|grand\s*total)[:\s]*\$?([\d,]+\.?\d*)/i);
-        
-        if (unitPriceMatch) {
-            quote.unit_price = parseFloat(unitPriceMatch[1].replace(/[^0-9.]/g, ''));
-        }
-        if (totalPriceMatch) {
-            quote.total_price = parseFloat(totalPriceMatch[1].replace(/[^0-9.]/g, ''));
-        }
-        
-        // If we found prices but didn't identify unit/total, make educated guesses
-        if (numericPrices.length > 0) {
-            if (!quote.unit_price && !quote.total_price) {
-                // If multiple prices, assume largest is total, smallest is unit
-                if (numericPrices.length > 1) {
-                    quote.total_price = Math.max(...numericPrices);
-                    quote.unit_price = Math.min(...numericPrices);
-                } else {
-                    // Single price - could be either, assume it's total
-                    quote.total_price = numericPrices[0];
-                    quote.unit_price = numericPrices[0];
-                }
-            } else if (!quote.total_price && quote.unit_price) {
-                // Have unit price, try to find total
-                quote.total_price = numericPrices.find(p => p > quote.unit_price) || quote.unit_price;
-            } else if (!quote.unit_price && quote.total_price) {
-                // Have total price, try to find unit
-                quote.unit_price = numericPrices.find(p => p < quote.total_price) || quote.total_price;
-            }
-            quote.price = quote.total_price || quote.unit_price || numericPrices[0];
-        }
-        
-        // Extract lead time / delivery time
-        const leadTimePatterns = [
-            /(?:lead\s*time|delivery\s*time)[:\s]*(\d+\s*(?:weeks?|days?|months?))/gi,
-            /(\d+\s*(?:weeks?|days?|months?))\s*(?:lead|delivery)/gi,
-            /delivery[:\s]*(\d+\s*(?:weeks?|days?|months?))/gi
-        ];
-        
-        for (const pattern of leadTimePatterns) {
-            const match = bodyText.match(pattern);
-            if (match && match[1]) {
-                quote.lead_time = match[1].trim();
-                quote.delivery_time = match[1].trim();
-                break;
-            }
-        }
-        
-        // Extract validity
-        const validityPatterns = [
-            /valid(?:ity)?[:\s]*(?:for\s*)?(\d+\s*(?:days?|weeks?|months?))/gi,
-            /valid\s*(?:for|until)[:\s]*(\d+\s*(?:days?|weeks?|months?))/gi,
-            /expires?\s*(?:in|on)[:\s]*(\d+\s*(?:days?|weeks?|months?))/gi
-        ];
-        
-        for (const pattern of validityPatterns) {
-            const match = bodyText.match(pattern);
-            if (match && match[1]) {
-                quote.validity = match[1].trim();
-                break;
-            }
-        }
-        
-        // Extract payment terms
-        const paymentPatterns = [
-            /payment\s*terms?[:\s]*(net\s*\d+|[\w\s]+)/gi,
-            /net\s*\d+/gi,
-            /terms?[:\s]*(net\s*\d+|[\w\s]+)/gi
-        ];
-        
-        for (const pattern of paymentPatterns) {
-            const match = bodyText.match(pattern);
-            if (match && match[1] || match[0]) {
-                quote.payment_terms = (match[1] || match[0]).trim();
-                break;
-            }
+async function extractQuoteFromEmail(email, materialCode = null) {
+    if (!email.body?.content && email.id) {
+        try {
+            const fullEmail = await Helpers.withTimeout(
+                EmailOperations.getEmailById(email.id),
+                5000,
+                `Timeout fetching email body for ${email.id}`
+            );
+            email = { ...email, body: fullEmail.body, hasAttachments: email.hasAttachments ?? fullEmail.hasAttachments };
+        } catch (error) {
+            console.warn(`Could not fetch full email body for ${email.id}:`, error.message);
         }
-        
-        return quote;
-    } catch (error) {
-        console.error('Error extracting quote from email:', error);
-        return null;
     }
+    
+    const supplierEmail = email.from?.emailAddress?.address || '';
+    const award = resolveQuoteAwardContext({
+        subject: email.subject,
+        supplier_email: supplierEmail,
+        material_code: materialCode
+    });
+    const result = await QuoteExtractionService.extract(email, {
+        rfqId: award.rfqId,
+        supplierId: award.supplierId
+    });
+    const values = result.values;
+    
+    const quote = {
+        supplier_name: email.from?.emailAddress?.name || supplierEmail.split('@')[0] || 'Unknown',
+        supplier_email: supplierEmail,
+        email_id: email.id,
+        subject: email.subject,
+        email_subject: email.subject,
+        quote_date: email.receivedDateTime,
+        conversation_id: email.conversationId || null,
+        material_code: materialCode || award.materialCode,
+        status: 'Received',
+        currency: values.currency,
+        unit_price: values.unit_price,
+        total_price: values.total_price,
+        price: values.unit_price || values.total_price,
+        lead_time: values.lead_time,
+        delivery_time: values.lead_time,
+        validity: values.validity,
+        validity_period: values.validity,
+        payment_terms: values.payment_terms,
+        price_breaks: values.price_breaks,
+        line_items: values.line_items,
+        field_confidence: { ...result.confidence },
+        extraction_strategies: result.strategies
+    };
+    
+    return applyAttachmentQuoteData(quote, email);
 }
 
 async function handleRFQSelect(event) {
@@ -6979,17 +8090,10 @@ function renderQuoteComparison(quotes) {
     }
     
     // Calculate best prices and statistics (only from quotes with valid prices)
+    // Prefer unit price for comparison, fallback to total or price - converted to the base currency
+    const baseCurrency = CurrencyService.getBaseCurrency();
     const prices = quotes
-        .map(q => {
-            // Try unit_price first, then total_price, then price
-            const unitPrice = q.unit_price ? parseFloat(q.unit_price) : null;
-            const totalPrice = q.total_price ? parseFloat(q.total_price) : null;
-            const price = q.price ? parseFloat(q.price) : null;
-            
-            // Prefer unit price for comparison, fallback to total or price
-            const comparisonPrice = unitPrice || totalPrice || price;
-            return comparisonPrice && comparisonPrice > 0 ? comparisonPrice : null;
-        })
+        .map(q => CurrencyService.getComparablePrice(q))
         .filter(p => p !== null && p > 0);
     
     const lowestPrice = prices.length > 0 ? Math.min(...prices) : null;
@@ -7046,9 +8150,12 @@ function renderQuoteComparison(quotes) {
                 </div>
                 ${displayPrice !== null ? `<div class="quote-card-price">${Helpers.formatCurrency(displayPrice, quote.currency || 'USD')}</div>` : '<div class="quote-card-price">-</div>'}
             </div>
+            ${displayPrice !== null ? renderConvertedPrice(displayPrice, quote.currency) : ''}
             ${leadTime ? `<div class="quote-card-leadtime">${Helpers.escapeHtml(leadTime)}</div>` : ''}
             ${metaLine ? `<div class="quote-card-meta">${metaLine}</div>` : ''}
+            ${renderRevisionTimeline(quote)}
         `;
+        card.querySelector('.quote-card-revisions')?.addEventListener('click', (e) => e.stopPropagation());
         
         // Add click handler for selection
         card.addEventListener('click', () => {
@@ -7072,15 +8179,15 @@ function renderQuoteComparison(quotes) {
     if (quotes.length > 0) {
         if (summaryContainer) {
             const lowestQuote = quotes.find(q => {
-                const price = parseFloat(q.unit_price) || parseFloat(q.total_price) || parseFloat(q.price) || 0;
-                return price > 0 && price === lowestPrice;
+                const price = CurrencyService.getComparablePrice(q);
+                return price !== null && price === lowestPrice;
             }) || quotes[0];
             
             summaryContainer.innerHTML = `
                 <div class="summary-card">
                     <div class="summary-label">Lowest Price</div>
                     <div class="summary-value highlight">
-                        ${lowestPrice ? Helpers.formatCurrency(lowestPrice, lowestQuote.currency || 'USD') : 'N/A'}
+                        ${lowestPrice ? Helpers.formatCurrency(lowestPrice, baseCurrency) : 'N/A'}
                     </div>
                     <div class="summary-subtext">${Helpers.escapeHtml(lowestQuote.supplier_name || '')}</div>
                 </div>
@@ -7088,7 +8195,7 @@ function renderQuoteComparison(quotes) {
                 <div class="summary-card">
                     <div class="summary-label">Average Price</div>
                     <div class="summary-value">
-                        ${Helpers.formatCurrency(averagePrice, lowestQuote.currency || 'USD')}
+                        ${Helpers.formatCurrency(averagePrice, baseCurrency)}
                     </div>
                 </div>
                 ` : ''}
@@ -7096,8 +8203,8 @@ function renderQuoteComparison(quotes) {
                 <div class="summary-card">
                     <div class="summary-label">Price Range</div>
                     <div class="summary-value">
-                        ${Helpers.formatCurrency(lowestPrice, lowestQuote.currency || 'USD')} - 
-                        ${Helpers.formatCurrency(highestPrice, lowestQuote.currency || 'USD')}
+                        ${Helpers.formatCurrency(lowestPrice, baseCurrency)} - 
+                        ${Helpers.formatCurrency(highestPrice, baseCurrency)}
                     </div>
                 </div>
                 ` : ''}
@@ -7136,115 +8243,102 @@ let modalQuotesState = {
         bestPrice: false,
         fastestDelivery: false
     },
-    selectedIndex: null
+    selectedIndex: null,
+    // Order quantity quotes are priced at (null = as quoted)
+    compareQuantity: null,
+    // Whether expired quotes may be recommended
+    includeExpired: false,
+    // Quotes offered for the BAFO shortlist, best first
+    bafoCandidates: [],
+    // Per-line comparison of multi-part quotes and the supplier picked for each line
+    lineComparison: null,
+    lineQuotes: [],
+    lineAwards: {}
 };
 
 // State for main quote comparison
 let quoteComparisonState = {
     selectedIndex: null,
-    recommendedQuote: null
+    recommendedQuote: null,
+    // Scoring profile picked in the modal (null = use the material family's profile)
+    scoringProfileId: null
 };
 
 /**
- * Calculate the recommended quote based on price and lead time scoring
- * Score = normalizedPrice * 0.7 + normalizedLeadTime * 0.3
- * Lower score = better recommendation
+ * Resolve the scoring profile for a set of quotes
+ * Uses the profile picked in the comparison modal, otherwise the profile
+ * assigned to the quotes' material family.
+ */
+function getScoringProfileForQuotes(quotes) {
+    if (quoteComparisonState.scoringProfileId) {
+        return ScoringService.getProfile(quoteComparisonState.scoringProfileId);
+    }
+    
+    // Only pick a family profile when all quotes are for the same material
+    const materialCodes = [...new Set(quotes.map(q => q.material_code).filter(Boolean))];
+    const materialCode = materialCodes.length === 1 ? materialCodes[0] : null;
+    const pr = AppState.selectedPR &&
+        (!materialCode || normalizeMatch(Helpers.extractMaterialCode(AppState.selectedPR)) === normalizeMatch(materialCode))
+        ? AppState.selectedPR
+        : null;
+    return ScoringService.getProfileForMaterial(materialCode, pr?.description || pr?.material || '');
+}
+
+/**
+ * Find the supplier record (match score, history) for a quote
+ */
+function findSupplierForQuote(quote) {
+    const email = (quote.supplier_email || '').toLowerCase();
+    if (!email) return null;
+    return (AppState.suppliers || []).find(s => (s.email || '').toLowerCase() === email) || null;
+}
+
+/**
+ * Calculate the recommended quote using the weighted scoring profile
+ * for the quotes' material family (see ScoringService)
+ * @param {Array} quotes - Quotes to compare
+ * @param {Object} profile - Optional scoring profile override
+ * @param {boolean} includeExpired - Whether quotes past their validity may be recommended
+ * @returns {Object|null} {quote, reason, edited, excludedExpired, score, breakdown, profile}
  */
-function calculateRecommendedQuote(quotes) {
+function calculateRecommendedQuote(quotes, profile = null, includeExpired = false) {
     // Filter quotes with valid unit price (required for recommendation)
-    const validQuotes = quotes.filter(q => {
+    // Quotes in a currency without an exchange rate cannot be compared
+    const pricedQuotes = quotes.filter(q => {
         const price = parseFloat(q.unit_price);
-        return price && price > 0 && !isNaN(price);
+        return price && price > 0 && !isNaN(price) && CurrencyService.toBase(price, q.currency) !== null;
     });
+    const validQuotes = includeExpired
+        ? pricedQuotes
+        : pricedQuotes.filter(q => !QuoteValidityService.isExpired(q));
     
     if (validQuotes.length === 0) return null;
     
-    // If only one valid quote, return it
-    if (validQuotes.length === 1) {
-        return {
-            quote: validQuotes[0],
-            reason: 'Only quote with valid pricing'
-        };
-    }
-    
-    // Normalize prices (0 = best/lowest, 1 = worst/highest)
-    const prices = validQuotes.map(q => parseFloat(q.unit_price));
-    const minPrice = Math.min(...prices);
-    const maxPrice = Math.max(...prices);
-    
-    // Parse lead times to numeric days (simple heuristic)
-    const parseLeadTime = (lt) => {
-        if (!lt) return null;
-        const match = lt.match(/(\d+)/);
-        return match ? parseInt(match[1]) : null;
-    };
-    
-    const leadTimes = validQuotes.map(q => parseLeadTime(q.lead_time || q.delivery_time));
-    const validLeadTimes = leadTimes.filter(t => t !== null);
-    const minLead = validLeadTimes.length > 0 ? Math.min(...validLeadTimes) : 0;
-    const maxLead = validLeadTimes.length > 0 ? Math.max(...validLeadTimes) : 0;
-    
-    // Calculate scores for each quote
-    let bestScore = Infinity;
-    let recommendedQuote = null;
-    let recommendedIndex = -1;
-    
-    validQuotes.forEach((quote, i) => {
-        const price = parseFloat(quote.unit_price);
-        // Normalize price: 0 = lowest price, 1 = highest price
-        const normPrice = maxPrice === minPrice ? 0 : (price - minPrice) / (maxPrice - minPrice);
-        
-        const leadTime = leadTimes[i];
-        let normLead = 0.5; // Neutral if lead time is missing
-        if (leadTime !== null && maxLead !== minLead) {
-            // Normalize lead time: 0 = fastest, 1 = slowest
-            normLead = (leadTime - minLead) / (maxLead - minLead);
-        } else if (leadTime !== null) {
-            // Only one valid lead time - treat as best
-            normLead = 0;
-        }
-        
-        // Calculate weighted score (lower is better)
-        const score = normPrice * 0.7 + normLead * 0.3;
-        
-        if (score < bestScore) {
-            bestScore = score;
-            recommendedQuote = quote;
-            recommendedIndex = i;
-        }
-    });
+    const scoringProfile = profile || getScoringProfileForQuotes(validQuotes);
+    const scored = ScoringService.scoreQuotes(validQuotes, scoringProfile, findSupplierForQuote);
     
-    // Determine the reason for recommendation
-    let reason = 'Lowest combined price and delivery time';
+    // Highest weighted score wins (first quote wins ties)
+    const best = scored.reduce((top, entry) => entry.score > top.score ? entry : top, scored[0]);
     
-    if (recommendedQuote) {
-        const recPrice = parseFloat(recommendedQuote.unit_price);
-        const recLeadTime = leadTimes[recommendedIndex];
-        
-        // Check if it's the lowest price
-        const isLowestPrice = recPrice === minPrice;
-        // Check if it has the fastest delivery
-        const isFastestDelivery = recLeadTime !== null && recLeadTime === minLead;
-        
-        if (isLowestPrice && isFastestDelivery) {
-            reason = 'Lowest price with fastest delivery';
-        } else if (isLowestPrice) {
-            reason = 'Lowest unit price';
-        } else if (isFastestDelivery) {
-            reason = 'Best balance of price and fast delivery';
-        }
-    }
+    const reason = validQuotes.length === 1 ? 'Only quote with valid pricing' : ScoringService.explainScore(best);
+    const edited = QuoteExtractionService.getEditedFields(best.quote);
     
-    return recommendedQuote ? {
-        quote: recommendedQuote,
-        reason: reason
-    } : null;
+    return {
+        quote: best.quote,
+        reason: edited.length > 0 ? `${reason} (uses edited values)` : reason,
+        edited: edited,
+        excludedExpired: pricedQuotes.length - validQuotes.length,
+        score: best.score,
+        breakdown: best.breakdown,
+        profile: scoringProfile
+    };
 }
 
 /**
  * Open the quote comparison modal
+ * @param {Array|null} preloadedQuotes - Quotes already loaded (e.g. one material from the portfolio dashboard); all quotes are loaded when omitted
  */
-async function openQuoteComparisonModal() {
+async function openQuoteComparisonModal(preloadedQuotes = null) {
     const modal = document.getElementById('quote-comparison-modal');
     if (!modal) {
         console.error('Quote comparison modal not found');
@@ -7265,16 +8359,25 @@ async function openQuoteComparisonModal() {
     
     try {
         // Load all quotes for the modal
-        const quotes = await getAllQuotesForModal();
+        const quotes = preloadedQuotes || await getAllQuotesForModal();
         
         // Store in state
         modalQuotesState.allQuotes = quotes;
         modalQuotesState.filteredQuotes = [...quotes];
         modalQuotesState.selectedIndex = null; // Reset selection when modal opens
+        quoteComparisonState.scoringProfileId = null;
+        Helpers.hideElement(document.getElementById('line-comparison-container'));
+        Helpers.hideElement(document.getElementById('bafo-container'));
+        modalQuotesState.includeExpired = false;
+        const includeExpiredInput = document.getElementById('comparison-include-expired');
+        if (includeExpiredInput) includeExpiredInput.checked = false;
+        
+        // Default to the PR's requested quantity so quantity breaks are compared like-for-like
+        initComparisonQuantity(quotes);
         
         // Apply initial sort
         const [sortField, sortDirection] = modalQuotesState.sortBy.split('_');
-        const sortedQuotes = sortQuotes(quotes, sortField, sortDirection === 'desc' ? 'desc' : 'asc');
+        const sortedQuotes = sortQuotes(getQuotesAtComparisonQuantity(quotes), sortField, sortDirection === 'desc' ? 'desc' : 'asc');
         modalQuotesState.filteredQuotes = sortedQuotes;
         
         // Render modal
@@ -7318,23 +8421,22 @@ async function getAllQuotesForModal() {
                 );
                 
                 if (childrenResponse.value) {
-                    const quotesFolder = childrenResponse.value.find(child =>
-                        child.displayName && child.displayName.toLowerCase() === 'quotes'
+                    // Quotes folder plus the Negotiation folder for quotes that were countered
+                    const quoteFolderNames = [Config.FOLDERS.QUOTES, Config.FOLDERS.NEGOTIATION].map(name => name.toLowerCase());
+                    const quoteFolders = childrenResponse.value.filter(child =>
+                        child.displayName && quoteFolderNames.includes(child.displayName.toLowerCase())
                     );
                     
-                    if (quotesFolder) {
-                        // Get emails from this Quotes folder
+                    for (const quotesFolder of quoteFolders) {
+                        // Get emails from this folder
                         const emailsResponse = await AuthService.graphRequest(
-                            `/me/mailFolders/${quotesFolder.id}/messages?$top=100&$select=id,subject,from,body,receivedDateTime`
+                            `/me/mailFolders/${quotesFolder.id}/messages?$top=100&$select=id,subject,from,body,receivedDateTime,conversationId,hasAttachments`
                         );
                         
                         if (emailsResponse.value) {
                             for (const email of emailsResponse.value) {
                                 // Extract quote data from email
-                                const quote = extractQuoteFromEmail(email, materialFolder.displayName);
-                                if (quote) {
-                                    quotes.push(quote);
-                                }
+                                quotes.push(await extractQuoteFromEmail(email, materialFolder.displayName));
                             }
                         }
                     }
@@ -7349,53 +8451,123 @@ async function getAllQuotesForModal() {
         throw error;
     }
     
-    return quotes;
+    return QuoteRevisionService.group(quotes);
 }
 
 /**
- * Extract quote data from email
+ * Set the comparison quantity from the PR behind the quotes (when they are all for one material)
  */
-function extractQuoteFromEmail(email, materialCode) {
-    try {
-        const bodyText = email.body?.content || '';
-        const fromEmail = email.from?.emailAddress?.address || '';
-        const fromName = email.from?.emailAddress?.name || '';
-        
-        // Try to extract price information
-        const priceMatch = bodyText.match(/(?:unit\s*price|price)[:\s]*\$?([\d,]+\.?\d*)/i);
-        const totalMatch = bodyText.match(/(?:total\s*price|total)[:\s]*\$?([\d,]+\.?\d*)/i);
-        const deliveryMatch = bodyText.match(/(?:delivery|lead\s*time)[:\s]*([^\n]+)/i);
-        const validityMatch = bodyText.match(/(?:validity|valid)[:\s]*([^\n]+)/i);
-        const termsMatch = bodyText.match(/(?:payment\s*terms|terms)[:\s]*([^\n]+)/i);
-        
-        const unitPrice = priceMatch ? parseFloat(priceMatch[1].replace(/,/g, '')) : null;
-        const totalPrice = totalMatch ? parseFloat(totalMatch[1].replace(/,/g, '')) : null;
-        const deliveryTime = deliveryMatch ? deliveryMatch[1].trim() : null;
-        const validity = validityMatch ? validityMatch[1].trim() : null;
-        const paymentTerms = termsMatch ? termsMatch[1].trim() : null;
-        
-        return {
-            supplier_name: fromName || fromEmail.split('@')[0],
-            supplier_email: fromEmail,
-            unit_price: unitPrice,
-            total_price: totalPrice,
-            price: unitPrice || totalPrice,
-            lead_time: deliveryTime,
-            delivery_time: deliveryTime,
-            validity: validity,
-            validity_period: validity,
-            payment_terms: paymentTerms,
-            quote_date: email.receivedDateTime,
-            currency: 'USD',
-            status: 'Received',
-            material_code: materialCode,
-            email_id: email.id,
-            subject: email.subject
-        };
-    } catch (error) {
-        console.error('Error extracting quote from email:', error);
-        return null;
+function initComparisonQuantity(quotes) {
+    const input = document.getElementById('comparison-quantity');
+    const hint = document.getElementById('comparison-quantity-hint');
+    
+    const materialCodes = [...new Set(quotes.map(q => q.material_code).filter(Boolean))];
+    const pr = materialCodes.length === 1 ? resolveQuoteAwardContext(quotes[0]).pr : null;
+    const prQuantity = parseFloat(pr?.quantities) || null;
+    
+    modalQuotesState.compareQuantity = prQuantity;
+    if (input) {
+        input.value = prQuantity || '';
+        input.dataset.prQuantity = prQuantity || '';
     }
+    if (hint) {
+        hint.textContent = prQuantity
+            ? `Requested on ${pr.pr_id}: ${prQuantity.toLocaleString()}${pr.unit ? ' ' + pr.unit : ''}`
+            : '';
+    }
+}
+
+/**
+ * Price quotes at the comparison quantity (quotes are unchanged when no quantity is set)
+ */
+function getQuotesAtComparisonQuantity(quotes) {
+    const quantity = modalQuotesState.compareQuantity;
+    return quantity ? quotes.map(q => PriceBreakService.priceAtQuantity(q, quantity)) : quotes;
+}
+
+/**
+ * Describe which quantity break priced a quote in the comparison
+ */
+function renderPriceBreakNote(quote) {
+    if (!quote.price_break_applied) return '';
+    const tier = quote.price_break_applied;
+    const range = `${tier.min_quantity.toLocaleString()}${tier.max_quantity ? '-' + tier.max_quantity.toLocaleString() : '+'}`;
+    return quote.below_minimum_quantity
+        ? `<div class="quote-card-break warning">Minimum order ${tier.min_quantity.toLocaleString()} - priced at lowest tier</div>`
+        : `<div class="quote-card-break">Tier ${range} at ${quote.evaluated_quantity.toLocaleString()} units</div>`;
+}
+
+/**
+ * Timeline of a supplier's quote revisions (newest first) with the fields each revision changed
+ */
+function renderRevisionTimeline(quote) {
+    const revisions = quote.revisions || [];
+    if (revisions.length < 2) return '';
+    
+    const describeChange = (change) => {
+        const from = Helpers.escapeHtml(change.from ?? 'not stated');
+        const to = Helpers.escapeHtml(change.to ?? 'not stated');
+        return `<div class="revision-change ${change.direction || ''}">${Helpers.escapeHtml(change.label)}: ${from} &rarr; ${to}</div>`;
+    };
+    const original = revisions.find(revision => revision.has_price !== false) || revisions[0];
+    const entries = revisions.slice().reverse().map(revision => {
+        let changes;
+        if (revision.has_price === false) {
+            changes = '<div class="revision-change">Reply without a price</div>';
+        } else if (revision === original) {
+            changes = '<div class="revision-change">Original quote</div>';
+        } else if (revision.changes.length === 0) {
+            changes = '<div class="revision-change">No change to price, lead time or terms</div>';
+        } else {
+            changes = revision.changes.map(describeChange).join('');
+        }
+        const current = revision.email_id === quote.email_id ? ' <span class="revision-current">Current</span>' : '';
+        return `
+            <li class="revision-entry">
+                <div class="revision-entry-header">Revision ${revision.revision_number} &bull; ${Helpers.formatDate(revision.quote_date, true)}${current}</div>
+                ${changes}
+            </li>
+        `;
+    }).join('');
+    
+    const count = revisions.length - 1;
+    return `
+        <details class="quote-card-revisions">
+            <summary>Revised ${count} time${count === 1 ? '' : 's'} - view history</summary>
+            <ol class="revision-timeline">${entries}</ol>
+        </details>
+    `;
+}
+
+/**
+ * List the fields of a quote that were corrected by hand
+ */
+function renderEditedNote(quote) {
+    const edited = QuoteExtractionService.getEditedFields(quote);
+    if (edited.length === 0) return '';
+    const labels = edited.map(field => field.replace(/_/g, ' ')).join(', ');
+    return `<div class="quote-card-edited"><span class="field-edited">edited</span> ${Helpers.escapeHtml(labels)}</div>`;
+}
+
+/**
+ * Name the attachment(s) a quote's fields were read from
+ */
+function renderAttachmentSourceNote(quote) {
+    const names = [...new Set(Object.values(quote.field_sources || {}))];
+    if (names.length === 0) return '';
+    return `<div class="quote-card-source"><i class="ms-Icon ms-Icon--Attach"></i> From ${Helpers.escapeHtml(names.join(', '))}</div>`;
+}
+
+/**
+ * Render the base-currency equivalent under a quote card price (empty for base-currency quotes)
+ */
+function renderConvertedPrice(amount, currency) {
+    const baseCurrency = CurrencyService.getBaseCurrency();
+    if (!currency || currency === baseCurrency) return '';
+    const converted = CurrencyService.toBase(amount, currency);
+    return converted !== null
+        ? `<div class="quote-card-converted">≈ ${Helpers.formatCurrency(converted, baseCurrency)}</div>`
+        : `<div class="quote-card-converted">No ${Helpers.escapeHtml(currency)} rate - not compared</div>`;
 }
 
 /**
@@ -7423,6 +8595,7 @@ function renderQuoteComparisonModal(quotes) {
         if (tableContainer) Helpers.hideElement(tableContainer);
         if (emptyState) Helpers.showElement(emptyState);
         if (summaryCards) summaryCards.innerHTML = '<p class="no-quotes-message">No quotes available</p>';
+        Helpers.hideElement(document.getElementById('quote-score-breakdown'));
         if (actionsContainer) Helpers.hideElement(actionsContainer);
         return;
     }
@@ -7438,6 +8611,12 @@ function renderQuoteComparisonModal(quotes) {
     // Show actions
     if (actionsContainer) Helpers.showElement(actionsContainer);
     
+    // Line comparison is only offered when suppliers quoted itemised lines
+    const lineItemsBtn = document.getElementById('compare-line-items-btn');
+    if (lineItemsBtn) {
+        lineItemsBtn.classList.toggle('hidden', !modalQuotesState.allQuotes.some(q => q.line_items && q.line_items.length > 0));
+    }
+    
     // Render summary cards with 4 KPIs (includes recommended quote calculation)
     renderSummaryCards(quotes, summaryCards);
     
@@ -7479,40 +8658,376 @@ function hideAllQuotesView() {
     if (viewAllLink) viewAllLink.style.display = '';
 }
 
+// ==================== LINE ITEM COMPARISON ====================
+
 /**
- * Render summary cards
+ * Show or hide the per-line comparison of multi-part quotes
  */
-function renderSummaryCards(quotes, container) {
+function toggleLineItemComparison() {
+    const container = document.getElementById('line-comparison-container');
     if (!container) return;
+    
+    if (!container.classList.contains('hidden')) {
+        Helpers.hideElement(container);
+        return;
+    }
+    
+    const quotes = modalQuotesState.allQuotes.filter(q => q.line_items && q.line_items.length > 0);
+    modalQuotesState.lineQuotes = quotes;
+    modalQuotesState.lineComparison = LineItemService.buildLineComparison(quotes);
+    modalQuotesState.lineAwards = LineItemService.defaultSelections(modalQuotesState.lineComparison);
+    
+    renderLineItemComparison();
+    Helpers.showElement(container);
+}
 
-    // Calculate average unit price using ONLY unit_price (not total_price fallback)
-    const unitPrices = quotes
-        .map(q => parseFloat(q.unit_price))
-        .filter(p => p !== null && p > 0 && !isNaN(p));
-    const averageUnitPrice = unitPrices.length > 0
-        ? unitPrices.reduce((a, b) => a + b, 0) / unitPrices.length
-        : null;
+/**
+ * Render the line comparison table: one row per line, one column per supplier quote
+ */
+function renderLineItemComparison() {
+    const tableContainer = document.getElementById('line-comparison-table');
+    if (!tableContainer) return;
+    
+    const quotes = modalQuotesState.lineQuotes;
+    const comparison = modalQuotesState.lineComparison || [];
+    if (comparison.length === 0) {
+        tableContainer.innerHTML = '<p class="no-quotes-message">No line items found in these quotes</p>';
+        renderLineAwardTotals();
+        return;
+    }
+    
+    const baseCurrency = CurrencyService.getBaseCurrency();
+    const renderOffer = (line, quoteIndex) => {
+        const offer = line.offers.find(o => o.quoteIndex === quoteIndex);
+        if (!offer) return '<td class="score-missing">Not quoted</td>';
+        const item = offer.item;
+        const checked = modalQuotesState.lineAwards[line.key] === quoteIndex ? 'checked' : '';
+        const converted = item.currency !== baseCurrency && offer.unit_price_base !== null
+            ? `<div class="line-comparison-converted">≈ ${Helpers.formatCurrency(offer.unit_price_base, baseCurrency)}</div>`
+            : '';
+        return `
+            <td class="${line.bestQuoteIndex === quoteIndex ? 'best' : ''}">
+                <label>
+                    <input type="radio" name="line-award-${Helpers.escapeHtml(line.key)}" data-line="${Helpers.escapeHtml(line.key)}" data-quote="${quoteIndex}" ${checked}/>
+                    <span>${item.unit_price !== null ? Helpers.formatCurrency(item.unit_price, item.currency) : '-'}</span>
+                </label>
+                ${converted}
+            </td>
+        `;
+    };
+    
+    tableContainer.innerHTML = `
+        <table class="line-comparison-table">
+            <thead>
+                <tr>
+                    <th>Line</th>
+                    <th>Qty</th>
+                    ${quotes.map(q => `<th>${Helpers.escapeHtml(q.supplier_name || q.supplier_email || 'Supplier')}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${comparison.map(line => `
+                    <tr>
+                        <td>
+                            <strong>${Helpers.escapeHtml(line.part_number || '-')}</strong>
+                            <div class="line-comparison-converted">${Helpers.escapeHtml(line.description || '')}</div>
+                        </td>
+                        <td>${line.quantity !== null && line.quantity !== undefined ? line.quantity.toLocaleString() : '-'}</td>
+                        ${quotes.map((q, quoteIndex) => renderOffer(line, quoteIndex)).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    tableContainer.querySelectorAll('input[type="radio"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            modalQuotesState.lineAwards[radio.dataset.line] = parseInt(radio.dataset.quote);
+            renderLineAwardTotals();
+        });
+    });
+    
+    renderLineAwardTotals();
+}
 
-    // Get currency from first quote with unit_price, or default to USD
-    const quoteWithCurrency = quotes.find(q => q.unit_price && parseFloat(q.unit_price) > 0) || quotes[0];
-    const currency = quoteWithCurrency?.currency || 'USD';
+// ==================== BAFO ROUND ====================
 
-    // Find best price quote
-    const quotesWithPrice = quotes.filter(q => {
-        const price = parseFloat(q.unit_price);
-        return price && price > 0 && !isNaN(price);
-    });
-    let bestPriceQuote = null;
-    if (quotesWithPrice.length > 0) {
-        bestPriceQuote = quotesWithPrice.reduce((best, current) => {
-            const bestPrice = parseFloat(best.unit_price);
-            const currentPrice = parseFloat(current.unit_price);
-            return currentPrice < bestPrice ? current : best;
-        }, quotesWithPrice[0]);
+/**
+ * Show or hide the best-and-final-offer panel
+ */
+function toggleBafoPanel() {
+    const container = document.getElementById('bafo-container');
+    if (!container) return;
+    
+    if (!container.classList.contains('hidden')) {
+        Helpers.hideElement(container);
+        return;
     }
+    
+    const deadlineInput = document.getElementById('bafo-deadline');
+    if (deadlineInput && !deadlineInput.value) deadlineInput.value = BafoService.getDefaultDeadline();
+    renderBafoPanel();
+    Helpers.showElement(container);
+}
 
-    // Find fastest delivery quote
-    const quotesWithDelivery = quotes.filter(q => q.delivery_time || q.lead_time);
+/**
+ * Render the BAFO rounds of the materials in the modal and the shortlist for a new request
+ */
+function renderBafoPanel() {
+    const roundsContainer = document.getElementById('bafo-rounds');
+    const shortlistContainer = document.getElementById('bafo-shortlist');
+    const quotes = modalQuotesState.allQuotes;
+    
+    if (roundsContainer) {
+        const materialCodes = [...new Set(quotes.map(q => resolveQuoteAwardContext(q).materialCode).filter(Boolean))];
+        roundsContainer.innerHTML = materialCodes
+            .map(code => BafoService.getRound(code))
+            .filter(Boolean)
+            .map(round => renderBafoComparison(round, quotes))
+            .join('');
+        roundsContainer.querySelectorAll('.clear-bafo-round').forEach(button => {
+            button.addEventListener('click', () => {
+                BafoService.clearRound(button.dataset.material);
+                renderBafoPanel();
+            });
+        });
+    }
+    
+    if (shortlistContainer) {
+        const candidates = BafoService.rankQuotes(
+            quotes.filter(q => q.email_id && q.supplier_email),
+            getScoringProfileForQuotes(quotes),
+            findSupplierForQuote
+        );
+        modalQuotesState.bafoCandidates = candidates;
+        shortlistContainer.innerHTML = candidates.length === 0
+            ? '<p class="no-quotes-message">No supplier quotes to shortlist</p>'
+            : candidates.map((quote, index) => {
+                const price = parseFloat(quote.unit_price) > 0
+                    ? Helpers.formatCurrency(parseFloat(quote.unit_price), quote.currency || 'USD')
+                    : 'No price';
+                const materialCode = resolveQuoteAwardContext(quote).materialCode;
+                return `
+                    <label class="bafo-candidate">
+                        <input type="checkbox" data-index="${index}" ${index < BafoService.DEFAULT_SHORTLIST ? 'checked' : ''}/>
+                        <span>${Helpers.escapeHtml(quote.supplier_name || quote.supplier_email)}</span>
+                        <span class="bafo-candidate-meta">${materialCode ? Helpers.escapeHtml(materialCode) + ' &bull; ' : ''}${price}</span>
+                    </label>
+                `;
+            }).join('');
+    }
+}
+
+/**
+ * Round 1 vs. BAFO table for one material
+ */
+function renderBafoComparison(round, quotes) {
+    const rows = BafoService.compare(round, quotes);
+    const responded = rows.filter(r => r.responded).length;
+    const formatPrice = (price, currency) => price ? Helpers.formatCurrency(price, currency || 'USD') : '-';
+    
+    return `
+        <div class="bafo-round">
+            <div class="bafo-round-header">
+                <strong>${Helpers.escapeHtml(round.material_code)}</strong>
+                <span>BAFO due ${Helpers.formatDate(round.deadline)} &bull; ${responded} of ${rows.length} responded</span>
+                <button class="ms-Button ms-Button--tertiary ms-Button--small clear-bafo-round" data-material="${Helpers.escapeHtml(round.material_code)}" type="button">
+                    <span class="ms-Button-label">Clear</span>
+                </button>
+            </div>
+            <table class="line-comparison-table bafo-table">
+                <thead>
+                    <tr>
+                        <th>Supplier</th>
+                        <th>Round 1</th>
+                        <th>BAFO</th>
+                        <th>Change</th>
+                        <th>Lead Time</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => {
+                        const r1 = row.invitee.round1;
+                        const change = row.price_change_pct === null
+                            ? '-'
+                            : `<span class="${row.price_change_pct < 0 ? 'bafo-better' : row.price_change_pct > 0 ? 'bafo-worse' : ''}">${row.price_change_pct > 0 ? '+' : ''}${row.price_change_pct}%</span>`;
+                        const leadTime = row.bafo
+                            ? `${Helpers.escapeHtml(r1.lead_time || '-')} &rarr; ${Helpers.escapeHtml(row.bafo.lead_time || row.bafo.delivery_time || '-')}`
+                            : Helpers.escapeHtml(r1.lead_time || '-');
+                        let status = 'Awaiting';
+                        if (row.responded) status = `Responded ${Helpers.formatDate(row.bafo.quote_date)}`;
+                        else if (row.overdue) status = '<span class="bafo-worse">No response by deadline</span>';
+                        return `
+                            <tr>
+                                <td>${Helpers.escapeHtml(row.invitee.supplier_name || row.invitee.supplier_email || '-')}</td>
+                                <td>${formatPrice(r1.unit_price, r1.currency)}</td>
+                                <td>${row.bafo ? formatPrice(parseFloat(row.bafo.unit_price), row.bafo.currency) : '-'}</td>
+                                <td>${change}</td>
+                                <td>${leadTime}</td>
+                                <td>${status}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Send BAFO requests to the ticked suppliers (one round per material)
+ */
+async function sendBafoRequests() {
+    const candidates = modalQuotesState.bafoCandidates || [];
+    const selected = Array.from(document.querySelectorAll('#bafo-shortlist input[type="checkbox"]:checked'))
+        .map(input => candidates[parseInt(input.dataset.index)])
+        .filter(Boolean);
+    const deadline = document.getElementById('bafo-deadline')?.value;
+    
+    if (selected.length === 0) {
+        Helpers.showError('Select at least one supplier');
+        return;
+    }
+    if (!deadline) {
+        Helpers.showError('Choose a response deadline');
+        return;
+    }
+    
+    // Each material gets its own round
+    const byMaterial = new Map();
+    selected.forEach(quote => {
+        const materialCode = resolveQuoteAwardContext(quote).materialCode;
+        if (!byMaterial.has(materialCode)) byMaterial.set(materialCode, []);
+        byMaterial.get(materialCode).push(quote);
+    });
+    if (byMaterial.has(null)) {
+        Helpers.showError('Some selected quotes have no material code');
+        return;
+    }
+    
+    const sendBtn = document.getElementById('send-bafo-btn');
+    Helpers.setButtonLoading(sendBtn, true);
+    try {
+        let sent = 0;
+        const failed = [];
+        for (const [materialCode, quotes] of byMaterial) {
+            const result = await BafoService.sendRequests(quotes, deadline, materialCode);
+            sent += result.succeeded.length;
+            failed.push(...result.failed);
+        }
+        
+        if (failed.length === 0) {
+            Helpers.showSuccess(`BAFO request sent to ${sent} supplier${sent === 1 ? '' : 's'}`);
+        } else {
+            const names = failed.map(f => f.quote.supplier_name || f.quote.supplier_email).join(', ');
+            Helpers.showError(`Sent ${sent}, failed ${failed.length}: ${names}`);
+        }
+        renderBafoPanel();
+    } catch (error) {
+        console.error('Error sending BAFO requests:', error);
+        Helpers.showError('Failed to send BAFO requests: ' + error.message);
+    } finally {
+        Helpers.setButtonLoading(sendBtn, false);
+    }
+}
+
+/**
+ * Render the per-supplier totals of the current line selection
+ */
+function renderLineAwardTotals() {
+    const totalsContainer = document.getElementById('line-comparison-totals');
+    const awardBtn = document.getElementById('award-split-btn');
+    if (!totalsContainer) return;
+    
+    const groups = LineItemService.buildSplitAward(
+        modalQuotesState.lineQuotes,
+        modalQuotesState.lineComparison || [],
+        modalQuotesState.lineAwards
+    );
+    const baseCurrency = CurrencyService.getBaseCurrency();
+    const grandTotal = groups.reduce((sum, g) => sum === null || g.total_base === null ? null : sum + g.total_base, 0);
+    
+    totalsContainer.innerHTML = groups.length === 0 ? '' : `
+        ${groups.map(g => `
+            <div>
+                <span>${Helpers.escapeHtml(g.quote.supplier_name || g.quote.supplier_email)} (${g.lines.length} line${g.lines.length !== 1 ? 's' : ''})</span>
+                <span>${g.total !== null ? Helpers.escapeHtml(CurrencyService.formatWithBase(g.total, g.currency)) : 'No exchange rate'}</span>
+            </div>
+        `).join('')}
+        <div><strong>Award total</strong><strong>${grandTotal !== null ? Helpers.formatCurrency(grandTotal, baseCurrency) : 'No exchange rate'}</strong></div>
+    `;
+    
+    if (awardBtn) {
+        awardBtn.disabled = groups.length === 0;
+        const label = awardBtn.querySelector('.ms-Button-label');
+        if (label) {
+            label.textContent = groups.length > 1 ? `Award Split (${groups.length} POs)` : 'Award Selected Lines';
+        }
+    }
+}
+
+/**
+ * Award the selected lines: one PO per supplier carrying only the lines awarded to them
+ */
+async function awardSplitFromModal() {
+    const groups = LineItemService.buildSplitAward(
+        modalQuotesState.lineQuotes,
+        modalQuotesState.lineComparison || [],
+        modalQuotesState.lineAwards
+    );
+    if (groups.length === 0) {
+        Helpers.showError('Select a supplier for at least one line');
+        return;
+    }
+    
+    const awardedQuotes = groups.map(group => ({
+        ...group.quote,
+        line_items: group.lines,
+        unit_price: null,
+        quantity: null,
+        price_breaks: [],
+        currency: group.currency,
+        total_price: group.total !== null ? Math.round(group.total * 100) / 100 : null
+    }));
+    
+    const comparisonQuotes = modalQuotesState.lineQuotes;
+    closeQuoteComparisonModal();
+    await startAward(awardedQuotes, { split: true, comparisonQuotes: comparisonQuotes });
+}
+
+/**
+ * Render summary cards
+ */
+function renderSummaryCards(quotes, container) {
+    if (!container) return;
+
+    // All price KPIs are compared in the base currency
+    const currency = CurrencyService.getBaseCurrency();
+    const baseUnitPrice = (q) => {
+        const price = parseFloat(q.unit_price);
+        return price > 0 ? CurrencyService.toBase(price, q.currency) : null;
+    };
+
+    // Calculate average unit price using ONLY unit_price (not total_price fallback)
+    const unitPrices = quotes
+        .map(baseUnitPrice)
+        .filter(p => p !== null && p > 0 && !isNaN(p));
+    const averageUnitPrice = unitPrices.length > 0
+        ? unitPrices.reduce((a, b) => a + b, 0) / unitPrices.length
+        : null;
+
+    // Find best price quote
+    const quotesWithPrice = quotes.filter(q => baseUnitPrice(q) !== null);
+    let bestPriceQuote = null;
+    if (quotesWithPrice.length > 0) {
+        bestPriceQuote = quotesWithPrice.reduce((best, current) => {
+            return baseUnitPrice(current) < baseUnitPrice(best) ? current : best;
+        }, quotesWithPrice[0]);
+    }
+
+    // Find fastest delivery quote
+    const quotesWithDelivery = quotes.filter(q => q.delivery_time || q.lead_time);
     const fastestQuote = quotesWithDelivery.length > 0 ? quotesWithDelivery[0] : null;
 
     // Parse delivery time to extract main value and secondary text
@@ -7545,7 +9060,7 @@ function renderSummaryCards(quotes, container) {
     }
 
     // Calculate recommended quote
-    const recommendation = calculateRecommendedQuote(quotes);
+    const recommendation = calculateRecommendedQuote(quotes, null, modalQuotesState.includeExpired);
     quoteComparisonState.recommendedQuote = recommendation?.quote || null;
 
     container.innerHTML = `
@@ -7558,7 +9073,7 @@ function renderSummaryCards(quotes, container) {
         <div class="summary-card">
             <div class="summary-card-content">
                 <div class="summary-card-label">Best Price</div>
-                <div class="summary-card-value">${bestPriceQuote ? Helpers.formatCurrency(parseFloat(bestPriceQuote.unit_price), currency) : 'N/A'}</div>
+                <div class="summary-card-value">${bestPriceQuote ? Helpers.formatCurrency(baseUnitPrice(bestPriceQuote), currency) : 'N/A'}</div>
                 ${bestPriceQuote ? `<div class="summary-card-subtext">${Helpers.escapeHtml(bestPriceQuote.supplier_name || '')}</div>` : ''}
             </div>
         </div>
@@ -7573,16 +9088,87 @@ function renderSummaryCards(quotes, container) {
             <div class="summary-card-content">
                 <div class="summary-card-label">Recommended</div>
                 ${recommendation ? `
-                    <div class="summary-card-value">${Helpers.escapeHtml(recommendation.quote.supplier_name || 'Unknown')}</div>
+                    <div class="summary-card-value">${Helpers.escapeHtml(recommendation.quote.supplier_name || 'Unknown')}${recommendation.edited.length > 0 ? ' <span class="field-edited">edited</span>' : ''}</div>
                     <div class="summary-card-subtext">
-                        ${Helpers.formatCurrency(parseFloat(recommendation.quote.unit_price), currency)}
+                        ${CurrencyService.formatWithBase(recommendation.quote.unit_price, recommendation.quote.currency)}
                         ${recommendation.quote.lead_time || recommendation.quote.delivery_time ? ` • ${Helpers.escapeHtml(recommendation.quote.lead_time || recommendation.quote.delivery_time)}` : ''}
                     </div>
                     <div class="summary-card-reason">${Helpers.escapeHtml(recommendation.reason)}</div>
+                    ${recommendation.excludedExpired > 0 ? `<div class="summary-card-reason">${recommendation.excludedExpired} expired quote${recommendation.excludedExpired === 1 ? '' : 's'} not considered</div>` : ''}
                 ` : '<div class="summary-card-value">N/A</div>'}
             </div>
         </div>
     `;
+    
+    renderScoreBreakdown(recommendation, quotes);
+}
+
+/**
+ * Render the per-criterion breakdown explaining the recommendation
+ */
+function renderScoreBreakdown(recommendation, quotes) {
+    const container = document.getElementById('quote-score-breakdown');
+    if (!container) return;
+    
+    if (!recommendation) {
+        Helpers.hideElement(container);
+        return;
+    }
+    
+    const profiles = ScoringService.getProfiles();
+    const formatValue = (item) => {
+        if (item.value === null) return '<span class="score-missing">Not stated</span>';
+        if (item.key === 'price') return Helpers.formatCurrency(item.value, CurrencyService.getBaseCurrency());
+        const rounded = Math.round(item.value * 10) / 10;
+        if (item.unit === '%') return `${rounded}%`;
+        if (item.unit === '/10') return `${rounded}/10`;
+        return `${rounded} ${item.unit}`;
+    };
+    
+    container.innerHTML = `
+        <div class="score-breakdown-header">
+            <span class="score-breakdown-title">Why ${Helpers.escapeHtml(recommendation.quote.supplier_name || 'this quote')}?</span>
+            <select id="scoring-profile-select" class="ms-Dropdown-select" title="Scoring profile">
+                ${profiles.map(p => `<option value="${Helpers.escapeHtml(p.id)}" ${p.id === recommendation.profile.id ? 'selected' : ''}>${Helpers.escapeHtml(p.name)}</option>`).join('')}
+            </select>
+        </div>
+        <table class="score-breakdown-table">
+            <thead>
+                <tr>
+                    <th>Criterion</th>
+                    <th>Weight</th>
+                    <th>Quoted</th>
+                    <th>Rating</th>
+                    <th>Points</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${recommendation.breakdown.map(item => `
+                    <tr>
+                        <td>${Helpers.escapeHtml(item.label)}</td>
+                        <td>${Math.round(item.weight * 100)}%</td>
+                        <td>${formatValue(item)}</td>
+                        <td>
+                            <div class="score-bar"><div class="score-bar-fill" style="width: ${Math.round(item.normalized * 100)}%"></div></div>
+                        </td>
+                        <td>${(item.contribution * 100).toFixed(1)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td colspan="4">Total score</td>
+                    <td>${(recommendation.score * 100).toFixed(1)}</td>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+    Helpers.showElement(container);
+    
+    document.getElementById('scoring-profile-select')?.addEventListener('change', (e) => {
+        quoteComparisonState.scoringProfileId = e.target.value;
+        renderSummaryCards(quotes, document.getElementById('quote-summary-cards'));
+    });
 }
 
 /**
@@ -7632,9 +9218,23 @@ function renderModalComparisonTable(quotes, container) {
                 </div>
                 ${displayPrice !== null ? `<div class="quote-card-price">${Helpers.formatCurrency(displayPrice, quote.currency || 'USD')}</div>` : '<div class="quote-card-price">-</div>'}
             </div>
+            ${displayPrice !== null ? renderConvertedPrice(displayPrice, quote.currency) : ''}
+            ${renderPriceBreakNote(quote)}
+            ${renderAttachmentSourceNote(quote)}
+            ${renderEditedNote(quote)}
+            ${renderValidityNote(quote)}
+            ${renderNegotiationNote(quote)}
             ${leadTime ? `<div class="quote-card-leadtime">${Helpers.escapeHtml(leadTime)}</div>` : ''}
             ${metaLine ? `<div class="quote-card-meta">${metaLine}</div>` : ''}
+            ${renderRevisionTimeline(quote)}
         `;
+        card.querySelector('.quote-card-revisions')?.addEventListener('click', (e) => e.stopPropagation());
+        
+        card.querySelector('.request-extension-link')?.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await requestValidityExtension(quote);
+            applyModalFiltersAndSort();
+        });
         
         // Add click handler for selection
         card.addEventListener('click', () => {
@@ -7665,12 +9265,12 @@ function sortQuotes(quotes, sortBy, direction = 'asc') {
         
         switch (sortBy) {
             case 'unit_price':
-                aVal = parseFloat(a.unit_price) || parseFloat(a.total_price) || parseFloat(a.price) || 0;
-                bVal = parseFloat(b.unit_price) || parseFloat(b.total_price) || parseFloat(b.price) || 0;
+                aVal = CurrencyService.getComparablePrice(a) || 0;
+                bVal = CurrencyService.getComparablePrice(b) || 0;
                 break;
             case 'total_price':
-                aVal = parseFloat(a.total_price) || parseFloat(a.price) || 0;
-                bVal = parseFloat(b.total_price) || parseFloat(b.price) || 0;
+                aVal = CurrencyService.toBase(parseFloat(a.total_price) || parseFloat(a.price) || 0, a.currency) || 0;
+                bVal = CurrencyService.toBase(parseFloat(b.total_price) || parseFloat(b.price) || 0, b.currency) || 0;
                 break;
             case 'delivery':
                 aVal = (a.delivery_time || a.lead_time || '').toLowerCase();
@@ -7722,15 +9322,12 @@ function filterQuotes(quotes, filters) {
     // Best price filter
     if (filters.bestPrice) {
         const prices = filtered
-            .map(q => parseFloat(q.unit_price) || parseFloat(q.total_price) || parseFloat(q.price) || 0)
-            .filter(p => p > 0);
+            .map(q => CurrencyService.getComparablePrice(q))
+            .filter(p => p !== null && p > 0);
         
         if (prices.length > 0) {
             const lowestPrice = Math.min(...prices);
-            filtered = filtered.filter(q => {
-                const price = parseFloat(q.unit_price) || parseFloat(q.total_price) || parseFloat(q.price) || 0;
-                return price > 0 && price === lowestPrice;
-            });
+            filtered = filtered.filter(q => CurrencyService.getComparablePrice(q) === lowestPrice);
         }
     }
     
@@ -7764,8 +9361,8 @@ function applyModalFiltersAndSort() {
     const [sortField, sortDirection] = sortBy.split('_');
     const direction = sortDirection === 'desc' ? 'desc' : 'asc';
     
-    // Filter first
-    let filtered = filterQuotes(allQuotes, filters);
+    // Price at the comparison quantity, then filter
+    let filtered = filterQuotes(getQuotesAtComparisonQuantity(allQuotes), filters);
     
     // Then sort
     filtered = sortQuotes(filtered, sortField, direction);
@@ -7799,17 +9396,27 @@ function exportQuotesToCSV(quotes) {
     }
     
     // CSV header
-    const headers = ['Supplier', 'Supplier Email', 'Unit Price', 'Total Price', 'Lead Time', 'Validity', 'Payment Terms', 'Quote Date', 'Status'];
+    // Original amounts plus their base-currency equivalents
+    const baseCurrency = CurrencyService.getBaseCurrency();
+    const headers = ['Supplier', 'Supplier Email', 'Currency', 'Unit Price', 'Total Price', `Unit Price (${baseCurrency})`, `Total Price (${baseCurrency})`, 'Lead Time', 'Validity', 'Payment Terms', 'Quote Date', 'Status'];
     
     // CSV rows
     const rows = quotes.map(quote => {
+        const currency = quote.currency || baseCurrency;
         const unitPrice = parseFloat(quote.unit_price) || '';
         const totalPrice = parseFloat(quote.total_price) || parseFloat(quote.price) || '';
+        const toBase = (amount) => {
+            const converted = amount ? CurrencyService.toBase(amount, currency) : null;
+            return converted !== null ? converted.toFixed(2) : '';
+        };
         return [
             quote.supplier_name || '',
             quote.supplier_email || '',
+            currency,
             unitPrice,
             totalPrice,
+            toBase(unitPrice),
+            toBase(totalPrice),
             quote.lead_time || quote.delivery_time || '',
             quote.validity || quote.validity_period || '',
             quote.payment_terms || '',
@@ -7839,112 +9446,127 @@ function exportQuotesToCSV(quotes) {
 }
 
 /**
- * Export quotes to PDF (using browser print)
- * Generates full detailed table from data, not from DOM
+ * Export quotes to an XLSX workbook (summary, comparison and a sheet per quote)
  */
-function exportQuotesToPDF(quotes) {
+function exportQuotesToXLSX(quotes) {
     if (quotes.length === 0) {
         Helpers.showError('No quotes to export');
         return;
     }
     
-    // Get RFQ subject from first quote or use default
-    const rfqSubject = quotes[0]?.subject || 'Quote Comparison';
-    const timestamp = new Date().toLocaleString();
-    
-    // Build table HTML from data (not from DOM)
-    const tableRows = quotes.map(quote => {
-        const unitPrice = parseFloat(quote.unit_price) || 0;
-        const totalPrice = parseFloat(quote.total_price) || parseFloat(quote.price) || 0;
-        const currency = quote.currency || 'USD';
-        const notes = (quote.notes || '').substring(0, 100) + ((quote.notes || '').length > 100 ? '...' : '');
-        
-        return `<tr>
-            <td>${Helpers.escapeHtml(quote.supplier_name || '-')}</td>
-            <td>${Helpers.escapeHtml(quote.supplier_email || '-')}</td>
-            <td>${unitPrice > 0 ? Helpers.formatCurrency(unitPrice, currency) : '-'}</td>
-            <td>${totalPrice > 0 ? Helpers.formatCurrency(totalPrice, currency) : '-'}</td>
-            <td>${Helpers.escapeHtml(quote.lead_time || quote.delivery_time || '-')}</td>
-            <td>${Helpers.escapeHtml(quote.payment_terms || '-')}</td>
-            <td>${Helpers.escapeHtml(quote.validity || quote.validity_period || '-')}</td>
-            <td>${Helpers.escapeHtml(notes || '-')}</td>
-        </tr>`;
-    }).join('');
-    
-    // Create a printable version
-    const printWindow = window.open('', '_blank');
-    
-    if (!printWindow) {
-        Helpers.showError('Could not open print window. Please allow popups.');
+    try {
+        const recommendation = calculateRecommendedQuote(quotes, null, modalQuotesState.includeExpired);
+        const materialCodes = [...new Set(quotes.map(q => q.material_code).filter(Boolean))];
+        const materialCode = materialCodes.length === 1 ? materialCodes[0] : '';
+        const blob = QuoteExportService.toBlob(quotes, recommendation, {
+            title: materialCode ? `Quote Comparison - ${materialCode}` : 'Quote Comparison',
+            materialCode: materialCode
+        });
+        
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `quote-comparison-${materialCode ? materialCode + '-' : ''}${new Date().toISOString().split('T')[0]}.xlsx`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        Helpers.showSuccess('Quote comparison exported to Excel');
+    } catch (error) {
+        console.error('Error exporting quotes to XLSX:', error);
+        Helpers.showError('Failed to export Excel workbook: ' + error.message);
+    }
+}
+
+/**
+ * Header details for the bid tab (PR, material and requested quantity)
+ */
+function getBidTabContext(quotes) {
+    const materialCodes = [...new Set(quotes.map(q => q.material_code).filter(Boolean))];
+    const materialCode = materialCodes.length === 1 ? materialCodes[0] : '';
+    const pr = materialCode ? resolveQuoteAwardContext(quotes[0]).pr : null;
+    return {
+        prNumber: pr?.pr_id || '',
+        materialCode: materialCode,
+        materialDescription: pr && pr.material && pr.material !== materialCode ? pr.material : '',
+        quantity: modalQuotesState.compareQuantity || parseFloat(pr?.quantities) || null,
+        unit: pr?.unit || '',
+        rfqSubject: quotes[0]?.subject || quotes[0]?.email_subject || '',
+        supplierLookup: findSupplierForQuote
+    };
+}
+
+/**
+ * Export quotes as a bid tab PDF (generated in the browser, no print dialog)
+ */
+function exportQuotesToPDF(quotes) {
+    if (quotes.length === 0) {
+        Helpers.showError('No quotes to export');
         return;
     }
     
-    // Create print document with full table from data
-    printWindow.document.write(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Quote Comparison Report</title>
-            <style>
-                body { font-family: Arial, sans-serif; padding: 20px; font-size: 12px; }
-                h1 { color: #0d3d61; margin-bottom: 5px; font-size: 24px; }
-                .meta { color: #666; margin-bottom: 20px; }
-                .meta p { margin: 3px 0; }
-                table { width: 100%; border-collapse: collapse; margin-top: 10px; }
-                th, td { border: 1px solid #ddd; padding: 8px; text-align: left; font-size: 11px; }
-                th { background-color: #0d3d61; color: white; font-weight: 600; }
-                tr:nth-child(even) { background-color: #f9f9f9; }
-                @media print {
-                    .no-print { display: none; }
-                    body { padding: 10px; }
-                }
-            </style>
-        </head>
-        <body>
-            <h1>Quote Comparison Report</h1>
-            <div class="meta">
-                <p><strong>RFQ:</strong> ${Helpers.escapeHtml(rfqSubject)}</p>
-                <p><strong>Generated:</strong> ${timestamp}</p>
-                <p><strong>Total Quotes:</strong> ${quotes.length}</p>
-            </div>
-            <table>
-                <thead>
-                    <tr>
-                        <th>Supplier</th>
-                        <th>Email</th>
-                        <th>Unit Price</th>
-                        <th>Total Price</th>
-                        <th>Lead Time</th>
-                        <th>Payment Terms</th>
-                        <th>Validity</th>
-                        <th>Notes</th>
-                    </tr>
-                </thead>
-                <tbody>${tableRows}</tbody>
-            </table>
-        </body>
-        </html>
-    `);
-    
-    printWindow.document.close();
-    
-    // Wait for content to load, then print
-    setTimeout(() => {
-        printWindow.print();
-    }, 250);
+    try {
+        const recommendation = calculateRecommendedQuote(quotes, null, modalQuotesState.includeExpired);
+        const context = getBidTabContext(quotes);
+        const blob = BidTabService.toBlob(quotes, recommendation, context);
+        
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', BidTabService.getFileName(context));
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        Helpers.showSuccess('Bid tab exported to PDF');
+    } catch (error) {
+        console.error('Error exporting bid tab PDF:', error);
+        Helpers.showError('Failed to export PDF: ' + error.message);
+    }
+}
+
+/**
+ * Open a new email with the bid tab PDF attached
+ */
+function emailBidTab(quotes) {
+    if (quotes.length === 0) {
+        Helpers.showError('No quotes to export');
+        return;
+    }
     
-    Helpers.showSuccess('Opening print dialog for PDF export');
+    try {
+        const recommendation = calculateRecommendedQuote(quotes, null, modalQuotesState.includeExpired);
+        const context = getBidTabContext(quotes);
+        const attachment = BidTabService.toAttachment(quotes, recommendation, context);
+        const summary = recommendation
+            ? `Recommended supplier: ${recommendation.quote.supplier_name || recommendation.quote.supplier_email} (${recommendation.reason}).`
+            : 'No supplier could be recommended yet.';
+        
+        Office.context.mailbox.displayNewMessageForm({
+            subject: BidTabService.getTitle(context) + (context.prNumber ? ` (${context.prNumber})` : ''),
+            htmlBody: EmailOperations.formatTextAsHtml(`Please find attached the bid tabulation for ${quotes.length} quote(s).\n\n${summary}`),
+            attachments: [{ type: 'base64', name: attachment.name, base64: attachment.contentBytes }]
+        });
+    } catch (error) {
+        console.error('Error emailing bid tab:', error);
+        Helpers.showError('Could not open an email with the bid tab: ' + error.message);
+    }
 }
 
 /**
  * Handle accept quote from modal
  */
 async function handleAcceptQuoteFromModal(quote) {
-    // Close modal first
+    // Keep the compared quotes for the bid tab, then close the modal
+    const comparisonQuotes = getQuotesAtComparisonQuantity(modalQuotesState.allQuotes);
     closeQuoteComparisonModal();
     
     // Show PO generation mode with the quote
-    await showPOGenerationMode(quote);
+    await showPOGenerationMode(quote, comparisonQuotes);
 }
 
 /**
@@ -7971,10 +9593,665 @@ function closeQuoteComparisonModal() {
             search: '',
             bestPrice: false,
             fastestDelivery: false
-        }
+        },
+        includeExpired: false,
+        bafoCandidates: [],
+        lineComparison: null,
+        lineQuotes: [],
+        lineAwards: {}
     };
 }
 
+// ==================== PORTFOLIO DASHBOARD ====================
+let portfolioState = {
+    rows: [],
+    quotes: {},
+    loadId: 0
+};
+
+/**
+ * Open the portfolio dashboard: pipeline status of every material with a MAT-* folder
+ * Folder counts are shown first; quotes are then read one material at a time.
+ */
+async function openPortfolioDashboard() {
+    const modal = document.getElementById('portfolio-modal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    
+    const loadingEl = document.getElementById('portfolio-loading');
+    const tableWrapper = document.getElementById('portfolio-table-wrapper');
+    const emptyState = document.getElementById('portfolio-empty');
+    Helpers.showElement(loadingEl);
+    Helpers.hideElement(tableWrapper);
+    Helpers.hideElement(emptyState);
+    
+    const loadId = ++portfolioState.loadId;
+    portfolioState.rows = [];
+    portfolioState.quotes = {};
+    renderPortfolioSummary();
+    
+    try {
+        const materialFolders = await FolderManagement.listMaterialRootFolders();
+        for (const folder of materialFolders) {
+            const subfolders = await FolderManagement.listMaterialFolders(folder.displayName);
+            if (loadId !== portfolioState.loadId) return;
+            portfolioState.rows.push(PortfolioService.buildRow(folder.displayName.toUpperCase(), subfolders));
+        }
+        
+        Helpers.hideElement(loadingEl);
+        renderPortfolioDashboard();
+        
+        for (const row of portfolioState.rows) {
+            await loadPortfolioQuotes(row);
+            if (loadId !== portfolioState.loadId) return;
+            renderPortfolioDashboard();
+        }
+    } catch (error) {
+        console.error('Error loading portfolio dashboard:', error);
+        Helpers.hideElement(loadingEl);
+        Helpers.showError('Failed to load the portfolio: ' + error.message);
+    }
+}
+
+/**
+ * Read a material's quotes and fill in best price and recommendation
+ * Quotes are priced at the PR quantity when the PR is known.
+ */
+async function loadPortfolioQuotes(row) {
+    if (row.quote_emails === 0) {
+        portfolioState.quotes[row.material_code] = [];
+        PortfolioService.applyQuotes(row, [], null);
+        return;
+    }
+    
+    try {
+        const quotes = await fetchMaterialQuotes(row.material_code) || [];
+        portfolioState.quotes[row.material_code] = quotes;
+        
+        const pr = resolveQuoteAwardContext({ material_code: row.material_code }).pr;
+        const quantity = parseFloat(pr?.quantities) || null;
+        const priced = quantity ? quotes.map(q => PriceBreakService.priceAtQuantity(q, quantity)) : quotes;
+        PortfolioService.applyQuotes(row, priced, calculateRecommendedQuote(priced));
+    } catch (error) {
+        console.error(`Error loading quotes for ${row.material_code}:`, error);
+        row.error = error.message;
+        row.quotes_loaded = true;
+    }
+}
+
+/**
+ * Close the portfolio dashboard (stops any quote loading still in progress)
+ */
+function closePortfolioDashboard() {
+    portfolioState.loadId++;
+    document.getElementById('portfolio-modal')?.classList.add('hidden');
+}
+
+/**
+ * Stage counts shown above the table
+ */
+function renderPortfolioSummary() {
+    const container = document.getElementById('portfolio-summary');
+    if (!container) return;
+    const summary = PortfolioService.summarize(portfolioState.rows);
+    container.innerHTML = ['awaiting_replies', 'quotes_received', 'awaiting_approval', 'awarded'].map(stage => `
+        <div class="portfolio-summary-item stage-${stage}">
+            <span class="portfolio-summary-value">${summary[stage]}</span>
+            <span class="portfolio-summary-label">${PortfolioService.STAGES[stage].label}</span>
+        </div>
+    `).join('');
+    
+    const countEl = document.getElementById('portfolio-count-display');
+    if (countEl) countEl.textContent = `${summary.total} material${summary.total === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render the material table (search and the "show awarded" toggle apply here)
+ */
+function renderPortfolioDashboard() {
+    renderPortfolioSummary();
+    
+    const tableWrapper = document.getElementById('portfolio-table-wrapper');
+    const emptyState = document.getElementById('portfolio-empty');
+    const search = (document.getElementById('portfolio-search')?.value || '').trim().toLowerCase();
+    const showAwarded = document.getElementById('portfolio-show-awarded')?.checked ?? true;
+    
+    const rows = portfolioState.rows.filter(row => {
+        if (!showAwarded && row.stage === 'awarded') return false;
+        if (!search) return true;
+        const pr = resolveQuoteAwardContext({ material_code: row.material_code }).pr;
+        return [row.material_code, pr?.pr_id, pr?.material, row.recommended?.supplier]
+            .some(value => (value || '').toString().toLowerCase().includes(search));
+    });
+    
+    if (rows.length === 0) {
+        Helpers.hideElement(tableWrapper);
+        Helpers.showElement(emptyState);
+        return;
+    }
+    Helpers.hideElement(emptyState);
+    
+    const pending = '<span class="no-data">Loading...</span>';
+    const body = rows.map((row, index) => {
+        const pr = resolveQuoteAwardContext({ material_code: row.material_code }).pr;
+        const quotesCell = row.quotes_loaded ? (row.quotes_received ?? 0) : `${row.quote_emails} email${row.quote_emails === 1 ? '' : 's'}`;
+        
+        let priceCell = pending;
+        let recommendedCell = pending;
+        if (row.error) {
+            priceCell = recommendedCell = `<span class="no-data" title="${Helpers.escapeHtml(row.error)}">Could not read quotes</span>`;
+        } else if (row.quotes_loaded) {
+            priceCell = row.best_price
+                ? `<span class="price-value">${Helpers.escapeHtml(CurrencyService.formatWithBase(row.best_price.amount, row.best_price.currency))}</span>
+                   <div class="supplier-email">${Helpers.escapeHtml(row.best_price.supplier)}</div>`
+                : '<span class="no-data">-</span>';
+            recommendedCell = row.recommended
+                ? `<strong>${Helpers.escapeHtml(row.recommended.supplier)}</strong>
+                   <div class="supplier-email">${Helpers.escapeHtml(row.recommended.reason)}</div>`
+                : '<span class="no-data">-</span>';
+        }
+        
+        let awardCell = '<span class="no-data">Not awarded</span>';
+        if (row.awarded) {
+            awardCell = `<span class="portfolio-award awarded">${row.po_numbers.map(n => Helpers.escapeHtml(n)).join(', ')}</span>`;
+        } else if (row.approval_status === 'pending') {
+            awardCell = '<span class="portfolio-award pending">Approval pending</span>';
+        } else if (row.approval_status === 'rejected') {
+            awardCell = '<span class="portfolio-award rejected">Approval rejected</span>';
+        }
+        
+        const canCompare = row.quotes_loaded && (portfolioState.quotes[row.material_code] || []).length > 0;
+        return `
+            <tr class="${index % 2 === 1 ? 'even-row' : ''}">
+                <td class="supplier-cell">
+                    <strong>${Helpers.escapeHtml(row.material_code)}</strong>
+                    ${pr ? `<div class="supplier-email">${Helpers.escapeHtml([pr.pr_id, pr.material].filter(Boolean).join(' - '))}</div>` : ''}
+                </td>
+                <td><span class="portfolio-stage stage-${row.stage}">${PortfolioService.STAGES[row.stage].label}</span></td>
+                <td>${row.rfqs_sent}</td>
+                <td>${row.replies}</td>
+                <td>${quotesCell}</td>
+                <td class="price-cell">${priceCell}</td>
+                <td>${recommendedCell}</td>
+                <td>${awardCell}</td>
+                <td class="actions-cell">
+                    <button class="ms-Button ms-Button--default portfolio-compare-btn" data-material="${Helpers.escapeHtml(row.material_code)}" ${canCompare ? '' : 'disabled'}>
+                        <span class="ms-Button-label">Compare</span>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    tableWrapper.innerHTML = `
+        <table class="quote-comparison-table portfolio-table">
+            <thead>
+                <tr>
+                    <th>Material</th>
+                    <th>Status</th>
+                    <th>RFQs Sent</th>
+                    <th>Replies</th>
+                    <th>Quotes</th>
+                    <th>Best Price</th>
+                    <th>Recommended</th>
+                    <th>Award</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+    Helpers.showElement(tableWrapper);
+    
+    tableWrapper.querySelectorAll('.portfolio-compare-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const quotes = portfolioState.quotes[button.dataset.material] || [];
+            closePortfolioDashboard();
+            openQuoteComparisonModal(quotes);
+        });
+    });
+}
+
+// ==================== SUPPLIER ANALYTICS ====================
+/**
+ * Open the supplier analytics panel (cached results are shown; they are
+ * calculated on first open)
+ */
+async function openSupplierAnalytics() {
+    const modal = document.getElementById('supplier-analytics-modal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    
+    if (SupplierAnalyticsService.getCached()) {
+        renderSupplierAnalytics();
+    } else {
+        await recalculateSupplierAnalytics();
+    }
+}
+
+/**
+ * Read all material folders and recalculate supplier analytics
+ */
+async function recalculateSupplierAnalytics() {
+    const loadingEl = document.getElementById('supplier-analytics-loading');
+    const progressEl = document.getElementById('supplier-analytics-progress');
+    const button = document.getElementById('recalculate-supplier-analytics-btn');
+    Helpers.showElement(loadingEl);
+    Helpers.hideElement(document.getElementById('supplier-analytics-table-wrapper'));
+    Helpers.hideElement(document.getElementById('supplier-analytics-empty'));
+    if (button) button.disabled = true;
+    
+    try {
+        await SupplierAnalyticsService.refresh(message => {
+            if (progressEl) progressEl.textContent = message;
+        });
+        renderSupplierAnalytics();
+    } catch (error) {
+        console.error('Error calculating supplier analytics:', error);
+        Helpers.showError('Failed to calculate supplier analytics: ' + error.message);
+    } finally {
+        Helpers.hideElement(loadingEl);
+        if (progressEl) progressEl.textContent = 'Reading material folders...';
+        if (button) button.disabled = false;
+    }
+}
+
+function closeSupplierAnalytics() {
+    document.getElementById('supplier-analytics-modal')?.classList.add('hidden');
+}
+
+/**
+ * Render the cached analytics, most reliable suppliers first
+ */
+function renderSupplierAnalytics() {
+    const analytics = SupplierAnalyticsService.getCached();
+    const tableWrapper = document.getElementById('supplier-analytics-table-wrapper');
+    const emptyState = document.getElementById('supplier-analytics-empty');
+    const updatedEl = document.getElementById('supplier-analytics-updated');
+    const countEl = document.getElementById('supplier-analytics-count');
+    if (!analytics || !tableWrapper) return;
+    
+    if (updatedEl) {
+        updatedEl.textContent = `Calculated ${Helpers.formatDate(analytics.computed_at, true)} from ${analytics.materials} material${analytics.materials === 1 ? '' : 's'}`;
+    }
+    
+    const search = (document.getElementById('supplier-analytics-search')?.value || '').trim().toLowerCase();
+    const suppliers = Object.values(analytics.suppliers || {})
+        .filter(s => !search || s.name.toLowerCase().includes(search) || s.email.includes(search))
+        .sort((a, b) => (b.reliability ?? -1) - (a.reliability ?? -1) || b.rfqs - a.rfqs);
+    if (countEl) countEl.textContent = `${suppliers.length} supplier${suppliers.length === 1 ? '' : 's'}`;
+    
+    if (suppliers.length === 0) {
+        Helpers.hideElement(tableWrapper);
+        Helpers.showElement(emptyState);
+        return;
+    }
+    Helpers.hideElement(emptyState);
+    
+    const percent = (rate) => rate === null ? '<span class="no-data">N/A</span>' : `${Math.round(rate * 100)}%`;
+    const body = suppliers.map((s, index) => {
+        const reliabilityClass = s.reliability === null ? '' : (s.reliability >= 75 ? 'high' : (s.reliability >= 50 ? 'medium' : 'low'));
+        return `
+            <tr class="${index % 2 === 1 ? 'even-row' : ''}">
+                <td class="supplier-cell">
+                    <strong>${Helpers.escapeHtml(s.name)}</strong>
+                    <span class="supplier-email">${Helpers.escapeHtml(s.email)}</span>
+                </td>
+                <td>${s.rfqs}</td>
+                <td>${percent(s.response_rate)}</td>
+                <td title="Average ${SupplierAnalyticsService.formatHours(s.avg_response_hours)}">${SupplierAnalyticsService.formatHours(s.median_response_hours)}</td>
+                <td>${percent(s.decline_rate)}</td>
+                <td>${percent(s.win_rate)}${s.quoted > 0 ? ` <span class="supplier-email">(${s.awarded} of ${s.quoted})</span>` : ''}</td>
+                <td>${s.clarifications_per_rfq === null ? '<span class="no-data">N/A</span>' : (Math.round(s.clarifications_per_rfq * 100) / 100)}</td>
+                <td>${s.reliability === null
+                    ? '<span class="no-data">Too few RFQs</span>'
+                    : `<span class="supplier-reliability ${reliabilityClass}">${s.reliability}</span>`}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    tableWrapper.innerHTML = `
+        <table class="quote-comparison-table supplier-analytics-table">
+            <thead>
+                <tr>
+                    <th>Supplier</th>
+                    <th>RFQs</th>
+                    <th>Response Rate</th>
+                    <th title="Median time from RFQ to first reply">Response Time</th>
+                    <th>Decline Rate</th>
+                    <th>Quote Win Rate</th>
+                    <th title="Clarification emails per RFQ">Clarifications</th>
+                    <th>Reliability</th>
+                </tr>
+            </thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+    Helpers.showElement(tableWrapper);
+}
+
+// ==================== AUTOMATED ACTIONS ====================
+// Number of ledger entries shown in the automated actions list
+const ACTIVITY_LOG_LIMIT = 200;
+
+/**
+ * Open the list of recent automated actions from the message ledger
+ */
+async function openActivityLog() {
+    const modal = document.getElementById('activity-log-modal');
+    if (!modal) return;
+    
+    const outcomeSelect = document.getElementById('activity-log-outcome');
+    if (outcomeSelect && outcomeSelect.options.length === 1) {
+        Object.entries(MessageLedger.OUTCOMES).forEach(([value, label]) => {
+            outcomeSelect.add(new Option(label, value));
+        });
+    }
+    
+    modal.classList.remove('hidden');
+    await renderActivityLog();
+}
+
+function closeActivityLog() {
+    document.getElementById('activity-log-modal')?.classList.add('hidden');
+}
+
+/**
+ * Render the most recent ledger entries, newest first
+ */
+async function renderActivityLog() {
+    const tableWrapper = document.getElementById('activity-log-table-wrapper');
+    const emptyState = document.getElementById('activity-log-empty');
+    const countEl = document.getElementById('activity-log-count');
+    if (!tableWrapper) return;
+    
+    await renderRetryQueue();
+    
+    const outcome = document.getElementById('activity-log-outcome')?.value || '';
+    const search = (document.getElementById('activity-log-search')?.value || '').trim().toLowerCase();
+    const entries = (await MessageLedger.getRecent(ACTIVITY_LOG_LIMIT))
+        .filter(entry => !outcome || entry.outcome === outcome)
+        .filter(entry => !search || [entry.subject, entry.from, entry.material_code]
+            .some(value => (value || '').toLowerCase().includes(search)));
+    if (countEl) countEl.textContent = `${entries.length} action${entries.length === 1 ? '' : 's'}`;
+    
+    if (entries.length === 0) {
+        Helpers.hideElement(tableWrapper);
+        Helpers.showElement(emptyState);
+        return;
+    }
+    Helpers.hideElement(emptyState);
+    
+    const body = entries.map((entry, index) => `
+        <tr class="${index % 2 === 1 ? 'even-row' : ''}">
+            <td>${Helpers.formatDate(entry.processed_at, true)}</td>
+            <td>
+                <span class="ledger-outcome ${entry.outcome}">${Helpers.escapeHtml(MessageLedger.OUTCOMES[entry.outcome] || entry.outcome)}</span>
+                ${entry.error ? `<span class="supplier-email" title="${Helpers.escapeHtml(entry.error)}">${Helpers.escapeHtml(Helpers.truncate(entry.error, 60))}</span>` : ''}
+                ${entry.note ? `<span class="supplier-email" title="${Helpers.escapeHtml(entry.note)}">${Helpers.escapeHtml(Helpers.truncate(entry.note, 60))}</span>` : ''}
+            </td>
+            <td class="supplier-cell">
+                <strong>${Helpers.escapeHtml(entry.subject || '(no subject)')}</strong>
+                <span class="supplier-email">${Helpers.escapeHtml(entry.from || 'unknown')}</span>
+            </td>
+            <td>${entry.classification
+                ? `${Helpers.escapeHtml(Helpers.getClassificationDisplayName(entry.classification))}${entry.confidence !== null ? ` <span class="supplier-email">${Math.round(entry.confidence * 100)}%</span>` : ''}`
+                : '<span class="no-data">-</span>'}</td>
+            <td>${entry.material_code ? Helpers.escapeHtml(entry.material_code) : '<span class="no-data">-</span>'}</td>
+            <td>${entry.target_folder ? Helpers.escapeHtml(entry.target_folder) : '<span class="no-data">-</span>'}</td>
+            <td>${entry.source === 'task_pane' ? 'Task pane' : 'Monitor'}</td>
+            <td>${entry.outcome === 'filtered' && SenderFilterService.getUndoable(entry.message_id)
+                ? `<button class="ms-Button ms-Button--default" data-undo-filter-id="${Helpers.escapeHtml(entry.message_id)}" title="Return to the inbox, allow the sender and process it">
+                        <span class="ms-Button-label">Undo</span>
+                    </button>`
+                : ''}</td>
+        </tr>
+    `).join('');
+    
+    tableWrapper.innerHTML = `
+        <table class="quote-comparison-table activity-log-table">
+            <thead>
+                <tr>
+                    <th>When</th>
+                    <th>Outcome</th>
+                    <th>Message</th>
+                    <th>Classification</th>
+                    <th>Material</th>
+                    <th>Moved To</th>
+                    <th>By</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+    Helpers.showElement(tableWrapper);
+}
+
+/**
+ * Render replies waiting for a retry and replies that need attention
+ */
+async function renderRetryQueue() {
+    const section = document.getElementById('retry-queue-section');
+    const list = document.getElementById('retry-queue-list');
+    if (!section || !list) return;
+    
+    const { pending, needsAttention } = await ReplyRetryQueue.getItems();
+    const items = [...needsAttention, ...pending];
+    if (items.length === 0) {
+        Helpers.hideElement(section);
+        return;
+    }
+    
+    list.innerHTML = items.map(entry => {
+        const status = entry.outcome === 'needs_attention'
+            ? `Gave up after ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}`
+            : `Attempt ${entry.attempts} of ${ReplyRetryQueue.MAX_ATTEMPTS} failed - retrying ${Helpers.formatDate(entry.next_retry_at, true)}`;
+        return `
+            <div class="retry-queue-item ${entry.outcome}">
+                <div class="retry-queue-details">
+                    <strong title="${Helpers.escapeHtml(entry.subject)}">${Helpers.escapeHtml(entry.subject || '(no subject)')}</strong>
+                    <span class="supplier-email">${Helpers.escapeHtml(entry.from || 'unknown')}${entry.material_code ? ` - ${Helpers.escapeHtml(entry.material_code)}` : ''}</span>
+                    <span>${status}</span>
+                    ${entry.error ? `<span class="retry-queue-error">${Helpers.escapeHtml(entry.error)}</span>` : ''}
+                </div>
+                <div class="retry-queue-actions">
+                    <button class="ms-Button ms-Button--default" data-retry-id="${Helpers.escapeHtml(entry.message_id)}">
+                        <span class="ms-Button-label">Retry Now</span>
+                    </button>
+                    <button class="ms-Button ms-Button--default" data-dismiss-id="${Helpers.escapeHtml(entry.message_id)}">
+                        <span class="ms-Button-label">Dismiss</span>
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    Helpers.showElement(section);
+}
+
+/**
+ * Show how many replies need attention on the automated actions button
+ */
+async function updateAttentionBadge() {
+    const badge = document.getElementById('activity-log-badge');
+    if (!badge) return;
+    const { needsAttention } = await ReplyRetryQueue.getItems();
+    badge.textContent = needsAttention.length;
+    if (needsAttention.length > 0) {
+        Helpers.showElement(badge);
+    } else {
+        Helpers.hideElement(badge);
+    }
+}
+
+async function retryFailedReply(messageId) {
+    if (!AuthService.isSignedIn()) {
+        Helpers.showError('Please sign in to retry');
+        return;
+    }
+    try {
+        Helpers.showLoading('Retrying reply...');
+        if (await ReplyRetryQueue.retryNow(messageId)) {
+            Helpers.showSuccess('Reply processed');
+        } else {
+            const entry = await MessageLedger.get(messageId);
+            Helpers.showError(entry?.error ? `Retry failed: ${entry.error}` : 'The reply is already being processed');
+        }
+    } catch (error) {
+        console.error('Error retrying reply:', error);
+        Helpers.showError('Failed to retry reply: ' + error.message);
+    } finally {
+        Helpers.hideLoading();
+        renderActivityLog();
+    }
+}
+
+/**
+ * Undo a sender filter action: the message goes back to the inbox, its sender
+ * is allowed and it is processed like any other reply
+ */
+async function undoSenderFilter(messageId) {
+    if (!AuthService.isSignedIn()) {
+        Helpers.showError('Please sign in to undo');
+        return;
+    }
+    try {
+        Helpers.showLoading('Restoring message...');
+        const restoredId = await SenderFilterService.undo(messageId);
+        const message = await AuthService.graphRequest(`/me/messages/${restoredId}?$select=${MailSyncService.SELECT}`);
+        await EmailMonitor.checkForReplies([message]);
+        Helpers.showSuccess(`Message restored and ${SenderFilterService.getSenderAddress(message) || 'its sender'} added to the allow list`);
+    } catch (error) {
+        console.error('Error undoing sender filter:', error);
+        Helpers.showError('Failed to restore message: ' + error.message);
+    } finally {
+        Helpers.hideLoading();
+        renderActivityLog();
+    }
+}
+
+async function dismissFailedReply(messageId) {
+    try {
+        await ReplyRetryQueue.dismiss(messageId);
+    } catch (error) {
+        console.error('Error dismissing reply:', error);
+        Helpers.showError('Failed to dismiss reply: ' + error.message);
+    }
+}
+
+// ==================== RFQ CONTACT ISSUES ====================
+
+/**
+ * Open the RFQs that bounced or reached an out-of-office reply
+ */
+function openContactIssues() {
+    const modal = document.getElementById('contact-issues-modal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    renderContactIssues();
+}
+
+function closeContactIssues() {
+    document.getElementById('contact-issues-modal')?.classList.add('hidden');
+}
+
+function renderContactIssues() {
+    const list = document.getElementById('contact-issues-list');
+    const emptyState = document.getElementById('contact-issues-empty');
+    const countEl = document.getElementById('contact-issues-count');
+    if (!list) return;
+    
+    const issues = RfqDeliveryStatusService.getOpen();
+    if (countEl) countEl.textContent = `${issues.length} issue${issues.length === 1 ? '' : 's'}`;
+    updateContactIssuesButton();
+    
+    if (issues.length === 0) {
+        list.innerHTML = '';
+        Helpers.showElement(emptyState);
+        return;
+    }
+    Helpers.hideElement(emptyState);
+    
+    list.innerHTML = issues.map((issue, index) => {
+        const outcome = issue.status === 'delivery_failed' ? 'bounced' : 'auto_reply';
+        const suggestions = issue.contacts.map(address => `<option value="${Helpers.escapeHtml(address)}"></option>`).join('');
+        return `
+            <div class="retry-queue-item contact-issue-item ${outcome}">
+                <div class="retry-queue-details">
+                    <strong title="${Helpers.escapeHtml(issue.subject)}">${Helpers.escapeHtml(issue.supplier_name)}${issue.material_code ? ` - ${Helpers.escapeHtml(issue.material_code)}` : ''}</strong>
+                    <span class="supplier-email">${Helpers.escapeHtml(issue.supplier_email)}</span>
+                    <span><span class="ledger-outcome ${outcome}">${Helpers.escapeHtml(RfqDeliveryStatusService.describe(issue))}</span> ${Helpers.formatDate(issue.detected_at, true)}</span>
+                    <span class="retry-queue-error">${Helpers.escapeHtml(issue.diagnostic || issue.reason)}</span>
+                </div>
+                <div class="retry-queue-actions contact-issue-actions">
+                    <input type="email" class="ms-TextField-field" list="contact-suggestions-${index}" placeholder="Alternate contact email" value="${Helpers.escapeHtml(issue.contacts[0] || '')}" />
+                    <datalist id="contact-suggestions-${index}">${suggestions}</datalist>
+                    <button class="ms-Button ms-Button--primary" data-send-alternate-id="${Helpers.escapeHtml(issue.id)}" title="Forward the RFQ to this contact">
+                        <span class="ms-Button-label">Send RFQ</span>
+                    </button>
+                    <button class="ms-Button ms-Button--default" data-dismiss-issue-id="${Helpers.escapeHtml(issue.id)}" title="Keep waiting for this contact">
+                        <span class="ms-Button-label">Dismiss</span>
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Show the contact issues button while any RFQ is waiting for an alternate contact
+ */
+function updateContactIssuesButton() {
+    const button = document.getElementById('contact-issues-btn');
+    const badge = document.getElementById('contact-issues-badge');
+    if (!button || !badge) return;
+    const count = RfqDeliveryStatusService.getOpen().length;
+    badge.textContent = count;
+    Helpers.toggleElement(button, count > 0);
+}
+
+/**
+ * Ask the buyer for an alternate contact when the monitor records a bounce or
+ * out-of-office reply that marked an RFQ (the list opens unless another dialog is open)
+ */
+function promptAlternateContact(entry) {
+    const issues = RfqDeliveryStatusService.getOpen().filter(issue => issue.message_id === entry.message_id);
+    if (issues.length === 0) return;
+    
+    const modal = document.getElementById('contact-issues-modal');
+    if (modal && !modal.classList.contains('hidden')) {
+        renderContactIssues();
+    } else if (!document.querySelector('.modal-overlay:not(.hidden)')) {
+        openContactIssues();
+    } else {
+        Helpers.showError(`${issues.map(issue => `${issue.supplier_name}: ${RfqDeliveryStatusService.describe(issue)}`).join('; ')} - pick an alternate contact from the RFQ contact issues button`);
+    }
+}
+
+async function sendRfqToAlternate(issueId, item) {
+    if (!AuthService.isSignedIn()) {
+        Helpers.showError('Please sign in to send the RFQ');
+        return;
+    }
+    const address = item?.querySelector('input')?.value || '';
+    try {
+        Helpers.showLoading('Forwarding RFQ...');
+        const issue = await RfqDeliveryStatusService.sendToAlternate(issueId, address);
+        Helpers.showSuccess(`RFQ${issue.material_code ? ` for ${issue.material_code}` : ''} forwarded to ${issue.alternate_contact.address}`);
+    } catch (error) {
+        console.error('Error forwarding RFQ to alternate contact:', error);
+        Helpers.showError('Failed to forward RFQ: ' + error.message);
+    } finally {
+        Helpers.hideLoading();
+        renderContactIssues();
+    }
+}
+
+function dismissContactIssue(issueId) {
+    RfqDeliveryStatusService.resolve(issueId, 'dismissed');
+    renderContactIssues();
+}
+
 // ==================== SETTINGS ====================
 function openSettingsModal() {
     // Load current settings
@@ -7985,6 +10262,43 @@ function openSettingsModal() {
     document.getElementById('auto-create-folders').checked = 
         Config.getSetting(Config.STORAGE_KEYS.AUTO_CREATE_FOLDERS, true);
     
+    // Load PO numbering scheme
+    const poScheme = PONumberingService.getScheme();
+    document.getElementById('po-number-pattern').value = poScheme.pattern;
+    document.getElementById('po-number-prefix').value = poScheme.prefix;
+    document.getElementById('po-number-site').value = poScheme.siteCode;
+    document.getElementById('po-number-fy-start').value = String(poScheme.fiscalYearStartMonth);
+    document.getElementById('po-number-padding').value = poScheme.sequencePadding;
+    updatePONumberPreview();
+    ['po-number-pattern', 'po-number-prefix', 'po-number-site', 'po-number-fy-start', 'po-number-padding'].forEach(id => {
+        document.getElementById(id).oninput = updatePONumberPreview;
+    });
+    
+    // Load quote scoring profiles
+    loadScoringProfileEditor();
+    
+    // Load exchange rate table
+    renderExchangeRateEditor(CurrencyService.getRates());
+    document.getElementById('base-currency').onchange = () => {
+        // Rebase the table so the new base is 1 and other rates stay consistent
+        const table = getExchangeRatesFromForm();
+        const newBase = document.getElementById('base-currency').value;
+        const baseRate = table.rates[newBase];
+        const rebased = {};
+        Object.entries(table.rates).forEach(([code, rate]) => {
+            rebased[code] = baseRate ? Math.round(rate / baseRate * 10000) / 10000 : rate;
+        });
+        renderExchangeRateEditor({ ...table, base: newBase, rates: rebased, source: 'manual' });
+    };
+    document.getElementById('refresh-exchange-rates').onclick = refreshExchangeRates;
+    
+    // Load award approval thresholds
+    renderApproverEditor(ApprovalService.getSettings());
+    
+    // Load system mail filter rules
+    renderSenderFilterEditor(SenderFilterService.getSettings());
+    document.getElementById('add-approver').onclick = () => addApproverRow({ name: '', email: '', limit: null });
+    
     // Load pin taskpane setting
     const isPinned = Config.getSetting('PIN_TASKPANE', false);
     document.getElementById('pin-taskpane').checked = isPinned;
@@ -8007,6 +10321,239 @@ function updatePinStatusMessage(isPinned) {
     }
 }
 
+/**
+ * Read the PO numbering scheme from the settings form
+ */
+function getPONumberSchemeFromForm() {
+    return {
+        pattern: document.getElementById('po-number-pattern').value.trim(),
+        prefix: document.getElementById('po-number-prefix').value.trim().toUpperCase(),
+        siteCode: document.getElementById('po-number-site').value.trim().toUpperCase(),
+        fiscalYearStartMonth: parseInt(document.getElementById('po-number-fy-start').value) || 1,
+        sequencePadding: parseInt(document.getElementById('po-number-padding').value) || 5
+    };
+}
+
+function updatePONumberPreview() {
+    const previewEl = document.getElementById('po-number-preview');
+    if (!previewEl) return;
+    const scheme = getPONumberSchemeFromForm();
+    previewEl.textContent = scheme.pattern.includes('{SEQ}')
+        ? PONumberingService.previewNumber(scheme)
+        : 'Pattern must contain {SEQ}';
+}
+
+// Scoring profiles being edited in the settings modal (saved with the other settings)
+let scoringProfilesDraft = [];
+let selectedScoringProfileId = null;
+
+/**
+ * Load the scoring profiles into the settings editor
+ */
+function loadScoringProfileEditor() {
+    scoringProfilesDraft = JSON.parse(JSON.stringify(ScoringService.getProfiles()));
+    selectedScoringProfileId = scoringProfilesDraft[0].id;
+    renderScoringProfileEditor();
+    
+    document.getElementById('scoring-profile-picker').onchange = (e) => {
+        commitScoringProfileForm();
+        selectedScoringProfileId = e.target.value;
+        renderScoringProfileEditor();
+    };
+    document.getElementById('add-scoring-profile').onclick = () => {
+        commitScoringProfileForm();
+        const profile = ScoringService.createProfile();
+        scoringProfilesDraft.push(profile);
+        selectedScoringProfileId = profile.id;
+        renderScoringProfileEditor();
+        document.getElementById('scoring-profile-name').select();
+    };
+    document.getElementById('delete-scoring-profile').onclick = () => {
+        if (selectedScoringProfileId === ScoringService.DEFAULT_PROFILE.id) return;
+        scoringProfilesDraft = scoringProfilesDraft.filter(p => p.id !== selectedScoringProfileId);
+        selectedScoringProfileId = scoringProfilesDraft[0].id;
+        renderScoringProfileEditor();
+    };
+    document.getElementById('scoring-profile-name').oninput = () => {
+        commitScoringProfileForm();
+        renderScoringProfilePicker();
+    };
+}
+
+function renderScoringProfilePicker() {
+    const picker = document.getElementById('scoring-profile-picker');
+    picker.innerHTML = scoringProfilesDraft.map(p =>
+        `<option value="${Helpers.escapeHtml(p.id)}" ${p.id === selectedScoringProfileId ? 'selected' : ''}>${Helpers.escapeHtml(p.name || 'Untitled')}</option>`
+    ).join('');
+}
+
+/**
+ * Render the selected profile into the editor form
+ */
+function renderScoringProfileEditor() {
+    const profile = scoringProfilesDraft.find(p => p.id === selectedScoringProfileId);
+    const isDefault = profile.id === ScoringService.DEFAULT_PROFILE.id;
+    
+    renderScoringProfilePicker();
+    
+    const nameInput = document.getElementById('scoring-profile-name');
+    const familiesInput = document.getElementById('scoring-profile-families');
+    nameInput.value = profile.name;
+    nameInput.disabled = isDefault;
+    familiesInput.value = (profile.materialFamilies || []).join(', ');
+    familiesInput.disabled = isDefault;
+    familiesInput.placeholder = isDefault ? 'Used when no other profile matches' : 'e.g. MAT-1*, steel';
+    document.getElementById('delete-scoring-profile').disabled = isDefault;
+    
+    document.getElementById('scoring-profile-weights').innerHTML = ScoringService.CRITERIA.map(c => `
+        <div class="scoring-weight-row">
+            <label for="scoring-weight-${c.key}">${Helpers.escapeHtml(c.label)}</label>
+            <input type="number" id="scoring-weight-${c.key}" class="ms-TextField-field" data-criterion="${c.key}" min="0" max="100" value="${profile.weights[c.key] || 0}"/>
+        </div>
+    `).join('');
+}
+
+/**
+ * Copy the editor form back into the selected draft profile
+ */
+function commitScoringProfileForm() {
+    const profile = scoringProfilesDraft.find(p => p.id === selectedScoringProfileId);
+    if (!profile) return;
+    
+    profile.name = document.getElementById('scoring-profile-name').value;
+    profile.materialFamilies = document.getElementById('scoring-profile-families').value.split(',');
+    document.querySelectorAll('#scoring-profile-weights input[data-criterion]').forEach(input => {
+        profile.weights[input.dataset.criterion] = parseFloat(input.value) || 0;
+    });
+}
+
+/**
+ * Render the exchange rate table into the settings form
+ */
+function renderExchangeRateEditor(table) {
+    const baseSelect = document.getElementById('base-currency');
+    baseSelect.innerHTML = CurrencyService.CODES.map(code =>
+        `<option value="${code}" ${code === table.base ? 'selected' : ''}>${code}</option>`
+    ).join('');
+    
+    document.getElementById('exchange-rate-table').innerHTML = CurrencyService.CODES
+        .filter(code => code !== table.base)
+        .map(code => `
+            <div class="scoring-weight-row">
+                <label for="exchange-rate-${code}">1 ${Helpers.escapeHtml(table.base)} = ${code}</label>
+                <input type="number" id="exchange-rate-${code}" class="ms-TextField-field" data-currency="${code}" min="0" step="any" value="${table.rates[code] ?? ''}"/>
+            </div>
+        `).join('');
+    
+    const status = document.getElementById('exchange-rate-status');
+    status.textContent = table.source === 'backend'
+        ? `Rates from backend, updated ${Helpers.formatDate(table.updated_at)}`
+        : table.source === 'manual'
+            ? `Manually edited rates${table.updated_at ? `, updated ${Helpers.formatDate(table.updated_at)}` : ''}`
+            : 'Default rates - refresh from the backend or edit them for accurate comparisons';
+    status.dataset.source = table.source;
+}
+
+/**
+ * Render the approval threshold and approver rows
+ */
+function renderApproverEditor(settings) {
+    document.getElementById('approval-threshold').value = settings.auto_approve_below || '';
+    document.getElementById('approver-list').innerHTML = '';
+    settings.approvers.forEach(addApproverRow);
+}
+
+function addApproverRow(approver) {
+    const row = document.createElement('div');
+    row.className = 'approver-row';
+    row.innerHTML = `
+        <input type="text" class="ms-TextField-field" data-field="name" placeholder="Name" value="${Helpers.escapeHtml(approver.name || '')}"/>
+        <input type="email" class="ms-TextField-field" data-field="email" placeholder="approver@company.com" value="${Helpers.escapeHtml(approver.email || '')}"/>
+        <input type="number" class="ms-TextField-field" data-field="limit" min="0" step="any" placeholder="No limit" value="${approver.limit ?? ''}" title="Highest award value this approver can approve (${CurrencyService.getBaseCurrency()})"/>
+        <button type="button" class="ms-Button ms-Button--icon" title="Remove approver">
+            <span class="ms-Button-icon"><i class="ms-Icon ms-Icon--Delete"></i></span>
+        </button>
+    `;
+    row.querySelector('button').onclick = () => row.remove();
+    document.getElementById('approver-list').appendChild(row);
+}
+
+/**
+ * Read the approval settings from the settings form
+ */
+function getApprovalSettingsFromForm() {
+    const approvers = Array.from(document.querySelectorAll('#approver-list .approver-row')).map(row => ({
+        name: row.querySelector('[data-field="name"]').value,
+        email: row.querySelector('[data-field="email"]').value,
+        limit: row.querySelector('[data-field="limit"]').value
+    }));
+    return {
+        auto_approve_below: document.getElementById('approval-threshold').value,
+        approvers: approvers
+    };
+}
+
+/**
+ * Render the system mail filter settings
+ */
+function renderSenderFilterEditor(settings) {
+    const actionSelect = document.getElementById('sender-filter-action');
+    actionSelect.innerHTML = Object.entries(SenderFilterService.ACTIONS)
+        .map(([value, label]) => `<option value="${value}">${Helpers.escapeHtml(label)}</option>`)
+        .join('');
+    actionSelect.value = settings.action;
+    const folderInput = document.getElementById('sender-filter-folder');
+    folderInput.value = settings.folder;
+    folderInput.disabled = settings.action !== 'move';
+    actionSelect.onchange = () => {
+        folderInput.disabled = actionSelect.value !== 'move';
+    };
+    document.getElementById('sender-filter-detect-headers').checked = settings.detect_auto_generated;
+    document.getElementById('sender-filter-allow').value = settings.allow.join('\n');
+    document.getElementById('sender-filter-deny').value = settings.deny.join('\n');
+}
+
+/**
+ * Read the system mail filter settings from the settings form
+ */
+function getSenderFilterSettingsFromForm() {
+    return {
+        action: document.getElementById('sender-filter-action').value,
+        folder: document.getElementById('sender-filter-folder').value,
+        detect_auto_generated: document.getElementById('sender-filter-detect-headers').checked,
+        allow: document.getElementById('sender-filter-allow').value,
+        deny: document.getElementById('sender-filter-deny').value
+    };
+}
+
+/**
+ * Read the exchange rate table from the settings form
+ */
+function getExchangeRatesFromForm() {
+    const base = document.getElementById('base-currency').value;
+    const rates = { [base]: 1 };
+    document.querySelectorAll('#exchange-rate-table input[data-currency]').forEach(input => {
+        const rate = parseFloat(input.value);
+        if (rate > 0) rates[input.dataset.currency] = rate;
+    });
+    return { base: base, rates: rates, source: document.getElementById('exchange-rate-status').dataset.source };
+}
+
+async function refreshExchangeRates() {
+    const base = document.getElementById('base-currency').value;
+    try {
+        Helpers.showLoading('Fetching exchange rates...');
+        const table = await CurrencyService.refreshRatesFromBackend(base);
+        renderExchangeRateEditor(table);
+        Helpers.showSuccess('Exchange rates updated');
+    } catch (error) {
+        console.error('Error refreshing exchange rates:', error);
+        Helpers.showError('Could not fetch exchange rates: ' + error.message);
+    } finally {
+        Helpers.hideLoading();
+    }
+}
+
 function closeSettingsModal() {
     Helpers.hideElement(document.getElementById('settings-modal'));
 }
@@ -8031,6 +10578,30 @@ function saveSettings() {
         autoCreateFolders: document.getElementById('auto-create-folders').checked
     };
     
+    try {
+        // Validate every section before saving any, so an error leaves all settings unchanged
+        commitScoringProfileForm();
+        const poScheme = PONumberingService.validateScheme(getPONumberSchemeFromForm());
+        const profiles = ScoringService.validateProfiles(scoringProfilesDraft);
+        const approvalSettings = ApprovalService.validateSettings(getApprovalSettingsFromForm());
+        const senderFilter = SenderFilterService.validateSettings(getSenderFilterSettingsFromForm());
+        
+        PONumberingService.saveScheme(poScheme);
+        ScoringService.saveProfiles(profiles);
+        ApprovalService.saveSettings(approvalSettings);
+        SenderFilterService.saveSettings(senderFilter);
+        const rateTable = getExchangeRatesFromForm();
+        const savedRates = CurrencyService.getRates();
+        const ratesChanged = rateTable.base !== savedRates.base ||
+            Object.entries(rateTable.rates).some(([code, rate]) => savedRates.rates[code] !== rate);
+        if (ratesChanged) {
+            CurrencyService.saveRates({ ...rateTable, source: 'manual', updated_at: null });
+        }
+    } catch (error) {
+        Helpers.showError(error.message);
+        return;
+    }
+    
     Config.saveSettings(settings);
     
     // Save pin setting separately
@@ -334,7 +334,8 @@ const Helpers = {
             'clarification_request': 'Clarification Request',
             'engineer_response': 'Engineer Response',
             'procurement': 'Procurement',
-            'engineering': 'Engineering'
+            'engineering': 'Engineering',
+            'system_notification': 'System Notification'
         };
         return names[classification] || classification;
     },
@@ -478,6 +479,29 @@ const Helpers = {
         return uniqueQuestions;
     },
 
+    /**
+     * Encode a byte array as base64 (for Graph API fileAttachment contentBytes)
+     * @param {Uint8Array} bytes - Raw bytes
+     * @returns {string} Base64-encoded content
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Encode a UTF-8 string as base64
+     * @param {string} text - Text content
+     * @returns {string} Base64-encoded content
+     */
+    textToBase64(text) {
+        return this.bytesToBase64(new TextEncoder().encode(text || ''));
+    },
+
     /**
      * Wrap a promise with a timeout
      * @param {Promise} promise - The promise to wrap
@@ -0,0 +1,58 @@
+/**
+ * Approval reply parsing
+ * Only a reply that starts with APPROVED or REJECTED is a decision.
+ */
+test('APPROVED on the first line approves, with the rest as the comment', () => {
+    const parsed = ApprovalService.parseDecision('Approved - go with the cheaper supplier\n\nFrom: Procurement Team\nAward approval request');
+    assert.deepStrictEqual({ ...parsed }, { decision: 'approved', comment: 'go with the cheaper supplier' });
+});
+
+test('REJECTED on the first line rejects', () => {
+    const parsed = ApprovalService.parseDecision('REJECTED.\nRe-quote with two more suppliers.');
+    assert.deepStrictEqual({ ...parsed }, { decision: 'rejected', comment: 'Re-quote with two more suppliers.' });
+});
+
+test('negated or conversational replies leave the approval pending', () => {
+    [
+        'Do not approve',
+        'I cannot approve this',
+        "Please don't approve yet",
+        "Won't approve until finance signs off",
+        'Not approved',
+        'Approve?',
+        'Looks good, approved',
+        'Approvedish'
+    ].forEach(text => {
+        assert.strictEqual(ApprovalService.parseDecision(text), null, text);
+    });
+});
+
+test('an approval is not reused once POs were issued under it', () => {
+    const quotes = [{ email_id: 'msg-1', supplier_email: 'sales@acme.example' }];
+    ApprovalService.saveApproval({
+        reference: 'APR-TEST1',
+        award_key: ApprovalService.getAwardKey(quotes, 12500),
+        status: 'approved',
+        requested_at: '2026-10-01T09:00:00Z',
+        po_numbers: []
+    });
+    assert.strictEqual(ApprovalService.findForAward(quotes, 12500).reference, 'APR-TEST1');
+
+    ApprovalService.recordPurchaseOrders('APR-TEST1', ['PO-1001']);
+    assert.strictEqual(ApprovalService.isConsumed(ApprovalService.getApproval('APR-TEST1')), true);
+    assert.strictEqual(ApprovalService.findForAward(quotes, 12500), null);
+});
+
+test('an approval does not cover the award once its value changes', () => {
+    const quotes = [{ email_id: 'msg-1', supplier_email: 'sales@acme.example' }];
+    ApprovalService.saveApproval({
+        reference: 'APR-TEST2',
+        award_key: ApprovalService.getAwardKey(quotes, 12500),
+        status: 'approved',
+        requested_at: '2026-10-01T09:00:00Z',
+        po_numbers: []
+    });
+    assert.strictEqual(ApprovalService.findForAward(quotes, 12500).reference, 'APR-TEST2');
+    assert.strictEqual(ApprovalService.findForAward(quotes, 18400), null);
+    assert.strictEqual(ApprovalService.findForAward(quotes, null), null);
+});
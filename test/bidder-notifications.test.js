@@ -0,0 +1,39 @@
+/**
+ * Unsuccessful bidder notification records
+ * Saving a reply draft does not count as notifying the supplier.
+ */
+const quotes = [
+    { supplier_email: 'sales@acme.example', supplier_name: 'Acme', email_id: 'msg-1' },
+    { supplier_email: 'quotes@beta.example', supplier_name: 'Beta', email_id: 'msg-2' },
+    { supplier_email: 'rfq@gamma.example', supplier_name: 'Gamma', email_id: 'msg-3' }
+];
+const winner = { supplier_email: 'rfq@gamma.example' };
+const draftFor = (email) => BidderNotificationService.buildDrafts(quotes, winner, 'MAT-1042').find(d => d.supplier_email === email);
+
+test('a supplier with only a saved draft is still offered for sending', () => {
+    BidderNotificationService.recordNotification('MAT-1042', draftFor('sales@acme.example'), 'drafted');
+    const draft = draftFor('sales@acme.example');
+    assert.strictEqual(draft.drafted, true);
+    assert.strictEqual(draft.sent, false);
+});
+
+test('sending after drafting keeps both', () => {
+    BidderNotificationService.recordNotification('MAT-1042', draftFor('sales@acme.example'), 'drafted');
+    BidderNotificationService.recordNotification('MAT-1042', draftFor('sales@acme.example'), 'sent');
+    const draft = draftFor('sales@acme.example');
+    assert.strictEqual(draft.sent, true);
+    assert.strictEqual(draft.drafted, true);
+    assert.strictEqual(draftFor('quotes@beta.example').sent, false);
+});
+
+test('older single-status records are still read', () => {
+    localStorage.setItem(Config.STORAGE_KEYS.BIDDER_NOTIFICATIONS, JSON.stringify({
+        'MAT-1042': [
+            { supplier_email: 'sales@acme.example', status: 'sent', notified_at: '2026-10-01T09:00:00Z' },
+            { supplier_email: 'quotes@beta.example', status: 'drafted', notified_at: '2026-10-01T09:00:00Z' }
+        ]
+    }));
+    assert.strictEqual(draftFor('sales@acme.example').sent, true);
+    assert.strictEqual(draftFor('quotes@beta.example').sent, false);
+    assert.strictEqual(draftFor('quotes@beta.example').drafted, true);
+});
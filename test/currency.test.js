@@ -0,0 +1,26 @@
+/**
+ * Amount parsing: decimal points, decimal commas and thousands separators
+ */
+test('three decimals after a dot are a decimal part', () => {
+    assert.strictEqual(CurrencyService.parseAmount('0.125'), 0.125);
+    assert.strictEqual(CurrencyService.parseAmount('1.250'), 1.25);
+    assert.strictEqual(CurrencyService.parseAmount('$12.375', 'USD'), 12.375);
+    assert.strictEqual(CurrencyService.matchLabeledAmount('Unit Price: $0.125 per piece', 'unit\\s*price').amount, 0.125);
+});
+
+test('dots group thousands with a decimal comma or in a decimal-comma currency', () => {
+    assert.strictEqual(CurrencyService.parseAmount('1.250,00'), 1250);
+    assert.strictEqual(CurrencyService.parseAmount('1.234.567'), 1234567);
+    assert.strictEqual(CurrencyService.parseAmount('1.250', 'EUR'), 1250);
+    assert.strictEqual(CurrencyService.parseAmount('0.125', 'EUR'), 0.125);
+    assert.strictEqual(CurrencyService.matchLabeledAmount('Preis: 1.250 €', 'preis').amount, 1250);
+});
+
+test('commas group thousands unless they are a decimal comma', () => {
+    assert.strictEqual(CurrencyService.parseAmount('1,250'), 1250);
+    assert.strictEqual(CurrencyService.parseAmount('1,234.56'), 1234.56);
+    assert.strictEqual(CurrencyService.parseAmount('12,50'), 12.5);
+    assert.strictEqual(CurrencyService.parseAmount('0,125'), 0.125);
+    assert.strictEqual(CurrencyService.parseAmount('0,125', 'EUR'), 0.125);
+    assert.strictEqual(CurrencyService.parseAmount('1,250', 'EUR'), 1.25);
+});
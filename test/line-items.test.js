@@ -0,0 +1,43 @@
+/**
+ * Split awards across line-item quotes
+ */
+const saveTestRates = () => CurrencyService.saveRates({ base: 'USD', rates: { EUR: 0.8 } });
+
+const item = (part, unitPrice, extendedPrice, currency) => ({
+    part_number: part, description: part, quantity: 10,
+    unit_price: unitPrice, extended_price: extendedPrice, currency: currency
+});
+
+test('a split award totals each supplier in its quote currency', () => {
+    saveTestRates();
+    const quotes = [
+        { supplier_email: 'a@acme.example', currency: 'EUR', line_items: [item('A-1', 8, 80, 'EUR'), item('A-2', 4, 40, 'EUR')] }
+    ];
+    const comparison = LineItemService.buildLineComparison(quotes);
+    const [group] = LineItemService.buildSplitAward(quotes, comparison, LineItemService.defaultSelections(comparison));
+    assert.strictEqual(group.currency, 'EUR');
+    assert.strictEqual(group.total, 120);
+    assert.strictEqual(group.total_base, 150);
+});
+
+test('lines in another currency are converted to the base currency before summing', () => {
+    saveTestRates();
+    const quotes = [
+        { supplier_email: 'a@acme.example', currency: 'EUR', line_items: [item('A-1', 8, 80, 'EUR'), item('A-2', 5, 50, 'USD')] }
+    ];
+    const comparison = LineItemService.buildLineComparison(quotes);
+    const [group] = LineItemService.buildSplitAward(quotes, comparison, LineItemService.defaultSelections(comparison));
+    assert.strictEqual(group.currency, 'USD');
+    assert.strictEqual(group.total, 150);
+});
+
+test('a line without an exchange rate leaves the group totals unknown rather than zero', () => {
+    saveTestRates();
+    const quotes = [
+        { supplier_email: 'a@acme.example', currency: 'EUR', line_items: [item('A-1', 8, 80, 'EUR'), item('A-2', 5, 50, 'GBP')] }
+    ];
+    const comparison = LineItemService.buildLineComparison(quotes);
+    const [group] = LineItemService.buildSplitAward(quotes, comparison, { [comparison[0].key]: 0, [comparison[1].key]: 0 });
+    assert.strictEqual(group.total, null);
+    assert.strictEqual(group.total_base, null);
+});
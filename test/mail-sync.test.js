@@ -0,0 +1,57 @@
+/**
+ * Mail sync delta link handling
+ * Graph is replaced by a canned delta response and the batch is handled by the
+ * real EmailMonitor.checkForReplies; the delta link may only be stored once
+ * every message is either handled or queued for a retry.
+ */
+globalThis.AuthService = {
+    isSignedIn: () => true,
+    getUser: () => ({ email: 'buyer@example.com' }),
+    graphRequest: async () => ({
+        value: [
+            { id: 'msg-1', subject: 'RE: RFQ MAT-1042', from: { emailAddress: { address: 'sales@acme.example' } } },
+            { id: 'msg-2', subject: 'RE: RFQ MAT-1042', from: { emailAddress: { address: 'quotes@beta.example' } } }
+        ],
+        '@odata.deltaLink': 'https://graph.example/delta?token=next'
+    })
+};
+EmailMonitor.log = () => {};
+EmailMonitor.logError = () => {};
+
+function runOneCycle() {
+    MessageLedger.memory = new Map();
+    MailSyncService.onChanges = (messages) => EmailMonitor.checkForReplies(messages);
+    MailSyncService.running = true;
+    MailSyncService.schedule = () => {};
+    return MailSyncService.runCycle();
+}
+
+test('a message that fails is queued for a retry and the rest of the batch is still checked', async () => {
+    const checked = [];
+    EmailMonitor.isReplyToSentRfq = async (email) => {
+        checked.push(email.id);
+        if (email.id === 'msg-1') throw new Error('Graph unavailable');
+        return null;
+    };
+    await runOneCycle();
+
+    assert.deepStrictEqual(checked, ['msg-1', 'msg-2']);
+    const entry = await MessageLedger.get('msg-1');
+    assert.strictEqual(entry.outcome, 'failed');
+    assert.strictEqual(entry.reply_info.recheck, true);
+    assert.strictEqual(MailSyncService.getDeltaLink(), 'https://graph.example/delta?token=next');
+});
+
+test('a batch that cannot be checked or queued keeps the previous delta link', async () => {
+    EmailMonitor.isReplyToSentRfq = async () => null;
+    const get = MessageLedger.get;
+    MessageLedger.get = async () => { throw new Error('Ledger unavailable'); };
+    try {
+        await runOneCycle();
+    } finally {
+        MessageLedger.get = get;
+    }
+
+    assert.strictEqual(MailSyncService.getDeltaLink(), null);
+    assert.strictEqual(MailSyncService.lastError, 'Ledger unavailable');
+});
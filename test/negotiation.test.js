@@ -0,0 +1,55 @@
+/**
+ * Counter-offers
+ * Graph is replaced by stubs; moving the quote email gives it a new ID like Graph does.
+ */
+globalThis.EmailOperations = {
+    replyToEmail: async () => {},
+    formatTextAsHtml: (text) => text
+};
+globalThis.FolderManagement = {
+    createFolderIfNotExists: async (name) => ({ id: `folder-${name}` }),
+    moveEmailToFolder: async () => ({ id: 'msg-moved' })
+};
+globalThis.ApiClient = {
+    saveQuoteCorrections: async () => {}
+};
+
+const quote = {
+    email_id: 'msg-1',
+    supplier_email: 'sales@acme.example',
+    material_code: 'MAT-1042',
+    unit_price: 12.5,
+    currency: 'EUR'
+};
+
+test('records kept for a quote email follow it to its new ID in the Negotiation folder', async () => {
+    QuoteExtractionService.saveCorrections('msg-1', { unit_price: 11.9 });
+    QuoteValidityService.recordRequest('msg-1');
+    PurchaseOrderService.savePurchaseOrder({ po_number: 'PO-1', quote_email_id: 'msg-1' });
+
+    const result = await NegotiationService.sendCounterOffer({ ...quote }, { unit_price: 11 }, 'Please revise', 'MAT-1042');
+
+    assert.deepStrictEqual({ moved: result.moved, emailId: result.emailId }, { moved: true, emailId: 'msg-moved' });
+    assert.strictEqual(NegotiationService.getNegotiation(quote).rounds[0].email_id, 'msg-moved');
+    assert.deepStrictEqual(QuoteExtractionService.getCorrections('msg-moved'), { unit_price: 11.9 });
+    assert.deepStrictEqual(QuoteExtractionService.getCorrections('msg-1'), {});
+    assert.ok(QuoteValidityService.getRequest('msg-moved'));
+    assert.strictEqual(QuoteValidityService.getRequest('msg-1'), null);
+    assert.strictEqual(PurchaseOrderService.findForQuote({ email_id: 'msg-moved' }).po_number, 'PO-1');
+});
+
+test('records keep the original ID when the email could not be filed', async () => {
+    const move = FolderManagement.moveEmailToFolder;
+    FolderManagement.moveEmailToFolder = async () => { throw new Error('Folder not found'); };
+    const error = console.error;
+    console.error = () => {};
+    try {
+        QuoteValidityService.recordRequest('msg-1');
+        const result = await NegotiationService.sendCounterOffer({ ...quote }, { unit_price: 11 }, 'Please revise', 'MAT-1042');
+        assert.deepStrictEqual({ moved: result.moved, emailId: result.emailId }, { moved: false, emailId: 'msg-1' });
+        assert.ok(QuoteValidityService.getRequest('msg-1'));
+    } finally {
+        FolderManagement.moveEmailToFolder = move;
+        console.error = error;
+    }
+});
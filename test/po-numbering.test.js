@@ -0,0 +1,36 @@
+/**
+ * Local PO numbering
+ * Local numbers carry the installation's client ID and continue the ledger's sequence.
+ */
+const scheme = { ...PONumberingService.DEFAULT_SCHEME, siteCode: 'HAM' };
+
+test('the client ID is six base36 characters and replaces an ID in an older format', () => {
+    localStorage.setItem(Config.STORAGE_KEYS.PO_CLIENT_ID, 'AB12');
+    const clientId = PONumberingService.getClientId();
+    assert.match(clientId, /^[0-9A-Z]{6}$/);
+    assert.strictEqual(PONumberingService.getClientId(), clientId);
+});
+
+test('a new client ID is not one already used in the ledger', () => {
+    const random = crypto.getRandomValues;
+    const draws = [0, 1];
+    crypto.getRandomValues = (array) => { array[0] = draws.shift(); return array; };
+    try {
+        PONumberingService.saveLedger([{ po_number: 'PO-2026-HAM-L00000000001', source: 'local' }]);
+        assert.strictEqual(PONumberingService.getClientId(), '000001');
+    } finally {
+        crypto.getRandomValues = random;
+    }
+});
+
+test('local numbers continue the sequence and the preview shows the next one', () => {
+    const clientId = PONumberingService.getClientId();
+    const first = PONumberingService.issueLocalNumber(scheme, 2026);
+    const second = PONumberingService.issueLocalNumber(scheme, 2026);
+    assert.strictEqual(first, `PO-2026-HAM-L${clientId}00001`);
+    assert.strictEqual(second, `PO-2026-HAM-L${clientId}00002`);
+
+    const preview = PONumberingService.previewNumber({ ...scheme, fiscalYearStartMonth: 1 });
+    const fiscalYear = PONumberingService.getFiscalYear(new Date(), 1);
+    assert.strictEqual(preview, `PO-${fiscalYear}-HAM-L${clientId}${fiscalYear === 2026 ? '00003' : '00001'}`);
+});
@@ -0,0 +1,32 @@
+/**
+ * Duplicate PO protection
+ * A quote that already has a PO (same email, or same supplier and RFQ) cannot get a second one.
+ */
+const po = {
+    po_number: 'PO-2026-00042',
+    created_at: '2026-10-10T09:00:00Z',
+    rfq_id: 'MAT-1042',
+    material_code: 'MAT-1042',
+    supplier: { name: 'Acme', email: 'sales@acme.example' },
+    quote_email_id: 'msg-1',
+    status: 'sent'
+};
+
+test('the PO issued for a quote is found by email or by supplier and RFQ', () => {
+    PurchaseOrderService.savePurchaseOrder(po);
+    assert.strictEqual(PurchaseOrderService.findForQuote({ email_id: 'msg-1' }).po_number, po.po_number);
+    assert.strictEqual(PurchaseOrderService.findForQuote(
+        { email_id: 'msg-2', supplier_email: 'SALES@acme.example' }, { rfqId: 'MAT-1042' }
+    ).po_number, po.po_number);
+    assert.strictEqual(PurchaseOrderService.findForQuote(
+        { email_id: 'msg-3', supplier_email: 'quotes@other.example' }, { rfqId: 'MAT-1042' }
+    ), null);
+});
+
+test('a second PO for the same quote is refused', async () => {
+    PurchaseOrderService.savePurchaseOrder(po);
+    await assert.rejects(
+        PurchaseOrderService.createPurchaseOrder({ email_id: 'msg-1', supplier_email: 'sales@acme.example' }, { rfqId: 'MAT-1042' }),
+        /PO-2026-00042 was already issued/
+    );
+});
@@ -0,0 +1,29 @@
+/**
+ * Quote extraction against real supplier email bodies
+ * Each fixtures/quote-emails/<name>.txt is parsed by the structured strategy and
+ * compared with <name>.expected.json; only the fields listed there are checked,
+ * and null means the field must not be found.
+ */
+fixtures('quote-emails')
+    .filter(file => file.endsWith('.txt'))
+    .forEach(file => {
+        const name = file.replace(/\.txt$/, '');
+        test(`structured extraction: ${name}`, () => {
+            const text = fixture(`quote-emails/${file}`);
+            const expected = JSON.parse(fixture(`quote-emails/${name}.expected.json`));
+            const values = QuoteExtractionService.toValues(QuoteExtractionService.parseStructured(text));
+            Object.entries(expected).forEach(([field, value]) => {
+                assert.deepStrictEqual(JSON.parse(JSON.stringify(values[field] ?? null)), value, `${field} of ${name}`);
+            });
+        });
+    });
+
+test('a confident price and lead time skip the LLM without validity or payment terms', () => {
+    const text = fixture('quote-emails/labelled-usd.txt').replace(/^(Validity|Payment Terms):.*$/gm, '');
+    assert.strictEqual(QuoteExtractionService.isComplete(QuoteExtractionService.parseStructured(text)), true);
+});
+
+test('a missing lead time still needs the LLM', () => {
+    const text = fixture('quote-emails/labelled-usd.txt').replace(/^Lead Time:.*$/m, '');
+    assert.strictEqual(QuoteExtractionService.isComplete(QuoteExtractionService.parseStructured(text)), false);
+});
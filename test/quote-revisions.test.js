@@ -0,0 +1,44 @@
+/**
+ * Quote revision grouping
+ * The current quote is the latest email in the thread that has a price.
+ */
+const email = (id, date, fields) => ({
+    email_id: id,
+    supplier_email: 'sales@acme.example',
+    conversation_id: 'conv-1',
+    quote_date: date,
+    currency: 'USD',
+    ...fields
+});
+
+test('the latest priced email is the current quote', () => {
+    const [current] = QuoteRevisionService.group([
+        email('q1', '2026-10-01T09:00:00Z', { unit_price: 12.5, lead_time: '4 weeks' }),
+        email('q2', '2026-10-05T09:00:00Z', { unit_price: 11.75, lead_time: '4 weeks' }),
+        email('ack', '2026-10-06T09:00:00Z', {})
+    ]);
+    assert.strictEqual(current.email_id, 'q2');
+    assert.strictEqual(current.revision_number, 2);
+    assert.strictEqual(current.revisions.length, 3);
+    assert.strictEqual(current.revisions[2].has_price, false);
+    assert.strictEqual(current.revisions[2].quote.email_id, 'ack');
+});
+
+test('a priced email after an acknowledgment is compared with the previous quote', () => {
+    const [current] = QuoteRevisionService.group([
+        email('q1', '2026-10-01T09:00:00Z', { unit_price: 12.5 }),
+        email('ack', '2026-10-02T09:00:00Z', {}),
+        email('q2', '2026-10-05T09:00:00Z', { unit_price: 11.75 })
+    ]);
+    assert.strictEqual(current.email_id, 'q2');
+    assert.deepStrictEqual(current.revisions[2].changes.map(c => [c.field, c.direction]), [['unit_price', 'down']]);
+    assert.deepStrictEqual(current.revisions[1].changes, []);
+});
+
+test('a thread without any price falls back to its latest email', () => {
+    const [current] = QuoteRevisionService.group([
+        email('ack1', '2026-10-01T09:00:00Z', {}),
+        email('ack2', '2026-10-02T09:00:00Z', {})
+    ]);
+    assert.strictEqual(current.email_id, 'ack2');
+});
@@ -0,0 +1,18 @@
+/**
+ * Quote validity status
+ */
+const quote = { quote_date: '2026-10-01T00:00:00Z', validity: '30 days' };
+
+test('a quote is expired as soon as its expiry time has passed', () => {
+    const status = QuoteValidityService.getStatus(quote, new Date('2026-10-31T12:00:00Z'));
+    assert.strictEqual(status.expired, true);
+    assert.strictEqual(status.expiring_soon, false);
+    assert.strictEqual(QuoteValidityService.describe(status), 'Expired today');
+});
+
+test('a quote before its expiry time is expiring soon, not expired', () => {
+    const status = QuoteValidityService.getStatus(quote, new Date('2026-10-30T12:00:00Z'));
+    assert.strictEqual(status.expired, false);
+    assert.strictEqual(status.expiring_soon, true);
+    assert.strictEqual(QuoteValidityService.describe(status), 'Expires in 1 day');
+});
@@ -0,0 +1,92 @@
+/**
+ * Test runner
+ * The services are browser scripts that define globals, so they are loaded
+ * into one shared context (with an in-memory localStorage) and every
+ * test/*.test.js file runs in that context. Usage: npm test
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.join(__dirname, '..');
+
+// Scripts in taskpane.html order (only those the tests need)
+const SCRIPTS = [
+    'src/utils/helpers.js',
+    'src/services/config.js',
+    'src/services/mail-sync.js',
+    'src/services/message-ledger.js',
+    'src/services/retry-queue.js',
+    'src/services/sender-filter.js',
+    'src/services/email-monitor.js',
+    'src/services/po-numbering.js',
+    'src/services/purchase-orders.js',
+    'src/services/bidder-notifications.js',
+    'src/services/currency.js',
+    'src/services/price-breaks.js',
+    'src/services/line-items.js',
+    'src/services/quote-extraction.js',
+    'src/services/scoring.js',
+    'src/services/quote-validity.js',
+    'src/services/quote-revisions.js',
+    'src/services/negotiation.js',
+    'src/services/xlsx-writer.js',
+    'src/services/approvals.js'
+];
+
+function createContext() {
+    const store = new Map();
+    const context = {
+        console,
+        crypto,
+        assert,
+        localStorage: {
+            getItem: (key) => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => store.set(key, String(value)),
+            removeItem: (key) => store.delete(key),
+            clear: () => store.clear()
+        },
+        fixture: (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'),
+        fixtures: (dir) => fs.readdirSync(path.join(__dirname, 'fixtures', dir)).sort(),
+        tests: []
+    };
+    context.test = (name, fn) => context.tests.push({ name, fn });
+    vm.createContext(context);
+
+    // Top-level const declarations are not context properties; re-export them as globals
+    SCRIPTS.forEach(script => {
+        const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        const name = source.match(/^const (\w+) =/m)[1];
+        vm.runInContext(`${source}\nthis.${name} = ${name};`, context, { filename: script });
+    });
+    return context;
+}
+
+async function run() {
+    const files = fs.readdirSync(__dirname).filter(file => file.endsWith('.test.js')).sort();
+    let passed = 0;
+    let failed = 0;
+
+    for (const file of files) {
+        const context = createContext();
+        vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+        console.log(file);
+        for (const { name, fn } of context.tests) {
+            try {
+                context.localStorage.clear();
+                await fn();
+                passed++;
+                console.log(`  ✓ ${name}`);
+            } catch (error) {
+                failed++;
+                console.log(`  ✗ ${name}\n    ${error.message.split('\n').join('\n    ')}`);
+            }
+        }
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run();
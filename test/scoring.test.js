@@ -0,0 +1,16 @@
+/**
+ * Weighted quote scoring
+ */
+test('a quote without a lead time scores at the bottom for lead time', () => {
+    const [stated, missing] = ScoringService.scoreQuotes([
+        { supplier_email: 'a@acme.example', unit_price: 10, currency: 'USD', lead_time: '6 weeks' },
+        { supplier_email: 'b@beta.example', unit_price: 10, currency: 'USD' }
+    ], ScoringService.DEFAULT_PROFILE);
+    assert.strictEqual(missing.breakdown.find(b => b.key === 'lead_time').normalized, 0);
+    assert.ok(stated.score > missing.score);
+});
+
+test('invalid profiles are rejected without saving anything', () => {
+    assert.throws(() => ScoringService.validateProfiles([{ id: 'p1', name: 'Castings', weights: {} }]), /at least one weighted criterion/);
+    assert.strictEqual(localStorage.getItem(Config.STORAGE_KEYS.SCORING_PROFILES), null);
+});
@@ -0,0 +1,43 @@
+/**
+ * System mail filter rules
+ * Graph must not be called unless header detection is switched on.
+ */
+let headerRequests = 0;
+globalThis.AuthService = {
+    isSignedIn: () => true,
+    graphRequest: async () => {
+        headerRequests++;
+        return { internetMessageHeaders: [{ name: 'Precedence', value: 'bulk' }] };
+    }
+};
+
+const message = (address, subject, name = '') => ({
+    id: `msg-${address}`,
+    subject: subject,
+    from: { emailAddress: { address: address, name: name } }
+});
+
+test('a message about a material is never filtered, even from a Microsoft domain', () => {
+    const evaluation = SenderFilterService.evaluate(message('noreply@microsoft.com', 'Undeliverable: RFQ MAT-1042'));
+    assert.strictEqual(evaluation.matched, false);
+});
+
+test('Microsoft service senders are filtered', () => {
+    const evaluation = SenderFilterService.evaluate(message('account-security-noreply@accountprotection.microsoft.com', 'Security alert'));
+    assert.strictEqual(evaluation.matched, true);
+});
+
+test('headers are not read by default', async () => {
+    headerRequests = 0;
+    const evaluation = await SenderFilterService.check(message('news@supplier.example', 'October newsletter'));
+    assert.strictEqual(evaluation.matched, false);
+    assert.strictEqual(headerRequests, 0);
+});
+
+test('header detection reads headers once it is switched on', async () => {
+    headerRequests = 0;
+    SenderFilterService.saveSettings({ action: 'move', folder: 'System Notifications', detect_auto_generated: true });
+    const evaluation = await SenderFilterService.check(message('news@supplier.example', 'October newsletter'));
+    assert.strictEqual(evaluation.reason, 'Precedence: bulk');
+    assert.strictEqual(headerRequests, 1);
+});
@@ -0,0 +1,16 @@
+/**
+ * XLSX sheet XML
+ */
+const sheetXml = (columns) => {
+    const workbook = XlsxWriter.createWorkbook();
+    XlsxWriter.addSheet(workbook, 'Quotes', { rows: [['Supplier', 12.5]], columns: columns });
+    return XlsxWriter.buildSheetXml(workbook.sheets[0], XlsxWriter.createStyleRegistry());
+};
+
+test('column widths are written as <col> elements', () => {
+    assert.match(sheetXml([{ width: 30 }, null]), /<cols><col min="1" max="1" width="30" customWidth="1"\/><\/cols>/);
+});
+
+test('no <cols> element is written when no column has a width', () => {
+    assert.doesNotMatch(sheetXml([{}, null]), /<cols/);
+});